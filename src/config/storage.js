@@ -51,4 +51,75 @@ if (!bucketName) {
 
 const bucket = bucketName ? storage.bucket(bucketName) : null;
 
-module.exports = { storage, bucket };
+// Members-only files (narration of members-only books) go to a bucket that isn't
+// publicly readable - they can only be opened through signed URLs
+const privateBucketName = process.env.GCS_PRIVATE_BUCKET_NAME;
+const privateBucket = privateBucketName ? storage.bucket(privateBucketName) : null;
+
+// Members-only files are handed out as short-lived signed URLs instead of public links
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60;
+const SIGNED_URL_CACHE_LIMIT = 5000;
+const signedUrlCache = new Map();
+
+const publicUrlFor = (target, filePath) => `https://storage.googleapis.com/${target.name}/${filePath}`;
+
+/**
+ * { target, gcsPath } for a URL of a file in one of our buckets (null for anything else)
+ */
+const locateFile = (url) => {
+    if (typeof url !== 'string') return null;
+    for (const target of [bucket, privateBucket].filter(Boolean)) {
+        const prefixes = [
+            `https://storage.googleapis.com/${target.name}/`,
+            `https://${target.name}.storage.googleapis.com/`,
+        ];
+        const prefix = prefixes.find(p => url.startsWith(p));
+        if (prefix) return { target, gcsPath: decodeURIComponent(url.slice(prefix.length).split('?')[0]) };
+    }
+    return null;
+};
+
+/**
+ * Object path for a URL of a file in our buckets (null for anything else)
+ */
+const gcsPathFromUrl = (url) => locateFile(url)?.gcsPath || null;
+
+/**
+ * The bucket File behind a URL of ours (null for anything else)
+ */
+const fileFromUrl = (url) => {
+    const located = locateFile(url);
+    return located ? located.target.file(located.gcsPath) : null;
+};
+
+/**
+ * V4 signed read URL for a bucket file (URL of either bucket, or a public-bucket object path).
+ * URLs are reused while more than half their lifetime is left, so repeated
+ * requests for the same content don't re-sign every file.
+ */
+const getSignedUrl = async (pathOrUrl) => {
+    const located = locateFile(pathOrUrl) || (bucket && { target: bucket, gcsPath: pathOrUrl });
+    if (!located) throw new Error('GCS bucket not configured');
+    const cacheKey = `${located.target.name}/${located.gcsPath}`;
+
+    const cached = signedUrlCache.get(cacheKey);
+    if (cached && cached.refreshAt > Date.now()) return cached.url;
+
+    const expires = Date.now() + SIGNED_URL_TTL_SECONDS * 1000;
+    const [url] = await located.target.file(located.gcsPath).getSignedUrl({ version: 'v4', action: 'read', expires });
+
+    if (signedUrlCache.size >= SIGNED_URL_CACHE_LIMIT) signedUrlCache.clear();
+    signedUrlCache.set(cacheKey, { url, refreshAt: expires - (SIGNED_URL_TTL_SECONDS * 1000) / 2 });
+    return url;
+};
+
+module.exports = {
+    storage,
+    bucket,
+    privateBucket,
+    publicUrlFor,
+    gcsPathFromUrl,
+    fileFromUrl,
+    getSignedUrl,
+    SIGNED_URL_TTL_SECONDS,
+};
@@ -11,6 +11,13 @@ const {
   uploadLimiter,
   analyticsLimiter 
 } = require('./middleware/rateLimiter');
+const { authenticate, requireAdmin } = require('./middleware/auth');
+const { startPublishScheduler } = require('./jobs/publishScheduler');
+const { startJobWorker } = require('./jobs/jobWorker');
+const { startContentMetricsRollup } = require('./jobs/contentMetricsRollup');
+const { startWeeklyParentReports } = require('./jobs/weeklyParentReports');
+const { startRadioPlayLog } = require('./jobs/radioPlayLog');
+const { attachTtsSocket } = require('./routes/ttsSocket');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -19,6 +26,12 @@ const PORT = process.env.PORT || 5001;
 // SECURITY MIDDLEWARE
 // ===========================================
 
+// Behind Render's proxy: TRUST_PROXY_HOPS proxies set X-Forwarded-For, so req.ip
+// (and the rate limiters keyed on it) see the client instead of the proxy
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0);
+}
+
 // Helmet - Security headers (XSS protection, etc.)
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }, // Allow cross-origin for assets
@@ -35,7 +48,7 @@ app.use(cors({
     callback(null, true);
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-API-Key'],
   credentials: true,
 }));
 
@@ -50,6 +63,15 @@ app.use(express.urlencoded({ limit: '10mb', extended: true }));
 // Apply general rate limiter to all routes
 app.use(generalLimiter);
 
+// ===========================================
+// AUTHENTICATION
+// ===========================================
+
+// Attach req.user from bearer token / admin API key (never rejects on its own).
+// Admin-only routers are guarded at mount below; mixed routers guard their
+// destructive routes individually with requireAdmin / requireRole.
+app.use(authenticate);
+
 // ===========================================
 // DATABASE CONNECTION
 // ===========================================
@@ -77,11 +99,12 @@ app.use('/api/tts', ttsLimiter, require('./routes/tts'));
 app.use('/api/quiz', quizLimiter, require('./routes/quiz'));
 
 // Upload routes
-app.use('/api/upload', uploadLimiter, require('./routes/upload'));
+app.use('/api/upload', uploadLimiter, requireAdmin, require('./routes/upload'));
 
 // Analytics routes
 app.use('/api/analytics', analyticsLimiter, require('./routes/analytics'));
 
+// Portal-only routers (requireAdmin at mount): upload, voice-cloning, notifications, admin, moderation
 // Standard routes (use general limiter already applied)
 app.use('/api/books', require('./routes/books'));
 app.use('/api/book-series', require('./routes/bookSeries'));
@@ -89,10 +112,10 @@ app.use('/api/pages', require('./routes/pages'));
 app.use('/api/playlists', require('./routes/playlists'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/voices', require('./routes/voices'));
-app.use('/api/voice-cloning', require('./routes/voiceCloning'));
+app.use('/api/voice-cloning', requireAdmin, require('./routes/voiceCloning'));
 app.use('/api/games', require('./routes/games'));
 app.use('/api/lessons', require('./routes/lessons'));
-app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/notifications', requireAdmin, require('./routes/notifications'));
 app.use('/api/music', require('./routes/music'));
 app.use('/api/migration', require('./routes/migration'));
 app.use('/api/jobs', require('./routes/jobs'));
@@ -108,6 +131,12 @@ app.use('/api/playlist-comments', require('./routes/playlistComments'));
 app.use('/api/play-events', require('./routes/playEvents'));
 app.use('/api/google-tts', ttsLimiter, require('./routes/googleTts'));
 app.use('/api/radio', require('./routes/radio'));
+app.use('/api/offline', require('./routes/offline'));
+app.use('/api/recommendations', require('./routes/recommendations'));
+app.use('/api/entitlements', require('./routes/entitlements'));
+app.use('/api/parents', require('./routes/parents'));
+app.use('/api/admin', requireAdmin, require('./routes/admin'));
+app.use('/api/moderation', requireAdmin, require('./routes/moderation'));
 
 // ===========================================
 // HEALTH & STATUS ENDPOINTS
@@ -146,7 +175,17 @@ app.use((err, req, res, next) => {
 // ===========================================
 // START SERVER
 // ===========================================
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background jobs
+  startPublishScheduler();
+  startJobWorker();
+  startContentMetricsRollup();
+  startWeeklyParentReports();
+  startRadioPlayLog();
 });
+
+// Streaming TTS (WebSocket upgrades on /api/tts/ws)
+attachTtsSocket(server);
@@ -0,0 +1,83 @@
+/**
+ * Content Metrics Rollup Job
+ *
+ * Rolls raw play and reaction events up into ContentDailyMetric, one row per
+ * content item and UTC day (services/contentMetricsService.js).
+ *
+ * Usage:
+ * - Runs hourly in-process (started from src/index.js). Each run rewrites
+ *   today's partial rows, so trending stays fresh; the first run after midnight
+ *   UTC rolls up the finished day again and marks it final.
+ * - Days missed while the server was down are caught up on the next run, as long
+ *   as their play events haven't expired (30 days).
+ * - Can be called manually via POST /api/jobs/rollup-content-metrics
+ *
+ * Rows are upserted, so overlapping runs on several instances are harmless.
+ */
+
+const mongoose = require('mongoose');
+const { DAY_MS, startOfDay, rollupDay, firstPendingDay } = require('../services/contentMetricsService');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// PlayEvent expires after 30 days - older days can't be rolled up again without losing plays
+const MAX_DAYS_BACK = 29;
+const STARTUP_DELAY_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass of the rollup. `from` (a date) re-rolls every day from then on,
+ * e.g. after changing how metrics are computed - at most MAX_DAYS_BACK days.
+ */
+async function runContentMetricsRollup({ from } = {}) {
+    if (running) {
+        return { success: true, skipped: true, reason: 'Previous run still in progress' };
+    }
+    running = true;
+
+    try {
+        const now = new Date();
+        const today = startOfDay(now);
+        const earliest = new Date(today.getTime() - MAX_DAYS_BACK * DAY_MS);
+        const requested = from ? startOfDay(from) : await firstPendingDay(now);
+        const first = requested < earliest ? earliest : requested;
+
+        const days = [];
+        for (let day = first; day <= today; day = new Date(day.getTime() + DAY_MS)) {
+            const final = day < today;
+            const rows = await rollupDay(day, { final });
+            days.push({ day: day.toISOString().split('T')[0], rows, final });
+        }
+
+        console.log(`📈 Content metrics rolled up: ${days.length} day(s), ${days.reduce((sum, d) => sum + d.rows, 0)} rows`);
+        return { success: true, days };
+    } catch (error) {
+        console.error('❌ Content metrics rollup failed:', error);
+        return { success: false, error: error.message };
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the in-process timer (idempotent)
+ */
+function startContentMetricsRollup(intervalMs = CHECK_INTERVAL_MS) {
+    if (timer) return;
+    const run = () => {
+        // Skip quietly while the database is (re)connecting
+        if (mongoose.connection.readyState !== 1) return;
+        runContentMetricsRollup().catch(err => console.error('Content metrics rollup error:', err.message));
+    };
+    timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for these timers
+    timer.unref();
+    setTimeout(run, STARTUP_DELAY_MS).unref();
+    console.log('📈 Content metrics rollup job started');
+}
+
+module.exports = {
+    runContentMetricsRollup,
+    startContentMetricsRollup,
+};
@@ -0,0 +1,211 @@
+/**
+ * Background Job Worker
+ *
+ * Runs queued jobs from the MongoDB job queue (see services/jobQueue.js).
+ *
+ * Usage:
+ * - Polls every few seconds in-process (started from src/index.js)
+ * - Can be nudged manually via POST /api/jobs/run-queue
+ *
+ * Jobs are claimed with an atomic findOneAndUpdate, so several server instances
+ * can share one queue without running a job twice. While a job runs its worker
+ * refreshes lockedAt every HEARTBEAT_INTERVAL_MS, however long the handler goes
+ * without reporting progress. A job whose worker died (no heartbeat for
+ * LOCK_TIMEOUT_MS) is put back in the queue and counts as a failed attempt.
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { getJobHandler } = require('../services/jobQueue');
+
+const POLL_INTERVAL_MS = 3 * 1000;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let running = false;
+
+// Thrown from reportProgress once an admin has cancelled the job
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job was cancelled');
+        this.code = 'JOB_CANCELLED';
+    }
+}
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Put jobs whose worker disappeared back in the queue (or fail them if out of attempts)
+ */
+async function recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+    const stale = await Job.find({ status: 'running', lockedAt: { $lt: staleBefore } }).select('_id attempts maxAttempts');
+
+    for (const job of stale) {
+        const exhausted = job.attempts >= job.maxAttempts;
+        await Job.updateOne(
+            { _id: job._id, status: 'running', lockedAt: { $lt: staleBefore } },
+            {
+                $set: exhausted
+                    ? { status: 'failed', error: 'Worker stopped responding', completedAt: new Date(), lockedBy: null, lockedAt: null }
+                    : { status: 'queued', error: 'Worker stopped responding', runAt: new Date(), lockedBy: null, lockedAt: null },
+            }
+        );
+        console.warn(`⚠️ Recovered stale job ${job._id} (${exhausted ? 'failed' : 'requeued'})`);
+    }
+}
+
+/**
+ * Claim the oldest due job
+ */
+async function claimNextJob() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        { status: 'queued', runAt: { $lte: now } },
+        {
+            $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: now, startedAt: now },
+            $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Write the outcome of an attempt - only if this worker still owns the job
+ * (it may have been cancelled meanwhile)
+ */
+async function finishAttempt(job, update) {
+    return Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+        { $set: { ...update, lockedBy: null, lockedAt: null } }
+    );
+}
+
+/**
+ * Run one claimed job
+ */
+async function executeJob(job) {
+    const handler = getJobHandler(job.type);
+    if (!handler) {
+        await finishAttempt(job, { status: 'failed', error: `No handler registered for '${job.type}'`, completedAt: new Date() });
+        return;
+    }
+
+    // Progress updates double as a heartbeat and a cancellation check
+    const reportProgress = async ({ percent, message, current, total } = {}) => {
+        const progress = {
+            percent: percent !== undefined ? percent : (total ? Math.round((current / total) * 100) : 0),
+            message: message || null,
+            current: current !== undefined ? current : null,
+            total: total !== undefined ? total : null,
+        };
+        const updated = await Job.updateOne(
+            { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+            { $set: { progress, lockedAt: new Date() } }
+        );
+        if (updated.matchedCount === 0) {
+            throw new JobCancelledError();
+        }
+    };
+
+    console.log(`⚙️ Running job ${job.type} (${job._id}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+    // Keep the lock fresh so recoverStaleJobs never takes a job from a live worker
+    const heartbeat = setInterval(() => {
+        Job.updateOne(
+            { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+            { $set: { lockedAt: new Date() } }
+        ).catch(err => console.error(`Job ${job._id} heartbeat error:`, err.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    let outcome;
+    try {
+        outcome = await handler(job.payload || {}, { job, reportProgress });
+    } catch (error) {
+        if (error.code === 'JOB_CANCELLED') {
+            console.log(`🛑 Job ${job._id} stopped after cancellation`);
+            return;
+        }
+        outcome = { status: 500, body: { message: error.message } };
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    const status = outcome?.status || 200;
+    const body = outcome?.body ?? null;
+    const errorMessage = body?.error || body?.message || `Handler returned ${status}`;
+
+    if (status < 400) {
+        await finishAttempt(job, {
+            status: 'completed',
+            result: body,
+            error: null,
+            progress: { ...(job.progress?.toObject ? job.progress.toObject() : job.progress), percent: 100 },
+            completedAt: new Date(),
+        });
+        console.log(`✅ Job ${job.type} (${job._id}) completed`);
+    } else if (status < 500 || job.attempts >= job.maxAttempts) {
+        await finishAttempt(job, { status: 'failed', result: body, error: errorMessage, completedAt: new Date() });
+        console.error(`❌ Job ${job.type} (${job._id}) failed: ${errorMessage}`);
+    } else {
+        const delay = retryDelay(job.attempts);
+        await finishAttempt(job, { status: 'queued', error: errorMessage, runAt: new Date(Date.now() + delay) });
+        console.warn(`🔁 Job ${job.type} (${job._id}) will retry in ${Math.round(delay / 1000)}s: ${errorMessage}`);
+    }
+}
+
+/**
+ * Run every due job, one at a time
+ */
+async function runJobQueue() {
+    if (running) {
+        return { success: true, skipped: true, reason: 'Previous run still in progress' };
+    }
+    running = true;
+
+    let processed = 0;
+    try {
+        await recoverStaleJobs();
+
+        for (;;) {
+            const job = await claimNextJob();
+            if (!job) break;
+            await executeJob(job);
+            processed++;
+        }
+
+        return { success: true, processed };
+    } catch (error) {
+        console.error('❌ Job worker failed:', error);
+        return { success: false, processed, error: error.message };
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the in-process worker (idempotent)
+ */
+function startJobWorker(intervalMs = POLL_INTERVAL_MS) {
+    if (timer) return;
+    timer = setInterval(() => {
+        // Skip quietly while the database is (re)connecting
+        if (mongoose.connection.readyState !== 1) return;
+        runJobQueue().catch(err => console.error('Job worker error:', err.message));
+    }, intervalMs);
+    // Don't keep the process alive just for this timer
+    timer.unref();
+    console.log(`⚙️ Job worker started (${WORKER_ID})`);
+}
+
+module.exports = {
+    runJobQueue,
+    startJobWorker,
+};
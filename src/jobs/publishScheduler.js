@@ -0,0 +1,96 @@
+/**
+ * Scheduled Publishing Job
+ *
+ * Flips approved books and book series from 'scheduled' to 'published' once their
+ * publishAt time has passed, and sends the optional OneSignal announcement.
+ *
+ * Usage:
+ * - Runs every minute in-process (started from src/index.js)
+ * - Can be called manually via POST /api/jobs/publish-scheduled
+ *
+ * Each document is claimed with an atomic findOneAndUpdate, so running several
+ * server instances never publishes (or announces) the same item twice.
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const BookSeries = require('../models/BookSeries');
+const { notifyNewBook, notifyNewSeries } = require('../services/notificationService');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish every due document of one model
+ */
+async function publishDue(Model, notify, label) {
+    const now = new Date();
+    const published = [];
+
+    // Claim one document at a time until none are due
+    for (;;) {
+        const doc = await Model.findOneAndUpdate(
+            { status: 'scheduled', publishAt: { $lte: now } },
+            { $set: { status: 'published', publishedAt: now, updatedAt: now } },
+            { new: true }
+        );
+        if (!doc) break;
+
+        published.push(doc._id.toString());
+        console.log(`📅 Scheduled ${label} published: "${doc.title}" (${doc._id})`);
+
+        if (doc.announceOnPublish) {
+            notify(doc).catch(err => console.error(`Notification error (${label}):`, err.message));
+        }
+    }
+
+    return published;
+}
+
+/**
+ * Run one pass of the scheduled publishing job
+ */
+async function runScheduledPublishing() {
+    if (running) {
+        return { success: true, skipped: true, reason: 'Previous run still in progress' };
+    }
+    running = true;
+
+    try {
+        const books = await publishDue(Book, notifyNewBook, 'book');
+        const series = await publishDue(BookSeries, notifyNewSeries, 'series');
+
+        return {
+            success: true,
+            booksPublished: books,
+            seriesPublished: series,
+        };
+    } catch (error) {
+        console.error('❌ Scheduled publishing job failed:', error);
+        return { success: false, error: error.message };
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the in-process timer (idempotent)
+ */
+function startPublishScheduler(intervalMs = CHECK_INTERVAL_MS) {
+    if (timer) return;
+    timer = setInterval(() => {
+        // Skip quietly while the database is (re)connecting
+        if (mongoose.connection.readyState !== 1) return;
+        runScheduledPublishing().catch(err => console.error('Scheduled publishing error:', err.message));
+    }, intervalMs);
+    // Don't keep the process alive just for this timer
+    timer.unref();
+    console.log('📅 Scheduled publishing job started');
+}
+
+module.exports = {
+    runScheduledPublishing,
+    startPublishScheduler,
+};
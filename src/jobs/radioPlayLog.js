@@ -0,0 +1,127 @@
+/**
+ * Radio Play Log Job
+ *
+ * Credits RadioLibrary tracks with a play (playCount, lastPlayedAt) as their
+ * segments air on the playout clock (services/radioPlayoutService.js), so the
+ * track scheduler's separation rules see what actually went out.
+ *
+ * Usage:
+ * - Runs every minute in-process (started from src/index.js)
+ * - Can be called manually via POST /api/jobs/log-radio-plays
+ *
+ * The station's playLoggedUntil is advanced with an atomic update before
+ * anything is credited, so several server instances never count an airing
+ * twice. Time off air, and anything older than MAX_CATCH_UP_MS (the server was
+ * down, so nothing aired), is skipped.
+ */
+
+const mongoose = require('mongoose');
+const RadioStation = require('../models/RadioStation');
+const RadioLibrary = require('../models/RadioLibrary');
+const { loadPlayout, positionAt } = require('../services/radioPlayoutService');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_CATCH_UP_MS = 10 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Library tracks whose segments started in (from, to]: Map of trackId -> { plays, lastPlayedAt }
+ */
+const airingsBetween = (playout, from, to) => {
+    const credits = new Map();
+    const position = positionAt(playout, from);
+    if (!position) return credits;
+
+    let index = position.index;
+    let startedAt = position.startedAt.getTime();
+    while (startedAt <= to.getTime()) {
+        const { segment, duration } = playout.items[index];
+        if (startedAt > from.getTime() && startedAt >= playout.epoch.getTime() && segment.trackId) {
+            const key = String(segment.trackId);
+            const credit = credits.get(key) || { plays: 0, lastPlayedAt: null };
+            credit.plays++;
+            credit.lastPlayedAt = new Date(startedAt);
+            credits.set(key, credit);
+        }
+        startedAt += duration * 1000;
+        index = (index + 1) % playout.items.length;
+    }
+
+    return credits;
+};
+
+/**
+ * Credit airings since the last run
+ */
+async function runRadioPlayLog({ now = new Date() } = {}) {
+    if (running) {
+        return { success: true, skipped: true, reason: 'Previous run still in progress' };
+    }
+
+    running = true;
+    try {
+        const station = await RadioStation.findOne().select('isLive playLoggedUntil').lean();
+        if (!station) {
+            return { success: true, skipped: true, reason: 'No station configured' };
+        }
+
+        // Claim (playLoggedUntil, now] - another instance that got there first wins
+        const claimed = await RadioStation.findOneAndUpdate(
+            { _id: station._id, playLoggedUntil: station.playLoggedUntil ?? null },
+            { $set: { playLoggedUntil: now } }
+        );
+        if (!claimed) {
+            return { success: true, skipped: true, reason: 'Already logged by another instance' };
+        }
+        if (!station.isLive) {
+            return { success: true, plays: 0, tracks: 0 };
+        }
+
+        const from = new Date(Math.max(station.playLoggedUntil?.getTime() || 0, now.getTime() - MAX_CATCH_UP_MS));
+        const playout = await loadPlayout({ fresh: true });
+        const credits = airingsBetween(playout, from, now);
+
+        if (credits.size) {
+            await RadioLibrary.bulkWrite([...credits].map(([trackId, credit]) => ({
+                updateOne: {
+                    filter: { _id: trackId },
+                    update: {
+                        $inc: { playCount: credit.plays },
+                        $max: { lastPlayedAt: credit.lastPlayedAt },
+                    },
+                },
+            })));
+        }
+
+        const plays = [...credits.values()].reduce((sum, credit) => sum + credit.plays, 0);
+        if (plays) console.log(`📻 Logged ${plays} radio play(s) across ${credits.size} track(s)`);
+        return { success: true, plays, tracks: credits.size };
+    } catch (error) {
+        console.error('❌ Radio play log failed:', error);
+        return { success: false, error: error.message };
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the in-process timer (idempotent)
+ */
+function startRadioPlayLog(intervalMs = CHECK_INTERVAL_MS) {
+    if (timer) return;
+    timer = setInterval(() => {
+        // Skip quietly while the database is (re)connecting
+        if (mongoose.connection.readyState !== 1) return;
+        runRadioPlayLog().catch(err => console.error('Radio play log error:', err.message));
+    }, intervalMs);
+    // Don't keep the process alive just for this timer
+    timer.unref();
+    console.log('📻 Radio play log job started');
+}
+
+module.exports = {
+    runRadioPlayLog,
+    startRadioPlayLog,
+};
@@ -12,6 +12,7 @@
 
 const axios = require('axios');
 const User = require('../models/User');
+const { getEntitlement, recordEntitlementEvent } = require('../services/entitlementService');
 
 // Configuration
 const OLD_BACKEND_URL = process.env.OLD_BACKEND_URL || 'https://api.devgodlykids.kbpublish.org/api';
@@ -50,16 +51,20 @@ async function checkUserSubscription(user) {
             data.subscriptionExpiryDate > Date.now()
         );
 
-        // Check if status has changed
-        const wasActive = user.isPremium && user.subscriptionStatus === 'active';
+        // Check if status has changed (accounts migrated before the ledger only have isPremium)
+        const { sources } = await getEntitlement(null, { account: user });
+        const wasActive = sources.legacy ? sources.legacy.entitled : user.isPremium;
         
         if (isActive && !wasActive) {
             // Subscription renewed!
-            await User.findByIdAndUpdate(user._id, {
-                isPremium: true,
-                subscriptionStatus: data.isTrialActive ? 'trial' : 'active',
-                subscriptionExpiryDate: data.subscriptionExpiryDate,
-                subscriptionStartDate: data.subscriptionStartDate,
+            await recordEntitlementEvent({
+                account: user,
+                source: 'legacy',
+                type: 'renewal',
+                status: data.isTrialActive ? 'trial' : 'active',
+                startsAt: data.subscriptionStartDate,
+                expiresAt: data.subscriptionExpiryDate,
+                recordedBy: 'subscriptionChecker',
             });
 
             return { 
@@ -70,9 +75,13 @@ async function checkUserSubscription(user) {
             };
         } else if (!isActive && wasActive) {
             // Subscription expired
-            await User.findByIdAndUpdate(user._id, {
-                isPremium: false,
-                subscriptionStatus: 'expired',
+            await recordEntitlementEvent({
+                account: user,
+                source: 'legacy',
+                type: 'expiration',
+                status: 'expired',
+                expiresAt: data.subscriptionExpiryDate,
+                recordedBy: 'subscriptionChecker',
             });
 
             return { 
@@ -115,7 +124,7 @@ async function runSubscriptionCheck() {
         // Find all users who were migrated from the old app
         const migratedUsers = await User.find({
             migratedFromOldApp: true,
-        }).select('_id email isPremium subscriptionStatus subscriptionExpiryDate migratedFromOldApp');
+        }).select('_id email emails deviceId deviceIds mergedAccountIds isPremium subscriptionStatus subscriptionEndDate subscriptionExpiresAt subscriptionPlan subscriptionProductId migratedFromOldApp');
 
         results.total = migratedUsers.length;
         console.log(`📊 Found ${migratedUsers.length} migrated users to check`);
@@ -0,0 +1,167 @@
+/**
+ * Weekly Parent Report Job
+ *
+ * Emails each parent a summary of last week's activity per child
+ * (services/parentReportService.js), from Monday SEND_HOUR in the account's
+ * timezone.
+ *
+ * Usage:
+ * - Runs hourly in-process (started from src/index.js)
+ * - Can be called manually via POST /api/jobs/send-weekly-reports
+ *
+ * Only accounts with a verified email, kid profiles and weeklyReportEmails on
+ * are considered. Each account/week is claimed with an atomic update of
+ * weeklyReportWeek before sending, so several server instances never send the
+ * same report twice. Weeks without any activity are claimed but not sent.
+ */
+
+const mongoose = require('mongoose');
+const AppUser = require('../models/AppUser');
+const { buildParentReport, reportWeek } = require('../services/parentReportService');
+const { isValidTimezone } = require('../utils/time');
+const { sendWeeklyReportEmail } = require('../services/emailService');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const SEND_HOUR = 8;
+const MAX_PER_RUN = 500;
+const APP_URL = process.env.APP_URL || 'https://app.godlykids.com';
+
+let timer = null;
+let running = false;
+
+// Hour of `date` in `timezone`
+const localHour = (date, timezone) => Number(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hour: 'numeric', hourCycle: 'h23',
+}).format(date));
+
+// YYYY-MM-DD of `date` in `timezone`
+const dayKeyOf = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+}).format(date);
+
+const weekLabel = (week) => {
+    const format = (key) => new Date(`${key}T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${format(week.firstDay)} - ${format(week.lastDay)}`;
+};
+
+/**
+ * Build and email one account's report for the week before `now`.
+ * Returns 'sent' | 'empty' | 'failed'
+ */
+async function sendReport(account, timezone, now) {
+    const lastWeek = new Date(reportWeek(now, timezone).start.getTime() - 60 * 60 * 1000);
+    const report = await buildParentReport(account, { date: lastWeek, timezone, now });
+
+    const children = report.children.filter(child => child.hasActivity);
+    if (children.length === 0 && !report.household) return 'empty';
+
+    const summaries = children.map(child => ({
+        name: child.name,
+        minutes: child.timeSpent.minutes,
+        booksFinished: child.booksFinished.count,
+        quizzes: child.quizzes.length,
+        lessonsCompleted: child.lessons.completed,
+        streak: child.streaks.current,
+    }));
+    if (report.household) {
+        summaries.push({
+            name: 'Family (no profile selected)',
+            minutes: report.household.timeSpent.minutes,
+            booksFinished: report.household.booksFinished.count,
+            quizzes: report.household.quizzes.length,
+            lessonsCompleted: report.household.lessons.completed,
+            streak: 0,
+        });
+    }
+
+    const result = await sendWeeklyReportEmail(account.email, {
+        parentName: account.parentName,
+        weekLabel: weekLabel(report.week),
+        children: summaries,
+        reportUrl: `${APP_URL}/#/parents/report?week=${report.week.firstDay}`,
+        settingsUrl: `${APP_URL}/#/settings`,
+    });
+    return result.success ? 'sent' : 'failed';
+}
+
+/**
+ * Run one pass: send every report that is due
+ */
+async function runWeeklyParentReports({ now = new Date(), limit = MAX_PER_RUN } = {}) {
+    if (running) {
+        return { success: true, skipped: true, reason: 'Previous run still in progress' };
+    }
+    running = true;
+
+    const counts = { sent: 0, empty: 0, failed: 0 };
+    try {
+        const cursor = AppUser.find({
+            email: { $exists: true, $ne: null },
+            emailVerified: true,
+            weeklyReportEmails: { $ne: false },
+            'kidProfiles.0': { $exists: true },
+        }).select('_id timezone weeklyReportWeek').lean().cursor();
+
+        for await (const candidate of cursor) {
+            if (counts.sent + counts.empty + counts.failed >= limit) break;
+
+            const timezone = candidate.timezone && isValidTimezone(candidate.timezone) ? candidate.timezone : 'UTC';
+            const current = reportWeek(now, timezone);
+            const previousWeek = reportWeek(new Date(current.start.getTime() - 60 * 60 * 1000), timezone).startKey;
+
+            if (candidate.weeklyReportWeek === previousWeek) continue;
+            // New week, but let parents get it over breakfast rather than at midnight
+            if (dayKeyOf(now, timezone) === current.startKey && localHour(now, timezone) < SEND_HOUR) continue;
+
+            const account = await AppUser.findOneAndUpdate(
+                { _id: candidate._id, weeklyReportWeek: candidate.weeklyReportWeek ?? null },
+                { $set: { weeklyReportWeek: previousWeek } },
+                { new: true }
+            ).lean();
+            if (!account) continue; // Another instance claimed it
+
+            try {
+                const outcome = await sendReport(account, timezone, now);
+                counts[outcome]++;
+                if (outcome === 'failed') {
+                    // Let the next run try again
+                    await AppUser.updateOne({ _id: account._id, weeklyReportWeek: previousWeek }, { $set: { weeklyReportWeek: candidate.weeklyReportWeek ?? null } });
+                }
+            } catch (error) {
+                counts.failed++;
+                console.error(`❌ Weekly report failed for ${account._id}:`, error.message);
+                await AppUser.updateOne({ _id: account._id, weeklyReportWeek: previousWeek }, { $set: { weeklyReportWeek: candidate.weeklyReportWeek ?? null } });
+            }
+        }
+
+        if (counts.sent || counts.failed) {
+            console.log(`📬 Weekly parent reports: ${counts.sent} sent, ${counts.empty} without activity, ${counts.failed} failed`);
+        }
+        return { success: true, ...counts };
+    } catch (error) {
+        console.error('❌ Weekly parent report job failed:', error);
+        return { success: false, error: error.message, ...counts };
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the in-process timer (idempotent)
+ */
+function startWeeklyParentReports(intervalMs = CHECK_INTERVAL_MS) {
+    if (timer) return;
+    timer = setInterval(() => {
+        // Skip quietly while the database is (re)connecting
+        if (mongoose.connection.readyState !== 1) return;
+        runWeeklyParentReports().catch(err => console.error('Weekly parent report error:', err.message));
+    }, intervalMs);
+    // Don't keep the process alive just for this timer
+    timer.unref();
+    console.log('📬 Weekly parent report job started');
+}
+
+module.exports = {
+    runWeeklyParentReports,
+    startWeeklyParentReports,
+};
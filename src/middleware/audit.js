@@ -0,0 +1,174 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit trail middleware for portal content mutations
+ * Used per-route after the role guard, e.g.
+ *
+ *   router.put('/:id', requireEditor, auditTrail('Book', Book), async (req, res) => { ... })
+ *
+ * Loads the target document before the handler runs, then - once the response has
+ * been sent successfully - reloads it and writes an AuditLog entry with a field-level
+ * before/after diff. Writing the log never blocks or fails the request.
+ *
+ * Options:
+ * - target(req): Mongo filter for the document being changed (default: { _id: req.params.id }),
+ *   or with `bulk` for the set of documents the operation can touch
+ * - bulk: true for multi-document operations (reorder, generate, clear-all); the request
+ *   body is stored, and with a target each document in the set gets its own entry in
+ *   changes - { targetId, action: 'update', changes }, { targetId, action: 'delete', before }
+ *   or { targetId, action: 'create', after }. When the work is queued (202) the set's
+ *   before-state is stored as snapshot instead, as nothing has changed yet.
+ */
+
+// Never copy secrets into the log
+const IGNORED_FIELDS = ['updatedAt', '__v', 'password'];
+const MAX_BODY_LENGTH = 10000;
+// Larger sets only keep the request body
+const MAX_BULK_DOCUMENTS = 1000;
+
+const toPlain = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+/**
+ * Top-level field diff between two plain objects
+ */
+const diffDocuments = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const previous = before ? before[field] : undefined;
+        const next = after ? after[field] : undefined;
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+            changes.push({
+                field,
+                before: previous === undefined ? null : previous,
+                after: next === undefined ? null : next,
+            });
+        }
+    }
+
+    return changes;
+};
+
+/**
+ * Per-document diff between two sets of plain documents, matched by _id
+ */
+const diffDocumentSets = (before, after) => {
+    const beforeById = new Map(before.map(doc => [String(doc._id), doc]));
+    const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+    const changes = [];
+
+    for (const [id, doc] of beforeById) {
+        if (!afterById.has(id)) {
+            changes.push({ targetId: id, action: 'delete', before: doc });
+            continue;
+        }
+        const fields = diffDocuments(doc, afterById.get(id));
+        if (fields.length) changes.push({ targetId: id, action: 'update', changes: fields });
+    }
+    for (const [id, doc] of afterById) {
+        if (!beforeById.has(id)) changes.push({ targetId: id, action: 'create', after: doc });
+    }
+
+    return changes;
+};
+
+// The documents matching a bulk target, or null when there are too many to keep
+const loadSet = async (Model, filter) => {
+    const docs = await Model.find(filter).limit(MAX_BULK_DOCUMENTS + 1).lean();
+    return docs.length > MAX_BULK_DOCUMENTS ? null : toPlain(docs);
+};
+
+// Keep bulk request bodies small - large payloads only record their keys
+const summarizeBody = (body) => {
+    if (!body || typeof body !== 'object') return null;
+    const json = JSON.stringify(body);
+    if (json.length <= MAX_BODY_LENGTH) return body;
+    return { truncated: true, keys: Object.keys(body) };
+};
+
+const resolveAction = (req, before, bulk) => {
+    if (bulk) return 'bulk';
+    if (req.method === 'DELETE') return 'delete';
+    return before ? 'update' : 'create';
+};
+
+const auditTrail = (targetType, Model, options = {}) => async (req, res, next) => {
+    const bulk = options.bulk === true;
+    const resolveTarget = options.target || (bulk ? () => null : (r) => (r.params.id ? { _id: r.params.id } : null));
+
+    let filter = null;
+    let before = null;
+    let beforeSet = null;
+
+    try {
+        filter = resolveTarget(req);
+        if (filter && bulk) beforeSet = await loadSet(Model, filter);
+        else if (filter) before = toPlain(await Model.findOne(filter).lean());
+    } catch (error) {
+        // Invalid ids etc. - the route handler reports these itself
+        filter = null;
+    }
+
+    // Capture the response body so created documents can be found afterwards
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+    };
+
+    res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+
+        const record = async () => {
+            const action = resolveAction(req, before, bulk);
+
+            let after = null;
+            if (action === 'create' || action === 'update') {
+                const createdId = responseBody && (responseBody._id || responseBody.id);
+                const afterFilter = filter || (createdId ? { _id: createdId } : null);
+                if (afterFilter) after = toPlain(await Model.findOne(afterFilter).lean());
+            }
+
+            let changes = diffDocuments(before, after);
+            let snapshot;
+            if (bulk) {
+                changes = [];
+                if (beforeSet && res.statusCode === 202) {
+                    snapshot = beforeSet;
+                } else if (beforeSet) {
+                    const afterSet = await loadSet(Model, filter);
+                    if (afterSet) changes = diffDocumentSets(beforeSet, afterSet);
+                    else snapshot = beforeSet;
+                }
+            }
+
+            const target = before || after;
+
+            await AuditLog.create({
+                actorId: req.user?.id || 'unknown',
+                actorRole: req.user?.adminRole,
+                viaApiKey: !!req.user?.viaApiKey,
+                method: req.method,
+                route: `${req.baseUrl}${req.route?.path || ''}`,
+                path: req.originalUrl.split('?')[0],
+                action,
+                targetType,
+                targetId: target?._id || (bulk ? undefined : filter?._id?.toString()) || undefined,
+                changes,
+                snapshot,
+                requestBody: bulk ? summarizeBody(req.body) : undefined,
+                statusCode: res.statusCode,
+                ipAddress: req.ip,
+            });
+        };
+
+        record().catch(err => console.error(`Audit log error (${targetType}):`, err.message));
+    });
+
+    next();
+};
+
+module.exports = { auditTrail, diffDocuments, diffDocumentSets };
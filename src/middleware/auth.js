@@ -0,0 +1,195 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+/**
+ * Shared authentication & role middleware
+ * Used by `src/index.js` and individual routers.
+ *
+ * Roles:
+ * - admin:     portal staff (User.role === 'admin') or server-to-server calls with X-Admin-API-Key
+ *              Admins also carry a sub-role (User.adminRole): owner > editor > reviewer
+ * - parent:    signed-in account holder (tokens from /api/authentication/sign-in, sign-up, ...)
+ * - anonymous: guest device token from /api/authentication/sign-in/skip
+ *
+ * `authenticate` runs on every request and never rejects - it only attaches
+ * `req.user` when valid credentials are present, so public endpoints keep working
+ * for the app. Use `requireAuth` / `requireRole` / `requireAdmin` on routes that
+ * must be protected.
+ *
+ * Access tokens bound to a session (`sid`) stop working once the session is
+ * revoked (logout, device removal, token reuse) - within SESSION_CHECK_MS on
+ * other server instances, at once on the instance that revoked it.
+ */
+
+// No fallback - a guessable secret would let anyone mint admin tokens
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set - refusing to start without a token signing secret');
+}
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || process.env.MIGRATION_API_KEY;
+
+const ROLES = ['admin', 'parent', 'anonymous'];
+const ADMIN_ROLES = ['owner', 'editor', 'reviewer'];
+
+// How long a session's revocation status is trusted before the Session collection is asked again
+const SESSION_CHECK_MS = 30 * 1000;
+const MAX_CACHED_SESSIONS = 10000;
+const sessionStatus = new Map(); // sid -> { active, checkedAt }
+
+// Unknown sessions (expired and removed by the TTL index) count as revoked
+const isSessionActive = async (sessionId) => {
+    const cached = sessionStatus.get(sessionId);
+    if (cached && cached.checkedAt > Date.now() - SESSION_CHECK_MS) return cached.active;
+
+    const session = await Session.findById(sessionId).select('revokedAt').lean();
+    const active = !!session && !session.revokedAt;
+    if (sessionStatus.size >= MAX_CACHED_SESSIONS) sessionStatus.clear();
+    sessionStatus.set(sessionId, { active, checkedAt: Date.now() });
+    return active;
+};
+
+/**
+ * Drop cached session status after revoking - one session, or all of them
+ */
+const forgetSessionStatus = (sessionId) => {
+    if (sessionId) sessionStatus.delete(String(sessionId));
+    else sessionStatus.clear();
+};
+
+// Tokens issued before roles existed carry no `role` claim
+const resolveRole = (tokenUser) => {
+    if (ROLES.includes(tokenUser.role)) return tokenUser.role;
+    return tokenUser.type === 'guest' ? 'anonymous' : 'parent';
+};
+
+// Admin tokens issued before sub-roles existed are treated as owners
+const resolveAdminRole = (tokenUser, role) => {
+    if (role !== 'admin') return null;
+    return ADMIN_ROLES.includes(tokenUser.adminRole) ? tokenUser.adminRole : 'owner';
+};
+
+/**
+ * Attach `req.user` ({ id, role, adminRole, deviceId, sessionId, viaApiKey }) when the request carries a
+ * valid bearer token or admin API key. Failures are recorded on `req.authError`.
+ */
+const authenticate = async (req, res, next) => {
+    req.user = null;
+    req.authError = null;
+
+    const apiKey = req.headers['x-admin-api-key'] || req.headers['x-migration-api-key'];
+    if (apiKey) {
+        if (ADMIN_API_KEY && apiKey === ADMIN_API_KEY) {
+            req.user = { id: 'admin-api-key', role: 'admin', adminRole: 'owner', viaApiKey: true };
+            return next();
+        }
+        req.authError = 'Invalid admin API key';
+    }
+
+    const header = req.headers.authorization;
+    if (!header) return next();
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        req.authError = 'Malformed Authorization header';
+        return next();
+    }
+
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        if (!decoded.user || !decoded.user.id) {
+            req.authError = 'Invalid token payload';
+            return next();
+        }
+        // Refresh tokens must never be accepted as access tokens
+        if (decoded.tokenType === 'refresh') {
+            req.authError = 'Refresh token cannot be used for API access';
+            return next();
+        }
+        if (decoded.sid && !(await isSessionActive(String(decoded.sid)))) {
+            req.authError = 'Session revoked';
+            return next();
+        }
+        const role = resolveRole(decoded.user);
+        req.user = {
+            id: decoded.user.id,
+            role,
+            adminRole: resolveAdminRole(decoded.user, role),
+            deviceId: decoded.user.deviceId || null,
+            sessionId: decoded.sid || null,
+        };
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') req.authError = 'Token expired';
+        else if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') req.authError = 'Invalid token';
+        else {
+            // The session lookup failed - no user rather than an unchecked one
+            console.error('❌ Session check failed:', error.message);
+            req.authError = 'Could not verify session';
+        }
+    }
+
+    next();
+};
+
+/**
+ * Reject requests without a valid token (any role)
+ */
+const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            message: req.authError || 'Authentication required',
+            code: req.authError === 'Token expired' ? 'TOKEN_EXPIRED' : 'UNAUTHORIZED',
+        });
+    }
+    next();
+};
+
+/**
+ * Allow only the given roles, e.g. `requireRole('admin', 'parent')`
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    requireAuth(req, res, () => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({
+                message: 'You do not have permission to perform this action',
+                code: 'FORBIDDEN',
+            });
+        }
+        next();
+    });
+};
+
+const requireAdmin = requireRole('admin');
+
+/**
+ * Allow only admins with one of the given sub-roles, e.g. `requireAdminRole('owner', 'editor')`
+ */
+const requireAdminRole = (...adminRoles) => (req, res, next) => {
+    requireAdmin(req, res, () => {
+        if (!adminRoles.includes(req.user.adminRole)) {
+            return res.status(403).json({
+                message: `This action requires one of the admin roles: ${adminRoles.join(', ')}`,
+                code: 'FORBIDDEN',
+            });
+        }
+        next();
+    });
+};
+
+// Content changes (books, pages, playlists, lessons, radio, featured)
+const requireEditor = requireAdminRole('owner', 'editor');
+// Managing other admins
+const requireOwner = requireAdminRole('owner');
+
+module.exports = {
+    ROLES,
+    ADMIN_ROLES,
+    JWT_SECRET,
+    authenticate,
+    forgetSessionStatus,
+    requireAuth,
+    requireRole,
+    requireAdmin,
+    requireAdminRole,
+    requireEditor,
+    requireOwner,
+};
@@ -5,7 +5,7 @@ const rateLimit = require('express-rate-limit');
  * Used by `src/index.js`.
  *
  * Notes:
- * - On Render/behind proxies, make sure Express trust proxy is set if needed.
+ * - On Render/behind proxies, set TRUST_PROXY_HOPS so Express trust proxy is set (src/index.js).
  * - `express-rate-limit` v7 uses `limit` instead of `max`.
  */
 
@@ -42,6 +42,13 @@ const quizLimiter = rateLimit({
   limit: 240,
 });
 
+// Bulk page translation (the app preloads a book's pages; each new page is an AI call)
+const translateLimiter = rateLimit({
+  ...common,
+  windowMs: 60 * 60 * 1000, // 1 hour
+  limit: 30,
+});
+
 // Upload endpoints
 const uploadLimiter = rateLimit({
   ...common,
@@ -61,6 +68,7 @@ module.exports = {
   authLimiter,
   ttsLimiter,
   quizLimiter,
+  translateLimiter,
   uploadLimiter,
   analyticsLimiter,
 };
@@ -15,6 +15,19 @@ const analyticsEventSchema = new mongoose.Schema({
         type: String,
         index: true,
     },
+    // Account the userId resolved to when the event was ingested
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    // Id generated by the app for each event - retried batches are deduped on it (per account)
+    clientEventId: {
+        type: String,
+    },
+    // When it happened on the device (createdAt is when we received it)
+    occurredAt: {
+        type: Date,
+    },
 
     // Event details
     eventType: {
@@ -46,6 +59,8 @@ const analyticsEventSchema = new mongoose.Schema({
             'voice_unlock',
             // Shop events
             'shop_purchase',
+            // Subscription events
+            'paywall_view',
             // Generic
             'page_view', 'button_click', 'error',
         ],
@@ -93,6 +108,12 @@ analyticsEventSchema.index({ eventType: 1, createdAt: -1 });
 analyticsEventSchema.index({ userId: 1, eventType: 1, createdAt: -1 });
 analyticsEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
 analyticsEventSchema.index({ createdAt: -1 });
+analyticsEventSchema.index({ accountId: 1, occurredAt: -1 });
+// clientEventIds are only unique within an account (drop the old global clientEventId_1 index)
+analyticsEventSchema.index(
+    { accountId: 1, clientEventId: 1 },
+    { unique: true, partialFilterExpression: { clientEventId: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('AnalyticsEvent', analyticsEventSchema);
 
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * Canonical account - one document per family, whether it's an anonymous device
+ * or a signed-in parent/admin. `models/User.js` is an alias of this model.
+ *
+ * Identifiers the app may send as "userId": _id, email, deviceId, any linked
+ * email/device (emails, deviceIds) and ids of accounts merged into this one
+ * (mergedAccountIds). Use `findAccount` in services/accountService.js to resolve them.
+ */
 
 // Kid profile embedded in AppUser
 const kidProfileSchema = new mongoose.Schema({
@@ -36,7 +46,88 @@ const appUserSchema = new mongoose.Schema({
         sparse: true,
         index: true,
     },
-    
+    username: {
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+    // bcrypt hash - only accounts that signed up have one; load with .select('+password')
+    password: {
+        type: String,
+        select: false,
+    },
+    // Set once the parent opens a verification, reset or magic link sent to `email`
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
+    },
+    // Access role checked by middleware/auth.js ('admin' unlocks portal/admin routes)
+    role: {
+        type: String,
+        enum: ['parent', 'admin'],
+        default: 'parent',
+    },
+    // Portal permissions for admins: owner (everything incl. managing admins),
+    // editor (content changes), reviewer (read-only + approvals)
+    adminRole: {
+        type: String,
+        enum: ['owner', 'editor', 'reviewer', null],
+        default: null,
+    },
+
+    // Linked identities - every device and email that belongs to this account
+    // (the primary deviceId/email above are kept for older clients)
+    deviceIds: {
+        type: [String],
+        default: [],
+        index: true,
+    },
+    emails: {
+        type: [String],
+        default: [],
+        index: true,
+    },
+    // Accounts folded into this one (anonymous devices that signed up, legacy User documents)
+    mergedAccountIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+        index: true,
+    },
+
+    // Cached copy of the entitlement computed from the EntitlementEvent ledger
+    // (services/entitlementService.js) - don't write these directly
+    entitlementSource: {
+        type: String,
+        enum: ['revenuecat', 'stripe', 'legacy', 'admin', 'account', null],
+        default: null,
+    },
+    isPremium: {
+        type: Boolean,
+        default: false,
+    },
+    subscriptionProductId: {
+        type: String,
+    },
+    subscriptionExpiresAt: {
+        type: Date,
+    },
+
+    // Accounts restored from the previous app (routes/migration.js)
+    migratedFromOldApp: {
+        type: Boolean,
+        default: false,
+    },
+    oldAppUserId: {
+        type: String,
+    },
+    isTrialUsed: {
+        type: Boolean,
+        default: false,
+    },
+
     // Subscription status
     subscriptionStatus: {
         type: String,
@@ -54,6 +145,15 @@ const appUserSchema = new mongoose.Schema({
         type: String,
         enum: ['monthly', 'annual', null],
     },
+    // Web (Stripe) billing - set by the Stripe webhook
+    stripeCustomerId: {
+        type: String,
+        sparse: true,
+        index: true,
+    },
+    stripeSubscriptionId: {
+        type: String,
+    },
     
     // Onboarding tracking
     onboardingStatus: {
@@ -78,6 +178,19 @@ const appUserSchema = new mongoose.Schema({
         type: String,
         default: '',
     },
+    // IANA timezone for activity reports, e.g. 'America/Chicago' (UTC when unset)
+    timezone: {
+        type: String,
+    },
+    // Weekly activity email (jobs/weeklyParentReports.js) - sent to the verified email only
+    weeklyReportEmails: {
+        type: Boolean,
+        default: true,
+    },
+    // First day (YYYY-MM-DD, local) of the last week a report was sent - or found empty - for
+    weeklyReportWeek: {
+        type: String,
+    },
     
     // Kid profiles
     kidProfiles: [kidProfileSchema],
@@ -222,6 +335,17 @@ const appUserSchema = new mongoose.Schema({
             default: '/',
         },
     },
+    // Counters above are derived from AnalyticsEvent once the app sends events
+    // (services/analyticsService.js). statsBaseline holds the totals the app had
+    // synced before that, so history from older app versions isn't lost.
+    statsDerivedAt: {
+        type: Date,
+        default: null,
+    },
+    statsBaseline: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
     
     // Last activity tracking
     lastActiveAt: {
@@ -250,6 +374,20 @@ appUserSchema.index({ onboardingStatus: 1, createdAt: -1 });
 appUserSchema.index({ lastActiveAt: -1 });
 appUserSchema.index({ createdAt: -1 });
 
+appUserSchema.pre('save', async function () {
+    if (!this.isModified('password') || !this.password) {
+        return;
+    }
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+});
+
+// Device-only accounts have no password and can never sign in with one
+appUserSchema.methods.matchPassword = async function (enteredPassword) {
+    if (!this.password || !enteredPassword) return false;
+    return await bcrypt.compare(enteredPassword, this.password);
+};
+
 module.exports = mongoose.model('AppUser', appUserSchema);
 
 
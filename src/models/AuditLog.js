@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Record of a content mutation made through the portal/admin API
+// Written by middleware/audit.js after a successful POST/PUT/DELETE
+const auditLogSchema = new mongoose.Schema({
+    // Who made the change
+    actorId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    actorRole: {
+        type: String, // admin sub-role: owner / editor / reviewer
+    },
+    viaApiKey: {
+        type: Boolean,
+        default: false,
+    },
+    
+    // What request made it
+    method: {
+        type: String,
+        enum: ['POST', 'PUT', 'PATCH', 'DELETE'],
+        required: true,
+    },
+    route: {
+        type: String, // e.g. /api/books/:id
+        required: true,
+    },
+    path: {
+        type: String, // Actual URL path that was called
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'bulk'],
+        required: true,
+        index: true,
+    },
+    
+    // What was changed
+    targetType: {
+        type: String,
+        enum: ['Book', 'Page', 'Playlist', 'Lesson', 'RadioSegment', 'FeaturedContent', 'User', 'BookComment', 'PlaylistComment', 'ModerationConfig'],
+        required: true,
+    },
+    targetId: {
+        type: String,
+    },
+    // Field-level diff: [{ field, before, after }]
+    // Bulk operations: one entry per affected document - { targetId, action, changes | before | after }
+    changes: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: [],
+    },
+    // For bulk operations (reorder, generate, clear-all) - the request body
+    requestBody: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    // Bulk operations that were queued (or changed a set too large to diff) - the set before the change
+    snapshot: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined,
+    },
+    
+    statusCode: {
+        type: Number,
+    },
+    ipAddress: {
+        type: String,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for "history of this item" and "what did this admin do" queries
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ 'changes.targetId': 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
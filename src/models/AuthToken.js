@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (password reset, email verification, magic-link sign-in)
+// Only the SHA-256 hash is stored; the raw token exists only in the emailed link.
+const authTokenSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification', 'magic_link'],
+        required: true,
+    },
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    // Address the link was sent to
+    email: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    // Set when the token is redeemed (or replaced by a newer one)
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    requestedIp: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+});
+
+authTokenSchema.index({ accountId: 1, purpose: 1, usedAt: 1 });
+
+// TTL index - expired tokens are removed automatically
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
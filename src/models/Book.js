@@ -28,10 +28,34 @@ const bookSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['draft', 'published', 'archived'],
+        enum: ['draft', 'in_review', 'scheduled', 'published', 'archived'],
         default: 'draft',
     },
     
+    // Publishing workflow (see services/publishingService.js)
+    // 'scheduled' books go live automatically at publishAt (jobs/publishScheduler.js)
+    publishAt: {
+        type: Date,
+        default: null,
+    },
+    publishedAt: {
+        type: Date,
+        default: null,
+    },
+    // Send a OneSignal announcement when the book goes live
+    announceOnPublish: {
+        type: Boolean,
+        default: false,
+    },
+    review: {
+        submittedBy: { type: String, default: null },  // Admin user id
+        submittedAt: { type: Date, default: null },
+        reviewedBy: { type: String, default: null },
+        reviewedAt: { type: Date, default: null },
+        decision: { type: String, enum: ['approved', 'rejected', null], default: null },
+        notes: { type: String, default: '' },
+    },
+    
     // Book orientation - portrait (default) or landscape
     orientation: {
         type: String,
@@ -318,4 +342,7 @@ bookSchema.pre('save', function(next) {
     }
 });
 
+// Index for the scheduled publishing job
+bookSchema.index({ status: 1, publishAt: 1 });
+
 module.exports = mongoose.model('Book', bookSchema);
@@ -29,6 +29,23 @@ const bookCommentSchema = new mongoose.Schema({
         enum: ['pink', 'yellow', 'orange', 'gold', 'blue', 'purple', 'green', 'teal', 'indigo', 'amber', 'lime', 'rose', 'cyan', 'emerald'],
         default: 'blue',
     },
+    // Moderation (services/moderationService.js) - only 'approved' comments are shown in the app
+    moderationStatus: {
+        type: String,
+        enum: ['approved', 'pending', 'rejected'],
+        default: 'approved',
+    },
+    moderation: {
+        flags: [{
+            _id: false,
+            type: { type: String }, // word | pii | ai | hold
+            detail: { type: String },
+        }],
+        checkedAt: { type: Date },
+        reviewedBy: { type: String },
+        reviewedAt: { type: Date },
+        reason: { type: String }, // Rejection reason shown in the portal
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -37,6 +54,7 @@ const bookCommentSchema = new mongoose.Schema({
 
 // Index for efficient queries
 bookCommentSchema.index({ bookId: 1, createdAt: -1 });
+bookCommentSchema.index({ moderationStatus: 1, createdAt: 1 }); // Moderation queue
 
 module.exports = mongoose.model('BookComment', bookCommentSchema);
 
@@ -46,12 +46,32 @@ const bookSeriesSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category',
     },
-    // Publication status
+    // Publication status (workflow in services/publishingService.js)
     status: {
         type: String,
-        enum: ['draft', 'published'],
+        enum: ['draft', 'in_review', 'scheduled', 'published', 'archived'],
         default: 'draft',
     },
+    publishAt: {
+        type: Date,
+        default: null,
+    },
+    publishedAt: {
+        type: Date,
+        default: null,
+    },
+    announceOnPublish: {
+        type: Boolean,
+        default: false,
+    },
+    review: {
+        submittedBy: { type: String, default: null },
+        submittedAt: { type: Date, default: null },
+        reviewedBy: { type: String, default: null },
+        reviewedAt: { type: Date, default: null },
+        decision: { type: String, enum: ['approved', 'rejected', null], default: null },
+        notes: { type: String, default: '' },
+    },
     // Premium content flag
     isMembersOnly: {
         type: Boolean,
@@ -85,6 +105,7 @@ const bookSeriesSchema = new mongoose.Schema({
 bookSeriesSchema.index({ status: 1, displayOrder: 1 });
 bookSeriesSchema.index({ category: 1, status: 1 });
 bookSeriesSchema.index({ isFeatured: 1, status: 1 });
+bookSeriesSchema.index({ status: 1, publishAt: 1 });
 
 module.exports = mongoose.model('BookSeries', bookSeriesSchema);
 
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Per-content, per-day metrics rolled up from PlayEvent (kept 30 days) and
+// AnalyticsEvent reactions by jobs/contentMetricsRollup.js. Kept forever -
+// history, trending and top-rated read from here instead of raw events.
+const contentDailyMetricSchema = new mongoose.Schema({
+    contentType: {
+        type: String,
+        enum: ['book', 'episode', 'playlist'],
+        required: true,
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // Episodes: the parent playlist and the item's last known position in it
+    playlistId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    itemIndex: {
+        type: Number,
+    },
+    // Start of the UTC day
+    day: {
+        type: Date,
+        required: true,
+    },
+
+    plays: {
+        type: Number,
+        default: 0,
+    },
+    // Distinct signed-in / device userIds that day (can't be summed into a range total)
+    uniqueListeners: {
+        type: Number,
+        default: 0,
+    },
+    anonymousPlays: {
+        type: Number,
+        default: 0,
+    },
+    // Plays the app sent engagement updates for
+    engagedPlays: {
+        type: Number,
+        default: 0,
+    },
+    listenSeconds: {
+        type: Number,
+        default: 0,
+    },
+    pagesViewed: {
+        type: Number,
+        default: 0,
+    },
+    // Sum of completionPercent over all plays - average = completionSum / plays
+    completionSum: {
+        type: Number,
+        default: 0,
+    },
+    // Plays by how far they got
+    completion: {
+        under25: { type: Number, default: 0 },
+        from25: { type: Number, default: 0 },
+        from50: { type: Number, default: 0 },
+        from75: { type: Number, default: 0 },
+        complete: { type: Number, default: 0 },
+    },
+    // Net likes / favorites that day (unlikes subtract)
+    likes: {
+        type: Number,
+        default: 0,
+    },
+    favorites: {
+        type: Number,
+        default: 0,
+    },
+    lastPlayedAt: {
+        type: Date,
+    },
+    // Set once the day is over and rolled up again - earlier rollups of the day are partial
+    final: {
+        type: Boolean,
+        default: false,
+    },
+}, {
+    timestamps: true,
+});
+
+contentDailyMetricSchema.index({ contentType: 1, contentId: 1, day: 1 }, { unique: true });
+contentDailyMetricSchema.index({ contentType: 1, day: -1 });
+contentDailyMetricSchema.index({ final: 1, day: -1 });
+
+module.exports = mongoose.model('ContentDailyMetric', contentDailyMetricSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Subscription ledger - one entry per subscription event from any source.
+// The current entitlement is computed from these (services/entitlementService.js);
+// premium fields on AppUser are only a cached copy.
+const entitlementEventSchema = new mongoose.Schema({
+    // Resolved account (null when the purchase arrived before the app synced the account)
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        index: true,
+    },
+    // Id the source sent (RevenueCat app_user_id, Stripe metadata.userId, email...)
+    identifier: {
+        type: String,
+        index: true,
+    },
+    source: {
+        type: String,
+        enum: ['revenuecat', 'stripe', 'legacy', 'admin'],
+        required: true,
+    },
+    // What happened, normalised across sources
+    type: {
+        type: String,
+        enum: [
+            'purchase', 'renewal', 'trial_started', 'product_change', 'restore', 'uncancellation',
+            'cancellation', 'billing_issue', 'expiration', 'refund', 'grant', 'revoke', 'sync',
+        ],
+        required: true,
+    },
+    // Subscription state for this source after the event
+    // (cancelled = won't renew, but access continues until expiresAt)
+    status: {
+        type: String,
+        enum: ['active', 'trial', 'cancelled', 'expired'],
+        required: true,
+    },
+    productId: {
+        type: String,
+    },
+    plan: {
+        type: String,
+        enum: ['monthly', 'annual', null],
+        default: null,
+    },
+    startsAt: {
+        type: Date,
+    },
+    // null = no known end (e.g. admin grant without expiry)
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    // Money collected (negative for refunds), in major units, when the source reports it
+    amount: {
+        type: Number,
+        default: null,
+    },
+    currency: {
+        type: String,
+    },
+    // When the event happened at the source (events can arrive out of order)
+    occurredAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Source event id - used to ignore webhook retries
+    externalEventId: {
+        type: String,
+    },
+    // Admin id or job that recorded it, for grant/revoke/sync entries
+    recordedBy: {
+        type: String,
+    },
+    note: {
+        type: String,
+    },
+    raw: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+}, {
+    timestamps: true,
+});
+
+entitlementEventSchema.index({ accountId: 1, source: 1, occurredAt: -1 });
+entitlementEventSchema.index(
+    { source: 1, externalEventId: 1 },
+    { unique: true, partialFilterExpression: { externalEventId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('EntitlementEvent', entitlementEventSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Background job (TTS, quiz, translation, radio generation)
+// Queued by services/jobQueue.js and executed by jobs/jobWorker.js
+const jobSchema = new mongoose.Schema({
+    // Handler name, e.g. 'tts.generate', 'translate.bulk'
+    type: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+        default: 'queued',
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed, // Same body the synchronous endpoint accepts
+        default: {},
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed, // Same body the synchronous endpoint returns
+        default: null,
+    },
+    error: {
+        type: String,
+        default: null,
+    },
+
+    // Retries
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3,
+    },
+    // Not picked up before this time (used for retry backoff)
+    runAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    // Progress reported by the handler
+    progress: {
+        percent: { type: Number, default: 0 },
+        message: { type: String, default: null },
+        current: { type: Number, default: null },
+        total: { type: Number, default: null },
+    },
+
+    // Worker lock
+    lockedBy: {
+        type: String,
+        default: null,
+    },
+    lockedAt: {
+        type: Date,
+        default: null,
+    },
+    startedAt: {
+        type: Date,
+        default: null,
+    },
+    completedAt: {
+        type: Date,
+        default: null,
+    },
+
+    // Whoever queued it - req.user.id, or device:/session: for guests (services/jobQueue.js jobOwnerFor)
+    createdBy: {
+        type: String,
+        default: null,
+        index: true,
+    },
+}, {
+    timestamps: true,
+});
+
+// Worker claim query: oldest due queued job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Finished jobs are kept for a week so clients can still read the result
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Comment moderation settings (single document, edited from the portal)
+// The built-in word list in services/moderationService.js always applies;
+// these lists extend or carve exceptions out of it.
+const moderationConfigSchema = new mongoose.Schema({
+    // Extra words/phrases that send a comment to the pending queue
+    blockedWords: {
+        type: [String],
+        default: [],
+    },
+    // Words that should never be flagged (e.g. Bible names caught by the built-in list)
+    allowedWords: {
+        type: [String],
+        default: [],
+    },
+    // Phone numbers, emails, street addresses, links
+    piiDetection: {
+        type: Boolean,
+        default: true,
+    },
+    // OpenAI moderation pass (needs OPENAI_API_KEY)
+    aiEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    // Hold every comment for review, not just flagged ones
+    holdAllComments: {
+        type: Boolean,
+        default: false,
+    },
+    updatedBy: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.model('ModerationConfig', moderationConfigSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Pre-rendered narration of a whole book in one voice
+// Rendered by services/narrationService.js (as a 'tts.narrateBook' background job)
+const narrationBundleSchema = new mongoose.Schema({
+    bookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Book',
+        required: true,
+        index: true,
+    },
+    // ElevenLabs voice id (Voice.voiceId)
+    voiceId: {
+        type: String,
+        required: true,
+    },
+    voiceName: {
+        type: String,
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'rendering', 'ready', 'partial', 'failed'],
+        default: 'queued',
+    },
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        default: null,
+    },
+    // Bumped on every completed render so clients can tell bundles apart
+    version: {
+        type: Number,
+        default: 0,
+    },
+    // md5 of every narrated text box - differs from the book's current hash once pages are edited
+    contentHash: {
+        type: String,
+        default: null,
+    },
+    // { bookId, voiceId, version, pages: [{ pageId, pageNumber, textBoxes: [{ textBoxIndex, audioUrl, alignment }] }] }
+    manifest: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    // Copy of the manifest stored next to the audio: books/{bookId}/narration/{voiceId}/manifest.json
+    manifestUrl: {
+        type: String,
+        default: null,
+    },
+    // Audio and manifest were stored in the private bucket (members-only book)
+    privateStorage: {
+        type: Boolean,
+        default: false,
+    },
+    itemCount: {
+        type: Number,
+        default: 0,
+    },
+    failedItems: [{
+        pageNumber: Number,
+        textBoxIndex: Number,
+        error: String,
+    }],
+    renderedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+narrationBundleSchema.index({ bookId: 1, voiceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('NarrationBundle', narrationBundleSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One version of an offline download package (see services/offlinePackageService.js)
+// A new version is stored only when an asset or the content itself changed.
+const offlinePackageSchema = new mongoose.Schema({
+    contentType: {
+        type: String,
+        enum: ['Book', 'Playlist', 'Lesson'],
+        required: true,
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // Package flavour - the narration voiceId for books, '' otherwise
+    variant: {
+        type: String,
+        default: '',
+    },
+    version: {
+        type: Number,
+        required: true,
+    },
+    // sha256 over every asset hash + the content JSON - equal hashes mean nothing changed
+    manifestHash: {
+        type: String,
+        required: true,
+    },
+    assets: [{
+        _id: false,
+        key: { type: String, required: true }, // Stable id, e.g. 'page:3:background'
+        kind: { type: String }, // image | video | audio | narration
+        url: { type: String, required: true },
+        hash: { type: String, default: null }, // md5 (hex) of the file, or its ETag
+        bytes: { type: Number, default: null },
+        mimeType: { type: String, default: null },
+    }],
+    totalBytes: {
+        type: Number,
+        default: 0,
+    },
+    // Everything the app needs besides the files (page layout, captions, devotional...)
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+offlinePackageSchema.index({ contentType: 1, contentId: 1, variant: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('OfflinePackage', offlinePackageSchema);
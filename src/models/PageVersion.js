@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a book page after every save through the pages API
+// Used to list/diff page history and restore a whole book to an earlier point in time
+const pageVersionSchema = new mongoose.Schema({
+    pageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    bookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Book',
+        required: true,
+        index: true,
+    },
+    // Incrementing per page (1, 2, 3, ...)
+    version: {
+        type: Number,
+        required: true,
+    },
+    // Page number at the time of the snapshot (for listing)
+    pageNumber: {
+        type: Number,
+    },
+    // Why this snapshot was taken
+    // baseline: state before the first versioned edit of a page that pre-dates versioning
+    reason: {
+        type: String,
+        enum: ['baseline', 'create', 'update', 'delete', 'reorder', 'restore'],
+        required: true,
+    },
+    // Full page document as it was after the change (null for 'delete')
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    deleted: {
+        type: Boolean,
+        default: false,
+    },
+    // Admin user id that made the change
+    savedBy: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+pageVersionSchema.index({ pageId: 1, version: -1 }, { unique: true });
+pageVersionSchema.index({ bookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PageVersion', pageVersionSchema);
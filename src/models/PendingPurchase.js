@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Latest purchase state per RevenueCat subscriber, polled by the app right after
+// a purchase (GET /api/webhooks/purchase-status/:externalId). Entries expire after an hour.
+const pendingPurchaseSchema = new mongoose.Schema({
+    externalId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    status: {
+        type: String,
+        enum: ['active', 'expired'],
+        required: true,
+    },
+    productId: {
+        type: String,
+    },
+    expirationDate: {
+        type: Date,
+    },
+    // Timestamp of the event that set this state - older events never overwrite it
+    eventAt: {
+        type: Date,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+pendingPurchaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PendingPurchase', pendingPurchaseSchema);
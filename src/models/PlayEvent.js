@@ -30,6 +30,11 @@ const playEventSchema = new mongoose.Schema({
         type: String,
         index: true,
     },
+    // Kid profile (AppUser.kidProfiles._id) that played it - used for recommendations
+    kidProfileId: {
+        type: String,
+        index: true,
+    },
     // When the play happened
     playedAt: {
         type: Date,
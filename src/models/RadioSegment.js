@@ -62,6 +62,43 @@ const radioSegmentSchema = new mongoose.Schema({
         title: String,
         artist: String,
     },
+    // Kind of host break - same values as POST /api/radio/host-break/generate contentType
+    contentType: {
+        type: String,
+        enum: ['song', 'station_intro', 'story_intro', 'story_outro', 'devotional', 'devotional_segment'],
+    },
+    // Host break should be a two-host discussion
+    isDuo: {
+        type: Boolean,
+    },
+    // Extra context for the host break script (e.g. the show being introduced)
+    contentDescription: {
+        type: String,
+    },
+    // For song segments scheduled from the radio library
+    trackId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RadioLibrary',
+    },
+    category: {
+        type: String,
+    },
+    // Why the track scheduler picked this song (rotation, separation, quotas)
+    pickReason: {
+        type: String,
+    },
+    // Placement from the programming clock (POST /api/radio/clock/commit)
+    scheduledAt: {
+        type: Date,
+    },
+    programme: {
+        kind: {
+            type: String,
+            enum: ['daypart', 'show', 'default'],
+        },
+        id: mongoose.Schema.Types.ObjectId,
+        name: String,
+    },
     // Generation status
     status: {
         type: String,
@@ -1,4 +1,117 @@
 const mongoose = require('mongoose');
+const RadioLibrary = require('./RadioLibrary');
+const RadioSegment = require('./RadioSegment');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Which kind of host break to run - picked per break by the largest `every` that divides the break number
+const breakTemplateSchema = new mongoose.Schema({
+    contentType: {
+        type: String,
+        enum: RadioSegment.schema.path('contentType').enumValues,
+        default: 'song',
+    },
+    every: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: 20,
+    },
+    // Seconds - defaults to the programme's tempo.breakDuration
+    duration: {
+        type: Number,
+        min: 5,
+        max: 180,
+    },
+    duo: {
+        type: Boolean,
+        default: false,
+    },
+    description: {
+        type: String,
+    },
+}, { _id: false });
+
+// Fields shared by dayparts and shows
+const programmeFields = {
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+    },
+    // Hosts for this programme (empty = station hosts)
+    hosts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RadioHost',
+    }],
+    // Relative weight of each library category (all empty = any category)
+    categoryMix: Object.fromEntries(
+        RadioLibrary.schema.path('category').enumValues.map(category => [category, { type: Number, min: 0 }])
+    ),
+    // How often and how long the hosts talk (empty = station hostBreakFrequency / hostBreakDuration)
+    tempo: {
+        songsPerBreak: {
+            type: Number,
+            min: 1,
+            max: 10,
+        },
+        breakDuration: {
+            type: Number,
+            min: 5,
+            max: 30,
+        },
+    },
+    breakTemplates: [breakTemplateSchema],
+    enabled: {
+        type: Boolean,
+        default: true,
+    },
+};
+
+// A recurring part of the day, e.g. morning worship 06:00-10:00 (end before start runs past midnight)
+const daypartSchema = new mongoose.Schema({
+    ...programmeFields,
+    startTime: {
+        type: String,
+        required: true,
+        match: TIME_OF_DAY,
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: TIME_OF_DAY,
+    },
+    // Days it starts on, 0 = Sunday
+    days: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: [0, 1, 2, 3, 4, 5, 6],
+    },
+});
+
+// A weekly show slot - takes priority over the daypart it falls in
+const showSchema = new mongoose.Schema({
+    ...programmeFields,
+    day: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6,
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: TIME_OF_DAY,
+    },
+    durationMinutes: {
+        type: Number,
+        required: true,
+        min: 5,
+        max: 24 * 60,
+    },
+});
 
 const radioStationSchema = new mongoose.Schema({
     name: {
@@ -82,6 +195,42 @@ const radioStationSchema = new mongoose.Schema({
             default: true,
         },
     },
+    // Programming clock - what plays when (services/radioClockService.js)
+    programming: {
+        // Timezone daypart and show times are in
+        timezone: {
+            type: String,
+            default: 'UTC',
+        },
+        dayparts: [daypartSchema],
+        shows: [showSchema],
+    },
+    // Track scheduler rules (services/radioTrackScheduler.js)
+    rotationRules: {
+        // Relative pick weight for each RadioLibrary rotation
+        weights: {
+            high: { type: Number, default: 3, min: 1, max: 10 },
+            medium: { type: Number, default: 2, min: 1, max: 10 },
+            low: { type: Number, default: 1, min: 1, max: 10 },
+        },
+        // Minutes before the same title / any track by the same artist may play again
+        titleSeparationMinutes: {
+            type: Number,
+            default: 180,
+            min: 0,
+            max: 24 * 60,
+        },
+        artistSeparationMinutes: {
+            type: Number,
+            default: 30,
+            min: 0,
+            max: 24 * 60,
+        },
+        // Most tracks per rolling hour for each library category (empty = no limit)
+        categoryQuotas: Object.fromEntries(
+            RadioLibrary.schema.path('category').enumValues.map(category => [category, { type: Number, min: 0 }])
+        ),
+    },
     // Station cover image
     coverImageUrl: {
         type: String,
@@ -104,6 +253,21 @@ const radioStationSchema = new mongoose.Schema({
         type: Boolean,
         default: false,
     },
+    // When the segment loop (first segment, offset 0) started playing on air - what is
+    // on air now is computed from this and the segment durations (services/radioPlayoutService.js).
+    // Set when the station goes live; unset = createdAt
+    playoutEpoch: {
+        type: Date,
+    },
+    // Set by a programming clock commit (services/radioClockService.js): the loop is this many
+    // seconds long and each segment airs at its scheduledAt. Unset = segments play back to back
+    playoutCycleSeconds: {
+        type: Number,
+    },
+    // Airings up to here have been credited to RadioLibrary play counts (jobs/radioPlayLog.js)
+    playLoggedUntil: {
+        type: Date,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
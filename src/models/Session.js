@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Refresh-token session (one per signed-in device)
+// The refresh token carries { sid, jti }; jti must match currentTokenId or the
+// token is treated as reused and the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+    // User._id, or 'guest' for anonymous device sessions
+    userId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'parent', 'anonymous'],
+        default: 'parent',
+    },
+    deviceId: {
+        type: String,
+        index: true,
+    },
+    deviceInfo: {
+        type: mongoose.Schema.Types.Mixed, // As sent by the app on sign-in
+    },
+    userAgent: {
+        type: String,
+    },
+    ipAddress: {
+        type: String,
+    },
+    
+    // Id of the only refresh token currently valid for this session
+    currentTokenId: {
+        type: String,
+        required: true,
+    },
+    rotationCount: {
+        type: Number,
+        default: 0,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    
+    // Revocation
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'device_revoked', 'token_reuse', 'account_missing', 'password_reset', null],
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// TTL index - expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,50 +1,5 @@
-const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
-
-const UserSchema = new mongoose.Schema({
-  username: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  password: {
-    type: String,
-    required: true,
-  },
-  // Subscription fields (set by RevenueCat webhook)
-  isPremium: {
-    type: Boolean,
-    default: false,
-  },
-  subscriptionProductId: {
-    type: String,
-  },
-  subscriptionExpiresAt: {
-    type: Date,
-  },
-  // Device ID for cross-device subscription lookup
-  deviceId: {
-    type: String,
-  },
-}, {
-  timestamps: true,
-});
-
-UserSchema.pre('save', async function () {
-  if (!this.isModified('password')) {
-    return;
-  }
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
-});
-
-UserSchema.methods.matchPassword = async function (enteredPassword) {
-  return await bcrypt.compare(enteredPassword, this.password);
-};
-
-module.exports = mongoose.model('User', UserSchema);
+// Accounts used to live in two collections: User (auth) and AppUser (app data).
+// They are now a single AppUser document per family, so this is an alias kept for
+// the auth routes. Run src/scripts/merge-user-accounts.js to fold existing `users`
+// documents into `appusers`.
+module.exports = require('./AppUser');
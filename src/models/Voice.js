@@ -49,6 +49,29 @@ const voiceSchema = new mongoose.Schema({
         type: Number,
         default: 0 // For sorting in the app
     },
+    // Which TTS engine renders this voice (services/ttsProviders.js)
+    provider: {
+        type: String,
+        enum: ['elevenlabs', 'google', 'local'],
+        default: 'elevenlabs'
+    },
+    // The voice's id at the provider (Google voice name, ...) - defaults to voiceId
+    providerVoiceId: {
+        type: String
+    },
+    // Tried in order when the provider errors or is out of quota;
+    // empty = TTS_FALLBACK_PROVIDERS with each provider's default voice
+    fallbacks: [{
+        _id: false,
+        provider: {
+            type: String,
+            enum: ['elevenlabs', 'google', 'local'],
+            required: true
+        },
+        providerVoiceId: {
+            type: String
+        }
+    }],
     isPremium: {
         type: Boolean,
         default: false // Whether this voice requires premium subscription
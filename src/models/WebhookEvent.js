@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Every webhook delivery we accepted, keyed by the provider's event id.
+// Deliveries of an id we already processed are acknowledged without running again;
+// stored payloads can be replayed against the current handler (routes/webhooks.js).
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['revenuecat'],
+        required: true,
+    },
+    eventId: {
+        type: String,
+        required: true,
+    },
+    eventType: {
+        type: String,
+        index: true,
+    },
+    // Subscriber the event is about (RevenueCat app_user_id / first alias)
+    appUserId: {
+        type: String,
+        index: true,
+    },
+    // When it happened at the provider - events are processed in this order on replay
+    occurredAt: {
+        type: Date,
+        index: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    // received -> processed | ignored (type we don't handle) | failed
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'failed'],
+        default: 'received',
+        index: true,
+    },
+    // How many times the provider sent it (set with $inc on every delivery)
+    deliveries: {
+        type: Number,
+    },
+    lastError: {
+        type: String,
+        default: null,
+    },
+    processedAt: {
+        type: Date,
+        default: null,
+    },
+    replayCount: {
+        type: Number,
+        default: 0,
+    },
+    lastReplayedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
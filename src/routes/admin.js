@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Book = require('../models/Book');
+const BookSeries = require('../models/BookSeries');
+const { ADMIN_ROLES, requireOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+
+// Every route here is mounted behind requireAdmin in src/index.js
+
+/**
+ * GET /api/admin/audit-log
+ * Query the content audit log
+ * Query params:
+ *   targetType, targetId  - history of one content item (e.g. targetType=Book&targetId=...),
+ *                           bulk operations that touched it included
+ *   actorId               - everything one admin changed
+ *   action                - create | update | delete | bulk
+ *   from, to              - ISO date range
+ *   page, limit           - pagination (max 200 per page)
+ */
+router.get('/audit-log', async (req, res) => {
+    try {
+        const { targetType, targetId, actorId, action, from, to } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (targetType) filter.targetType = targetType;
+        if (targetId) filter.$or = [{ targetId }, { 'changes.targetId': targetId }];
+        if (actorId) filter.actorId = actorId;
+        if (action) filter.action = action;
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const [total, entries] = await Promise.all([
+            AuditLog.countDocuments(filter),
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+        ]);
+
+        // Attach actor emails for display in the portal
+        const actorIds = [...new Set(entries.map(e => e.actorId))]
+            .filter(id => mongoose.Types.ObjectId.isValid(id));
+        const actors = await User.find({ _id: { $in: actorIds } }).select('email username').lean();
+        const actorMap = {};
+        actors.forEach(actor => {
+            actorMap[actor._id.toString()] = { email: actor.email, username: actor.username };
+        });
+
+        res.json({
+            data: entries.map(entry => ({ ...entry, actor: actorMap[entry.actorId] || null })),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: page * limit < total,
+            },
+        });
+    } catch (error) {
+        console.error('Audit log query error:', error);
+        res.status(500).json({ message: 'Failed to fetch audit log', error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/audit-log/:id
+ * Get a single audit entry with its full diff
+ */
+router.get('/audit-log/:id', async (req, res) => {
+    try {
+        const entry = await AuditLog.findById(req.params.id).lean();
+        if (!entry) {
+            return res.status(404).json({ message: 'Audit entry not found' });
+        }
+        res.json(entry);
+    } catch (error) {
+        console.error('Audit entry fetch error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/review-queue
+ * Books and series waiting for review, plus everything scheduled to go live
+ */
+router.get('/review-queue', async (req, res) => {
+    try {
+        const fields = 'title status publishAt announceOnPublish review updatedAt';
+        const [booksInReview, seriesInReview, booksScheduled, seriesScheduled] = await Promise.all([
+            Book.find({ status: 'in_review' }).select(`${fields} author files.coverImage`).sort({ 'review.submittedAt': 1 }).lean(),
+            BookSeries.find({ status: 'in_review' }).select(`${fields} coverImage`).sort({ 'review.submittedAt': 1 }).lean(),
+            Book.find({ status: 'scheduled' }).select(`${fields} author files.coverImage`).sort({ publishAt: 1 }).lean(),
+            BookSeries.find({ status: 'scheduled' }).select(`${fields} coverImage`).sort({ publishAt: 1 }).lean(),
+        ]);
+
+        res.json({
+            inReview: { books: booksInReview, series: seriesInReview },
+            scheduled: { books: booksScheduled, series: seriesScheduled },
+        });
+    } catch (error) {
+        console.error('Review queue error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/admins
+ * List admin accounts and their roles
+ */
+router.get('/admins', async (req, res) => {
+    try {
+        const admins = await User.find({ role: 'admin' })
+            .select('username email role adminRole createdAt')
+            .sort({ createdAt: 1 })
+            .lean();
+        res.json(admins);
+    } catch (error) {
+        console.error('List admins error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * PUT /api/admin/admins/:userId
+ * Grant, change or revoke admin access (owners only)
+ * Body: { adminRole: 'owner' | 'editor' | 'reviewer' } to grant/change, or { adminRole: null } to revoke
+ * Takes effect on the user's next sign-in or token refresh.
+ */
+router.put('/admins/:userId', requireOwner, auditTrail('User', User, { target: (req) => ({ _id: req.params.userId }) }), async (req, res) => {
+    try {
+        const { adminRole } = req.body;
+
+        if (adminRole !== null && !ADMIN_ROLES.includes(adminRole)) {
+            return res.status(400).json({ message: `adminRole must be one of: ${ADMIN_ROLES.join(', ')} (or null to revoke)` });
+        }
+
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        // Never leave the portal without an owner
+        if (user.role === 'admin' && user.adminRole === 'owner' && adminRole !== 'owner') {
+            const otherOwners = await User.countDocuments({ role: 'admin', adminRole: 'owner', _id: { $ne: user._id } });
+            if (otherOwners === 0) {
+                return res.status(400).json({ message: 'Cannot remove the last owner' });
+            }
+        }
+
+        user.role = adminRole ? 'admin' : 'parent';
+        user.adminRole = adminRole || null;
+        await user.save();
+
+        console.log(`🛡️ Admin role for ${user.email} set to ${adminRole || 'none'} by ${req.user.id}`);
+        res.json({
+            _id: user._id,
+            email: user.email,
+            username: user.username,
+            role: user.role,
+            adminRole: user.adminRole,
+        });
+    } catch (error) {
+        console.error('Update admin role error:', error);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
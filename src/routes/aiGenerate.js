@@ -3,6 +3,7 @@ const router = express.Router();
 const { Storage } = require('@google-cloud/storage');
 const fetch = require('node-fetch');
 const { GoogleGenAI } = require('@google/genai');
+const { requireAdmin } = require('../middleware/auth');
 
 // Initialize GCS with flexible credentials
 let storage;
@@ -374,7 +375,7 @@ Be concise (max 2 sentences). Only respond with the enhanced description, nothin
 const COMMENT_COLORS = ['pink', 'yellow', 'orange', 'gold', 'blue', 'purple', 'green', 'teal', 'indigo', 'amber', 'lime', 'rose', 'cyan', 'emerald'];
 
 // POST /api/ai/generate-book-comments - Generate personalized comments for a book
-router.post('/generate-book-comments', async (req, res) => {
+router.post('/generate-book-comments', requireAdmin, async (req, res) => {
     try {
         const { bookTitle, bookDescription, bookContent } = req.body;
         
@@ -513,7 +514,7 @@ function getFallbackComments() {
 }
 
 // POST /api/ai/generate-playlist-comments - Generate personalized comments for a playlist
-router.post('/generate-playlist-comments', async (req, res) => {
+router.post('/generate-playlist-comments', requireAdmin, async (req, res) => {
     try {
         const { playlistName, playlistDescription, songTitles, playlistType } = req.body;
         
@@ -724,7 +725,7 @@ function getFallbackAudiobookComments() {
 // ===========================
 
 // POST /api/ai-generate/radio-script - Generate a radio host script for introducing content
-router.post('/radio-script', async (req, res) => {
+router.post('/radio-script', requireAdmin, async (req, res) => {
     try {
         const { 
             hostName, 
@@ -884,7 +885,7 @@ Respond with ONLY the script text, nothing else.`;
 });
 
 // POST /api/ai-generate/radio-scripts-batch - Generate multiple radio scripts at once
-router.post('/radio-scripts-batch', async (req, res) => {
+router.post('/radio-scripts-batch', requireAdmin, async (req, res) => {
     try {
         const { segments, hostPersonality, stationName, targetDuration = 30 } = req.body;
 
@@ -1,20 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const AppUser = require('../models/AppUser');
-const User = require('../models/User');
 const OnboardingEvent = require('../models/OnboardingEvent');
+const { requireAdmin, requireAuth } = require('../middleware/auth');
+const { findAccount, resolveCallerAccount } = require('../services/accountService');
+const { MAX_BATCH_SIZE, resolveAccount, ingestEvents } = require('../services/analyticsService');
+const {
+    DEFAULT_RETENTION_DAYS,
+    MAX_RETENTION_DAY,
+    parseList,
+    parseReportFilters,
+    retentionReport,
+    funnelReport,
+    revenueReport,
+} = require('../services/analyticsReportService');
+const { sendCsv } = require('../utils/csv');
 
 /**
  * GET /api/analytics/users
  * Get comprehensive user analytics for the dashboard
- * Merges data from both User (auth) and AppUser (app data) collections
+ * One row per account (signed-up parents and anonymous devices)
  * 
  * Query params:
  *   sortBy: 'createdAt' (default) | 'lastActiveAt' | 'sessions' | 'coins'
  *   sortOrder: 'desc' (default) | 'asc'
  *   timeRange: '1d' | '1w' | '1m' | '3m' | 'all' (default: 'all')
  */
-router.get('/users', async (req, res) => {
+router.get('/users', requireAdmin, async (req, res) => {
     try {
         const { sortBy = 'createdAt', sortOrder = 'desc', timeRange = 'all' } = req.query;
         const now = new Date();
@@ -45,79 +57,30 @@ router.get('/users', async (req, res) => {
                 break;
         }
 
-        // Get users from AppUser collection (app-specific data)
-        const appUsers = await AppUser.find({})
-            .select('email deviceId coins kidProfiles stats createdAt lastActiveAt subscriptionStatus platform referralCode referralCount notificationEmail emailSignupAt parentName')
+        const accounts = await AppUser.find({})
+            .select('email username deviceId deviceIds isPremium coins kidProfiles stats createdAt lastActiveAt subscriptionStatus platform referralCode referralCount notificationEmail emailSignupAt parentName')
             .sort({ createdAt: -1 })
             .lean();
 
-        // Get users from User collection (authentication accounts)
-        const authUsers = await User.find({})
-            .select('email username isPremium subscriptionProductId subscriptionExpiresAt deviceId createdAt updatedAt')
-            .sort({ createdAt: -1 })
-            .lean();
-
-        // Create a map of AppUser data by email for quick lookup
-        const appUserMap = new Map();
-        appUsers.forEach(u => {
-            if (u.email) appUserMap.set(u.email.toLowerCase(), u);
-            if (u.deviceId) appUserMap.set(u.deviceId, u);
-        });
-
-        // Merge: Start with auth users, enrich with app data
-        const mergedUsers = [];
-        const processedEmails = new Set();
-
-        // First, add all auth users (enriched with app data if available)
-        authUsers.forEach(authUser => {
-            const email = authUser.email?.toLowerCase();
-            const appData = email ? appUserMap.get(email) : null;
-            
-            mergedUsers.push({
-                _id: authUser._id,
-                email: authUser.email,
-                username: authUser.username,
-                deviceId: authUser.deviceId || appData?.deviceId,
-                coins: appData?.coins || 0,
-                kidProfiles: appData?.kidProfiles || [],
-                stats: appData?.stats || {},
-                subscriptionStatus: authUser.isPremium ? 'active' : (appData?.subscriptionStatus || 'free'),
-                platform: appData?.platform || 'unknown',
-                referralCode: appData?.referralCode,
-                referralCount: appData?.referralCount || 0,
-                notificationEmail: appData?.notificationEmail,
-                parentName: appData?.parentName,
-                createdAt: authUser.createdAt,
-                lastActiveAt: appData?.lastActiveAt || authUser.updatedAt,
-                source: 'auth', // Track where this user came from
-            });
-            
-            if (email) processedEmails.add(email);
-        });
-
-        // Then add AppUsers that don't have an auth account (anonymous users)
-        appUsers.forEach(appUser => {
-            const email = appUser.email?.toLowerCase();
-            if (email && processedEmails.has(email)) return; // Already added via auth
-            
-            mergedUsers.push({
-                _id: appUser._id,
-                email: appUser.email,
-                deviceId: appUser.deviceId,
-                coins: appUser.coins || 0,
-                kidProfiles: appUser.kidProfiles || [],
-                stats: appUser.stats || {},
-                subscriptionStatus: appUser.subscriptionStatus || 'free',
-                platform: appUser.platform || 'unknown',
-                referralCode: appUser.referralCode,
-                referralCount: appUser.referralCount || 0,
-                notificationEmail: appUser.notificationEmail,
-                parentName: appUser.parentName,
-                createdAt: appUser.createdAt,
-                lastActiveAt: appUser.lastActiveAt,
-                source: 'app', // Anonymous or app-only user
-            });
-        });
+        const mergedUsers = accounts.map(account => ({
+            _id: account._id,
+            email: account.email,
+            username: account.username,
+            deviceId: account.deviceId,
+            deviceCount: new Set([account.deviceId, ...(account.deviceIds || [])].filter(Boolean)).size,
+            coins: account.coins || 0,
+            kidProfiles: account.kidProfiles || [],
+            stats: account.stats || {},
+            subscriptionStatus: account.isPremium ? 'active' : (account.subscriptionStatus || 'free'),
+            platform: account.platform || 'unknown',
+            referralCode: account.referralCode,
+            referralCount: account.referralCount || 0,
+            notificationEmail: account.notificationEmail,
+            parentName: account.parentName,
+            createdAt: account.createdAt,
+            lastActiveAt: account.lastActiveAt || account.updatedAt,
+            source: account.username ? 'auth' : 'app', // Signed-up account vs anonymous device
+        }));
 
         // Helper to safely parse dates (returns 0 for invalid dates so they sort to the end)
         const safeDate = (dateVal) => {
@@ -353,38 +316,73 @@ router.get('/users', async (req, res) => {
 });
 
 /**
- * POST /api/analytics/sync-stats
- * Sync activity stats from the frontend app
+ * POST /api/analytics/events
+ * Batched event ingestion from the app
+ * Events go to the token's account (guests: their device account) - 404 when there is none
+ * Body: {
+ *   sessionId?, kidProfileId?, platform?, deviceType?, appVersion?   - defaults for every event
+ *   events: [{ clientEventId, eventType, occurredAt?, targetType?, targetId?, targetTitle?, metadata?, ... }]
+ * }
+ * Events already received (same clientEventId) are skipped, so a failed upload
+ * can be retried as-is. Invalid events are reported and the rest still stored.
  */
-router.post('/sync-stats', async (req, res) => {
+router.post('/events', async (req, res) => {
     try {
-        const { userId, stats } = req.body;
+        const { events, sessionId, kidProfileId, platform, deviceType, appVersion } = req.body;
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({ success: false, message: 'events must be a non-empty array' });
+        }
+        if (events.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({ success: false, message: `At most ${MAX_BATCH_SIZE} events per batch` });
+        }
 
-        if (!userId || !stats) {
-            return res.status(400).json({ success: false, message: 'userId and stats are required' });
+        const account = await resolveAccount(req.user);
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'No account found for this sign-in' });
         }
 
-        // Build query to find user by various identifiers
-        const query = {};
-        if (userId.includes('@')) {
-            query.email = userId;
-        } else if (userId.match(/^[0-9a-fA-F]{24}$/)) {
-            query._id = userId;
-        } else {
-            query.deviceId = userId;
+        const result = await ingestEvents(account, events, { sessionId, kidProfileId, platform, deviceType, appVersion });
+
+        if (result.accepted === 0 && result.duplicates === 0) {
+            return res.status(400).json({ success: false, message: 'No valid events in batch', ...result });
         }
 
-        // Find or create AppUser
-        let user = await AppUser.findOne(query);
+        console.log(`📊 Analytics batch for ${account._id}: ${result.accepted} accepted, ${result.duplicates} duplicate, ${result.rejected.length} rejected`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Analytics ingestion error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Failed to store events',
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * POST /api/analytics/sync-stats
+ * Sync activity stats of the signed-in account from the frontend app
+ * A userId in the body must be one of the caller's own ids (admins: any user).
+ * Once an account sends events (/events) its counters are derived from them and
+ * only farthestPageReached is taken from here.
+ */
+router.post('/sync-stats', requireAuth, async (req, res) => {
+    try {
+        const { userId, stats } = req.body;
+
+        if (!stats) {
+            return res.status(400).json({ success: false, message: 'stats are required' });
+        }
 
+        const { account: user, status, message } = await resolveCallerAccount(req.user, userId);
         if (!user) {
-            // Create new AppUser
-            user = new AppUser({
-                email: userId.includes('@') ? userId : undefined,
-                deviceId: !userId.includes('@') ? userId : undefined,
-                stats: stats,
-                lastActiveAt: new Date(),
-            });
+            return res.status(status).json({ success: false, message });
+        }
+
+        if (user.statsDerivedAt) {
+            // Counters come from events - don't let client totals override them
+            if (stats.farthestPageReached) user.set('stats.farthestPageReached', stats.farthestPageReached);
+            user.lastActiveAt = new Date();
         } else {
             // Update existing user's stats (merge, taking the higher value)
             user.stats = {
@@ -405,9 +403,9 @@ router.post('/sync-stats', async (req, res) => {
 
         await user.save();
 
-        console.log(`📊 Stats synced for ${userId}:`, user.stats);
+        console.log(`📊 Stats synced for ${user._id}:`, user.stats);
 
-        res.json({ success: true, message: 'Stats synced', stats: user.stats });
+        res.json({ success: true, message: 'Stats synced', stats: user.stats, derivedFromEvents: !!user.statsDerivedAt });
     } catch (error) {
         console.error('Stats sync error:', error);
         res.status(500).json({ 
@@ -422,11 +420,11 @@ router.post('/sync-stats', async (req, res) => {
  * GET /api/analytics/users/:userId
  * Get detailed analytics for a specific user
  */
-router.get('/users/:userId', async (req, res) => {
+router.get('/users/:userId', requireAdmin, async (req, res) => {
     try {
         const { userId } = req.params;
         
-        const user = await AppUser.findById(userId).lean();
+        const user = await findAccount(userId, { lean: true });
         
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
@@ -508,7 +506,7 @@ router.post('/onboarding/event', async (req, res) => {
  * Query params:
  *   days: number of days to look back (default 30)
  */
-router.get('/onboarding', async (req, res) => {
+router.get('/onboarding', requireAdmin, async (req, res) => {
     try {
         const days = parseInt(req.query.days) || 30;
         const startDate = new Date();
@@ -613,11 +611,87 @@ router.get('/onboarding', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/analytics/reports/:report
+ * Signup cohort reports built from analytics events and the entitlement ledger (admin)
+ *   retention - day-N retention per cohort
+ *   funnel    - onboarding → first book → paywall → subscribe conversion per cohort
+ *   revenue   - revenue per cohort and currency
+ *
+ * Query params (all reports):
+ *   from, to: signup date range (default: the 90 days before to / now)
+ *   interval: 'day' | 'week' (default) | 'month'
+ *   platform, appVersion: comma-separated lists - accounts on those platforms / first seen on those versions
+ *   format: 'json' (default) | 'csv'
+ * retention: days - comma-separated day numbers (default 1,7,14,30, max 180)
+ * funnel: windowDays - days after signup to count steps (default 30); ordered=false to allow any order
+ * revenue: windowDays - only count money collected within N days of signup
+ */
+router.get('/reports/:report', requireAdmin, async (req, res) => {
+    try {
+        const { report } = req.params;
+        const { filters, error } = parseReportFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const windowDays = req.query.windowDays !== undefined ? parseInt(req.query.windowDays) : undefined;
+        if (windowDays !== undefined && !(windowDays > 0)) {
+            return res.status(400).json({ success: false, message: 'windowDays must be a positive number' });
+        }
+
+        let result;
+        switch (report) {
+            case 'retention': {
+                const days = req.query.days ? parseList(req.query.days).map(Number) : DEFAULT_RETENTION_DAYS;
+                if (days.some(day => !Number.isInteger(day) || day < 0 || day > MAX_RETENTION_DAY)) {
+                    return res.status(400).json({ success: false, message: `days must be whole numbers from 0 to ${MAX_RETENTION_DAY}` });
+                }
+                result = await retentionReport(filters, [...new Set(days)].sort((a, b) => a - b));
+                break;
+            }
+            case 'funnel':
+                result = await funnelReport(filters, { windowDays, ordered: req.query.ordered !== 'false' });
+                break;
+            case 'revenue':
+                result = await revenueReport(filters, { windowDays });
+                break;
+            default:
+                return res.status(404).json({ success: false, message: `Unknown report '${report}'` });
+        }
+
+        if (req.query.format === 'csv') {
+            const total = Array.isArray(result.total) ? result.total : [result.total];
+            const rows = [...result.rows, ...total];
+            const columns = rows.length ? Object.keys(rows[0]) : ['cohort', 'accounts'];
+            return sendCsv(res, `${report}-${filters.interval}-${new Date().toISOString().split('T')[0]}.csv`, rows, columns);
+        }
+
+        res.json({
+            success: true,
+            report,
+            filters: {
+                ...filters,
+                from: filters.from.toISOString(),
+                to: filters.to.toISOString(),
+            },
+            ...result,
+        });
+    } catch (error) {
+        console.error('Analytics report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build report',
+            error: error.message,
+        });
+    }
+});
+
 /**
  * POST /api/analytics/admin/add-coins
  * Add coins to a user by email (admin only)
  */
-router.post('/admin/add-coins', async (req, res) => {
+router.post('/admin/add-coins', requireAdmin, async (req, res) => {
     try {
         const { email, coins } = req.body;
         
@@ -628,10 +702,7 @@ router.post('/admin/add-coins', async (req, res) => {
             });
         }
 
-        // Find user in AppUser collection
-        const appUser = await AppUser.findOne({ 
-            email: { $regex: new RegExp(`^${email}$`, 'i') } 
-        });
+        const appUser = await findAccount(email, { includeUnverifiedEmail: true });
 
         if (!appUser) {
             return res.status(404).json({ 
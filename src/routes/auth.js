@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const User = require('../models/User');
+const { createSession } = require('../services/sessionService');
+const { registerAccount, sendAccountClaimLink } = require('../services/accountService');
+const { recordEntitlementEvent } = require('../services/entitlementService');
 
 // Old backend configuration
 const OLD_BACKEND_URL = process.env.OLD_BACKEND_URL || 'https://api.godlykids.kbpublish.org';
@@ -43,34 +45,35 @@ router.post('/register', async (req, res) => {
     const { username, email, password } = req.body;
 
     try {
-        let user = await User.findOne({ email });
-        if (user) {
+        const { account: user, conflict, claimRequired } = await registerAccount({ username, email, password });
+        if (conflict) {
             return res.status(400).json({ msg: 'User already exists' });
         }
-
-        user = new User({
-            username,
-            email,
-            password,
-        });
-
-        await user.save();
+        // The app already made an account for this email - only the inbox owner may claim it
+        if (claimRequired) {
+            await sendAccountClaimLink(user, email, req);
+            return res.status(409).json({
+                msg: 'An account already exists for this email. We sent a link to set its password.',
+                code: 'EMAIL_CLAIM_REQUIRED',
+            });
+        }
 
         const payload = {
             user: {
                 id: user.id,
+                role: user.role || 'parent',
+                adminRole: user.role === 'admin' ? user.adminRole || undefined : undefined,
             },
         };
 
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret', // Use environment variable in production
-            { expiresIn: 360000 },
-            (err, token) => {
-                if (err) throw err;
-                res.status(201).json({ token, user: { id: user.id, username: user.username, email: user.email } });
-            }
-        );
+        // Same session tokens as /api/authentication (refresh via its /refresh); `token` kept for older clients
+        const { accessToken, refreshToken } = await createSession(payload, req, req.body.deviceInfo);
+        res.status(201).json({
+            token: accessToken,
+            accessToken,
+            refreshToken,
+            user: { id: user.id, username: user.username, email: user.email },
+        });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
@@ -82,9 +85,10 @@ router.post('/login', async (req, res) => {
     const { email, password } = req.body;
 
     try {
-        let user = await User.findOne({ email: email.toLowerCase().trim() });
+        const normalizedEmail = email.toLowerCase().trim();
+        let user = await User.findOne({ $or: [{ email: normalizedEmail }, { emails: normalizedEmail }] }).select('+password');
         
-        if (!user) {
+        if (!user?.password) {
             // User not found in new backend - check if they exist in old backend
             const oldBackendCheck = await checkOldBackendEmail(email);
             
@@ -109,26 +113,23 @@ router.post('/login', async (req, res) => {
         const payload = {
             user: {
                 id: user.id,
+                role: user.role || 'parent',
+                adminRole: user.role === 'admin' ? user.adminRole || undefined : undefined,
             },
         };
 
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: 360000 },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ 
-                    token, 
-                    user: { 
-                        id: user.id, 
-                        username: user.username, 
-                        email: user.email,
-                        isPremium: user.isPremium || false
-                    } 
-                });
-            }
-        );
+        const { accessToken, refreshToken } = await createSession(payload, req, req.body.deviceInfo);
+        res.json({ 
+            token: accessToken, 
+            accessToken,
+            refreshToken,
+            user: { 
+                id: user.id, 
+                username: user.username, 
+                email: user.email,
+                isPremium: user.isPremium || false
+            } 
+        });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
@@ -149,8 +150,9 @@ router.post('/migrate-legacy', async (req, res) => {
 
     try {
         // Check if already exists in new backend
-        let existingUser = await User.findOne({ email: email.toLowerCase().trim() });
-        if (existingUser) {
+        const normalizedEmail = email.toLowerCase().trim();
+        let existingUser = await User.findOne({ $or: [{ email: normalizedEmail }, { emails: normalizedEmail }] }).select('+password');
+        if (existingUser?.password) {
             return res.status(400).json({ msg: 'Account already exists. Please sign in.' });
         }
 
@@ -161,44 +163,61 @@ router.post('/migrate-legacy', async (req, res) => {
         }
 
         // Create new account
-        const user = new User({
+        const { account: user, conflict, claimRequired } = await registerAccount({
             username: email.split('@')[0],
-            email: email.toLowerCase().trim(),
+            email: normalizedEmail,
             password: password,
-            isPremium: oldBackendCheck.hasSubscription, // Restore their subscription status!
         });
+        if (conflict) {
+            return res.status(400).json({ msg: 'Account already exists. Please sign in.' });
+        }
+        if (claimRequired) {
+            await sendAccountClaimLink(user, normalizedEmail, req);
+            return res.status(409).json({
+                msg: 'An account already exists for this email. We sent a link to set its password.',
+                code: 'EMAIL_CLAIM_REQUIRED',
+            });
+        }
 
-        await user.save();
+        // Restore their subscription status!
+        if (oldBackendCheck.hasSubscription) {
+            await recordEntitlementEvent({
+                account: user,
+                source: 'legacy',
+                type: 'restore',
+                status: 'active',
+                startsAt: oldBackendCheck.subscriptionData?.subscriptionStartDate,
+                expiresAt: oldBackendCheck.subscriptionData?.subscriptionExpiryDate,
+                recordedBy: 'migrate-legacy',
+            });
+        }
         console.log('✅ Migrated legacy user:', email, 'isPremium:', oldBackendCheck.hasSubscription);
 
         const payload = {
             user: {
                 id: user.id,
+                role: user.role || 'parent',
+                adminRole: user.role === 'admin' ? user.adminRole || undefined : undefined,
             },
         };
 
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: 360000 },
-            (err, token) => {
-                if (err) throw err;
-                res.status(201).json({ 
-                    token, 
-                    user: { 
-                        id: user.id, 
-                        username: user.username, 
-                        email: user.email,
-                        isPremium: user.isPremium || false
-                    },
-                    migrated: true,
-                    subscriptionRestored: oldBackendCheck.hasSubscription,
-                    message: oldBackendCheck.hasSubscription 
-                        ? 'Welcome back! Your account and subscription have been migrated! 🎉'
-                        : 'Welcome back! Your account has been migrated.'
-                });
-            }
-        );
+        const { accessToken, refreshToken } = await createSession(payload, req, req.body.deviceInfo);
+        res.status(201).json({ 
+            token: accessToken, 
+            accessToken,
+            refreshToken,
+            user: { 
+                id: user.id, 
+                username: user.username, 
+                email: user.email,
+                isPremium: user.isPremium || false
+            },
+            migrated: true,
+            subscriptionRestored: oldBackendCheck.hasSubscription,
+            message: oldBackendCheck.hasSubscription 
+                ? 'Welcome back! Your account and subscription have been migrated! 🎉'
+                : 'Welcome back! Your account has been migrated.'
+        });
     } catch (err) {
         console.error('Migration error:', err.message);
         res.status(500).json({ msg: 'Server error during migration' });
@@ -1,13 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const User = require('../models/User');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { registerAccount, linkDeviceToAccount, sendAccountClaimLink } = require('../services/accountService');
+const { issueToken, consumeToken } = require('../services/authTokenService');
+const { recordEntitlementEvent } = require('../services/entitlementService');
+const { sendEmailVerificationEmail, sendMagicLinkEmail } = require('../services/emailService');
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    getSessionIdFromRefreshToken,
+} = require('../services/sessionService');
 
 // Old backend configuration
 const OLD_BACKEND_URL = process.env.OLD_BACKEND_URL || 'https://api.godlykids.kbpublish.org';
 const MIGRATION_API_KEY = process.env.MIGRATION_API_KEY;
 
+// Links in verification / magic-link emails open the app
+const APP_URL = process.env.APP_URL || 'https://app.godlykids.com';
+
+// Email a verification link for the account's address (sign-up and resend)
+const sendVerificationLink = async (user, req) => {
+    const token = await issueToken('email_verification', { accountId: user._id, email: user.email, req });
+    return sendEmailVerificationEmail(user.email, `${APP_URL}/#/verify-email?token=${token}`);
+};
+
 // Check if email exists in old backend
 async function checkOldBackendEmail(email) {
     try {
@@ -38,18 +59,12 @@ async function checkOldBackendEmail(email) {
 
 // Sign-up endpoint (matches frontend expectation)
 router.post('/sign-up', async (req, res) => {
-    const { email, password, firstName, lastName, age, deviceInfo } = req.body;
+    const { email, password, firstName, lastName, age, deviceInfo, deviceToken } = req.body;
 
     try {
         // Normalize email to lowercase
         const normalizedEmail = email.toLowerCase().trim();
         
-        // Check if user already exists
-        let user = await User.findOne({ email: normalizedEmail });
-        if (user) {
-            return res.status(400).json({ message: 'User already exists with this email' });
-        }
-
         // Create unique username from email prefix + random suffix
         // This ensures uniqueness even if firstName is generic like "User"
         const emailPrefix = normalizedEmail.split('@')[0].replace(/[^a-zA-Z0-9]/g, '');
@@ -65,35 +80,44 @@ router.post('/sign-up', async (req, res) => {
             existingUser = await User.findOne({ username });
         }
 
-        // Create new user
-        user = new User({
-            username,
-            email: normalizedEmail,
-            password,
-        });
-
-        await user.save();
+        // Create the account - one the app already made for this email is only claimed via the emailed link
+        const { account: user, conflict, claimRequired } = await registerAccount({ email: normalizedEmail, username, password });
+        if (conflict) {
+            return res.status(400).json({ message: 'User already exists with this email' });
+        }
+        if (claimRequired) {
+            await sendAccountClaimLink(user, normalizedEmail, req);
+            return res.status(409).json({
+                message: 'An account already exists for this email. We sent a link to set its password.',
+                code: 'EMAIL_CLAIM_REQUIRED',
+            });
+        }
         
         console.log(`✅ User created successfully: ${normalizedEmail} (username: ${username})`);
 
+        // Carry over what the family did on this device before signing up (deviceToken: its guest token)
+        if (deviceInfo?.deviceId) {
+            const link = await linkDeviceToAccount(user._id, deviceInfo.deviceId, deviceToken);
+            if (link.status !== 200) {
+                console.log(`⚠️ Could not link device ${deviceInfo.deviceId} to ${normalizedEmail}: ${link.body.message}`);
+            }
+        }
+
+        // Don't hold up sign-up on the mail server
+        if (!user.emailVerified) {
+            sendVerificationLink(user, req).catch(error => console.error('Verification email error:', error.message));
+        }
+
         // Generate tokens
         const payload = {
             user: {
                 id: user.id,
+                role: user.role || 'parent',
+                adminRole: user.role === 'admin' ? user.adminRole || undefined : undefined,
             },
         };
 
-        const accessToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '1h' }
-        );
-
-        const refreshToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '7d' }
-        );
+        const { accessToken, refreshToken } = await createSession(payload, req, deviceInfo);
 
         res.status(201).json({
             accessToken,
@@ -102,6 +126,7 @@ router.post('/sign-up', async (req, res) => {
                 id: user.id,
                 username: user.username,
                 email: user.email,
+                emailVerified: user.emailVerified,
             },
         });
     } catch (err) {
@@ -118,9 +143,9 @@ router.post('/sign-in', async (req, res) => {
         // Normalize email to lowercase
         const normalizedEmail = email.toLowerCase().trim();
         
-        // Find user
-        let user = await User.findOne({ email: normalizedEmail });
-        if (!user) {
+        // Find user (device-only accounts with this email have no password yet)
+        let user = await User.findOne({ $or: [{ email: normalizedEmail }, { emails: normalizedEmail }] }).select('+password');
+        if (!user?.password) {
             console.log(`❌ Sign-in: No user found with email ${normalizedEmail}, checking old backend...`);
             
             // Check if they exist in old backend
@@ -151,20 +176,12 @@ router.post('/sign-in', async (req, res) => {
         const payload = {
             user: {
                 id: user.id,
+                role: user.role || 'parent',
+                adminRole: user.role === 'admin' ? user.adminRole || undefined : undefined,
             },
         };
 
-        const accessToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '1h' }
-        );
-
-        const refreshToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '7d' }
-        );
+        const { accessToken, refreshToken } = await createSession(payload, req, deviceInfo);
 
         res.json({
             accessToken,
@@ -173,6 +190,7 @@ router.post('/sign-in', async (req, res) => {
                 id: user.id,
                 username: user.username,
                 email: user.email,
+                emailVerified: user.emailVerified,
             },
         });
     } catch (err) {
@@ -191,20 +209,12 @@ router.post('/sign-in/skip', async (req, res) => {
             user: {
                 id: 'guest',
                 type: 'guest',
+                role: 'anonymous',
+                deviceId: deviceInfo?.deviceId || null,
             },
         };
 
-        const accessToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '1h' }
-        );
-
-        const refreshToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '7d' }
-        );
+        const { accessToken, refreshToken } = await createSession(payload, req, deviceInfo);
 
         res.json({
             accessToken,
@@ -222,6 +232,261 @@ router.post('/sign-in/skip', async (req, res) => {
     }
 });
 
+// Refresh endpoint - exchange a refresh token for a new access/refresh pair (rotation)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    try {
+        const result = await rotateSession(refreshToken, req);
+        if (!result.success) {
+            return res.status(401).json({ message: result.message, code: result.code });
+        }
+
+        res.json({
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+        });
+    } catch (err) {
+        console.error('Token refresh error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Logout - revoke the session behind the given refresh token (or the caller's access token)
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const sessionId = refreshToken
+            ? getSessionIdFromRefreshToken(refreshToken)
+            : req.user?.sessionId;
+
+        if (!sessionId) {
+            return res.status(400).json({ message: 'A valid refreshToken or access token is required' });
+        }
+
+        await revokeSession(sessionId, 'logout');
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        console.error('Logout error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Logout everywhere - revoke every session of the signed-in account
+// Pass keepCurrent=true to stay signed in on the calling device
+router.post('/logout-all', requireRole('parent', 'admin'), async (req, res) => {
+    try {
+        const revokedCount = await revokeAllSessions(req.user.id, {
+            exceptSessionId: req.body.keepCurrent ? req.user.sessionId : undefined,
+        });
+
+        console.log(`🔒 Revoked ${revokedCount} session(s) for user ${req.user.id}`);
+        res.json({ message: 'Logged out of all devices', revokedCount });
+    } catch (err) {
+        console.error('Logout-all error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// List active sessions (devices) of the signed-in account
+router.get('/sessions', requireRole('parent', 'admin'), async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.user.id, revokedAt: null })
+            .select('deviceId deviceInfo userAgent ipAddress lastUsedAt createdAt expiresAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json(sessions.map(session => ({
+            ...session,
+            isCurrent: session._id.toString() === req.user.sessionId,
+        })));
+    } catch (err) {
+        console.error('List sessions error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Revoke a single device session (e.g. a lost phone)
+router.delete('/sessions/:sessionId', requireRole('parent', 'admin'), async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user.id });
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        await revokeSession(session.id, 'device_revoked');
+        console.log(`🔒 Session ${session.id} revoked by user ${req.user.id}`);
+        res.json({ message: 'Session revoked' });
+    } catch (err) {
+        console.error('Revoke session error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Resend the email verification link to the signed-in account's address
+router.post('/verify-email/request', requireRole('parent', 'admin'), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user || !user.email) {
+            return res.status(404).json({ message: 'No email address on this account' });
+        }
+        if (user.emailVerified) {
+            return res.json({ message: 'Email already verified', emailVerified: true });
+        }
+
+        const result = await sendVerificationLink(user, req);
+        if (!result.success) {
+            console.error('❌ Failed to send verification email:', result.error);
+        }
+
+        res.json({ message: 'Verification email sent', emailVerified: false });
+    } catch (err) {
+        console.error('Verification request error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Confirm an email address with the token from the verification link. Body: { token }
+router.post('/verify-email', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    try {
+        const tokenData = await consumeToken('email_verification', token);
+        if (!tokenData) {
+            return res.status(400).json({ message: 'Invalid or expired verification link. Please request a new one.', code: 'INVALID_TOKEN' });
+        }
+
+        const user = await User.findById(tokenData.accountId);
+        // The address changed after the link was sent
+        if (!user || user.email !== tokenData.email) {
+            return res.status(400).json({ message: 'This link is for a different email address. Please request a new one.', code: 'EMAIL_CHANGED' });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        console.log(`✉️ Email verified: ${user.email}`);
+        res.json({ message: 'Email verified', emailVerified: true, email: user.email });
+    } catch (err) {
+        console.error('Email verification error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Passwordless sign-in - email a one-time sign-in link. Body: { email }
+// Always answers the same way so it can't be used to discover accounts
+router.post('/magic-link', async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+    }
+
+    try {
+        const normalizedEmail = email.toLowerCase().trim();
+        const user = await User.findOne({ $or: [{ email: normalizedEmail }, { emails: normalizedEmail }] });
+
+        if (user) {
+            const token = await issueToken('magic_link', { accountId: user._id, email: normalizedEmail, req });
+            const result = await sendMagicLinkEmail(normalizedEmail, `${APP_URL}/#/magic-link?token=${token}`);
+            if (!result.success) {
+                console.error('❌ Failed to send magic link:', result.error);
+            }
+        } else {
+            console.log('⚠️ Magic link requested for unknown email:', normalizedEmail);
+        }
+
+        res.json({ message: 'If an account exists with this email, a sign-in link is on its way.' });
+    } catch (err) {
+        console.error('Magic link request error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Exchange a magic-link token for a session. Body: { token, deviceInfo }
+router.post('/magic-link/verify', async (req, res) => {
+    const { token, deviceInfo } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ message: 'Sign-in token is required' });
+    }
+
+    try {
+        const tokenData = await consumeToken('magic_link', token);
+        if (!tokenData) {
+            return res.status(400).json({ message: 'This sign-in link is invalid or has expired. Please request a new one.', code: 'INVALID_TOKEN' });
+        }
+
+        const user = await User.findById(tokenData.accountId);
+        if (!user) {
+            return res.status(400).json({ message: 'Account no longer exists', code: 'INVALID_TOKEN' });
+        }
+
+        // Opening the link proves the inbox is theirs
+        if (user.email === tokenData.email && !user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        console.log(`✨ Magic link sign-in: ${tokenData.email}`);
+
+        const payload = {
+            user: {
+                id: user.id,
+                role: user.role || 'parent',
+                adminRole: user.role === 'admin' ? user.adminRole || undefined : undefined,
+            },
+        };
+
+        const { accessToken, refreshToken } = await createSession(payload, req, deviceInfo);
+
+        res.json({
+            accessToken,
+            refreshToken,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                emailVerified: user.emailVerified,
+            },
+        });
+    } catch (err) {
+        console.error('Magic link sign-in error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Link a device to the signed-in account - for a device that was used anonymously
+// before the parent signed up/in. Its coins, kids, unlocks and stats are merged in
+// and the device id keeps resolving to this account.
+// Body: { deviceId, deviceToken } - deviceToken is the guest access token the device got from /sign-in/skip
+router.post('/link-device', requireRole('parent', 'admin'), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId || req.body.deviceInfo?.deviceId;
+        const result = await linkDeviceToAccount(req.user.id, deviceId, req.body.deviceToken);
+        if (result.status === 200 && !result.body.alreadyLinked) {
+            console.log(`🔗 Device ${deviceId} linked to account ${req.user.id}${result.body.merged ? ' (merged anonymous account)' : ''}`);
+        }
+        res.status(result.status).json(result.body);
+    } catch (err) {
+        console.error('Link device error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // Migrate legacy user - create account with new password for users from old app
 router.post('/migrate-legacy', async (req, res) => {
     const { email, password } = req.body;
@@ -238,8 +503,8 @@ router.post('/migrate-legacy', async (req, res) => {
         const normalizedEmail = email.toLowerCase().trim();
         
         // Check if already exists in new backend
-        let existingUser = await User.findOne({ email: normalizedEmail });
-        if (existingUser) {
+        let existingUser = await User.findOne({ $or: [{ email: normalizedEmail }, { emails: normalizedEmail }] }).select('+password');
+        if (existingUser?.password) {
             return res.status(400).json({ message: 'Account already exists. Please sign in.' });
         }
 
@@ -254,33 +519,45 @@ router.post('/migrate-legacy', async (req, res) => {
         const randomSuffix = Math.random().toString(36).substring(2, 8);
         const username = `${emailPrefix}_${randomSuffix}`;
         
-        const user = new User({
+        const { account: user, conflict, claimRequired } = await registerAccount({
             username,
             email: normalizedEmail,
             password: password,
-            isPremium: oldBackendCheck.hasSubscription,
         });
+        if (conflict) {
+            return res.status(400).json({ message: 'Account already exists. Please sign in.' });
+        }
+        if (claimRequired) {
+            await sendAccountClaimLink(user, normalizedEmail, req);
+            return res.status(409).json({
+                message: 'An account already exists for this email. We sent a link to set its password.',
+                code: 'EMAIL_CLAIM_REQUIRED',
+            });
+        }
 
-        await user.save();
+        // Restore their subscription status!
+        if (oldBackendCheck.hasSubscription) {
+            await recordEntitlementEvent({
+                account: user,
+                source: 'legacy',
+                type: 'restore',
+                status: 'active',
+                startsAt: oldBackendCheck.subscriptionData?.subscriptionStartDate,
+                expiresAt: oldBackendCheck.subscriptionData?.subscriptionExpiryDate,
+                recordedBy: 'migrate-legacy',
+            });
+        }
         console.log('✅ Migrated legacy user:', normalizedEmail, 'isPremium:', oldBackendCheck.hasSubscription);
 
         const payload = {
             user: {
                 id: user.id,
+                role: user.role || 'parent',
+                adminRole: user.role === 'admin' ? user.adminRole || undefined : undefined,
             },
         };
 
-        const accessToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '1h' }
-        );
-
-        const refreshToken = jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'secret',
-            { expiresIn: '7d' }
-        );
+        const { accessToken, refreshToken } = await createSession(payload, req);
 
         res.status(201).json({ 
             accessToken,
@@ -303,8 +580,8 @@ router.post('/migrate-legacy', async (req, res) => {
     }
 });
 
-// Reset password endpoint (for fixing accounts with password issues)
-router.post('/reset-password', async (req, res) => {
+// Reset password endpoint (for fixing accounts with password issues) - admin only
+router.post('/reset-password', requireAdmin, async (req, res) => {
     const { email, newPassword } = req.body;
 
     try {
@@ -328,8 +605,8 @@ router.post('/reset-password', async (req, res) => {
     }
 });
 
-// Delete user endpoint (for testing/cleanup)
-router.delete('/user/:email', async (req, res) => {
+// Delete user endpoint (for testing/cleanup) - admin only
+router.delete('/user/:email', requireAdmin, async (req, res) => {
     try {
         const normalizedEmail = req.params.email.toLowerCase().trim();
         
@@ -2,14 +2,24 @@ const express = require('express');
 const router = express.Router();
 const BookComment = require('../models/BookComment');
 const Book = require('../models/Book');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { moderateText, commentAuthorId, PENDING_COMMENT_MESSAGE } = require('../services/moderationService');
 
 // GET /api/book-comments/:bookId - Get all comments for a book
 router.get('/:bookId', async (req, res) => {
     try {
         const { bookId } = req.params;
         const { limit = 50 } = req.query;
+        const userId = commentAuthorId(req.user);
         
-        const comments = await BookComment.find({ bookId })
+        // Approved comments (older comments predate moderation), plus the signed-in caller's own pending ones
+        const filter = { bookId, moderationStatus: { $nin: ['pending', 'rejected'] } };
+        const query = userId
+            ? { $or: [filter, { bookId, userId, moderationStatus: 'pending' }] }
+            : filter;
+        
+        const comments = await BookComment.find(query)
+            .select('-moderation')
             .sort({ createdAt: -1 })
             .limit(parseInt(limit))
             .lean();
@@ -24,12 +34,20 @@ router.get('/:bookId', async (req, res) => {
 // POST /api/book-comments - Post a new comment
 router.post('/', async (req, res) => {
     try {
-        const { bookId, userId, userName, commentText, emoji, colorTheme } = req.body;
+        const { bookId, userName, commentText, emoji, colorTheme } = req.body;
+        // Signed-in authors are recorded by account so they can see their pending comments
+        const userId = commentAuthorId(req.user) || req.body.userId;
         
         if (!bookId || !userId || !commentText || !emoji) {
             return res.status(400).json({ message: 'bookId, userId, commentText, and emoji are required' });
         }
         
+        // Ready-made comment options offered by the app don't need checking
+        const book = await Book.findById(bookId).select('generatedComments').lean();
+        const moderation = await moderateText(commentText, {
+            preapprovedTexts: (book?.generatedComments || []).map(option => option.text),
+        });
+        
         const comment = new BookComment({
             bookId,
             userId,
@@ -37,24 +55,35 @@ router.post('/', async (req, res) => {
             commentText,
             emoji,
             colorTheme: colorTheme || 'blue',
+            moderationStatus: moderation.status,
+            moderation: { flags: moderation.flags, checkedAt: moderation.checkedAt },
         });
         
         await comment.save();
         
-        console.log(`💬 New comment on book ${bookId}: "${commentText}" by ${userName || 'Anonymous'}`);
+        if (moderation.status === 'pending') {
+            console.log(`🛡️ Comment on book ${bookId} held for review (${moderation.flags.map(f => f.type).join(', ')})`);
+        } else {
+            console.log(`💬 New comment on book ${bookId}: "${commentText}" by ${userName || 'Anonymous'}`);
+        }
         
-        res.status(201).json(comment);
+        // Flags are for the portal only
+        const publicComment = comment.toObject();
+        delete publicComment.moderation;
+        res.status(201).json({
+            ...publicComment,
+            message: moderation.status === 'pending' ? PENDING_COMMENT_MESSAGE : undefined,
+        });
     } catch (error) {
         console.error('Error posting comment:', error);
         res.status(500).json({ message: 'Failed to post comment', error: error.message });
     }
 });
 
-// DELETE /api/book-comments/:id - Delete own comment
-router.delete('/:id', async (req, res) => {
+// DELETE /api/book-comments/:id - Delete own comment (admins: any comment)
+router.delete('/:id', requireRole('parent', 'admin'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { userId } = req.body;
         
         const comment = await BookComment.findById(id);
         
@@ -63,7 +92,7 @@ router.delete('/:id', async (req, res) => {
         }
         
         // Only allow deletion by the comment owner
-        if (comment.userId !== userId) {
+        if (req.user.role !== 'admin' && comment.userId !== req.user.id) {
             return res.status(403).json({ message: 'Not authorized to delete this comment' });
         }
         
@@ -101,7 +130,7 @@ router.get('/:bookId/generated', async (req, res) => {
 });
 
 // PUT /api/book-comments/:bookId/generated - Cache AI-generated comments for a book
-router.put('/:bookId/generated', async (req, res) => {
+router.put('/:bookId/generated', requireAdmin, async (req, res) => {
     try {
         const { bookId } = req.params;
         const { comments } = req.body;
@@ -2,6 +2,27 @@ const express = require('express');
 const router = express.Router();
 const BookSeries = require('../models/BookSeries');
 const Book = require('../models/Book');
+const { requireAdmin, requireEditor } = require('../middleware/auth');
+const { notifyNewSeries } = require('../services/notificationService');
+const {
+    applyWorkflowAction,
+    validateDirectStatusChange,
+    validateDirectPublishAtChange,
+    sendBackForReview,
+} = require('../services/publishingService');
+const { prepareBooksForCaller } = require('../services/contentAccessService');
+
+// Apply members-only rules to the books inside a populated series
+const prepareSeriesForCaller = async (req, series) => {
+    const seriesObj = series.toObject();
+    const books = await prepareBooksForCaller(
+        req,
+        (seriesObj.books || []).map(entry => entry.book),
+        { inMembersOnlySeries: !!seriesObj.isMembersOnly }
+    );
+    seriesObj.books = (seriesObj.books || []).map((entry, i) => ({ ...entry, book: books[i] }));
+    return seriesObj;
+};
 
 /**
  * GET /api/book-series
@@ -47,7 +68,7 @@ router.get('/', async (req, res) => {
             }
         });
         
-        res.json(series);
+        res.json(await Promise.all(series.map(s => prepareSeriesForCaller(req, s))));
     } catch (error) {
         console.error('Error fetching book series:', error);
         res.status(500).json({ error: error.message });
@@ -80,7 +101,7 @@ router.get('/featured', async (req, res) => {
             }
         });
         
-        res.json(series);
+        res.json(await Promise.all(series.map(s => prepareSeriesForCaller(req, s))));
     } catch (error) {
         console.error('Error fetching featured book series:', error);
         res.status(500).json({ error: error.message });
@@ -117,7 +138,7 @@ router.get('/:id', async (req, res) => {
         // Increment view count
         await BookSeries.findByIdAndUpdate(req.params.id, { $inc: { viewCount: 1 } });
         
-        res.json(series);
+        res.json(await prepareSeriesForCaller(req, series));
     } catch (error) {
         console.error('Error fetching book series:', error);
         res.status(500).json({ error: error.message });
@@ -128,7 +149,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/book-series
  * Create a new book series
  */
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, async (req, res) => {
     try {
         const {
             title,
@@ -144,12 +165,20 @@ router.post('/', async (req, res) => {
             isFeatured,
             displayOrder,
             author,
+            publishAt,
+            announceOnPublish,
         } = req.body;
         
         if (!title || !coverImage) {
             return res.status(400).json({ error: 'Title and cover image are required' });
         }
         
+        // Publishing requires review unless an owner creates it
+        const statusError = validateDirectStatusChange('draft', status, req.user);
+        if (statusError) {
+            return res.status(403).json({ error: statusError });
+        }
+        
         // Format books array with order
         const formattedBooks = (books || []).map((bookId, index) => ({
             book: bookId,
@@ -170,6 +199,9 @@ router.post('/', async (req, res) => {
             isFeatured: isFeatured || false,
             displayOrder: displayOrder || 0,
             author,
+            publishAt: publishAt || null,
+            publishedAt: status === 'published' ? new Date() : null,
+            announceOnPublish: !!announceOnPublish,
         });
         
         await series.save();
@@ -193,7 +225,7 @@ router.post('/', async (req, res) => {
  * PUT /api/book-series/:id
  * Update a book series
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEditor, async (req, res) => {
     try {
         const {
             title,
@@ -209,6 +241,8 @@ router.put('/:id', async (req, res) => {
             isFeatured,
             displayOrder,
             author,
+            publishAt,
+            announceOnPublish,
         } = req.body;
         
         const series = await BookSeries.findById(req.params.id);
@@ -217,6 +251,14 @@ router.put('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Book series not found' });
         }
         
+        // Status changes into or out of review/scheduled/published, and publishAt outside
+        // drafts, go through the workflow endpoints
+        const statusError = validateDirectStatusChange(series.status, status, req.user)
+            || validateDirectPublishAtChange(series, publishAt, req.user);
+        if (statusError) {
+            return res.status(403).json({ error: statusError });
+        }
+        
         // Update fields
         if (title !== undefined) series.title = title;
         if (description !== undefined) series.description = description;
@@ -225,7 +267,12 @@ router.put('/:id', async (req, res) => {
         if (maxAge !== undefined) series.maxAge = maxAge;
         if (level !== undefined) series.level = level;
         if (category !== undefined) series.category = category;
-        if (status !== undefined) series.status = status;
+        if (status !== undefined) {
+            if (status === 'published' && series.status !== 'published') series.publishedAt = new Date();
+            series.status = status;
+        }
+        if (publishAt !== undefined) series.publishAt = publishAt || null;
+        if (announceOnPublish !== undefined) series.announceOnPublish = !!announceOnPublish;
         if (isMembersOnly !== undefined) series.isMembersOnly = isMembersOnly;
         if (isFeatured !== undefined) series.isFeatured = isFeatured;
         if (displayOrder !== undefined) series.displayOrder = displayOrder;
@@ -239,6 +286,9 @@ router.put('/:id', async (req, res) => {
             }));
             series.markModified('books');
         }
+        if (sendBackForReview(series, req.user)) {
+            console.log(`📝 Series "${series.title}" edited by ${req.user.id} → back to in_review`);
+        }
         
         await series.save();
         
@@ -257,11 +307,65 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+// Publishing workflow actions (see services/publishingService.js)
+// Body: { publishAt?: ISO date, announce?: boolean, notes?: string }
+const handleWorkflowAction = (action) => async (req, res) => {
+    try {
+        const series = await BookSeries.findById(req.params.id);
+        if (!series) {
+            return res.status(404).json({ error: 'Book series not found' });
+        }
+
+        const wasPublished = series.status === 'published';
+        const result = applyWorkflowAction(series, action, req.user, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await series.save();
+        console.log(`📝 Series "${series.title}" ${action} by ${req.user.id} → ${series.status}`);
+
+        // Announce immediately-published series; scheduled ones are announced by the publish job
+        if (!wasPublished && result.publishedNow && series.announceOnPublish) {
+            notifyNewSeries(series).catch(err => console.error('Notification error:', err));
+        }
+
+        res.json(series);
+    } catch (error) {
+        console.error(`Error running series workflow action ${action}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * POST /api/book-series/:id/submit-review
+ * Submit a draft series for review (editors)
+ */
+router.post('/:id/submit-review', requireEditor, handleWorkflowAction('submit'));
+
+/**
+ * POST /api/book-series/:id/approve
+ * Approve a series in review - publishes now, or schedules it if publishAt is in the future
+ */
+router.post('/:id/approve', requireAdmin, handleWorkflowAction('approve'));
+
+/**
+ * POST /api/book-series/:id/reject
+ * Send a series in review back to draft with notes
+ */
+router.post('/:id/reject', requireAdmin, handleWorkflowAction('reject'));
+
+/**
+ * POST /api/book-series/:id/unschedule
+ * Cancel a scheduled publish, back to draft
+ */
+router.post('/:id/unschedule', requireAdmin, handleWorkflowAction('unschedule'));
+
 /**
  * DELETE /api/book-series/:id
  * Delete a book series
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEditor, async (req, res) => {
     try {
         const series = await BookSeries.findByIdAndDelete(req.params.id);
         
@@ -280,7 +384,7 @@ router.delete('/:id', async (req, res) => {
  * POST /api/book-series/:id/add-book
  * Add a book to a series
  */
-router.post('/:id/add-book', async (req, res) => {
+router.post('/:id/add-book', requireEditor, async (req, res) => {
     try {
         const { bookId } = req.body;
         
@@ -329,7 +433,7 @@ router.post('/:id/add-book', async (req, res) => {
  * POST /api/book-series/:id/remove-book
  * Remove a book from a series
  */
-router.post('/:id/remove-book', async (req, res) => {
+router.post('/:id/remove-book', requireEditor, async (req, res) => {
     try {
         const { bookId } = req.body;
         
@@ -371,7 +475,7 @@ router.post('/:id/remove-book', async (req, res) => {
  * POST /api/book-series/:id/reorder
  * Reorder books in a series
  */
-router.post('/:id/reorder', async (req, res) => {
+router.post('/:id/reorder', requireEditor, async (req, res) => {
     try {
         const { bookIds } = req.body;
         
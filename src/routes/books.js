@@ -3,6 +3,16 @@ const router = express.Router();
 const Book = require('../models/Book');
 const mongoose = require('mongoose');
 const { notifyNewBook } = require('../services/notificationService');
+const { requireAdmin, requireEditor } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const {
+    applyWorkflowAction,
+    validateDirectStatusChange,
+    validateDirectPublishAtChange,
+    sendBackForReview,
+} = require('../services/publishingService');
+const { prepareBooksForCaller, prepareBookForCaller } = require('../services/contentAccessService');
+const { trendingContent, topRatedContent } = require('../services/contentMetricsService');
 
 // GET all books (with pagination support)
 router.get('/', async (req, res) => {
@@ -76,7 +86,7 @@ router.get('/', async (req, res) => {
         
         // Return with pagination metadata
         res.json({
-            data: booksWithCoverImage,
+            data: await prepareBooksForCaller(req, booksWithCoverImage),
             pagination: {
                 page,
                 limit,
@@ -109,18 +119,44 @@ router.get('/featured', async (req, res) => {
             return bookObj;
         });
         
-        res.json(booksWithCoverImage);
+        res.json(await prepareBooksForCaller(req, booksWithCoverImage));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
 // GET top-rated books (15% or more likes/favorites to reads ratio)
+// Reads the daily metrics rollup (plays and like/favorite events, optionally within
+// timeWindow); until the rollup has reactions, the lifetime counters on each book are used
 router.get('/top-rated', async (req, res) => {
     try {
         const minRatio = parseFloat(req.query.minRatio) || 0.15; // Default 15%
         const minReads = parseInt(req.query.minReads) || 5; // Minimum reads to qualify
+        const since = req.query.timeWindow ? new Date(Date.now() - parseTimeWindow(req.query.timeWindow)) : null;
         
+        const rated = await topRatedContent('book', { since, minPlays: minReads, minRatio });
+        if (rated) {
+            const books = await Book.find({ 
+                _id: { $in: rated.map(r => r._id) },
+                status: 'published'
+            }).lean();
+            const bookMap = new Map(books.map(book => [book._id.toString(), book]));
+            
+            const topRatedBooks = rated
+                .map(r => {
+                    const book = bookMap.get(r._id.toString());
+                    if (!book) return null;
+                    if (book.files && book.files.coverImage) {
+                        book.coverImage = book.files.coverImage;
+                    }
+                    return { ...book, ratingRatio: r.ratingRatio, recentReads: r.plays };
+                })
+                .filter(Boolean);
+            
+            return res.json(await prepareBooksForCaller(req, topRatedBooks));
+        }
+        
+        // Fallback: lifetime counters
         const books = await Book.find({ 
             status: 'published',
             readCount: { $gte: minReads } // At least minReads to be considered
@@ -143,13 +179,13 @@ router.get('/top-rated', async (req, res) => {
             .filter(book => book.ratingRatio >= minRatio)
             .sort((a, b) => b.ratingRatio - a.ratingRatio); // Sort by highest ratio first
         
-        res.json(topRatedBooks);
+        res.json(await prepareBooksForCaller(req, topRatedBooks));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// GET trending books (top books by engagement score within time window)
+// GET trending books (top books by engagement score within time window, counted in whole days)
 // Engagement score = plays + (total pages viewed / 10) + (avg completion % * 2)
 router.get('/trending', async (req, res) => {
     try {
@@ -160,45 +196,8 @@ router.get('/trending', async (req, res) => {
         const windowMs = parseTimeWindow(timeWindow);
         const since = new Date(Date.now() - windowMs);
         
-        // Import PlayEvent model
-        const PlayEvent = require('../models/PlayEvent');
-        
-        // Get trending books based on engagement metrics
-        const trendingData = await PlayEvent.aggregate([
-            { 
-                $match: { 
-                    contentType: 'book',
-                    playedAt: { $gte: since }
-                } 
-            },
-            { 
-                $group: { 
-                    _id: '$contentId',
-                    recentPlays: { $sum: 1 },
-                    totalPagesViewed: { $sum: '$pagesViewed' },
-                    avgCompletion: { $avg: '$completionPercent' },
-                    lastPlayed: { $max: '$playedAt' }
-                } 
-            },
-            {
-                // Calculate engagement score:
-                // - Each play = 1 point
-                // - Every 10 pages viewed = 1 point
-                // - Average completion contributes up to 2 points (completion% * 0.02)
-                $addFields: {
-                    engagementScore: {
-                        $add: [
-                            '$recentPlays',
-                            { $divide: [{ $ifNull: ['$totalPagesViewed', 0] }, 10] },
-                            { $multiply: [{ $ifNull: ['$avgCompletion', 0] }, 0.02] }
-                        ]
-                    }
-                }
-            },
-            // Sort by engagement score (desc), then by lastPlayed (desc), then by _id for consistent ordering
-            { $sort: { engagementScore: -1, lastPlayed: -1, _id: 1 } },
-            { $limit: limit }
-        ]);
+        // Daily rollup of play events (jobs/contentMetricsRollup.js)
+        const trendingData = await trendingContent('book', { since, limit });
         
         // If we have trending data, fetch the book details
         if (trendingData.length > 0) {
@@ -236,7 +235,7 @@ router.get('/trending', async (req, res) => {
                 .filter(Boolean);
             
             console.log(`📚 Trending books (${timeWindow}): ${formattedBooks.length} items, top score: ${formattedBooks[0]?.engagementScore}`);
-            return res.json(formattedBooks);
+            return res.json(await prepareBooksForCaller(req, formattedBooks));
         }
         
         // Fallback: If no recent play events, use readCount
@@ -256,7 +255,7 @@ router.get('/trending', async (req, res) => {
         });
         
         console.log(`📚 Trending books (fallback): ${formattedBooks.length} items`);
-        res.json(formattedBooks);
+        res.json(await prepareBooksForCaller(req, formattedBooks));
     } catch (error) {
         console.error('Error fetching trending books:', error);
         res.status(500).json({ message: error.message });
@@ -295,14 +294,15 @@ router.get('/:id', async (req, res) => {
             bookObj.files = { coverImage: bookObj.coverImage || null, images: [], videos: [], audio: [] };
         }
         
-        res.json(bookObj);
+        // Without a membership, members-only books come back locked (metadata and cover only)
+        res.json(await prepareBookForCaller(req, bookObj));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
 // POST create book
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, auditTrail('Book', Book), async (req, res) => {
     try {
         console.log('Creating book with data:', JSON.stringify(req.body, null, 2));
         
@@ -314,6 +314,12 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ message: 'Author is required' });
         }
         
+        // Publishing requires review unless an owner creates it
+        const statusError = validateDirectStatusChange('draft', req.body.status, req.user);
+        if (statusError) {
+            return res.status(403).json({ message: statusError });
+        }
+        
         const bookData = {
             title: req.body.title,
             author: req.body.author,
@@ -325,6 +331,9 @@ router.post('/', async (req, res) => {
             games: req.body.games || [],
             bookGames: req.body.bookGames || [],
             pages: req.body.pages || [],
+            publishAt: req.body.publishAt || null,
+            publishedAt: req.body.status === 'published' ? new Date() : null,
+            announceOnPublish: !!req.body.announceOnPublish,
         };
         
         // Always initialize files structure
@@ -388,7 +397,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update book
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEditor, auditTrail('Book', Book), async (req, res) => {
     try {
         console.log('PUT /api/books/:id - Updating book:', req.params.id);
         console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -396,6 +405,20 @@ router.put('/:id', async (req, res) => {
         const book = await Book.findById(req.params.id);
         if (!book) return res.status(404).json({ message: 'Book not found' });
 
+        // Status changes into or out of review/scheduled/published, and publishAt outside
+        // drafts, go through the workflow endpoints
+        const statusError = validateDirectStatusChange(book.status, req.body.status, req.user)
+            || validateDirectPublishAtChange(book, req.body.publishAt, req.user);
+        if (statusError) {
+            return res.status(403).json({ message: statusError });
+        }
+        // Review bookkeeping is only written by the workflow
+        delete req.body.review;
+        delete req.body.publishedAt;
+
+        // Remember the status before any changes (for the publish notification below)
+        const wasPublished = book.status === 'published';
+
         // Initialize files object if it doesn't exist
         if (!book.files) {
             book.files = { coverImage: null, images: [], videos: [], audio: [] };
@@ -466,9 +489,12 @@ router.put('/:id', async (req, res) => {
         
         // Update all other fields
         Object.assign(book, req.body);
-        
-        // Check if status is changing to published
-        const wasPublished = book.status === 'published';
+        if (!wasPublished && book.status === 'published' && !book.publishedAt) {
+            book.publishedAt = new Date();
+        }
+        if (sendBackForReview(book, req.user)) {
+            console.log(`📝 Book "${book.title}" edited by ${req.user.id} → back to in_review`);
+        }
         
         console.log('Book before save - files.coverImage:', book.files?.coverImage);
         const updatedBook = await book.save();
@@ -492,8 +518,52 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+// Publishing workflow actions (see services/publishingService.js)
+// Body: { publishAt?: ISO date, announce?: boolean, notes?: string }
+const handleWorkflowAction = (action) => async (req, res) => {
+    try {
+        const book = await Book.findById(req.params.id);
+        if (!book) return res.status(404).json({ message: 'Book not found' });
+
+        const wasPublished = book.status === 'published';
+        const result = applyWorkflowAction(book, action, req.user, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        const updatedBook = await book.save();
+        console.log(`📝 Book "${updatedBook.title}" ${action} by ${req.user.id} → ${updatedBook.status}`);
+
+        // Announce immediately-published books; scheduled ones are announced by the publish job
+        if (!wasPublished && result.publishedNow && updatedBook.announceOnPublish) {
+            notifyNewBook(updatedBook).catch(err => console.error('Notification error:', err));
+        }
+
+        const bookObj = updatedBook.toObject();
+        if (bookObj.files && bookObj.files.coverImage) {
+            bookObj.coverImage = bookObj.files.coverImage;
+        }
+        res.json(bookObj);
+    } catch (error) {
+        console.error(`Error running book workflow action ${action}:`, error);
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// POST submit a draft for review (editors)
+router.post('/:id/submit-review', requireEditor, auditTrail('Book', Book), handleWorkflowAction('submit'));
+
+// POST approve a book in review - publishes now, or schedules it if publishAt is in the future (reviewers)
+router.post('/:id/approve', requireAdmin, auditTrail('Book', Book), handleWorkflowAction('approve'));
+
+// POST send a book in review back to draft with notes (reviewers)
+router.post('/:id/reject', requireAdmin, auditTrail('Book', Book), handleWorkflowAction('reject'));
+
+// POST cancel a scheduled publish, back to draft
+router.post('/:id/unschedule', requireAdmin, auditTrail('Book', Book), handleWorkflowAction('unschedule'));
+
 // DELETE delete book
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEditor, auditTrail('Book', Book), async (req, res) => {
     try {
         const book = await Book.findById(req.params.id);
         if (!book) return res.status(404).json({ message: 'Book not found' });
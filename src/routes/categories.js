@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
+const { requireEditor } = require('../middleware/auth');
 
 // Get all categories
 // Optional query params:
@@ -67,7 +68,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create category
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, async (req, res) => {
     try {
         const { name, description, color, icon, contentType } = req.body;
         
@@ -97,7 +98,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update category
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEditor, async (req, res) => {
     try {
         const { name, description, color, icon, contentType } = req.body;
         
@@ -133,7 +134,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete category
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEditor, async (req, res) => {
     try {
         const category = await Category.findByIdAndDelete(req.params.id);
         if (!category) {
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const EntitlementEvent = require('../models/EntitlementEvent');
+const { requireAdmin, requireOwner, requireRole } = require('../middleware/auth');
+const { findAccount, findAccountById } = require('../services/accountService');
+const { getEntitlement, recordEntitlementEvent } = require('../services/entitlementService');
+
+/**
+ * GET /api/entitlements/:userId
+ * Current entitlement of the signed-in account - :userId must be its own id (or one
+ * merged into it). Admins may look up any identifier (id, email or deviceId).
+ * Returns { accountId, isEntitled, status, source, productId, plan, expiresAt, willRenew, sources }
+ */
+router.get('/:userId', requireRole('parent', 'admin'), async (req, res) => {
+    try {
+        if (req.user.role === 'admin') {
+            return res.json(await getEntitlement(req.params.userId));
+        }
+
+        const account = await findAccountById(req.user.id, { lean: true });
+        const ownIds = account ? [account._id, ...(account.mergedAccountIds || [])].map(String) : [];
+        if (!ownIds.includes(req.params.userId)) {
+            return res.status(403).json({ message: 'You can only view your own entitlement', code: 'FORBIDDEN' });
+        }
+
+        const entitlement = await getEntitlement(null, { account });
+        res.json(entitlement);
+    } catch (error) {
+        console.error('Entitlement lookup error:', error);
+        res.status(500).json({ message: 'Failed to load entitlement' });
+    }
+});
+
+/**
+ * GET /api/entitlements/:userId/ledger
+ * Every recorded subscription event for the account, newest first (admin)
+ */
+router.get('/:userId/ledger', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const account = await findAccount(req.params.userId, { lean: true, includeUnverifiedEmail: true });
+        const query = account
+            ? { $or: [{ accountId: { $in: [account._id, ...(account.mergedAccountIds || [])] } }, { identifier: req.params.userId }] }
+            : { identifier: req.params.userId };
+
+        const [events, entitlement] = await Promise.all([
+            EntitlementEvent.find(query).sort({ occurredAt: -1 }).limit(limit).lean(),
+            getEntitlement(req.params.userId, { account }),
+        ]);
+
+        res.json({ entitlement, events });
+    } catch (error) {
+        console.error('Entitlement ledger error:', error);
+        res.status(500).json({ message: 'Failed to load entitlement ledger' });
+    }
+});
+
+/**
+ * POST /api/entitlements/:userId/grant
+ * Give an account members access by hand (owner admins)
+ * Body: { expiresAt?, productId?, plan?, note? } - no expiresAt = until revoked
+ */
+router.post('/:userId/grant', requireOwner, async (req, res) => {
+    try {
+        const { expiresAt, productId, plan, note } = req.body;
+        if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+            return res.status(400).json({ message: 'expiresAt must be a valid date' });
+        }
+        if (plan && !['monthly', 'annual'].includes(plan)) {
+            return res.status(400).json({ message: 'plan must be monthly or annual' });
+        }
+
+        const account = await findAccount(req.params.userId, { includeUnverifiedEmail: true });
+        if (!account) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { event, entitlement } = await recordEntitlementEvent({
+            account,
+            source: 'admin',
+            type: 'grant',
+            status: 'active',
+            productId,
+            plan: plan || null,
+            expiresAt,
+            recordedBy: req.user.id,
+            note,
+        });
+
+        res.status(201).json({ event, entitlement });
+    } catch (error) {
+        console.error('Entitlement grant error:', error);
+        res.status(500).json({ message: 'Failed to grant entitlement' });
+    }
+});
+
+/**
+ * POST /api/entitlements/:userId/revoke
+ * End an admin grant (owner admins). Store subscriptions are unaffected -
+ * they keep granting access until they expire at the source.
+ * Body: { note? }
+ */
+router.post('/:userId/revoke', requireOwner, async (req, res) => {
+    try {
+        const account = await findAccount(req.params.userId, { includeUnverifiedEmail: true });
+        if (!account) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { event, entitlement } = await recordEntitlementEvent({
+            account,
+            source: 'admin',
+            type: 'revoke',
+            status: 'expired',
+            expiresAt: new Date(),
+            recordedBy: req.user.id,
+            note: req.body.note,
+        });
+
+        res.json({ event, entitlement });
+    } catch (error) {
+        console.error('Entitlement revoke error:', error);
+        res.status(500).json({ message: 'Failed to revoke entitlement' });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const Book = require('../models/Book');
 const Playlist = require('../models/Playlist');
 const Lesson = require('../models/Lesson');
 const mongoose = require('mongoose');
+const { requireAdmin, requireEditor } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 
 // Helper to fetch content details by type
 const fetchContentDetails = async (item) => {
@@ -152,7 +154,7 @@ router.get('/config/:section', async (req, res) => {
  * PUT /api/featured/config/:section
  * Update configuration for a specific featured section (from portal)
  */
-router.put('/config/:section', async (req, res) => {
+router.put('/config/:section', requireEditor, auditTrail('FeaturedContent', FeaturedContent, { target: (req) => ({ section: req.params.section }) }), async (req, res) => {
     try {
         const { section } = req.params;
         const { title, subtitle, items, maxItems, skipButtonText, showSkipButton } = req.body;
@@ -195,7 +197,7 @@ router.put('/config/:section', async (req, res) => {
  * Get all available books, playlists, lessons for selection in portal
  * Returns combined content array for portal UI
  */
-router.get('/available-content', async (req, res) => {
+router.get('/available-content', requireAdmin, async (req, res) => {
     try {
         // Get all published books (coverImage is in files.coverImage)
         const books = await Book.find({ status: 'published' })
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Game = require('../models/Game');
+const { requireAdmin } = require('../middleware/auth');
 
 // GET all games
 router.get('/', async (req, res) => {
@@ -85,7 +86,7 @@ router.get('/:gameId', async (req, res) => {
 });
 
 // POST create or update game
-router.post('/', async (req, res) => {
+router.post('/', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(500).json({ 
@@ -156,7 +157,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update game
-router.put('/:gameId', async (req, res) => {
+router.put('/:gameId', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(500).json({ 
@@ -196,7 +197,7 @@ router.put('/:gameId', async (req, res) => {
 });
 
 // PUT toggle enabled/disabled
-router.put('/:gameId/toggle', async (req, res) => {
+router.put('/:gameId/toggle', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(500).json({ 
@@ -220,7 +221,7 @@ router.put('/:gameId/toggle', async (req, res) => {
 });
 
 // DELETE game
-router.delete('/:gameId', async (req, res) => {
+router.delete('/:gameId', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(500).json({ 
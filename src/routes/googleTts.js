@@ -3,37 +3,8 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const { bucket } = require('../config/storage');
-const textToSpeech = require('@google-cloud/text-to-speech');
-
-// Initialize Google Cloud TTS client at module load time (same pattern as storage.js)
-let ttsClient = null;
-
-// Try multiple methods to load credentials (matching storage.js pattern)
-const credentialsJson = process.env.GCS_CREDENTIALS_JSON || process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-const credentialsPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
-
-if (credentialsJson) {
-    try {
-        const credentials = JSON.parse(credentialsJson);
-        ttsClient = new textToSpeech.TextToSpeechClient({ credentials });
-        console.log('✅ Google TTS: Loaded credentials from GCS_CREDENTIALS_JSON');
-    } catch (e) {
-        console.error('❌ Google TTS: Failed to parse credentials JSON:', e.message);
-    }
-} else if (credentialsPath) {
-    try {
-        ttsClient = new textToSpeech.TextToSpeechClient();
-        console.log('✅ Google TTS: Using GOOGLE_APPLICATION_CREDENTIALS file');
-    } catch (e) {
-        console.error('❌ Google TTS: Failed to load from credentials file:', e.message);
-    }
-} else {
-    console.error('❌ Google TTS: No credentials configured (need GCS_CREDENTIALS_JSON or GOOGLE_APPLICATION_CREDENTIALS)');
-}
-
-const getTTSClient = () => {
-    return ttsClient;
-};
+// Shared Google Cloud TTS client and provider fallback chain (services/ttsProviders.js)
+const { getGoogleTtsClient: getTTSClient, synthesizeWithFallback } = require('../services/ttsProviders');
 
 // Available Google TTS voices (curated list of high-quality voices for radio)
 const AVAILABLE_VOICES = [
@@ -82,7 +53,7 @@ const AVAILABLE_VOICES = [
 ];
 
 // Helper to save audio buffer to GCS or local
-const saveAudioFile = async (buffer, filename) => {
+const saveAudioFile = async (buffer, filename, contentType = 'audio/mpeg') => {
     const filePath = `radio/tts/${filename}`;
 
     if (bucket && process.env.GCS_BUCKET_NAME) {
@@ -90,7 +61,7 @@ const saveAudioFile = async (buffer, filename) => {
             const blob = bucket.file(filePath);
             const blobStream = blob.createWriteStream({
                 metadata: {
-                    contentType: 'audio/mpeg',
+                    contentType,
                 },
             });
 
@@ -213,47 +184,26 @@ router.post('/generate', async (req, res) => {
             return res.status(400).json({ message: 'Text is required' });
         }
 
-        const client = getTTSClient();
-        if (!client) {
-            return res.status(500).json({ 
-                message: 'Google TTS not configured',
-                hint: 'Set GCS_CREDENTIALS_JSON environment variable with service account credentials'
-            });
-        }
-
         const selectedVoice = voiceName || 'en-US-Chirp3-HD-Enceladus';
         console.log(`🎙️ Generating TTS: "${text.substring(0, 50)}..." with voice ${selectedVoice}`);
 
-        // Prepare the request
-        const request = {
-            input: { text },
-            voice: {
-                languageCode: languageCode || 'en-US',
-                name: selectedVoice,
-            },
-            audioConfig: {
-                audioEncoding: 'MP3',
-                pitch: pitch || 0,
-                speakingRate: speakingRate || 1.0,
-                effectsProfileId: ['headphone-class-device'],
-            },
-        };
-
-        const [response] = await client.synthesizeSpeech(request);
-
-        if (!response.audioContent) {
-            throw new Error('No audio content in response');
-        }
-
-        // audioContent is already a Buffer
-        const audioBuffer = response.audioContent;
+        // The Google voice first, then down the TTS provider chain if Google fails
+        const result = await synthesizeWithFallback({
+            text,
+            voiceId: selectedVoice,
+            languageCode: languageCode || 'en-US',
+            provider: 'google',
+            pitch,
+            speakingRate,
+        });
+        const audioBuffer = result.audio;
 
         // Generate unique filename
         const hash = crypto.createHash('md5').update(text + voiceName + Date.now()).digest('hex');
-        const filename = `radio_${hash}.mp3`;
+        const filename = `radio_${hash}.${result.contentType === 'audio/wav' ? 'wav' : 'mp3'}`;
 
         // Save to GCS
-        const audioUrl = await saveAudioFile(audioBuffer, filename);
+        const audioUrl = await saveAudioFile(audioBuffer, filename, result.contentType);
 
         // Estimate duration (rough: ~150 words per minute for normal speech)
         const wordCount = text.split(/\s+/).length;
@@ -266,7 +216,9 @@ router.post('/generate', async (req, res) => {
             audioBase64: audioUrl ? null : audioBuffer.toString('base64'),
             duration: estimatedDuration,
             text,
-            voice: selectedVoice,
+            voice: result.voiceId,
+            provider: result.provider,
+            fallback: result.fallback,
         });
 
     } catch (error) {
@@ -1,33 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
 const { runSubscriptionCheck } = require('../jobs/subscriptionChecker');
-
-// Admin API key for protected job endpoints
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY || process.env.MIGRATION_API_KEY;
-
-/**
- * Middleware to verify admin API key
- */
-const verifyAdminKey = (req, res, next) => {
-    const apiKey = req.headers['x-admin-api-key'] || req.headers['x-migration-api-key'];
-    
-    if (!ADMIN_API_KEY) {
-        return res.status(500).json({ error: 'Admin API key not configured' });
-    }
-
-    if (!apiKey || apiKey !== ADMIN_API_KEY) {
-        return res.status(401).json({ error: 'Invalid or missing admin API key' });
-    }
-
-    next();
-};
+const { runScheduledPublishing } = require('../jobs/publishScheduler');
+const { runJobQueue } = require('../jobs/jobWorker');
+const { runContentMetricsRollup } = require('../jobs/contentMetricsRollup');
+const { runWeeklyParentReports } = require('../jobs/weeklyParentReports');
+const { runRadioPlayLog } = require('../jobs/radioPlayLog');
+const { serializeJob, getJobTypes, jobOwnerFor } = require('../services/jobQueue');
+const { requireAdmin } = require('../middleware/auth');
 
 /**
  * POST /api/jobs/check-subscriptions
  * Manually trigger the subscription check job
- * Requires X-Admin-API-Key header
+ * Requires an admin token or X-Admin-API-Key header
  */
-router.post('/check-subscriptions', verifyAdminKey, async (req, res) => {
+router.post('/check-subscriptions', requireAdmin, async (req, res) => {
     console.log('📋 Subscription check job triggered manually');
 
     try {
@@ -55,6 +44,97 @@ router.post('/check-subscriptions', verifyAdminKey, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/jobs/publish-scheduled
+ * Publish scheduled books/series whose publishAt has passed (normally runs every minute)
+ */
+router.post('/publish-scheduled', requireAdmin, async (req, res) => {
+    try {
+        const result = await runScheduledPublishing();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('Error running scheduled publishing:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/jobs/run-queue
+ * Run every due background job now (the worker normally polls every few seconds)
+ */
+router.post('/run-queue', requireAdmin, async (req, res) => {
+    try {
+        const result = await runJobQueue();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('Error running job queue:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/jobs/rollup-content-metrics
+ * Roll play events up into daily content metrics now (normally runs hourly)
+ * Body: { from? } - re-roll every day since this date (max 29 days back)
+ */
+router.post('/rollup-content-metrics', requireAdmin, async (req, res) => {
+    try {
+        const { from } = req.body || {};
+        if (from && isNaN(new Date(from).getTime())) {
+            return res.status(400).json({ success: false, error: 'from must be a valid date' });
+        }
+
+        const result = await runContentMetricsRollup({ from });
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('Error running content metrics rollup:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/jobs/send-weekly-reports
+ * Send parent weekly reports that are due now (normally runs hourly)
+ */
+router.post('/send-weekly-reports', requireAdmin, async (req, res) => {
+    try {
+        const result = await runWeeklyParentReports();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('Error sending weekly parent reports:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/jobs/log-radio-plays
+ * Credit radio library play counts for segments aired since the last run (normally runs every minute)
+ */
+router.post('/log-radio-plays', requireAdmin, async (req, res) => {
+    try {
+        const result = await runRadioPlayLog();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('Error logging radio plays:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
 /**
  * GET /api/jobs/status
  * Check if job routes are working
@@ -69,11 +149,179 @@ router.get('/status', (req, res) => {
                 path: '/api/jobs/check-subscriptions',
                 description: 'Check subscription status for migrated users',
                 requiresAuth: true,
-            }
+            },
+            {
+                name: 'publish-scheduled',
+                method: 'POST',
+                path: '/api/jobs/publish-scheduled',
+                description: 'Publish scheduled books and series whose publishAt has passed',
+                requiresAuth: true,
+            },
+            {
+                name: 'run-queue',
+                method: 'POST',
+                path: '/api/jobs/run-queue',
+                description: 'Run queued background jobs (TTS, quiz, translation, radio generation)',
+                requiresAuth: true,
+            },
+            {
+                name: 'rollup-content-metrics',
+                method: 'POST',
+                path: '/api/jobs/rollup-content-metrics',
+                description: 'Roll play events up into permanent daily content metrics',
+                requiresAuth: true,
+            },
+            {
+                name: 'send-weekly-reports',
+                method: 'POST',
+                path: '/api/jobs/send-weekly-reports',
+                description: 'Email parents last week\'s activity report (from Monday 8am local)',
+                requiresAuth: true,
+            },
+            {
+                name: 'log-radio-plays',
+                method: 'POST',
+                path: '/api/jobs/log-radio-plays',
+                description: 'Credit radio library play counts and last-played times as segments air',
+                requiresAuth: true,
+            },
         ],
+        queuedJobTypes: getJobTypes(),
     });
 });
 
+/**
+ * GET /api/jobs
+ * List background jobs (admin)
+ * Query params: status, type, page, limit (max 100 per page)
+ */
+router.get('/', requireAdmin, async (req, res) => {
+    try {
+        const { status, type } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (type) filter.type = type;
+
+        const [total, jobs] = await Promise.all([
+            Job.countDocuments(filter),
+            Job.find(filter)
+                .select('-result -payload')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+        ]);
+
+        res.json({
+            data: jobs.map(serializeJob),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: page * limit < total,
+            },
+        });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Load a job the caller may see: whoever queued it (account, or guest device/session), or any admin.
+// Jobs without an owner are admin-only.
+const loadJobForRequest = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: 'Job not found' });
+        return null;
+    }
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+        res.status(404).json({ message: 'Job not found' });
+        return null;
+    }
+    const isAdmin = req.user?.role === 'admin';
+    const owner = jobOwnerFor(req.user);
+    if (!isAdmin && (!owner || job.createdBy !== owner)) {
+        res.status(404).json({ message: 'Job not found' });
+        return null;
+    }
+    return job;
+};
+
+/**
+ * GET /api/jobs/:id
+ * Status, progress and (once completed) result of a background job
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await loadJobForRequest(req, res);
+        if (!job) return;
+        res.json(serializeJob(job));
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Queue a failed or cancelled job again with a fresh set of attempts (admin)
+ */
+router.post('/:id/retry', requireAdmin, async (req, res) => {
+    try {
+        const job = await Job.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['failed', 'cancelled'] } },
+            {
+                $set: {
+                    status: 'queued',
+                    attempts: 0,
+                    error: null,
+                    result: null,
+                    runAt: new Date(),
+                    startedAt: null,
+                    completedAt: null,
+                    progress: { percent: 0, message: null, current: null, total: null },
+                },
+            },
+            { new: true }
+        );
+        if (!job) {
+            return res.status(409).json({ message: 'Only failed or cancelled jobs can be retried' });
+        }
+        console.log(`🔁 Job ${job._id} requeued by ${req.user.id}`);
+        res.json(serializeJob(job));
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job (admin)
+ * A running job stops at its next progress report.
+ */
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+    try {
+        const job = await Job.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['queued', 'running'] } },
+            { $set: { status: 'cancelled', completedAt: new Date(), lockedBy: null, lockedAt: null } },
+            { new: true }
+        );
+        if (!job) {
+            return res.status(409).json({ message: 'Only queued or running jobs can be cancelled' });
+        }
+        console.log(`🛑 Job ${job._id} cancelled by ${req.user.id}`);
+        res.json(serializeJob(job));
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 module.exports = router;
 
 
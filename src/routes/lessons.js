@@ -6,6 +6,9 @@ const LessonDayPlan = require('../models/LessonDayPlan');
 const LessonWatchProgress = require('../models/LessonWatchProgress');
 const { generateActivityFromDevotional } = require('../services/aiService');
 const { notifyNewLesson } = require('../services/notificationService');
+const { requireAdmin, requireEditor, requireAuth } = require('../middleware/auth');
+const { callerOwnsIdentifier } = require('../services/accountService');
+const { auditTrail } = require('../middleware/audit');
 
 // ==========================
 // Daily Planner Helpers
@@ -288,7 +291,7 @@ router.get('/calendar', async (req, res) => {
 });
 
 // PUT /api/lessons/schedule - Assign a lesson to a specific date
-router.put('/schedule', async (req, res) => {
+router.put('/schedule', requireEditor, auditTrail('Lesson', Lesson, { target: (req) => (req.body.lessonId ? { _id: req.body.lessonId } : null) }), async (req, res) => {
     try {
         const { lessonId, date } = req.body;
         
@@ -399,7 +402,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/lessons - Create a new lesson
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, auditTrail('Lesson', Lesson), async (req, res) => {
     try {
         const lessonData = {
             title: req.body.title,
@@ -464,7 +467,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/lessons/:id - Update a lesson
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEditor, auditTrail('Lesson', Lesson), async (req, res) => {
     try {
         const lesson = await Lesson.findById(req.params.id);
         
@@ -510,7 +513,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/lessons/:id - Delete a lesson
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEditor, auditTrail('Lesson', Lesson), async (req, res) => {
     try {
         const lesson = await Lesson.findById(req.params.id);
         
@@ -563,13 +566,17 @@ router.get('/:id/completion', async (req, res) => {
 });
 
 // POST /api/lessons/:id/complete - Mark lesson as complete
-router.post('/:id/complete', async (req, res) => {
+// userId must be the caller's own account, device or kid profile id (admins: anyone)
+router.post('/:id/complete', requireAuth, async (req, res) => {
     try {
         const { userId, progress, activityResponse, coinsAwarded } = req.body;
         
         if (!userId) {
             return res.status(400).json({ message: 'userId is required' });
         }
+        if (!(await callerOwnsIdentifier(req.user, userId))) {
+            return res.status(403).json({ message: 'You can only complete lessons for your own family' });
+        }
         
         // Check if lesson exists
         const lesson = await Lesson.findById(req.params.id);
@@ -637,13 +644,17 @@ router.post('/:id/complete', async (req, res) => {
 });
 
 // GET /api/lessons/completions - Get all completions for a user
-router.get('/completions/user', async (req, res) => {
+// userId must be the caller's own account, device or kid profile id (admins: anyone)
+router.get('/completions/user', requireAuth, async (req, res) => {
     try {
         const { userId } = req.query;
         
         if (!userId) {
             return res.status(400).json({ message: 'userId is required' });
         }
+        if (!(await callerOwnsIdentifier(req.user, userId))) {
+            return res.status(403).json({ message: 'You can only view your own lesson completions' });
+        }
         
         const completions = await LessonCompletion.find({ userId: userId })
             .populate('lessonId')
@@ -657,7 +668,7 @@ router.get('/completions/user', async (req, res) => {
 });
 
 // POST /api/lessons/generate-activity - Generate activity from devotional content using AI
-router.post('/generate-activity', async (req, res) => {
+router.post('/generate-activity', requireAdmin, async (req, res) => {
     try {
         const { devotionalContent, activityType } = req.body;
         
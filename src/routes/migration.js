@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const User = require('../models/User');
+const { recordEntitlementEvent } = require('../services/entitlementService');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { findAccount, findAccountById, isOwnIdentifier, normalizeEmail } = require('../services/accountService');
 
 // Configuration for old backend
 // IMPORTANT: API key must be set via environment variable - never hardcode secrets
@@ -12,16 +15,29 @@ const MIGRATION_API_KEY = process.env.MIGRATION_API_KEY; // Required env variabl
 /**
  * POST /api/migration/restore-subscription
  * Called when user presses "Restore Purchase" in the new app
- * Checks the old backend for subscription status and updates the user in the new backend
+ * Checks the old backend for subscription status and updates the signed-in account
+ * Body: { email? } - defaults to the account's email; must be one of its verified
+ * addresses (admins: any verified address, restoring that address's account)
  */
-router.post('/restore-subscription', async (req, res) => {
+router.post('/restore-subscription', requireRole('parent', 'admin'), async (req, res) => {
     try {
-        const { email } = req.body;
+        const account = req.user.role === 'admin' && req.body.email
+            ? await findAccount(req.body.email)
+            : await findAccountById(req.user.id);
 
-        if (!email) {
-            return res.status(400).json({ 
+        if (!account) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Account not found' 
+            });
+        }
+
+        const email = normalizeEmail(req.body.email || account.email || '');
+        if (!email || !account.emailVerified || !isOwnIdentifier(account, email)) {
+            return res.status(403).json({ 
                 success: false, 
-                message: 'Email is required' 
+                message: 'Verify your email address before restoring a subscription from the old app',
+                code: 'EMAIL_NOT_VERIFIED'
             });
         }
 
@@ -98,9 +114,6 @@ router.post('/restore-subscription', async (req, res) => {
             new Date(expiryDate).getTime() > Date.now()
         );
 
-        // Find or inform about the user in the new backend
-        const userInNewBackend = await User.findOne({ email: email.toLowerCase().trim() });
-
         // Convert dates to proper format
         const expiryDateParsed = subscriptionData.subscriptionExpiryDate 
             ? new Date(subscriptionData.subscriptionExpiryDate) 
@@ -109,37 +122,24 @@ router.post('/restore-subscription', async (req, res) => {
             ? new Date(subscriptionData.subscriptionStartDate) 
             : null;
 
-        if (!userInNewBackend) {
-            return res.json({
-                success: true,
-                found: true,
-                subscriptionFound: isPaid,
-                isActive,
-                message: 'Subscription found but please create an account in the new app first with the same email',
-                subscriptionData: {
-                    membership: subscriptionData.membership,
-                    subscriptionExpiryDate: expiryDateParsed,
-                    subscriptionStartDate: startDateParsed,
-                    isTrialUsed: subscriptionData.isTrialUsed || false,
-                }
-            });
-        }
-
         // Update user in new backend if they have an active subscription
         if (isActive) {
-            const updateData = {
-                isPremium: true,
-                subscriptionStatus: 'active',
-                subscriptionExpiryDate: expiryDateParsed,
-                subscriptionStartDate: startDateParsed,
-                migratedFromOldApp: true,
-                oldAppUserId: subscriptionData._id,
-                isTrialUsed: subscriptionData.isTrialUsed || false,
-            };
-
-            await User.findByIdAndUpdate(userInNewBackend._id, updateData);
+            account.migratedFromOldApp = true;
+            account.oldAppUserId = subscriptionData._id;
+            account.isTrialUsed = subscriptionData.isTrialUsed || false;
+            account.subscriptionStartDate = startDateParsed;
+
+            await recordEntitlementEvent({
+                account,
+                source: 'legacy',
+                type: 'restore',
+                status: 'active',
+                startsAt: startDateParsed,
+                expiresAt: expiryDateParsed,
+                recordedBy: 'restore-subscription',
+            });
             
-            console.log(`✅ Migration: Updated user ${userInNewBackend._id} with subscription from old app`);
+            console.log(`✅ Migration: Updated user ${account._id} with subscription from old app`);
 
             return res.json({
                 success: true,
@@ -161,7 +161,7 @@ router.post('/restore-subscription', async (req, res) => {
                 isTrialUsed: subscriptionData.isTrialUsed || false,
             };
 
-            await User.findByIdAndUpdate(userInNewBackend._id, updateData);
+            await User.findByIdAndUpdate(account._id, updateData);
 
             return res.json({
                 success: true,
@@ -246,11 +246,14 @@ router.post('/check-renewal', async (req, res) => {
 
         if (isActive) {
             // Subscription has been renewed
-            await User.findByIdAndUpdate(userId, {
-                isPremium: true,
-                subscriptionStatus: subscriptionData.isTrialActive ? 'trial' : 'active',
-                subscriptionExpiryDate: subscriptionData.subscriptionExpiryDate,
-                subscriptionStartDate: subscriptionData.subscriptionStartDate,
+            await recordEntitlementEvent({
+                account: user,
+                source: 'legacy',
+                type: 'renewal',
+                status: subscriptionData.isTrialActive ? 'trial' : 'active',
+                startsAt: subscriptionData.subscriptionStartDate,
+                expiresAt: subscriptionData.subscriptionExpiryDate,
+                recordedBy: 'check-renewal',
             });
 
             return res.json({
@@ -281,7 +284,7 @@ router.post('/check-renewal', async (req, res) => {
  * GET /api/migration/status/:email
  * Check migration status for a user by email (for debugging)
  */
-router.get('/status/:email', async (req, res) => {
+router.get('/status/:email', requireAdmin, async (req, res) => {
     try {
         const { email } = req.params;
         
@@ -291,7 +294,7 @@ router.get('/status/:email', async (req, res) => {
                 email: 1, 
                 isPremium: 1, 
                 subscriptionStatus: 1,
-                subscriptionExpiryDate: 1,
+                subscriptionEndDate: 1,
                 subscriptionStartDate: 1,
                 migratedFromOldApp: 1,
                 oldAppUserId: 1,
@@ -310,7 +313,7 @@ router.get('/status/:email', async (req, res) => {
                 email: user.email,
                 isPremium: user.isPremium,
                 subscriptionStatus: user.subscriptionStatus,
-                subscriptionExpiryDate: user.subscriptionExpiryDate,
+                subscriptionExpiryDate: user.subscriptionEndDate,
                 subscriptionStartDate: user.subscriptionStartDate,
                 migratedFromOldApp: user.migratedFromOldApp,
                 oldAppUserId: user.oldAppUserId,
@@ -333,7 +336,7 @@ router.get('/status/:email', async (req, res) => {
  * POST /api/migration/test
  * Test endpoint to debug old backend connection
  */
-router.post('/test', async (req, res) => {
+router.post('/test', requireAdmin, async (req, res) => {
     try {
         const { email } = req.body;
 
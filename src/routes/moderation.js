@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const BookComment = require('../models/BookComment');
+const PlaylistComment = require('../models/PlaylistComment');
+const Book = require('../models/Book');
+const Playlist = require('../models/Playlist');
+const ModerationConfig = require('../models/ModerationConfig');
+const { requireOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const {
+    BUILT_IN_BLOCKED_WORDS,
+    getModerationConfig,
+    clearModerationConfigCache,
+    moderateText,
+} = require('../services/moderationService');
+
+// Every route here is mounted behind requireAdmin in src/index.js
+
+const COMMENT_TYPES = {
+    book: { Model: BookComment, parentField: 'bookId', Parent: Book, auditType: 'BookComment' },
+    playlist: { Model: PlaylistComment, parentField: 'playlistId', Parent: Playlist, auditType: 'PlaylistComment' },
+};
+
+/**
+ * GET /api/moderation/queue
+ * Comments waiting for review (oldest first)
+ * Query params:
+ *   type   - book | playlist (default: both)
+ *   status - pending (default) | rejected | approved
+ *   limit  - max 200
+ */
+router.get('/queue', async (req, res) => {
+    try {
+        const { type, status = 'pending' } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 200);
+
+        const types = type ? [type] : Object.keys(COMMENT_TYPES);
+        if (types.some(t => !COMMENT_TYPES[t])) {
+            return res.status(400).json({ message: 'type must be book or playlist' });
+        }
+
+        const results = await Promise.all(types.map(async (commentType) => {
+            const { Model, parentField, Parent } = COMMENT_TYPES[commentType];
+            const comments = await Model.find({ moderationStatus: status })
+                .sort({ createdAt: 1 })
+                .limit(limit)
+                .lean();
+
+            // Attach the book/playlist title for context
+            const parentIds = [...new Set(comments.map(c => c[parentField].toString()))];
+            const parents = await Parent.find({ _id: { $in: parentIds } }).select('title').lean();
+            const titles = {};
+            parents.forEach(parent => { titles[parent._id.toString()] = parent.title; });
+
+            return comments.map(comment => ({
+                ...comment,
+                type: commentType,
+                parentTitle: titles[comment[parentField].toString()] || null,
+            }));
+        }));
+
+        const queue = results.flat()
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .slice(0, limit);
+
+        res.json({ status, count: queue.length, comments: queue });
+    } catch (error) {
+        console.error('Moderation queue error:', error);
+        res.status(500).json({ message: 'Failed to fetch moderation queue', error: error.message });
+    }
+});
+
+/**
+ * GET /api/moderation/stats
+ * Comment counts per moderation status
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const stats = {};
+        for (const [commentType, { Model }] of Object.entries(COMMENT_TYPES)) {
+            const counts = await Model.aggregate([
+                { $group: { _id: { $ifNull: ['$moderationStatus', 'approved'] }, count: { $sum: 1 } } },
+            ]);
+            stats[commentType] = { approved: 0, pending: 0, rejected: 0 };
+            counts.forEach(({ _id, count }) => { stats[commentType][_id] = count; });
+        }
+        res.json(stats);
+    } catch (error) {
+        console.error('Moderation stats error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// POST /comments/:type/:id/approve and /reject
+const reviewComment = (decision) => async (req, res) => {
+    try {
+        const { reason } = req.body || {};
+        const { Model } = COMMENT_TYPES[req.params.type];
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const comment = await Model.findByIdAndUpdate(
+            req.params.id,
+            {
+                $set: {
+                    moderationStatus: decision,
+                    'moderation.reviewedBy': req.user.id,
+                    'moderation.reviewedAt': new Date(),
+                    'moderation.reason': decision === 'rejected' ? (reason || null) : null,
+                },
+            },
+            { new: true }
+        );
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        console.log(`🛡️ ${req.params.type} comment ${comment._id} ${decision} by ${req.user.id}`);
+        res.json(comment);
+    } catch (error) {
+        console.error(`Comment ${decision} error:`, error);
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Validate :type before the audit middleware needs the model
+const resolveCommentType = (req, res, next) => {
+    if (!COMMENT_TYPES[req.params.type]) {
+        return res.status(400).json({ message: 'type must be book or playlist' });
+    }
+    next();
+};
+
+const auditComment = (req, res, next) => {
+    const { Model, auditType } = COMMENT_TYPES[req.params.type];
+    return auditTrail(auditType, Model)(req, res, next);
+};
+
+/**
+ * POST /api/moderation/comments/:type/:id/approve
+ * Publish a held comment (type: book | playlist)
+ */
+router.post('/comments/:type/:id/approve', resolveCommentType, auditComment, reviewComment('approved'));
+
+/**
+ * POST /api/moderation/comments/:type/:id/reject
+ * Keep a comment hidden. Body: { reason } (optional, portal only)
+ */
+router.post('/comments/:type/:id/reject', resolveCommentType, auditComment, reviewComment('rejected'));
+
+/**
+ * POST /api/moderation/check
+ * Dry-run the pipeline on some text without saving anything. Body: { text }
+ */
+router.post('/check', async (req, res) => {
+    try {
+        const { text } = req.body;
+        if (!text) {
+            return res.status(400).json({ message: 'text is required' });
+        }
+        res.json(await moderateText(text));
+    } catch (error) {
+        console.error('Moderation check error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * GET /api/moderation/settings
+ * Word lists and pipeline switches
+ */
+router.get('/settings', async (req, res) => {
+    try {
+        const config = await getModerationConfig();
+        res.json({ ...config, builtInBlockedWords: BUILT_IN_BLOCKED_WORDS });
+    } catch (error) {
+        console.error('Moderation settings error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * PUT /api/moderation/settings
+ * Update word lists and switches (owners only)
+ * Body: { blockedWords, allowedWords, piiDetection, aiEnabled, holdAllComments }
+ */
+router.put('/settings', requireOwner, auditTrail('ModerationConfig', ModerationConfig, { target: () => ({}) }), async (req, res) => {
+    try {
+        const updates = {};
+        for (const field of ['blockedWords', 'allowedWords']) {
+            if (req.body[field] === undefined) continue;
+            if (!Array.isArray(req.body[field])) {
+                return res.status(400).json({ message: `${field} must be an array of words` });
+            }
+            updates[field] = [...new Set(req.body[field].map(word => String(word).trim().toLowerCase()).filter(Boolean))];
+        }
+        ['piiDetection', 'aiEnabled', 'holdAllComments'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field] === true;
+        });
+        updates.updatedBy = req.user.id;
+
+        await getModerationConfig(); // Make sure the document exists
+        const config = await ModerationConfig.findOneAndUpdate({}, { $set: updates }, { new: true }).lean();
+        clearModerationConfigCache();
+
+        console.log(`🛡️ Moderation settings updated by ${req.user.id}`);
+        res.json({ ...config, builtInBlockedWords: BUILT_IN_BLOCKED_WORDS });
+    } catch (error) {
+        console.error('Update moderation settings error:', error);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Music = require('../models/Music');
+const { requireAdmin } = require('../middleware/auth');
 
 // GET /api/music - Get all music tracks
 router.get('/', async (req, res) => {
@@ -51,7 +52,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/music - Create a new track (admin)
-router.post('/', async (req, res) => {
+router.post('/', requireAdmin, async (req, res) => {
     try {
         const track = new Music(req.body);
         await track.save();
@@ -63,7 +64,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/music/:id - Update a track (admin)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAdmin, async (req, res) => {
     try {
         const track = await Music.findByIdAndUpdate(
             req.params.id,
@@ -81,7 +82,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/music/:id - Delete a track (admin)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAdmin, async (req, res) => {
     try {
         const track = await Music.findByIdAndDelete(req.params.id);
         if (!track) {
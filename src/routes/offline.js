@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const OfflinePackage = require('../models/OfflinePackage');
+const {
+    CONTENT_TYPES,
+    isKnownVoice,
+    loadContent,
+    buildPackage,
+    diffPackages,
+    toManifest,
+    signPackage,
+} = require('../services/offlinePackageService');
+const { gcsPathFromUrl, getSignedUrl } = require('../config/storage');
+const {
+    MEMBERS_ONLY_MESSAGE,
+    isStaff,
+    canAccessMembersContent,
+    isBookMembersOnly,
+} = require('../services/contentAccessService');
+
+// Resolve :contentType/:id, answering 404 for anything unknown (400 for an unknown voiceId)
+const parseTarget = async (req, res) => {
+    const contentType = CONTENT_TYPES[req.params.contentType];
+    if (!contentType) {
+        res.status(404).json({ message: `Unknown content type '${req.params.contentType}' (use books, playlists or lessons)` });
+        return null;
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: `${contentType} not found` });
+        return null;
+    }
+    if (contentType === 'Book' && req.query.voiceId !== undefined && !(await isKnownVoice(req.params.id, req.query.voiceId))) {
+        res.status(400).json({ message: `Unknown voiceId '${req.query.voiceId}'` });
+        return null;
+    }
+    return {
+        contentType,
+        contentId: req.params.id,
+        options: {
+            voiceId: req.query.voiceId,
+            // Portal previews of unpublished content
+            includeUnpublished: req.user?.role === 'admin' && req.query.preview === 'true',
+        },
+    };
+};
+
+// Books (flag or series) and playlists with any members-only item
+const isMembersOnlyContent = async (contentType, doc) => {
+    if (contentType === 'Book') return isBookMembersOnly(doc);
+    if (contentType === 'Playlist') {
+        return !!(doc.isMembersOnly || (doc.items || []).some(item => item.isMembersOnly));
+    }
+    return false;
+};
+
+/**
+ * Load the content and check access before any package is built (building stores
+ * package versions and looks up asset sizes). 404 for unknown content, 403 for
+ * members-only content without a membership.
+ * Returns { doc, prepareAssets } - members get a signed `downloadUrl` next to each bucket
+ * asset (`url` stays the stored one the manifest hash covers) - or null when the
+ * response was already sent.
+ */
+const authorizeContent = async (req, res, target) => {
+    const doc = await loadContent(target.contentType, target.contentId, target.options);
+    if (!doc) {
+        res.status(404).json({ message: `${target.contentType} not found` });
+        return null;
+    }
+
+    const keepAssets = async (assets) => assets;
+    if (isStaff(req) || !(await isMembersOnlyContent(target.contentType, doc))) {
+        return { doc, prepareAssets: keepAssets };
+    }
+
+    if (!(await canAccessMembersContent(req))) {
+        res.status(403).json({ message: MEMBERS_ONLY_MESSAGE, code: 'MEMBERS_ONLY' });
+        return null;
+    }
+    const prepareAssets = (assets) => Promise.all(assets.map(async asset => (
+        gcsPathFromUrl(asset.url) ? { ...asset, downloadUrl: await getSignedUrl(asset.url) } : asset
+    )));
+    return { doc, prepareAssets };
+};
+
+/**
+ * GET /api/offline/:contentType/:id/manifest
+ * Signed download manifest for a book, playlist or lesson
+ * contentType: books | playlists | lessons
+ * Query params:
+ *   voiceId - (books) narration voice; defaults to the book's narrator voice
+ *   preview - (admins) allow unpublished content
+ */
+router.get('/:contentType/:id/manifest', async (req, res) => {
+    try {
+        const target = await parseTarget(req, res);
+        if (!target) return;
+
+        const access = await authorizeContent(req, res, target);
+        if (!access) return;
+        const { doc, prepareAssets } = access;
+
+        const pkg = await buildPackage(target.contentType, target.contentId, { ...target.options, doc });
+
+        const manifest = toManifest(pkg);
+        res.set('ETag', `"${pkg.manifestHash}"`);
+        res.json({ ...manifest, assets: await prepareAssets(manifest.assets) });
+    } catch (error) {
+        console.error('Offline manifest error:', error);
+        res.status(500).json({ message: 'Failed to build offline manifest', error: error.message });
+    }
+});
+
+/**
+ * GET /api/offline/:contentType/:id/delta?since=<version>
+ * Which assets changed since the version the app downloaded
+ * Returns added/changed assets to download and removed asset keys to delete.
+ * fullDownloadRequired is true when `since` is too old (or unknown) to diff against.
+ */
+router.get('/:contentType/:id/delta', async (req, res) => {
+    try {
+        const target = await parseTarget(req, res);
+        if (!target) return;
+
+        const since = parseInt(req.query.since);
+        if (!Number.isFinite(since) || since < 1) {
+            return res.status(400).json({ message: 'since must be a package version number' });
+        }
+
+        const access = await authorizeContent(req, res, target);
+        if (!access) return;
+        const { doc, prepareAssets } = access;
+
+        const current = await buildPackage(target.contentType, target.contentId, { ...target.options, doc });
+
+        const base = {
+            contentType: current.contentType,
+            contentId: current.contentId,
+            variant: current.variant || null,
+            fromVersion: since,
+            toVersion: current.version,
+            manifestHash: current.manifestHash,
+            signature: signPackage(current),
+            signatureAlgorithm: 'HMAC-SHA256',
+        };
+
+        if (since === current.version) {
+            return res.json({ ...base, upToDate: true, added: [], changed: [], removed: [], contentChanged: false, downloadBytes: 0 });
+        }
+
+        const previous = since < current.version
+            ? await OfflinePackage.findOne({
+                contentType: current.contentType,
+                contentId: current.contentId,
+                variant: current.variant,
+                version: since,
+            }).lean()
+            : null;
+
+        if (!previous) {
+            return res.json({ ...base, fullDownloadRequired: true, manifestUrl: `${req.baseUrl}/${req.params.contentType}/${req.params.id}/manifest` });
+        }
+
+        const delta = diffPackages(previous, current);
+        res.json({
+            ...base,
+            upToDate: false,
+            ...delta,
+            added: await prepareAssets(delta.added),
+            changed: await prepareAssets(delta.changed),
+            // Only sent when it changed - replaces the app's stored copy
+            content: delta.contentChanged ? current.content : undefined,
+        });
+    } catch (error) {
+        console.error('Offline delta error:', error);
+        res.status(500).json({ message: 'Failed to build offline delta', error: error.message });
+    }
+});
+
+module.exports = router;
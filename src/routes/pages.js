@@ -2,6 +2,28 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Page = require('../models/Page');
+const Book = require('../models/Book');
+const PageVersion = require('../models/PageVersion');
+const { requireAdmin, requireEditor } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const {
+    recordPageVersion,
+    ensureBaseline,
+    diffSnapshots,
+    planBookRestore,
+    restoreBook,
+} = require('../services/pageVersionService');
+const {
+    MEMBERS_ONLY_MESSAGE,
+    isStaff,
+    canAccessMembersContent,
+    isBookMembersOnly,
+    signAssetUrls,
+} = require('../services/contentAccessService');
+
+// Audit options for changes to all pages of a book
+const reorderedPages = { bulk: true, target: (req) => ({ bookId: String(req.body?.bookId?._id || req.body?.bookId) }) };
+const restoredPages = { bulk: true, target: (req) => ({ bookId: req.params.bookId }) };
 
 // GET all pages for a book
 router.get('/book/:bookId', async (req, res) => {
@@ -14,11 +36,18 @@ router.get('/book/:bookId', async (req, res) => {
             return res.json([]); // Return empty array for invalid IDs instead of error
         }
         
+        // Members-only books: no pages without a membership, signed file URLs with one
+        const book = await Book.findById(bookId).select('isMembersOnly').lean();
+        const membersOnly = book && !isStaff(req) && await isBookMembersOnly(book);
+        if (membersOnly && !(await canAccessMembersContent(req))) {
+            return res.status(403).json({ message: MEMBERS_ONLY_MESSAGE, code: 'MEMBERS_ONLY' });
+        }
+
         // Populate webView.gameId to include game URL for web view pages
         const pages = await Page.find({ bookId })
             .populate('webView.gameId', 'url name coverImage gameType')
             .sort({ pageNumber: 1 });
-        res.json(pages);
+        res.json(membersOnly ? await signAssetUrls(pages.map(page => page.toObject())) : pages);
     } catch (error) {
         console.error('❌ Error fetching pages:', error.message);
         res.status(500).json({ message: error.message });
@@ -26,7 +55,7 @@ router.get('/book/:bookId', async (req, res) => {
 });
 
 // POST create page
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, auditTrail('Page', Page), async (req, res) => {
     const page = new Page({
         bookId: req.body.bookId,
         pageNumber: req.body.pageNumber,
@@ -63,6 +92,7 @@ router.post('/', async (req, res) => {
 
     try {
         const newPage = await page.save();
+        await recordPageVersion(newPage, 'create', req.user.id);
         res.status(201).json(newPage);
     } catch (error) {
         console.error('Error saving page:', error);
@@ -71,11 +101,14 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update page
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEditor, auditTrail('Page', Page), async (req, res) => {
     try {
         const page = await Page.findById(req.params.id);
         if (!page) return res.status(404).json({ message: 'Page not found' });
 
+        // Keep the pre-edit state of pages that have no history yet
+        await ensureBaseline(page, req.user.id);
+
         // If textBoxes is being updated at root level, also update content.textBoxes
         // and clear the old content.textBoxes to avoid stale data conflicts
         if (req.body.textBoxes) {
@@ -104,6 +137,7 @@ router.put('/:id', async (req, res) => {
 
         Object.assign(page, req.body);
         const updatedPage = await page.save();
+        await recordPageVersion(updatedPage, 'update', req.user.id);
         res.json(updatedPage);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -111,12 +145,14 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE delete page
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEditor, auditTrail('Page', Page), async (req, res) => {
     try {
         const page = await Page.findById(req.params.id);
         if (!page) return res.status(404).json({ message: 'Page not found' });
 
+        await ensureBaseline(page, req.user.id);
         await page.deleteOne();
+        await recordPageVersion(page, 'delete', req.user.id);
         res.json({ message: 'Page deleted' });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -126,7 +162,7 @@ router.delete('/:id', async (req, res) => {
 // POST reorder pages for a book
 // Body: { bookId, pageOrder: [{ pageId: string, newPageNumber: number }] }
 // Uses two-phase update to avoid duplicate key conflicts on unique index
-router.post('/reorder', async (req, res) => {
+router.post('/reorder', requireEditor, auditTrail('Page', Page, reorderedPages), async (req, res) => {
     try {
         const { bookId, pageOrder } = req.body;
         
@@ -164,6 +200,12 @@ router.post('/reorder', async (req, res) => {
             });
         }
         
+        // Keep the pre-reorder state of pages that have no history yet
+        const pagesBefore = await Page.find({ bookId: bookIdStr });
+        for (const page of pagesBefore) {
+            await ensureBaseline(page, req.user.id);
+        }
+        
         // PHASE 1: Set all pages to temporary negative numbers to avoid conflicts
         // (unique index is on bookId + pageNumber, negative numbers won't conflict)
         console.log(`📄 Phase 1: Setting ${validPageOrders.length} pages to temporary negative numbers`);
@@ -188,6 +230,13 @@ router.post('/reorder', async (req, res) => {
         
         console.log(`📄 Updated ${updatedCount} pages`);
         
+        // Snapshot every page that moved
+        const movedPageIds = validPageOrders.map(({ pageId }) => pageId);
+        const movedPages = await Page.find({ _id: { $in: movedPageIds }, bookId: bookIdStr });
+        for (const page of movedPages) {
+            await recordPageVersion(page, 'reorder', req.user.id);
+        }
+        
         // Return the updated pages sorted by new page number
         const updatedPages = await Page.find({ bookId: bookIdStr })
             .populate('webView.gameId', 'url name coverImage gameType')
@@ -201,4 +250,116 @@ router.post('/reorder', async (req, res) => {
     }
 });
 
+// GET version history of a book's pages (newest first, without snapshot bodies)
+// Query params: pageId (optional - one page only), limit (default 100, max 500)
+router.get('/book/:bookId/versions', requireAdmin, async (req, res) => {
+    try {
+        const { bookId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(bookId)) {
+            return res.status(400).json({ message: 'Invalid bookId' });
+        }
+
+        const filter = { bookId };
+        if (req.query.pageId) filter.pageId = req.query.pageId;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        const versions = await PageVersion.find(filter)
+            .select('-snapshot')
+            .sort({ createdAt: -1, version: -1 })
+            .limit(limit)
+            .lean();
+
+        res.json(versions);
+    } catch (error) {
+        console.error('❌ Error fetching page versions:', error.message);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// GET a single page version including its full snapshot
+router.get('/versions/:versionId', requireAdmin, async (req, res) => {
+    try {
+        const version = await PageVersion.findById(req.params.versionId).lean();
+        if (!version) return res.status(404).json({ message: 'Version not found' });
+        res.json(version);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// GET diff between two versions of the same page
+// Use "current" as otherVersionId to compare against the live page
+router.get('/versions/:versionId/diff/:otherVersionId', requireAdmin, async (req, res) => {
+    try {
+        const version = await PageVersion.findById(req.params.versionId).lean();
+        if (!version) return res.status(404).json({ message: 'Version not found' });
+
+        let other;
+        if (req.params.otherVersionId === 'current') {
+            const page = await Page.findById(version.pageId).lean();
+            other = { version: 'current', snapshot: page ? JSON.parse(JSON.stringify(page)) : null };
+        } else {
+            other = await PageVersion.findById(req.params.otherVersionId).lean();
+            if (!other) return res.status(404).json({ message: 'Version not found' });
+            if (other.pageId.toString() !== version.pageId.toString()) {
+                return res.status(400).json({ message: 'Both versions must belong to the same page' });
+            }
+        }
+
+        res.json({
+            pageId: version.pageId,
+            from: { versionId: version._id, version: version.version, createdAt: version.createdAt },
+            to: { versionId: other._id || null, version: other.version, createdAt: other.createdAt || null },
+            changes: diffSnapshots(version.snapshot, other.snapshot),
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// POST restore every page of a book to its state at a point in time
+// Body: { at: ISO date, dryRun?: boolean }
+// dryRun returns the plan (pages to restore/remove) without changing anything
+router.post('/book/:bookId/restore', requireEditor, auditTrail('Page', Page, restoredPages), async (req, res) => {
+    try {
+        const { bookId } = req.params;
+        const at = new Date(req.body.at);
+
+        if (!mongoose.Types.ObjectId.isValid(bookId)) {
+            return res.status(400).json({ message: 'Invalid bookId' });
+        }
+        if (!req.body.at || isNaN(at.getTime())) {
+            return res.status(400).json({ message: 'at must be a valid date' });
+        }
+        if (at > new Date()) {
+            return res.status(400).json({ message: 'at cannot be in the future' });
+        }
+
+        if (req.body.dryRun) {
+            const plan = await planBookRestore(bookId, at);
+            return res.json({
+                dryRun: true,
+                at,
+                restore: plan.restore.map(({ snapshot, ...entry }) => entry),
+                remove: plan.remove,
+                unchanged: plan.unchanged.length,
+                skipped: plan.skipped,
+            });
+        }
+
+        console.log(`⏪ Restoring pages of book ${bookId} to ${at.toISOString()}`);
+        const result = await restoreBook(bookId, at, req.user.id);
+        console.log(`⏪ Restore done: ${result.restored.length} restored, ${result.removed.length} removed, ${result.errors.length} errors`);
+
+        const pages = await Page.find({ bookId })
+            .populate('webView.gameId', 'url name coverImage gameType')
+            .sort({ pageNumber: 1 });
+
+        res.json({ at, ...result, pages });
+    } catch (error) {
+        console.error('❌ Error restoring book pages:', error.message);
+        res.status(500).json({ message: error.message });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const AppUser = require('../models/AppUser');
+const { requireAuth } = require('../middleware/auth');
+const { findAccount } = require('../services/accountService');
+const { buildParentReport } = require('../services/parentReportService');
+const { isValidTimezone } = require('../utils/time');
+
+/**
+ * The signed-in parent may only see their own account (or any merged into it); admins see all
+ */
+const canAccess = (user, account) => {
+    if (user.role === 'admin') return true;
+    const ids = [account._id, ...(account.mergedAccountIds || [])].map(id => id.toString());
+    return ids.includes(user.id);
+};
+
+const loadAccount = async (req, res, options) => {
+    const account = await findAccount(req.params.userId, options);
+    if (!account) {
+        res.status(404).json({ message: 'Account not found' });
+        return null;
+    }
+    if (!canAccess(req.user, account)) {
+        res.status(403).json({ message: 'You do not have permission to view this account', code: 'FORBIDDEN' });
+        return null;
+    }
+    return account;
+};
+
+/**
+ * GET /api/parents/:userId/report
+ * Weekly activity per child: time spent, books finished, quiz scores by book,
+ * lessons completed and streaks
+ * Query: week (YYYY-MM-DD, any day in the week - default this week),
+ *        tz (IANA timezone - default the account's, else UTC)
+ */
+router.get('/:userId/report', requireAuth, async (req, res) => {
+    try {
+        const account = await loadAccount(req, res, { lean: true });
+        if (!account) return;
+
+        const timezone = req.query.tz || account.timezone || 'UTC';
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({ message: `Unknown timezone: ${timezone}` });
+        }
+
+        let date = new Date();
+        if (req.query.week) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query.week) || isNaN(new Date(`${req.query.week}T12:00:00Z`).getTime())) {
+                return res.status(400).json({ message: 'week must be a date (YYYY-MM-DD)' });
+            }
+            // Midday UTC lands on the same calendar day in every timezone
+            date = new Date(`${req.query.week}T12:00:00Z`);
+            if (date > new Date()) {
+                return res.status(400).json({ message: 'week cannot be in the future' });
+            }
+        }
+
+        const report = await buildParentReport(account, { date, timezone });
+        res.json({
+            ...report,
+            weeklyReportEmails: account.weeklyReportEmails !== false,
+        });
+    } catch (error) {
+        console.error('Parent report error:', error);
+        res.status(500).json({ message: 'Failed to build parent report' });
+    }
+});
+
+/**
+ * PUT /api/parents/:userId/report-settings
+ * Body: { weeklyEmail?: boolean, timezone?: string }
+ */
+router.put('/:userId/report-settings', requireAuth, async (req, res) => {
+    try {
+        const account = await loadAccount(req, res, { lean: true });
+        if (!account) return;
+
+        const { weeklyEmail, timezone } = req.body;
+        const update = {};
+        if (weeklyEmail !== undefined) {
+            if (typeof weeklyEmail !== 'boolean') {
+                return res.status(400).json({ message: 'weeklyEmail must be true or false' });
+            }
+            update.weeklyReportEmails = weeklyEmail;
+        }
+        if (timezone !== undefined) {
+            if (!isValidTimezone(timezone)) {
+                return res.status(400).json({ message: `Unknown timezone: ${timezone}` });
+            }
+            update.timezone = timezone;
+        }
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ message: 'Nothing to update' });
+        }
+
+        const updated = await AppUser.findByIdAndUpdate(account._id, { $set: update }, { new: true })
+            .select('timezone weeklyReportEmails').lean();
+
+        console.log(`📬 Report settings updated for ${account._id}:`, update);
+        res.json({
+            timezone: updated.timezone || null,
+            weeklyEmail: updated.weeklyReportEmails !== false,
+        });
+    } catch (error) {
+        console.error('Report settings error:', error);
+        res.status(500).json({ message: 'Failed to update report settings' });
+    }
+});
+
+module.exports = router;
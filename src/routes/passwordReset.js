@@ -1,21 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const User = require('../models/User');
 const { sendPasswordResetEmail } = require('../services/emailService');
+const { issueToken, findActiveToken, consumeToken } = require('../services/authTokenService');
+const { revokeAllSessions } = require('../services/sessionService');
 
-// Store reset tokens (in production, use Redis or database)
-const resetTokens = new Map();
-
-// Clean up expired tokens every hour
-setInterval(() => {
-    const now = Date.now();
-    for (const [token, data] of resetTokens.entries()) {
-        if (data.expires < now) {
-            resetTokens.delete(token);
-        }
-    }
-}, 60 * 60 * 1000);
+// Reset tokens are stored hashed in AuthToken (single use, expire after 1 hour)
 
 /**
  * Request password reset
@@ -45,7 +35,7 @@ router.post('/request', async (req, res) => {
     
     try {
         // Check if user exists
-        const user = await User.findOne({ email: normalizedEmail });
+        const user = await User.findOne({ $or: [{ email: normalizedEmail }, { emails: normalizedEmail }] });
         
         // Always return success to prevent email enumeration attacks
         // But only actually send email if user exists
@@ -57,15 +47,8 @@ router.post('/request', async (req, res) => {
             });
         }
         
-        // Generate secure reset token
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        const tokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
-        
-        // Store token with 1 hour expiry
-        resetTokens.set(tokenHash, {
-            email: normalizedEmail,
-            expires: Date.now() + (60 * 60 * 1000) // 1 hour
-        });
+        // Generate secure reset token (replaces any earlier reset link)
+        const resetToken = await issueToken('password_reset', { accountId: user._id, email: normalizedEmail, req });
         
         // Build reset URL
         const appUrl = process.env.APP_URL || 'https://app.godlykids.com';
@@ -110,8 +93,7 @@ router.post('/verify', async (req, res) => {
     }
     
     try {
-        const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-        const tokenData = resetTokens.get(tokenHash);
+        const tokenData = await findActiveToken('password_reset', token);
         
         if (!tokenData) {
             return res.status(400).json({ 
@@ -120,14 +102,6 @@ router.post('/verify', async (req, res) => {
             });
         }
         
-        if (tokenData.expires < Date.now()) {
-            resetTokens.delete(tokenHash);
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Reset link has expired. Please request a new one.' 
-            });
-        }
-        
         res.json({ 
             success: true, 
             email: tokenData.email 
@@ -164,8 +138,8 @@ router.post('/reset', async (req, res) => {
     }
     
     try {
-        const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-        const tokenData = resetTokens.get(tokenHash);
+        // Redeem the token - a second request with the same link fails here
+        const tokenData = await consumeToken('password_reset', token);
         
         if (!tokenData) {
             return res.status(400).json({ 
@@ -174,19 +148,10 @@ router.post('/reset', async (req, res) => {
             });
         }
         
-        if (tokenData.expires < Date.now()) {
-            resetTokens.delete(tokenHash);
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Reset link has expired. Please request a new one.' 
-            });
-        }
-        
         // Find and update user
-        const user = await User.findOne({ email: tokenData.email });
+        const user = await User.findById(tokenData.accountId);
         
         if (!user) {
-            resetTokens.delete(tokenHash);
             return res.status(400).json({ 
                 success: false, 
                 message: 'User not found. Please contact support.' 
@@ -194,11 +159,16 @@ router.post('/reset', async (req, res) => {
         }
         
         // Update password (the pre-save hook will hash it)
+        // Opening the emailed link also proves the address is theirs
         user.password = newPassword;
+        if (user.email === tokenData.email && !user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
         await user.save();
         
-        // Delete used token
-        resetTokens.delete(tokenHash);
+        // Sign out every device that was using the old password
+        await revokeAllSessions(user.id, { reason: 'password_reset' });
         
         console.log('✅ Password reset successful for:', tokenData.email);
         
@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const PlayEvent = require('../models/PlayEvent');
+const { requireAdmin } = require('../middleware/auth');
+const {
+    INTERVALS,
+    CONTENT_TYPES,
+    topContent,
+    contentHistory,
+} = require('../services/contentMetricsService');
 
 // POST - Record a play event (initial play)
 router.post('/', async (req, res) => {
@@ -11,6 +19,7 @@ router.post('/', async (req, res) => {
             playlistId, 
             itemIndex, 
             userId,
+            kidProfileId,
             // Optional engagement data for initial event
             totalDurationSeconds,
             totalPages
@@ -26,6 +35,7 @@ router.post('/', async (req, res) => {
             playlistId,
             itemIndex,
             userId: userId || 'anonymous',
+            kidProfileId: kidProfileId || undefined,
             playedAt: new Date(),
             totalDurationSeconds: totalDurationSeconds || 0,
             totalPages: totalPages || 0,
@@ -82,7 +92,7 @@ router.put('/:eventId/engagement', async (req, res) => {
     }
 });
 
-// GET - Get play counts for content within a time window
+// GET - Get play counts for content within a time window (whole days, from the daily rollup)
 router.get('/counts', async (req, res) => {
     try {
         const { contentType, timeWindow = '7d' } = req.query;
@@ -91,27 +101,92 @@ router.get('/counts', async (req, res) => {
         const windowMs = parseTimeWindow(timeWindow);
         const since = new Date(Date.now() - windowMs);
         
-        const matchStage = { playedAt: { $gte: since } };
-        if (contentType) {
-            matchStage.contentType = contentType;
+        const rows = await topContent({ contentType, from: since, to: new Date(), limit: 100 });
+        
+        res.json(rows.map(row => ({
+            _id: { contentType: row.contentType, contentId: row.contentId },
+            count: row.plays,
+            lastPlayed: row.lastPlayedAt,
+        })));
+    } catch (error) {
+        console.error('Error fetching play counts:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * Parse from/to/interval query params for metrics endpoints (default: the last 30 days by day)
+ * Returns { from, to, interval } or { error }
+ */
+function parseMetricsRange(query) {
+    const interval = query.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+        return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+    }
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+    return { from, to, interval };
+}
+
+/**
+ * GET /api/play-events/metrics/top
+ * Most played content from the daily rollup (admin dashboard)
+ * Query params: contentType?, from?, to? (default: the last 30 days), limit (max 200)
+ */
+router.get('/metrics/top', requireAdmin, async (req, res) => {
+    try {
+        const { contentType } = req.query;
+        if (contentType && !CONTENT_TYPES.includes(contentType)) {
+            return res.status(400).json({ message: `contentType must be one of: ${CONTENT_TYPES.join(', ')}` });
         }
+        const range = parseMetricsRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
         
-        const counts = await PlayEvent.aggregate([
-            { $match: matchStage },
-            { 
-                $group: { 
-                    _id: { contentType: '$contentType', contentId: '$contentId' },
-                    count: { $sum: 1 },
-                    lastPlayed: { $max: '$playedAt' }
-                } 
-            },
-            { $sort: { count: -1 } },
-            { $limit: 100 }
-        ]);
+        const items = await topContent({ contentType, from: range.from, to: range.to, limit });
+        res.json({ from: range.from, to: range.to, items });
+    } catch (error) {
+        console.error('Error fetching top content metrics:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * GET /api/play-events/metrics/:contentType/:contentId
+ * Metric history of one book, episode or playlist from the daily rollup (admin)
+ * Query params: from, to (default: the last 30 days), interval: 'day' (default) | 'week' | 'month'
+ * Returns { periods: [{ period, plays, listenerDays, listenSeconds, pagesViewed, avgCompletion, completion, likes, favorites, partial }], totals }
+ */
+router.get('/metrics/:contentType/:contentId', requireAdmin, async (req, res) => {
+    try {
+        const { contentType, contentId } = req.params;
+        if (!CONTENT_TYPES.includes(contentType)) {
+            return res.status(400).json({ message: `contentType must be one of: ${CONTENT_TYPES.join(', ')}` });
+        }
+        if (!mongoose.isValidObjectId(contentId)) {
+            return res.status(400).json({ message: 'Invalid content id' });
+        }
+        const range = parseMetricsRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
         
-        res.json(counts);
+        const history = await contentHistory(contentType, contentId, range);
+        if (history.error) {
+            return res.status(400).json({ message: history.error });
+        }
+        
+        res.json({ contentType, contentId, ...range, ...history });
     } catch (error) {
-        console.error('Error fetching play counts:', error);
+        console.error('Error fetching content metrics:', error);
         res.status(500).json({ message: error.message });
     }
 });
@@ -1,12 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const PlaylistComment = require('../models/PlaylistComment');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { moderateText, commentAuthorId, PENDING_COMMENT_MESSAGE } = require('../services/moderationService');
 
 // GET /api/playlist-comments/:playlistId - Fetch all comments for a playlist
 router.get('/:playlistId', async (req, res) => {
     try {
         const { playlistId } = req.params;
-        const comments = await PlaylistComment.find({ playlistId })
+        const userId = commentAuthorId(req.user);
+
+        // Approved comments (older comments predate moderation), plus the signed-in caller's own pending ones
+        const filter = { playlistId, moderationStatus: { $nin: ['pending', 'rejected'] } };
+        const query = userId
+            ? { $or: [filter, { playlistId, userId, moderationStatus: 'pending' }] }
+            : filter;
+
+        const comments = await PlaylistComment.find(query)
+            .select('-moderation')
             .sort({ createdAt: -1 })
             .limit(100);
         res.json(comments);
@@ -19,35 +30,52 @@ router.get('/:playlistId', async (req, res) => {
 // POST /api/playlist-comments - Post a new comment
 router.post('/', async (req, res) => {
     try {
-        const { playlistId, userId, userName, commentText, emoji, colorTheme } = req.body;
+        const { playlistId, userName, commentText, emoji, colorTheme } = req.body;
+        // Signed-in authors are recorded by account so they can see their pending comments
+        const userId = commentAuthorId(req.user) || req.body.userId;
 
         if (!playlistId || !userId || !commentText || !emoji) {
             return res.status(400).json({ message: 'playlistId, userId, commentText, and emoji are required' });
         }
 
+        const text = commentText.substring(0, 100); // Ensure max length
+        const moderation = await moderateText(text);
+
         const comment = new PlaylistComment({
             playlistId,
             userId,
             userName: userName || 'Anonymous',
-            commentText: commentText.substring(0, 100), // Ensure max length
+            commentText: text,
             emoji,
             colorTheme: colorTheme || 'blue',
+            moderationStatus: moderation.status,
+            moderation: { flags: moderation.flags, checkedAt: moderation.checkedAt },
         });
 
         await comment.save();
-        console.log(`💬 New playlist comment posted on playlist ${playlistId}`);
-        res.status(201).json(comment);
+        if (moderation.status === 'pending') {
+            console.log(`🛡️ Playlist comment on ${playlistId} held for review (${moderation.flags.map(f => f.type).join(', ')})`);
+        } else {
+            console.log(`💬 New playlist comment posted on playlist ${playlistId}`);
+        }
+
+        // Flags are for the portal only
+        const publicComment = comment.toObject();
+        delete publicComment.moderation;
+        res.status(201).json({
+            ...publicComment,
+            message: moderation.status === 'pending' ? PENDING_COMMENT_MESSAGE : undefined,
+        });
     } catch (error) {
         console.error('Error posting playlist comment:', error);
         res.status(500).json({ message: 'Failed to post comment', error: error.message });
     }
 });
 
-// DELETE /api/playlist-comments/:commentId - Delete own comment
-router.delete('/:commentId', async (req, res) => {
+// DELETE /api/playlist-comments/:commentId - Delete own comment (admins: any comment)
+router.delete('/:commentId', requireRole('parent', 'admin'), async (req, res) => {
     try {
         const { commentId } = req.params;
-        const { userId } = req.body;
 
         const comment = await PlaylistComment.findById(commentId);
         if (!comment) {
@@ -55,7 +83,7 @@ router.delete('/:commentId', async (req, res) => {
         }
 
         // Only allow owner to delete
-        if (comment.userId !== userId) {
+        if (req.user.role !== 'admin' && comment.userId !== req.user.id) {
             return res.status(403).json({ message: 'Not authorized to delete this comment' });
         }
 
@@ -68,7 +96,7 @@ router.delete('/:commentId', async (req, res) => {
 });
 
 // DELETE /api/playlist-comments/reset/:playlistId - Reset all comments for a playlist (admin)
-router.delete('/reset/:playlistId', async (req, res) => {
+router.delete('/reset/:playlistId', requireAdmin, async (req, res) => {
     try {
         const { playlistId } = req.params;
         
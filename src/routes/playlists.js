@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const Playlist = require('../models/Playlist');
 const { notifyNewPlaylist, notifyNewPlaylistItem } = require('../services/notificationService');
+const { requireEditor } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { prepareItemForCaller, preparePlaylistForCaller } = require('../services/contentAccessService');
+const { trendingContent, topRatedContent } = require('../services/contentMetricsService');
+
+// Members-only items lose their audio without a membership (see services/contentAccessService.js)
+const preparePlaylistsForCaller = (req, playlists) => Promise.all(playlists.map(playlist => preparePlaylistForCaller(req, playlist)));
+const prepareEpisodesForCaller = (req, episodes) => Promise.all(episodes.map(episode => prepareItemForCaller(req, episode)));
 
 // GET all playlists (with pagination support)
 router.get('/', async (req, res) => {
@@ -38,7 +46,7 @@ router.get('/', async (req, res) => {
         
         // Return with pagination metadata
         res.json({
-            data: playlists,
+            data: await preparePlaylistsForCaller(req, playlists),
             pagination: {
                 page,
                 limit,
@@ -59,7 +67,7 @@ router.get('/featured', async (req, res) => {
             isFeatured: true, 
             status: 'published' 
         }).sort({ featuredOrder: 1, createdAt: -1 });
-        res.json(playlists);
+        res.json(await preparePlaylistsForCaller(req, playlists.map(playlist => playlist.toObject())));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -109,14 +117,14 @@ router.get('/featured-episodes', async (req, res) => {
         featuredEpisodes.sort((a, b) => a.featuredOrder - b.featuredOrder);
         
         console.log(`🎵 Featured episodes: ${featuredEpisodes.length} items from ${playlists.length} playlists`);
-        res.json(featuredEpisodes);
+        res.json(await prepareEpisodesForCaller(req, featuredEpisodes));
     } catch (error) {
         console.error('Error fetching featured episodes:', error);
         res.status(500).json({ message: error.message });
     }
 });
 
-// GET trending episodes (top episodes by engagement score within time window)
+// GET trending episodes (top episodes by engagement score within time window, counted in whole days)
 // Engagement score = plays + (total listen time in minutes / 5) + (avg completion % * 2)
 router.get('/trending-episodes', async (req, res) => {
     try {
@@ -127,49 +135,12 @@ router.get('/trending-episodes', async (req, res) => {
         const windowMs = parseTimeWindow(timeWindow);
         const since = new Date(Date.now() - windowMs);
         
-        // Import PlayEvent model
-        const PlayEvent = require('../models/PlayEvent');
-        
-        // Get trending episodes based on engagement metrics
-        const trendingData = await PlayEvent.aggregate([
-            { 
-                $match: { 
-                    contentType: 'episode',
-                    playedAt: { $gte: since }
-                } 
-            },
-            { 
-                $group: { 
-                    _id: { playlistId: '$playlistId', itemIndex: '$itemIndex' },
-                    recentPlays: { $sum: 1 },
-                    totalListenSeconds: { $sum: '$durationSeconds' },
-                    avgCompletion: { $avg: '$completionPercent' },
-                    lastPlayed: { $max: '$playedAt' }
-                } 
-            },
-            {
-                // Calculate engagement score:
-                // - Each play = 1 point
-                // - Every 5 minutes listened = 1 point
-                // - Average completion contributes up to 2 points (completion% * 0.02)
-                $addFields: {
-                    engagementScore: {
-                        $add: [
-                            '$recentPlays',
-                            { $divide: [{ $ifNull: ['$totalListenSeconds', 0] }, 300] }, // 300 sec = 5 min
-                            { $multiply: [{ $ifNull: ['$avgCompletion', 0] }, 0.02] }
-                        ]
-                    }
-                }
-            },
-            // Sort by engagement score (desc), then by lastPlayed (desc), then by _id for consistent ordering
-            { $sort: { engagementScore: -1, lastPlayed: -1, '_id.playlistId': 1, '_id.itemIndex': 1 } },
-            { $limit: limit }
-        ]);
+        // Daily rollup of play events (jobs/contentMetricsRollup.js)
+        const trendingData = await trendingContent('episode', { since, limit });
         
         // If we have trending data, fetch the episode details
         if (trendingData.length > 0) {
-            const playlistIds = [...new Set(trendingData.map(t => t._id.playlistId))];
+            const playlistIds = [...new Set(trendingData.map(t => t.playlistId?.toString()).filter(Boolean))];
             const playlists = await Playlist.find({ 
                 _id: { $in: playlistIds },
                 status: 'published'
@@ -184,11 +155,17 @@ router.get('/trending-episodes', async (req, res) => {
             // Build trending episodes
             const trendingEpisodes = trendingData
                 .map(t => {
-                    const playlist = playlistMap[t._id.playlistId?.toString()];
-                    if (!playlist || !playlist.items || !playlist.items[t._id.itemIndex]) {
+                    const playlist = playlistMap[t.playlistId?.toString()];
+                    if (!playlist || !playlist.items) {
+                        return null;
+                    }
+                    // Items can move - find the episode by id, falling back to the position it was played at
+                    let itemIndex = playlist.items.findIndex(i => i._id.toString() === t._id.toString());
+                    if (itemIndex === -1) itemIndex = t.itemIndex;
+                    const item = playlist.items[itemIndex];
+                    if (!item) {
                         return null;
                     }
-                    const item = playlist.items[t._id.itemIndex];
                     return {
                         _id: item._id,
                         title: item.title,
@@ -209,13 +186,13 @@ router.get('/trending-episodes', async (req, res) => {
                             type: playlist.type,
                             coverImage: playlist.coverImage,
                         },
-                        itemIndex: t._id.itemIndex,
+                        itemIndex,
                     };
                 })
                 .filter(Boolean);
             
             console.log(`📈 Trending episodes (${timeWindow}): ${trendingEpisodes.length} items, top score: ${trendingEpisodes[0]?.engagementScore}`);
-            return res.json(trendingEpisodes);
+            return res.json(await prepareEpisodesForCaller(req, trendingEpisodes));
         }
         
         // Fallback: If no recent play events, use playCount from items
@@ -255,7 +232,7 @@ router.get('/trending-episodes', async (req, res) => {
         const trendingEpisodes = allEpisodes.slice(0, limit);
         
         console.log(`📈 Trending episodes (fallback): ${trendingEpisodes.length} items`);
-        res.json(trendingEpisodes);
+        res.json(await prepareEpisodesForCaller(req, trendingEpisodes));
     } catch (error) {
         console.error('Error fetching trending episodes:', error);
         res.status(500).json({ message: error.message });
@@ -280,7 +257,7 @@ function parseTimeWindow(window) {
 }
 
 // PUT toggle featured status for a specific episode
-router.put('/:playlistId/items/:itemId/featured', async (req, res) => {
+router.put('/:playlistId/items/:itemId/featured', requireEditor, auditTrail('Playlist', Playlist, { target: (req) => ({ _id: req.params.playlistId }) }), async (req, res) => {
     try {
         const { playlistId, itemId } = req.params;
         const { isFeatured, featuredOrder } = req.body;
@@ -319,11 +296,33 @@ router.put('/:playlistId/items/:itemId/featured', async (req, res) => {
 });
 
 // GET top-rated playlists (15% or more likes/favorites to plays ratio)
+// Reads the daily metrics rollup (plays and like/favorite events, optionally within
+// timeWindow); until the rollup has reactions, the lifetime counters on each playlist are used
 router.get('/top-rated', async (req, res) => {
     try {
         const minRatio = parseFloat(req.query.minRatio) || 0.15; // Default 15%
         const minPlays = parseInt(req.query.minPlays) || 5; // Minimum plays to qualify
+        const since = req.query.timeWindow ? new Date(Date.now() - parseTimeWindow(req.query.timeWindow)) : null;
+        
+        const rated = await topRatedContent('playlist', { since, minPlays, minRatio });
+        if (rated) {
+            const playlists = await Playlist.find({ 
+                _id: { $in: rated.map(r => r._id) },
+                status: 'published'
+            }).lean();
+            const playlistMap = new Map(playlists.map(playlist => [playlist._id.toString(), playlist]));
+            
+            const topRatedPlaylists = rated
+                .map(r => {
+                    const playlist = playlistMap.get(r._id.toString());
+                    return playlist ? { ...playlist, ratingRatio: r.ratingRatio, recentPlays: r.plays } : null;
+                })
+                .filter(Boolean);
+            
+            return res.json(await preparePlaylistsForCaller(req, topRatedPlaylists));
+        }
         
+        // Fallback: lifetime counters
         const playlists = await Playlist.find({ 
             status: 'published',
             playCount: { $gte: minPlays } // At least minPlays to be considered
@@ -341,7 +340,7 @@ router.get('/top-rated', async (req, res) => {
             .filter(playlist => playlist.ratingRatio >= minRatio)
             .sort((a, b) => b.ratingRatio - a.ratingRatio); // Sort by highest ratio first
         
-        res.json(topRatedPlaylists);
+        res.json(await preparePlaylistsForCaller(req, topRatedPlaylists));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -352,14 +351,14 @@ router.get('/:id', async (req, res) => {
     try {
         const playlist = await Playlist.findById(req.params.id);
         if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
-        res.json(playlist);
+        res.json(await preparePlaylistForCaller(req, playlist.toObject()));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
 // POST create playlist
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, auditTrail('Playlist', Playlist), async (req, res) => {
     try {
         console.log('📝 POST /api/playlists - Request body:', JSON.stringify(req.body, null, 2));
         
@@ -431,7 +430,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update playlist
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEditor, auditTrail('Playlist', Playlist), async (req, res) => {
     try {
         console.log('📝 PUT /api/playlists/:id - Request body:', JSON.stringify(req.body, null, 2));
         const playlist = await Playlist.findById(req.params.id);
@@ -531,7 +530,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE delete playlist
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEditor, auditTrail('Playlist', Playlist), async (req, res) => {
     try {
         const playlist = await Playlist.findById(req.params.id);
         if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
@@ -4,6 +4,9 @@ const axios = require('axios');
 const BookQuiz = require('../models/BookQuiz');
 const Book = require('../models/Book');
 const Page = require('../models/Page');
+const { registerJobHandler, isAsyncRequest, enqueueAndRespond } = require('../services/jobQueue');
+const { requireAuth } = require('../middleware/auth');
+const { callerOwnsIdentifier } = require('../services/accountService');
 
 // Helper function to get age-appropriate prompt
 const getAgeAppropriatePrompt = (age, ageGroup) => {
@@ -45,29 +48,31 @@ Rules for this age group:
     }
 };
 
-// POST /api/quiz/generate - Generate a quiz for a book using AI
-router.post('/generate', async (req, res) => {
-    try {
-        const { bookId, age, attemptNumber = 1 } = req.body;
-
-        if (!bookId) {
-            return res.status(400).json({ message: 'bookId is required' });
-        }
-
-        // Determine age group
-        const userAge = parseInt(age) || 6; // Default to 6 if not provided
-        const ageGroup = BookQuiz.getAgeGroup(userAge);
-        const currentAttempt = parseInt(attemptNumber) || 1;
-        
-        console.log(`📚 Quiz request for book ${bookId}, age ${userAge} (group: ${ageGroup}), attempt ${currentAttempt}`);
+/**
+ * Generate (or fetch) the quiz for a book, age group and attempt.
+ * Returns { status, body } so it can run inline or from the job queue.
+ */
+const generateQuiz = async ({ bookId, age, attemptNumber = 1 }) => {
+    if (!bookId) {
+        return { status: 400, body: { message: 'bookId is required' } };
+    }
 
-        // Check if quiz already exists for this book
-        let existingQuiz = await BookQuiz.findOne({ bookId });
-        
-        // Check if we already have questions for this age group and attempt
-        if (existingQuiz && existingQuiz.hasQuestionsForAge(userAge, currentAttempt)) {
-            console.log(`📚 Quiz already exists for book ${bookId}, age group ${ageGroup}, attempt ${currentAttempt}`);
-            return res.json({
+    // Determine age group
+    const userAge = parseInt(age) || 6; // Default to 6 if not provided
+    const ageGroup = BookQuiz.getAgeGroup(userAge);
+    const currentAttempt = parseInt(attemptNumber) || 1;
+    
+    console.log(`📚 Quiz request for book ${bookId}, age ${userAge} (group: ${ageGroup}), attempt ${currentAttempt}`);
+
+    // Check if quiz already exists for this book
+    let existingQuiz = await BookQuiz.findOne({ bookId });
+    
+    // Check if we already have questions for this age group and attempt
+    if (existingQuiz && existingQuiz.hasQuestionsForAge(userAge, currentAttempt)) {
+        console.log(`📚 Quiz already exists for book ${bookId}, age group ${ageGroup}, attempt ${currentAttempt}`);
+        return {
+            status: 200,
+            body: {
                 quiz: {
                     ...existingQuiz.toObject(),
                     questions: existingQuiz.getQuestionsForAge(userAge, currentAttempt),
@@ -75,79 +80,80 @@ router.post('/generate', async (req, res) => {
                     attemptNumber: currentAttempt
                 },
                 cached: true
-            });
-        }
+            }
+        };
+    }
 
-        // Get book details
-        const book = await Book.findById(bookId);
-        if (!book) {
-            return res.status(404).json({ message: 'Book not found' });
-        }
+    // Get book details
+    const book = await Book.findById(bookId);
+    if (!book) {
+        return { status: 404, body: { message: 'Book not found' } };
+    }
 
-        // Get all pages for the book to extract the story content
-        const pages = await Page.find({ bookId }).sort({ pageNumber: 1 });
-        
-        // Extract text content from all pages
-        let storyContent = '';
-        pages.forEach(page => {
-            if (page.content && page.content.textBoxes) {
-                page.content.textBoxes.forEach(tb => {
-                    if (tb.text) {
-                        // Remove emotional cues like [excited], [pause], etc.
-                        const cleanText = tb.text.replace(/\[[^\]]+\]/g, '').trim();
-                        if (cleanText) {
-                            storyContent += cleanText + ' ';
-                        }
+    // Get all pages for the book to extract the story content
+    const pages = await Page.find({ bookId }).sort({ pageNumber: 1 });
+    
+    // Extract text content from all pages
+    let storyContent = '';
+    pages.forEach(page => {
+        if (page.content && page.content.textBoxes) {
+            page.content.textBoxes.forEach(tb => {
+                if (tb.text) {
+                    // Remove emotional cues like [excited], [pause], etc.
+                    const cleanText = tb.text.replace(/\[[^\]]+\]/g, '').trim();
+                    if (cleanText) {
+                        storyContent += cleanText + ' ';
                     }
-                });
-            }
-            // Also check legacy textBoxes field
-            if (page.textBoxes) {
-                page.textBoxes.forEach(tb => {
-                    if (tb.text) {
-                        const cleanText = tb.text.replace(/\[[^\]]+\]/g, '').trim();
-                        if (cleanText) {
-                            storyContent += cleanText + ' ';
-                        }
+                }
+            });
+        }
+        // Also check legacy textBoxes field
+        if (page.textBoxes) {
+            page.textBoxes.forEach(tb => {
+                if (tb.text) {
+                    const cleanText = tb.text.replace(/\[[^\]]+\]/g, '').trim();
+                    if (cleanText) {
+                        storyContent += cleanText + ' ';
                     }
-                });
-            }
-        });
-
-        if (!storyContent.trim()) {
-            return res.status(400).json({ message: 'No story content found in book pages' });
+                }
+            });
         }
+    });
 
-        console.log('📖 Generating quiz for book:', book.title, 'Age group:', ageGroup);
-        console.log('📝 Story content length:', storyContent.length, 'characters');
+    if (!storyContent.trim()) {
+        return { status: 400, body: { message: 'No story content found in book pages' } };
+    }
 
-        // Use OpenAI to generate quiz questions
-        const openaiKey = process.env.OPENAI_API_KEY;
-        if (!openaiKey) {
-            return res.status(500).json({ message: 'OpenAI API key not configured' });
-        }
+    console.log('📖 Generating quiz for book:', book.title, 'Age group:', ageGroup);
+    console.log('📝 Story content length:', storyContent.length, 'characters');
 
-        const agePrompt = getAgeAppropriatePrompt(userAge, ageGroup);
-        
-        // For attempt 2, instruct AI to create completely different questions
-        const attemptInstruction = currentAttempt === 2 
-            ? `\n\nIMPORTANT: This is a SECOND ATTEMPT quiz. Create COMPLETELY DIFFERENT questions from typical first-attempt questions. Focus on:
+    // Use OpenAI to generate quiz questions
+    const openaiKey = process.env.OPENAI_API_KEY;
+    if (!openaiKey) {
+        return { status: 500, body: { message: 'OpenAI API key not configured' } };
+    }
+
+    const agePrompt = getAgeAppropriatePrompt(userAge, ageGroup);
+    
+    // For attempt 2, instruct AI to create completely different questions
+    const attemptInstruction = currentAttempt === 2 
+        ? `\n\nIMPORTANT: This is a SECOND ATTEMPT quiz. Create COMPLETELY DIFFERENT questions from typical first-attempt questions. Focus on:
 - Different story details and moments
 - Different character perspectives
 - Different aspects of the plot
 - Questions about the ending and lessons learned
 - More creative and thoughtful questions
 Do NOT repeat common or obvious questions about the story.`
-            : '';
+        : '';
 
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
-            {
-                model: 'gpt-4o-mini',
-                messages: [
-                    {
-                        role: 'system',
-                        content: `${agePrompt}
+    const response = await axios.post(
+        'https://api.openai.com/v1/chat/completions',
+        {
+            model: 'gpt-4o-mini',
+            messages: [
+                {
+                    role: 'system',
+                    content: `${agePrompt}
 
 Create exactly 6 multiple-choice questions based on the story content provided.${attemptInstruction}
 
@@ -174,56 +180,58 @@ Return your response as a valid JSON array with this exact structure:
 ]
 
 Return ONLY the JSON array, no explanations or markdown.`
-                    },
-                    {
-                        role: 'user',
-                        content: `Create a 6-question quiz for a ${userAge}-year-old child about this story titled "${book.title}":\n\n${storyContent.substring(0, 4000)}`
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 2000
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${openaiKey}`,
-                    'Content-Type': 'application/json'
+                },
+                {
+                    role: 'user',
+                    content: `Create a 6-question quiz for a ${userAge}-year-old child about this story titled "${book.title}":\n\n${storyContent.substring(0, 4000)}`
                 }
+            ],
+            temperature: 0.7,
+            max_tokens: 2000
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${openaiKey}`,
+                'Content-Type': 'application/json'
             }
-        );
-
-        let questions;
-        try {
-            const content = response.data.choices[0].message.content.trim();
-            // Remove markdown code blocks if present
-            const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            questions = JSON.parse(jsonContent);
-        } catch (parseError) {
-            console.error('Failed to parse AI response:', parseError);
-            return res.status(500).json({ message: 'Failed to parse quiz questions from AI' });
         }
+    );
 
-        // Validate questions structure
-        if (!Array.isArray(questions) || questions.length !== 6) {
-            console.error('Invalid questions array:', questions);
-            return res.status(500).json({ message: 'AI generated invalid quiz format' });
-        }
+    let questions;
+    try {
+        const content = response.data.choices[0].message.content.trim();
+        // Remove markdown code blocks if present
+        const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+        questions = JSON.parse(jsonContent);
+    } catch (parseError) {
+        console.error('Failed to parse AI response:', parseError);
+        return { status: 500, body: { message: 'Failed to parse quiz questions from AI' } };
+    }
 
-        // Create or update the quiz
-        if (!existingQuiz) {
-            existingQuiz = new BookQuiz({
-                bookId,
-                ageGroupedQuestions: [],
-                attempts: []
-            });
-        }
-        
-        // Add questions for this age group and attempt
-        existingQuiz.setQuestionsForAge(userAge, questions, currentAttempt);
-        await existingQuiz.save();
+    // Validate questions structure
+    if (!Array.isArray(questions) || questions.length !== 6) {
+        console.error('Invalid questions array:', questions);
+        return { status: 500, body: { message: 'AI generated invalid quiz format' } };
+    }
 
-        console.log(`✅ Quiz generated successfully for book: ${book.title}, age group: ${ageGroup}, attempt ${currentAttempt}`);
+    // Create or update the quiz
+    if (!existingQuiz) {
+        existingQuiz = new BookQuiz({
+            bookId,
+            ageGroupedQuestions: [],
+            attempts: []
+        });
+    }
+    
+    // Add questions for this age group and attempt
+    existingQuiz.setQuestionsForAge(userAge, questions, currentAttempt);
+    await existingQuiz.save();
 
-        res.json({
+    console.log(`✅ Quiz generated successfully for book: ${book.title}, age group: ${ageGroup}, attempt ${currentAttempt}`);
+
+    return {
+        status: 200,
+        body: {
             quiz: {
                 ...existingQuiz.toObject(),
                 questions, // Return the questions for this age group and attempt
@@ -231,8 +239,25 @@ Return ONLY the JSON array, no explanations or markdown.`
                 attemptNumber: currentAttempt
             },
             cached: false
-        });
+        }
+    };
+};
+
+registerJobHandler('quiz.generate', (payload) => generateQuiz(payload));
+
+// POST /api/quiz/generate - Generate a quiz for a book using AI
+// Add ?async=true (or "async": true) to queue it and poll GET /api/jobs/:id instead
+router.post('/generate', async (req, res) => {
+    try {
+        if (isAsyncRequest(req)) {
+            if (!req.body.bookId) {
+                return res.status(400).json({ message: 'bookId is required' });
+            }
+            return await enqueueAndRespond(req, res, 'quiz.generate', req.body);
+        }
 
+        const { status, body } = await generateQuiz(req.body);
+        res.status(status).json(body);
     } catch (error) {
         console.error('Quiz Generation Error:', error.response?.data || error.message);
         res.status(500).json({ message: 'Failed to generate quiz', error: error.message });
@@ -680,10 +705,15 @@ router.post('/:bookId/submit', async (req, res) => {
 });
 
 // GET /api/quiz/:bookId/attempts/:userId - Get user's attempts for a book quiz
-router.get('/:bookId/attempts/:userId', async (req, res) => {
+// :userId must be the caller's own account, device or kid profile id (admins: anyone)
+router.get('/:bookId/attempts/:userId', requireAuth, async (req, res) => {
     try {
         const { bookId, userId } = req.params;
 
+        if (!(await callerOwnsIdentifier(req.user, userId))) {
+            return res.status(403).json({ message: 'You can only view your own quiz attempts' });
+        }
+
         const quiz = await BookQuiz.findOne({ bookId });
         
         if (!quiz) {
@@ -9,20 +9,24 @@ const RadioSegment = require('../models/RadioSegment');
 const RadioLibrary = require('../models/RadioLibrary');
 const Playlist = require('../models/Playlist');
 const { bucket } = require('../config/storage');
-const textToSpeech = require('@google-cloud/text-to-speech');
-
-// Initialize TTS client (same pattern as googleTts.js)
-let ttsClient = null;
-const credentialsJson = process.env.GCS_CREDENTIALS_JSON || process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-if (credentialsJson) {
-    try {
-        const credentials = JSON.parse(credentialsJson);
-        ttsClient = new textToSpeech.TextToSpeechClient({ credentials });
-        console.log('📻 Radio: TTS client initialized');
-    } catch (e) {
-        console.error('📻 Radio: Failed to init TTS:', e.message);
-    }
-}
+const { synthesizeWithFallback } = require('../services/ttsProviders');
+const { requireAdmin, requireEditor } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { registerJobHandler, isAsyncRequest, enqueueAndRespond } = require('../services/jobQueue');
+const {
+    loadPlayout,
+    positionAt,
+    getNowPlaying,
+    restartPlayout,
+    invalidatePlayout,
+    clearScheduledPlayout,
+} = require('../services/radioPlayoutService');
+const { ICY_METAINT, addListener, getStreamStatus } = require('../services/radioStreamService');
+const { resolveProgramme, validateProgramming, previewSchedule, commitSchedule } = require('../services/radioClockService');
+const { resolveRules, createTrackScheduler } = require('../services/radioTrackScheduler');
+
+// Audit options for changes to the whole segment list (there is one station)
+const allSegments = { bulk: true, target: () => ({}) };
 
 // Helper: Generate radio script using Gemini AI
 const generateRadioScript = async (options) => {
@@ -487,48 +491,34 @@ const generateTTSAudio = async (text, voiceConfig) => {
         }
     }
     
-    // Fallback to Google Cloud TTS
-    if (!ttsClient) {
-        console.error('❌ No TTS client available');
-        return null;
-    }
-
+    // Fallback to the host's Google Cloud TTS voice, then down the TTS provider chain
     try {
         console.log('🎙️ Using Google Cloud TTS fallback...');
         
         // Strip emotional cues for Google Cloud TTS (it doesn't support them)
         const cleanText = text.replace(/\[[^\]]+\]/g, '').replace(/\s+/g, ' ').trim();
         
-        const request = {
-            input: { text: cleanText },
-            voice: {
-                languageCode: voiceConfig.languageCode || 'en-US',
-                name: voiceConfig.name || 'en-US-Chirp3-HD-Enceladus',
-            },
-            audioConfig: {
-                audioEncoding: 'MP3',
-                pitch: voiceConfig.pitch || 0,
-                speakingRate: voiceConfig.speakingRate || 1.0,
-            },
-        };
-
-        const [response] = await ttsClient.synthesizeSpeech(request);
-        
-        if (!response.audioContent) {
-            throw new Error('No audio content');
-        }
+        const result = await synthesizeWithFallback({
+            text: cleanText,
+            voiceId: voiceConfig.name || 'en-US-Chirp3-HD-Enceladus',
+            languageCode: voiceConfig.languageCode || 'en-US',
+            provider: 'google',
+            pitch: voiceConfig.pitch,
+            speakingRate: voiceConfig.speakingRate,
+        });
 
         // Save to GCS
+        const extension = result.contentType === 'audio/wav' ? 'wav' : 'mp3';
         const hash = crypto.createHash('md5').update(text + Date.now()).digest('hex');
-        const filename = `radio/tts/hostbreak_${hash}.mp3`;
+        const filename = `radio/tts/hostbreak_${hash}.${extension}`;
         
         if (bucket) {
             const blob = bucket.file(filename);
             await new Promise((resolve, reject) => {
-                const stream = blob.createWriteStream({ metadata: { contentType: 'audio/mpeg' } });
+                const stream = blob.createWriteStream({ metadata: { contentType: result.contentType } });
                 stream.on('error', reject);
                 stream.on('finish', resolve);
-                stream.end(response.audioContent);
+                stream.end(result.audio);
             });
             return `https://storage.googleapis.com/${bucket.name}/${filename}`;
         }
@@ -772,15 +762,15 @@ router.get('/station', async (req, res) => {
     }
 });
 
-// PUT /api/radio/station - Update station config
-router.put('/station', async (req, res) => {
+// PUT /api/radio/station - Update station config (rotationRules are merged in; a null category quota removes it)
+router.put('/station', requireEditor, async (req, res) => {
     try {
         const { 
             name, tagline, hosts, playlists, 
             hostBreakDuration, hostBreakFrequency, 
             devotionalFrequency, devotionalDuration, enableDuoDiscussions,
             customIntroScript,
-            settings, coverImageUrl, isLive 
+            settings, coverImageUrl, isLive, rotationRules 
         } = req.body;
         
         let station = await RadioStation.findOne();
@@ -805,7 +795,18 @@ router.put('/station', async (req, res) => {
         if (enableDuoDiscussions !== undefined) station.enableDuoDiscussions = enableDuoDiscussions;
         if (customIntroScript !== undefined) station.customIntroScript = customIntroScript;
         if (settings !== undefined) station.settings = { ...station.settings, ...settings };
+        if (rotationRules !== undefined) {
+            const current = station.toObject().rotationRules || {};
+            station.rotationRules = {
+                ...current,
+                ...rotationRules,
+                weights: { ...current.weights, ...rotationRules.weights },
+                categoryQuotas: { ...current.categoryQuotas, ...rotationRules.categoryQuotas },
+            };
+        }
         if (coverImageUrl !== undefined) station.coverImageUrl = coverImageUrl;
+        // Going live starts the segment loop from the top (a committed clock schedule keeps its own start)
+        if (isLive && !station.isLive && !station.playoutCycleSeconds) station.playoutEpoch = new Date();
         if (isLive !== undefined) station.isLive = isLive;
         
         // Clear cached intro if the custom intro was changed
@@ -815,6 +816,7 @@ router.put('/station', async (req, res) => {
         }
         
         await station.save();
+        invalidatePlayout();
         
         // Return populated station
         station = await RadioStation.findById(station._id)
@@ -823,11 +825,162 @@ router.put('/station', async (req, res) => {
         
         res.json(station);
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Invalid station settings', error: error.message });
+        }
         console.error('Error updating station:', error);
         res.status(500).json({ message: 'Failed to update station', error: error.message });
     }
 });
 
+// ===========================
+// PLAYOUT ROUTES
+// ===========================
+
+// GET /api/radio/now-playing - What is on air right now (segment + offset into it) and what's next
+router.get('/now-playing', async (req, res) => {
+    try {
+        const upcoming = Math.min(Math.max(parseInt(req.query.upcoming, 10) || 3, 0), 20);
+        const nowPlaying = await getNowPlaying({ upcoming });
+        res.json({ ...nowPlaying, listeners: getStreamStatus().listeners });
+    } catch (error) {
+        console.error('Error fetching now playing:', error);
+        res.status(500).json({ message: 'Failed to fetch now playing', error: error.message });
+    }
+});
+
+// GET /api/radio/stream - Continuous MP3 stream of the station (Icecast-style, ICY metadata on request)
+router.get('/stream', async (req, res) => {
+    try {
+        const playout = await loadPlayout();
+        if (!playout.station?.isLive || !positionAt(playout)) {
+            return res.status(503).json({ message: 'Radio is off air' });
+        }
+
+        const icy = req.get('Icy-MetaData') === '1';
+        res.set({
+            'Content-Type': 'audio/mpeg',
+            'Cache-Control': 'no-cache, no-store',
+            'Connection': 'keep-alive',
+            'icy-name': playout.station.name,
+            'icy-description': playout.station.tagline || '',
+        });
+        if (icy) res.set('icy-metaint', String(ICY_METAINT));
+        res.flushHeaders();
+
+        addListener(req, res, { icy });
+    } catch (error) {
+        console.error('Error starting radio stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Failed to start stream', error: error.message });
+        }
+    }
+});
+
+// POST /api/radio/playout/restart - Start the segment loop over from the first segment now
+router.post('/playout/restart', requireEditor, async (req, res) => {
+    try {
+        const station = await restartPlayout();
+        if (!station) {
+            return res.status(404).json({ message: 'Station not found' });
+        }
+
+        console.log('📻 Radio playout restarted');
+        res.json(await getNowPlaying());
+    } catch (error) {
+        console.error('Error restarting playout:', error);
+        res.status(500).json({ message: 'Failed to restart playout', error: error.message });
+    }
+});
+
+// ===========================
+// PROGRAMMING CLOCK ROUTES
+// ===========================
+
+// GET /api/radio/clock - Dayparts, weekly shows and the programme on now
+router.get('/clock', requireAdmin, async (req, res) => {
+    try {
+        const station = await RadioStation.findOne().lean();
+        if (!station) {
+            return res.status(404).json({ message: 'Station not found' });
+        }
+
+        res.json({
+            programming: station.programming || { timezone: 'UTC', dayparts: [], shows: [] },
+            current: resolveProgramme(station, new Date()),
+        });
+    } catch (error) {
+        console.error('Error fetching programming clock:', error);
+        res.status(500).json({ message: 'Failed to fetch programming clock', error: error.message });
+    }
+});
+
+// PUT /api/radio/clock - Update the programming clock { timezone, dayparts, shows } (each optional, arrays replace)
+router.put('/clock', requireEditor, async (req, res) => {
+    try {
+        const { timezone, dayparts, shows } = req.body;
+
+        if ((dayparts !== undefined && !Array.isArray(dayparts)) || (shows !== undefined && !Array.isArray(shows))) {
+            return res.status(400).json({ message: 'dayparts and shows must be arrays' });
+        }
+
+        let station = await RadioStation.findOne();
+        if (!station) {
+            station = new RadioStation();
+        }
+
+        if (timezone !== undefined) station.programming.timezone = timezone;
+        if (dayparts !== undefined) station.programming.dayparts = dayparts;
+        if (shows !== undefined) station.programming.shows = shows;
+
+        const invalid = validateProgramming(station.toObject().programming);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        await station.save();
+        console.log(`📻 Programming clock updated (${station.programming.dayparts.length} dayparts, ${station.programming.shows.length} shows)`);
+        res.json(station.programming);
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid programming clock', error: error.message });
+        }
+        console.error('Error updating programming clock:', error);
+        res.status(500).json({ message: 'Failed to update programming clock', error: error.message });
+    }
+});
+
+// GET /api/radio/clock/preview?start=&hours=24 - Render the schedule without saving it
+// Same start = same schedule, so a preview can be committed as-is
+router.get('/clock/preview', requireAdmin, async (req, res) => {
+    try {
+        const { status, body } = await previewSchedule(req.query);
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Error previewing schedule:', error);
+        res.status(500).json({ message: 'Failed to preview schedule', error: error.message });
+    }
+});
+
+registerJobHandler('radio.clock.commit', (payload, { reportProgress }) => commitSchedule(payload, reportProgress));
+
+// POST /api/radio/clock/commit { start, hours } - Replace the segment list with the rendered schedule
+// and play it from its start. Host breaks are created pending, like /segments/generate.
+// Add ?async=true (or "async": true) to queue it and poll GET /api/jobs/:id instead
+router.post('/clock/commit', requireEditor, auditTrail('RadioSegment', RadioSegment, allSegments), async (req, res) => {
+    try {
+        if (isAsyncRequest(req)) {
+            return await enqueueAndRespond(req, res, 'radio.clock.commit', req.body);
+        }
+
+        const { status, body } = await commitSchedule(req.body);
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Error committing schedule:', error);
+        res.status(500).json({ message: 'Failed to commit schedule', error: error.message });
+    }
+});
+
 // ===========================
 // HOST ROUTES
 // ===========================
@@ -858,7 +1011,7 @@ router.get('/hosts/:id', async (req, res) => {
 });
 
 // POST /api/radio/hosts - Create new host
-router.post('/hosts', async (req, res) => {
+router.post('/hosts', requireEditor, async (req, res) => {
     try {
         const { name, personality, googleVoice, samplePhrases, avatarUrl, enabled, order } = req.body;
         
@@ -887,7 +1040,7 @@ router.post('/hosts', async (req, res) => {
 });
 
 // PUT /api/radio/hosts/:id - Update host
-router.put('/hosts/:id', async (req, res) => {
+router.put('/hosts/:id', requireEditor, async (req, res) => {
     try {
         const { name, personality, googleVoice, samplePhrases, avatarUrl, gender, enabled, order } = req.body;
         
@@ -916,7 +1069,7 @@ router.put('/hosts/:id', async (req, res) => {
 });
 
 // DELETE /api/radio/hosts/:id - Delete host
-router.delete('/hosts/:id', async (req, res) => {
+router.delete('/hosts/:id', requireEditor, async (req, res) => {
     try {
         const host = await RadioHost.findById(req.params.id);
         if (!host) {
@@ -963,7 +1116,7 @@ router.get('/segments', async (req, res) => {
 });
 
 // POST /api/radio/segments - Create a segment manually
-router.post('/segments', async (req, res) => {
+router.post('/segments', requireEditor, auditTrail('RadioSegment', RadioSegment), async (req, res) => {
     try {
         const { type, order, hostId, scriptText, audioUrl, duration, playlistId, playlistItemIndex, songInfo, nextTrack, previousTrack } = req.body;
         
@@ -989,6 +1142,7 @@ router.post('/segments', async (req, res) => {
         });
         
         await segment.save();
+        await clearScheduledPlayout();
         res.status(201).json(segment);
     } catch (error) {
         console.error('Error creating segment:', error);
@@ -997,7 +1151,7 @@ router.post('/segments', async (req, res) => {
 });
 
 // DELETE /api/radio/segments/:id - Delete a segment
-router.delete('/segments/:id', async (req, res) => {
+router.delete('/segments/:id', requireEditor, auditTrail('RadioSegment', RadioSegment), async (req, res) => {
     try {
         await RadioSegment.findByIdAndDelete(req.params.id);
         res.json({ message: 'Segment deleted', id: req.params.id });
@@ -1008,11 +1162,12 @@ router.delete('/segments/:id', async (req, res) => {
 });
 
 // DELETE /api/radio/segments - Clear all segments
-router.delete('/segments', async (req, res) => {
+router.delete('/segments', requireEditor, auditTrail('RadioSegment', RadioSegment, allSegments), async (req, res) => {
     try {
         const station = await RadioStation.findOne();
         if (station) {
             await RadioSegment.deleteMany({ stationId: station._id });
+            await clearScheduledPlayout();
         }
         res.json({ message: 'All segments cleared' });
     } catch (error) {
@@ -1021,157 +1176,261 @@ router.delete('/segments', async (req, res) => {
     }
 });
 
-// POST /api/radio/segments/generate - Generate segments from playlists
-router.post('/segments/generate', async (req, res) => {
-    try {
-        const { playlistIds, hostIds, clearExisting } = req.body;
-        
-        const station = await RadioStation.findOne().populate('hosts');
-        if (!station) {
-            return res.status(400).json({ message: 'No station configured' });
-        }
-        
-        // Get playlists to use
-        const playlistIdsToUse = playlistIds || station.playlists.map(p => p.toString());
-        if (playlistIdsToUse.length === 0) {
-            return res.status(400).json({ message: 'No playlists selected' });
-        }
-        
-        // Get hosts to use
-        const hostIdsToUse = hostIds || station.hosts.map(h => h._id.toString());
-        
-        // First try to get enabled hosts
-        let hosts = await RadioHost.find({ 
-            _id: { $in: hostIdsToUse }, 
-            enabled: true 
+/**
+ * Build the station's segment list from its playlists and hosts.
+ * Returns { status, body } so it can run inline or from the job queue.
+ */
+const generateSegments = async ({ playlistIds, hostIds, clearExisting }, reportProgress = async () => {}) => {
+    const station = await RadioStation.findOne().populate('hosts');
+    if (!station) {
+        return { status: 400, body: { message: 'No station configured' } };
+    }
+    
+    // Get playlists to use
+    const playlistIdsToUse = playlistIds || station.playlists.map(p => p.toString());
+    if (playlistIdsToUse.length === 0) {
+        return { status: 400, body: { message: 'No playlists selected' } };
+    }
+    
+    // Get hosts to use
+    const hostIdsToUse = hostIds || station.hosts.map(h => h._id.toString());
+    
+    // First try to get enabled hosts
+    let hosts = await RadioHost.find({ 
+        _id: { $in: hostIdsToUse }, 
+        enabled: true 
+    }).sort({ order: 1 });
+    
+    // If no enabled hosts, try all hosts (maybe they're all disabled)
+    if (hosts.length === 0) {
+        hosts = await RadioHost.find({ 
+            _id: { $in: hostIdsToUse }
         }).sort({ order: 1 });
         
-        // If no enabled hosts, try all hosts (maybe they're all disabled)
-        if (hosts.length === 0) {
-            hosts = await RadioHost.find({ 
-                _id: { $in: hostIdsToUse }
-            }).sort({ order: 1 });
-            
-            // Enable them automatically
-            if (hosts.length > 0) {
-                console.log('⚠️ No enabled hosts, enabling all hosts automatically');
-                await RadioHost.updateMany(
-                    { _id: { $in: hostIdsToUse } },
-                    { $set: { enabled: true } }
-                );
-            }
+        // Enable them automatically
+        if (hosts.length > 0) {
+            console.log('⚠️ No enabled hosts, enabling all hosts automatically');
+            await RadioHost.updateMany(
+                { _id: { $in: hostIdsToUse } },
+                { $set: { enabled: true } }
+            );
         }
-        
-        if (hosts.length === 0) {
-            return res.status(400).json({ 
+    }
+    
+    if (hosts.length === 0) {
+        return {
+            status: 400,
+            body: {
                 message: 'No hosts available. Please create at least one radio host first.',
                 hint: 'Go to Radio > Hosts to create a host'
-            });
-        }
-        
-        // Clear existing segments if requested
-        if (clearExisting) {
-            await RadioSegment.deleteMany({ stationId: station._id });
-        }
-        
-        // Fetch playlists with items
-        const playlists = await Playlist.find({ 
-            _id: { $in: playlistIdsToUse },
-            status: 'published'
-        });
-        
-        // Collect all songs from playlists
-        const songs = [];
-        for (const playlist of playlists) {
-            if (playlist.items && playlist.items.length > 0) {
-                for (let i = 0; i < playlist.items.length; i++) {
-                    const item = playlist.items[i];
-                    songs.push({
-                        playlistId: playlist._id,
-                        playlistItemIndex: i,
-                        title: item.title,
-                        artist: item.author || playlist.author || 'Unknown Artist',
-                        coverImage: item.coverImage || playlist.coverImage,
-                        audioUrl: item.audioUrl,
-                        duration: item.duration || 180, // Default 3 min
-                    });
-                }
+            }
+        };
+    }
+    
+    // Clear existing segments if requested; otherwise the new ones are appended to the loop
+    if (clearExisting) {
+        await RadioSegment.deleteMany({ stationId: station._id });
+    }
+    const existing = clearExisting
+        ? []
+        : await RadioSegment.find({ stationId: station._id }).sort({ order: 1 }).lean();
+    
+    await reportProgress({ percent: 20, message: 'Loading playlists' });
+
+    // Fetch playlists with items
+    const playlists = await Playlist.find({ 
+        _id: { $in: playlistIdsToUse },
+        status: 'published'
+    });
+    
+    // Collect all songs from playlists
+    const songs = [];
+    for (const playlist of playlists) {
+        if (playlist.items && playlist.items.length > 0) {
+            for (let i = 0; i < playlist.items.length; i++) {
+                const item = playlist.items[i];
+                songs.push({
+                    playlistId: playlist._id,
+                    playlistItemIndex: i,
+                    title: item.title,
+                    artist: item.author || playlist.author || 'Unknown Artist',
+                    coverImage: item.coverImage || playlist.coverImage,
+                    audioUrl: item.audioUrl,
+                    duration: item.duration || 180, // Default 3 min
+                });
             }
         }
-        
-        if (songs.length === 0) {
-            return res.status(400).json({ message: 'No songs found in selected playlists' });
+    }
+    
+    // Rotation, category and play history for songs that are in the radio library;
+    // songs disabled there are left out, and a song in several playlists is only used once
+    const libraryTracks = await RadioLibrary.find({ sourcePlaylistId: { $in: playlists.map(p => p._id) } }).lean();
+    const libraryByItem = new Map(libraryTracks.map(t => [`${t.sourcePlaylistId}:${t.sourceItemIndex}`, t]));
+    const seenAudio = new Set();
+    const candidates = [];
+    for (const song of songs) {
+        const track = libraryByItem.get(`${song.playlistId}:${song.playlistItemIndex}`);
+        if (track?.enabled === false || !song.audioUrl || seenAudio.has(song.audioUrl)) continue;
+        seenAudio.add(song.audioUrl);
+        candidates.push(track
+            ? { ...song, _id: track._id, category: track.category, rotation: track.rotation, lastPlayedAt: track.lastPlayedAt }
+            : song);
+    }
+    
+    if (candidates.length === 0) {
+        return { status: 400, body: { message: 'No songs found in selected playlists' } };
+    }
+    
+    // Picks are timed against the playout loop: a fresh list starts the loop over now, and
+    // appended songs follow the existing segments in the loop's current pass. The loop then
+    // comes round to its first songs again, so those are reserved ahead of the picks near its end.
+    // Shuffle off keeps playlist order - each pick is the first unused song the rules allow
+    const rules = resolveRules(station);
+    const shuffle = station.settings?.shuffleSongs !== false;
+    const scheduler = createTrackScheduler({ rules, random: shuffle ? undefined : () => 0 });
+    scheduler.seedHistory(candidates);
+
+    const loopSegments = existing.filter(segment => segment.status !== 'error');
+    const segmentMs = (segment) => (Number(segment.duration || segment.songInfo?.duration) || 0) * 1000;
+    const existingMs = loopSegments.reduce((sum, segment) => sum + segmentMs(segment), 0);
+    const now = Date.now();
+    const epochMs = new Date(station.playoutEpoch || station.createdAt).getTime();
+    const loopStart = existingMs > 0 ? now - Math.max(0, now - epochMs) % existingMs : now;
+
+    // Songs in loop order with their offset from the loop start
+    const loopSongs = [];
+    let at = loopStart;
+    for (const segment of loopSegments) {
+        if (segment.type === 'song') {
+            const track = {
+                _id: segment.trackId,
+                audioUrl: segment.songInfo?.audioUrl,
+                title: segment.songInfo?.title,
+                artist: segment.songInfo?.artist,
+                category: segment.category,
+            };
+            scheduler.record(track, at);
+            loopSongs.push({ track, offset: at - loopStart });
         }
-        
-        // Shuffle if enabled
-        if (station.settings?.shuffleSongs) {
-            for (let i = songs.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [songs[i], songs[j]] = [songs[j], songs[i]];
-            }
+        at += segmentMs(segment);
+    }
+
+    const wrapMs = Math.max(rules.titleSeparationMinutes, rules.artistSeparationMinutes) * 60000;
+    const breakMs = station.hostBreakDuration * 1000;
+    const averageMs = candidates.reduce((sum, song) => sum + song.duration * 1000, 0) / candidates.length;
+    const frequency = station.hostBreakFrequency;
+    const unused = new Set(candidates);
+
+    const playOrder = [];
+    for (let i = 0; i < candidates.length; i++) {
+        if (i % frequency === 0) at += breakMs;
+
+        // Where the loop should end, from the songs and breaks still to come
+        const breaksLeft = Math.floor((candidates.length - 1) / frequency) - Math.floor(i / frequency);
+        const loopEnd = at + (candidates.length - i) * averageMs + breaksLeft * breakMs;
+        scheduler.clearReserved();
+        for (const song of loopSongs) {
+            if (song.offset >= wrapMs) break;
+            scheduler.reserve(song.track, loopEnd + song.offset);
         }
-        
-        // Generate segments with host breaks
-        const segments = [];
-        let order = 0;
-        let hostIndex = 0;
-        
-        for (let i = 0; i < songs.length; i++) {
-            const song = songs[i];
-            const previousSong = i > 0 ? songs[i - 1] : null;
-            const nextSong = songs[i]; // The current song is what the host will introduce
-            
-            // Add host break before each song (or based on frequency)
-            if (i % station.hostBreakFrequency === 0) {
-                const host = hosts[hostIndex % hosts.length];
-                
-                segments.push({
-                    stationId: station._id,
-                    type: 'host_break',
-                    order: order++,
-                    hostId: host._id,
-                    nextTrack: { title: nextSong.title, artist: nextSong.artist },
-                    previousTrack: previousSong ? { title: previousSong.title, artist: previousSong.artist } : null,
-                    duration: station.hostBreakDuration,
-                    status: 'pending', // Will need script generation
-                });
-                
-                if (station.settings?.rotateHosts) {
-                    hostIndex++;
-                }
-            }
+
+        const pool = shuffle || !unused.size ? candidates : [...unused];
+        const { track, reason } = scheduler.pick({ at, pool });
+        unused.delete(track);
+        playOrder.push({ ...track, pickReason: reason });
+        loopSongs.push({ track, offset: at - loopStart });
+        at += track.duration * 1000;
+    }
+    
+    // Generate segments with host breaks
+    const segments = [];
+    let order = existing.reduce((max, segment) => Math.max(max, segment.order ?? -1), -1) + 1;
+    let hostIndex = 0;
+    const lastExistingSong = loopSegments.filter(segment => segment.type === 'song').pop()?.songInfo || null;
+    
+    for (let i = 0; i < playOrder.length; i++) {
+        const song = playOrder[i];
+        const previousSong = i > 0 ? playOrder[i - 1] : lastExistingSong;
+        const nextSong = playOrder[i]; // The current song is what the host will introduce
+        
+        // Add host break before each song (or based on frequency)
+        if (i % station.hostBreakFrequency === 0) {
+            const host = hosts[hostIndex % hosts.length];
             
-            // Add song segment
             segments.push({
                 stationId: station._id,
-                type: 'song',
+                type: 'host_break',
                 order: order++,
-                playlistId: song.playlistId,
-                playlistItemIndex: song.playlistItemIndex,
-                songInfo: {
-                    title: song.title,
-                    artist: song.artist,
-                    coverImage: song.coverImage,
-                    audioUrl: song.audioUrl,
-                    duration: song.duration,
-                },
-                duration: song.duration,
-                status: 'ready',
+                hostId: host._id,
+                nextTrack: { title: nextSong.title, artist: nextSong.artist },
+                previousTrack: previousSong ? { title: previousSong.title, artist: previousSong.artist } : null,
+                duration: station.hostBreakDuration,
+                status: 'pending', // Will need script generation
             });
+            
+            if (station.settings?.rotateHosts) {
+                hostIndex++;
+            }
         }
         
-        // Bulk insert segments
-        const createdSegments = await RadioSegment.insertMany(segments);
-        
-        console.log(`📻 Generated ${createdSegments.length} segments (${songs.length} songs, ${createdSegments.length - songs.length} host breaks)`);
-        
-        res.json({
+        // Add song segment
+        segments.push({
+            stationId: station._id,
+            type: 'song',
+            order: order++,
+            playlistId: song.playlistId,
+            playlistItemIndex: song.playlistItemIndex,
+            trackId: song._id,
+            category: song.category,
+            pickReason: song.pickReason,
+            songInfo: {
+                title: song.title,
+                artist: song.artist,
+                coverImage: song.coverImage,
+                audioUrl: song.audioUrl,
+                duration: song.duration,
+            },
+            duration: song.duration,
+            status: 'ready',
+        });
+    }
+    
+    await reportProgress({ percent: 80, message: `Saving ${segments.length} segments` });
+
+    // Bulk insert segments
+    const createdSegments = await RadioSegment.insertMany(segments);
+    await clearScheduledPlayout();
+    // A fresh list starts the loop over, as its picks were timed
+    if (!existingMs) {
+        await restartPlayout(new Date(loopStart));
+    }
+    
+    console.log(`📻 Generated ${createdSegments.length} segments (${playOrder.length} songs, ${createdSegments.length - playOrder.length} host breaks)`);
+    
+    return {
+        status: 200,
+        body: {
             message: 'Segments generated successfully',
             totalSegments: createdSegments.length,
-            songs: songs.length,
-            hostBreaks: createdSegments.length - songs.length,
+            songs: playOrder.length,
+            hostBreaks: createdSegments.length - playOrder.length,
             segments: createdSegments,
-        });
+        }
+    };
+};
+
+registerJobHandler('radio.segments.generate', (payload, { reportProgress }) => generateSegments(payload, reportProgress));
+
+// POST /api/radio/segments/generate - Generate segments from playlists
+// Add ?async=true (or "async": true) to queue it and poll GET /api/jobs/:id instead
+router.post('/segments/generate', requireEditor, auditTrail('RadioSegment', RadioSegment, allSegments), async (req, res) => {
+    try {
+        if (isAsyncRequest(req)) {
+            return await enqueueAndRespond(req, res, 'radio.segments.generate', req.body);
+        }
+
+        const { status, body } = await generateSegments(req.body);
+        res.status(status).json(body);
     } catch (error) {
         console.error('Error generating segments:', error);
         res.status(500).json({ message: 'Failed to generate segments', error: error.message });
@@ -1179,7 +1438,7 @@ router.post('/segments/generate', async (req, res) => {
 });
 
 // PUT /api/radio/segments/:id - Update a segment (e.g., edit script)
-router.put('/segments/:id', async (req, res) => {
+router.put('/segments/:id', requireEditor, auditTrail('RadioSegment', RadioSegment), async (req, res) => {
     try {
         const { scriptText, audioUrl, status, order } = req.body;
         
@@ -1202,7 +1461,7 @@ router.put('/segments/:id', async (req, res) => {
 });
 
 // POST /api/radio/segments/reorder - Reorder segments
-router.post('/segments/reorder', async (req, res) => {
+router.post('/segments/reorder', requireEditor, auditTrail('RadioSegment', RadioSegment, allSegments), async (req, res) => {
     try {
         const { segmentOrders } = req.body; // Array of { id, order }
         
@@ -1218,6 +1477,7 @@ router.post('/segments/reorder', async (req, res) => {
         }));
         
         await RadioSegment.bulkWrite(bulkOps);
+        await clearScheduledPlayout();
         
         res.json({ message: 'Segments reordered successfully' });
     } catch (error) {
@@ -1227,7 +1487,7 @@ router.post('/segments/reorder', async (req, res) => {
 });
 
 // GET /api/radio/stats - Get radio statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireAdmin, async (req, res) => {
     try {
         const station = await RadioStation.findOne();
         const hostsCount = await RadioHost.countDocuments({ enabled: true });
@@ -1279,7 +1539,7 @@ router.get('/library', async (req, res) => {
 });
 
 // POST /api/radio/library - Add a track to the library
-router.post('/library', async (req, res) => {
+router.post('/library', requireEditor, async (req, res) => {
     try {
         const { title, artist, audioUrl, coverImage, duration, category, rotation, sourcePlaylistId, sourceItemIndex, notes, description, enabled } = req.body;
         
@@ -1319,7 +1579,7 @@ router.post('/library', async (req, res) => {
 });
 
 // POST /api/radio/library/bulk - Add multiple tracks from a playlist
-router.post('/library/bulk', async (req, res) => {
+router.post('/library/bulk', requireEditor, async (req, res) => {
     try {
         const { playlistId, category, rotation } = req.body;
         
@@ -1380,7 +1640,7 @@ router.post('/library/bulk', async (req, res) => {
 });
 
 // PUT /api/radio/library/:id - Update a track
-router.put('/library/:id', async (req, res) => {
+router.put('/library/:id', requireEditor, async (req, res) => {
     try {
         const track = await RadioLibrary.findById(req.params.id);
         if (!track) {
@@ -1406,7 +1666,7 @@ router.put('/library/:id', async (req, res) => {
 });
 
 // DELETE /api/radio/library/:id - Remove a track from library
-router.delete('/library/:id', async (req, res) => {
+router.delete('/library/:id', requireEditor, async (req, res) => {
     try {
         const track = await RadioLibrary.findByIdAndDelete(req.params.id);
         if (!track) {
@@ -1423,7 +1683,7 @@ router.delete('/library/:id', async (req, res) => {
 });
 
 // POST /api/radio/library/:id/toggle - Toggle track enabled/disabled
-router.post('/library/:id/toggle', async (req, res) => {
+router.post('/library/:id/toggle', requireEditor, async (req, res) => {
     try {
         const track = await RadioLibrary.findById(req.params.id);
         if (!track) {
@@ -1441,7 +1701,7 @@ router.post('/library/:id/toggle', async (req, res) => {
 });
 
 // GET /api/radio/library/stats - Get library statistics
-router.get('/library/stats', async (req, res) => {
+router.get('/library/stats', requireAdmin, async (req, res) => {
     try {
         const totalTracks = await RadioLibrary.countDocuments();
         const enabledTracks = await RadioLibrary.countDocuments({ enabled: true });
@@ -1484,7 +1744,7 @@ router.get('/library/stats', async (req, res) => {
 // ===========================
 
 // POST /api/radio/host-break/generate - Generate a host break with script + TTS audio
-router.post('/host-break/generate', async (req, res) => {
+router.post('/host-break/generate', requireEditor, async (req, res) => {
     try {
         const { 
             hostId,
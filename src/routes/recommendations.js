@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { loadProfile, getRecommendations } = require('../services/recommendationService');
+
+// The signed-in parent may only see their own kids (or any merged into their account); admins see all
+const ownsProfile = (user, account) => {
+    if (user.role === 'admin') return true;
+    return [account._id, ...(account.mergedAccountIds || [])].map(String).includes(user.id);
+};
+
+/**
+ * GET /api/recommendations/:profileId
+ * Ranked mix of books, episodes and lessons for a kid profile, based on their
+ * own play history, completion, likes, age, categories and series.
+ * Parent of the profile (or admin) only.
+ * Query params:
+ *   limit - max items (default 20, max 50)
+ *   age   - override the profile's age (e.g. profile has none set yet)
+ */
+router.get('/:profileId', requireRole('parent', 'admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const age = parseInt(req.query.age) || undefined;
+
+        const profile = await loadProfile(req.params.profileId);
+        if (!profile) {
+            return res.status(404).json({ message: 'Kid profile not found' });
+        }
+        if (!ownsProfile(req.user, profile.account)) {
+            return res.status(403).json({ message: 'You do not have permission to view this profile', code: 'FORBIDDEN' });
+        }
+
+        const recommendations = await getRecommendations(profile, { limit, age });
+
+        res.json(recommendations);
+    } catch (error) {
+        console.error('Recommendations error:', error);
+        res.status(500).json({ message: 'Failed to build recommendations', error: error.message });
+    }
+});
+
+module.exports = router;
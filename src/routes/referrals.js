@@ -1,35 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
 const AppUser = require('../models/AppUser');
-const User = require('../models/User'); // Fallback for legacy users
 const { notifyReferralRedeemed } = require('../services/notificationService');
-
-// Helper to check if a string is a valid MongoDB ObjectId
-const isValidObjectId = (id) => {
-    if (!id || typeof id !== 'string') return false;
-    // ObjectIds are exactly 24 hex characters
-    if (!/^[0-9a-fA-F]{24}$/.test(id)) return false;
-    try {
-        return new mongoose.Types.ObjectId(id).toString() === id;
-    } catch {
-        return false;
-    }
-};
-
-// Helper to build safe query for finding users by various IDs
-// This handles ObjectIds, emails, deviceIds, and custom user IDs
-const buildUserQuery = (userId) => {
-    const conditions = [
-        { email: userId },
-        { deviceId: userId }
-    ];
-    // Only add _id query if it's a valid ObjectId
-    if (isValidObjectId(userId)) {
-        conditions.unshift({ _id: userId });
-    }
-    return { $or: conditions };
-};
+const { requireAdmin, requireAuth } = require('../middleware/auth');
+const { findAccount, resolveCallerAccount } = require('../services/accountService');
 
 /**
  * POST /api/referrals/sync
@@ -52,7 +26,7 @@ router.post('/sync', async (req, res) => {
         const cleanDeviceId = !userId.includes('@') ? userId : null;
 
         // Find user using safe query that handles various ID formats
-        let user = await AppUser.findOne(buildUserQuery(userId));
+        let user = await findAccount(userId);
 
         if (!user) {
             // User doesn't exist in AppUser - create them
@@ -161,7 +135,7 @@ router.post('/redeem', async (req, res) => {
         const normalizedCode = codeToRedeem.trim().toUpperCase();
 
         // Find the user redeeming the code, or create a minimal record
-        let user = await AppUser.findOne(buildUserQuery(userId));
+        let user = await findAccount(userId);
         
         if (!user) {
             // Create a minimal user record for this device/email
@@ -283,7 +257,7 @@ router.get('/code/:userId', async (req, res) => {
     try {
         const { userId } = req.params;
 
-        const user = await AppUser.findOne(buildUserQuery(userId));
+        const user = await findAccount(userId);
         
         if (!user) {
             return res.status(404).json({ 
@@ -310,18 +284,17 @@ router.get('/code/:userId', async (req, res) => {
 
 /**
  * GET /api/referrals/stats/:userId
- * Get referral statistics for a user (including coins for syncing)
+ * Get referral statistics for the signed-in user (including coins for syncing)
+ * :userId must be one of the caller's own ids (admins: any user)
  */
-router.get('/stats/:userId', async (req, res) => {
+router.get('/stats/:userId', requireAuth, async (req, res) => {
     try {
-        const { userId } = req.params;
-
-        const user = await AppUser.findOne(buildUserQuery(userId));
+        const { account: user, status, message } = await resolveCallerAccount(req.user, req.params.userId);
         
         if (!user) {
-            return res.status(404).json({ 
+            return res.status(status).json({ 
                 success: false, 
-                message: 'User not found' 
+                message 
             });
         }
 
@@ -363,7 +336,7 @@ router.post('/register-push', async (req, res) => {
         }
 
         // Find or create user
-        let user = await AppUser.findOne(buildUserQuery(userId));
+        let user = await findAccount(userId);
         
         if (!user) {
             // Create user with player ID
@@ -403,9 +376,10 @@ router.post('/register-push', async (req, res) => {
 
 /**
  * POST /api/referrals/profile/save
- * Save complete user profile to backend (for cross-device sync)
+ * Save the signed-in user's complete profile to backend (for cross-device sync)
+ * A userId in the body must be one of the caller's own ids (admins: any user)
  */
-router.post('/profile/save', async (req, res) => {
+router.post('/profile/save', requireAuth, async (req, res) => {
     try {
         const { 
             userId, 
@@ -424,18 +398,10 @@ router.post('/profile/save', async (req, res) => {
             defaultVoiceId
         } = req.body;
 
-        if (!userId) {
-            return res.status(400).json({ success: false, message: 'userId is required' });
-        }
-
-        let user = await AppUser.findOne(buildUserQuery(userId));
+        const { account: user, status, message } = await resolveCallerAccount(req.user, userId);
 
         if (!user) {
-            // Create new user
-            user = new AppUser({
-                email: userId.includes('@') ? userId.toLowerCase() : undefined,
-                deviceId: !userId.includes('@') ? userId : undefined,
-            });
+            return res.status(status).json({ success: false, message });
         }
 
         // Update all profile fields
@@ -466,7 +432,7 @@ router.post('/profile/save', async (req, res) => {
         user.lastActiveAt = new Date();
         await user.save();
 
-        console.log(`✅ Profile saved for ${user.email || userId}`);
+        console.log(`✅ Profile saved for ${user.email || user._id}`);
 
         res.json({ 
             success: true, 
@@ -485,18 +451,16 @@ router.post('/profile/save', async (req, res) => {
 
 /**
  * GET /api/referrals/profile/load/:userId
- * Load complete user profile from backend (for cross-device sync)
+ * Load the signed-in user's complete profile from backend (for cross-device sync)
+ * :userId must be one of the caller's own ids (admins: any user)
  */
-router.get('/profile/load/:userId', async (req, res) => {
+router.get('/profile/load/:userId', requireAuth, async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { account: user, status } = await resolveCallerAccount(req.user, req.params.userId, { lean: true });
 
-        if (!userId) {
-            return res.status(400).json({ success: false, message: 'userId is required' });
+        if (status === 403) {
+            return res.status(403).json({ success: false, message: 'You can only load your own profile', profile: null });
         }
-
-        const user = await AppUser.findOne(buildUserQuery(userId)).lean();
-
         if (!user) {
             return res.json({ 
                 success: false, 
@@ -530,7 +494,7 @@ router.get('/profile/load/:userId', async (req, res) => {
             subscriptionStatus: user.subscriptionStatus,
         };
 
-        console.log(`✅ Profile loaded for ${user.email || userId}`);
+        console.log(`✅ Profile loaded for ${user.email || user._id}`);
 
         res.json({ 
             success: true, 
@@ -551,20 +515,13 @@ router.get('/profile/load/:userId', async (req, res) => {
  * GET /api/referrals/admin/list
  * List all users with referral codes (admin only - for debugging)
  */
-router.get('/admin/list', async (req, res) => {
+router.get('/admin/list', requireAdmin, async (req, res) => {
     try {
-        // Get ALL AppUsers
         const appUsers = await AppUser.find(
             {},
             { email: 1, deviceId: 1, referralCode: 1, referralCount: 1, coins: 1, referredBy: 1 }
         ).limit(50);
         
-        // Also get auth Users for comparison
-        const authUsers = await User.find(
-            {},
-            { email: 1, isPremium: 1, createdAt: 1 }
-        ).limit(50);
-        
         return res.json({ 
             success: true, 
             appUsers: {
@@ -577,14 +534,6 @@ router.get('/admin/list', async (req, res) => {
                     coins: u.coins || 0,
                     referredBy: u.referredBy || null
                 }))
-            },
-            authUsers: {
-                count: authUsers.length,
-                users: authUsers.map(u => ({
-                    email: u.email || 'N/A',
-                    isPremium: u.isPremium || false,
-                    createdAt: u.createdAt
-                }))
             }
         });
     } catch (error) {
@@ -617,7 +566,7 @@ router.post('/email-signup', async (req, res) => {
         // Find or create user by deviceId
         let user = null;
         if (deviceId) {
-            user = await AppUser.findOne({ deviceId });
+            user = await findAccount(deviceId);
         }
 
         if (user) {
@@ -659,7 +608,7 @@ router.post('/email-signup', async (req, res) => {
  * GET /api/referrals/email-signups
  * List all email signups (for admin dashboard)
  */
-router.get('/email-signups', async (req, res) => {
+router.get('/email-signups', requireAdmin, async (req, res) => {
     try {
         const users = await AppUser.find(
             { notificationEmail: { $exists: true, $ne: null } },
@@ -1,5 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const User = require('../models/User');
+const { requireRole } = require('../middleware/auth');
+const { findAccountById } = require('../services/accountService');
+const { recordEntitlementEvent } = require('../services/entitlementService');
+const { sendPaymentFailedEmail } = require('../services/emailService');
 
 // Initialize Stripe with secret key
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
@@ -10,6 +15,25 @@ const PRICE_IDS = {
   monthly: process.env.STRIPE_PRICE_MONTHLY || 'price_monthly_placeholder',
 };
 
+const APP_URL = process.env.FRONTEND_URL || 'https://app.godlykids.com';
+
+// Client-supplied redirect targets must stay on the app - anything else gets `fallback`
+const appReturnUrl = (url, fallback) => {
+  if (!url) return fallback;
+  try {
+    return new URL(url).origin === new URL(APP_URL).origin ? url : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const planForPrice = (priceId) => Object.keys(PRICE_IDS).find(plan => PRICE_IDS[plan] === priceId) || null;
+
+const formatAmount = (amount, currency) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: (currency || 'usd').toUpperCase(),
+}).format((amount || 0) / 100);
+
 /**
  * GET /api/stripe/create-checkout-session
  * Info endpoint - tells users to use POST
@@ -61,8 +85,8 @@ router.post('/create-checkout-session', async (req, res) => {
           quantity: 1,
         },
       ],
-      success_url: successUrl || `${process.env.FRONTEND_URL || 'https://app.godlykids.com'}/#/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: cancelUrl || `${process.env.FRONTEND_URL || 'https://app.godlykids.com'}/#/paywall`,
+      success_url: appReturnUrl(successUrl, `${APP_URL}/#/payment-success?session_id={CHECKOUT_SESSION_ID}`),
+      cancel_url: appReturnUrl(cancelUrl, `${APP_URL}/#/paywall`),
       metadata: {
         userId: userId || 'anonymous',
         plan: plan,
@@ -102,6 +126,70 @@ router.post('/create-checkout-session', async (req, res) => {
   }
 });
 
+/**
+ * Record a Stripe subscription's current state in the entitlement ledger.
+ * `invoice` is the paid invoice for invoice.paid events (its amount is the revenue).
+ */
+const recordStripeSubscription = async (event, subscription, userId, invoice = null) => {
+  const status = {
+    trialing: 'trial',
+    active: subscription.cancel_at_period_end ? 'cancelled' : 'active',
+    past_due: 'active', // Grace period while Stripe retries the card
+    canceled: 'expired',
+    unpaid: 'expired',
+    incomplete_expired: 'expired',
+  }[subscription.status];
+
+  // 'incomplete' - first payment hasn't gone through yet
+  if (!status) return null;
+
+  let type = 'sync';
+  if (event.type === 'checkout.session.completed' || event.type === 'customer.subscription.created') {
+    type = status === 'trial' ? 'trial_started' : 'purchase';
+  } else if (event.type === 'customer.subscription.deleted') {
+    type = 'expiration';
+  } else if (event.type === 'invoice.paid') {
+    type = { subscription_create: 'purchase', subscription_cycle: 'renewal', subscription_update: 'product_change' }[invoice?.billing_reason] || 'sync';
+  } else if (event.type === 'invoice.payment_failed' || subscription.status === 'past_due') {
+    type = 'billing_issue';
+  } else if (status === 'cancelled') {
+    type = 'cancellation';
+  }
+
+  const periodEnd = subscription.status === 'trialing' && subscription.trial_end
+    ? subscription.trial_end
+    : subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+
+  const result = await recordEntitlementEvent({
+    identifier: userId,
+    source: 'stripe',
+    type,
+    status,
+    productId: subscription.items?.data?.[0]?.price?.id,
+    // The customer portal can switch prices without touching our metadata
+    plan: planForPrice(subscription.items?.data?.[0]?.price?.id) || subscription.metadata?.plan,
+    startsAt: subscription.start_date ? subscription.start_date * 1000 : null,
+    expiresAt: periodEnd ? periodEnd * 1000 : null,
+    occurredAt: event.created * 1000,
+    // Stripe amounts are in minor units (zero-decimal currencies aside)
+    amount: invoice ? invoice.amount_paid / 100 : null,
+    currency: invoice?.currency,
+    externalEventId: event.id,
+    raw: { eventType: event.type, subscriptionId: subscription.id, status: subscription.status, invoiceId: invoice?.id },
+  });
+
+  // Remember the Stripe customer so the account can manage billing later
+  if (!result.duplicate && result.event?.accountId) {
+    const billing = {
+      stripeCustomerId: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id,
+    };
+    if (status !== 'expired') billing.stripeSubscriptionId = subscription.id;
+    await User.updateOne({ _id: result.event.accountId }, billing);
+  }
+
+  return result;
+};
+
 /**
  * POST /api/stripe/webhook
  * Handle Stripe webhooks for subscription events
@@ -121,6 +209,10 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 
   console.log('📬 Stripe webhook received:', event.type);
 
+  // A failed ledger write answers 500 so Stripe redelivers the event;
+  // ledger entries are keyed by event id, so a redelivery never records twice
+  let ledgerError = null;
+
   // Handle the event
   switch (event.type) {
     case 'checkout.session.completed': {
@@ -129,60 +221,53 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
       
       // Get user ID from metadata
       const userId = session.metadata?.userId;
-      const plan = session.metadata?.plan;
       
-      if (userId && userId !== 'anonymous') {
-        // Update user's premium status in database
+      if (userId && userId !== 'anonymous' && session.subscription) {
         try {
-          const User = require('../models/User');
-          const AppUser = require('../models/AppUser');
-          
-          // Update User collection
-          await User.findOneAndUpdate(
-            { $or: [{ email: userId }, { _id: userId }] },
-            { isPremium: true, subscriptionPlan: plan },
-            { upsert: false }
-          );
-          
-          // Update AppUser collection
-          await AppUser.findOneAndUpdate(
-            { $or: [{ email: userId.toLowerCase() }, { deviceId: userId }] },
-            { isPremium: true, subscriptionPlan: plan },
-            { upsert: false }
-          );
-          
-          console.log(`✅ Updated premium status for user: ${userId}`);
+          // The session doesn't carry trial/period dates - read them off the subscription
+          const subscription = await stripe.subscriptions.retrieve(session.subscription);
+          await recordStripeSubscription(event, subscription, userId);
         } catch (dbError) {
-          console.error('❌ Database update error:', dbError);
+          console.error('❌ Entitlement update error:', dbError);
+          ledgerError = dbError;
         }
       }
       break;
     }
 
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
     case 'customer.subscription.deleted': {
       const subscription = event.data.object;
       const userId = subscription.metadata?.userId;
       
-      console.log('❌ Subscription cancelled:', subscription.id);
+      console.log(`🔄 Subscription ${event.type.split('.').pop()}:`, subscription.id, subscription.status);
       
       if (userId && userId !== 'anonymous') {
         try {
-          const User = require('../models/User');
-          const AppUser = require('../models/AppUser');
-          
-          await User.findOneAndUpdate(
-            { $or: [{ email: userId }, { _id: userId }] },
-            { isPremium: false }
-          );
-          
-          await AppUser.findOneAndUpdate(
-            { $or: [{ email: userId.toLowerCase() }, { deviceId: userId }] },
-            { isPremium: false }
-          );
-          
-          console.log(`✅ Removed premium status for user: ${userId}`);
+          await recordStripeSubscription(event, subscription, userId);
         } catch (dbError) {
-          console.error('❌ Database update error:', dbError);
+          console.error('❌ Entitlement update error:', dbError);
+          ledgerError = dbError;
+        }
+      }
+      break;
+    }
+
+    case 'invoice.paid': {
+      const invoice = event.data.object;
+      console.log('💰 Invoice paid:', invoice.id, formatAmount(invoice.amount_paid, invoice.currency));
+      
+      if (invoice.subscription && invoice.amount_paid > 0) {
+        try {
+          const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+          const userId = subscription.metadata?.userId;
+          if (userId && userId !== 'anonymous') {
+            await recordStripeSubscription(event, subscription, userId, invoice);
+          }
+        } catch (dbError) {
+          console.error('❌ Entitlement update error:', dbError);
+          ledgerError = dbError;
         }
       }
       break;
@@ -190,7 +275,36 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 
     case 'invoice.payment_failed': {
       const invoice = event.data.object;
-      console.log('⚠️ Payment failed for invoice:', invoice.id);
+      console.log('⚠️ Payment failed for invoice:', invoice.id, 'attempt', invoice.attempt_count);
+      
+      if (invoice.subscription) {
+        let result = null;
+        try {
+          // Record the billing issue (also tells us whether this event was already handled)
+          const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+          const userId = subscription.metadata?.userId;
+          result = userId && userId !== 'anonymous'
+            ? await recordStripeSubscription(event, subscription, userId)
+            : null;
+        } catch (dbError) {
+          console.error('❌ Entitlement update error:', dbError);
+          ledgerError = dbError;
+        }
+
+        // Emailed once - after the ledger write, so a redelivery finds it a duplicate
+        const email = invoice.customer_email;
+        if (email && !ledgerError && !result?.duplicate) {
+          try {
+            await sendPaymentFailedEmail(email, {
+              payUrl: invoice.hosted_invoice_url || `${APP_URL}/#/settings`,
+              amount: formatAmount(invoice.amount_due, invoice.currency),
+              nextAttemptAt: invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null,
+            });
+          } catch (dunningError) {
+            console.error('❌ Payment failed email error:', dunningError);
+          }
+        }
+      }
       break;
     }
 
@@ -198,6 +312,9 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
       console.log(`ℹ️ Unhandled event type: ${event.type}`);
   }
 
+  if (ledgerError) {
+    return res.status(500).json({ error: 'Failed to record subscription event' });
+  }
   res.json({ received: true });
 });
 
@@ -231,5 +348,270 @@ router.get('/verify-session/:sessionId', async (req, res) => {
   }
 });
 
+// ===========================
+// BILLING MANAGEMENT (signed-in web subscribers)
+// ===========================
+
+const requireAccount = requireRole('parent', 'admin');
+
+/**
+ * Load the caller's account and Stripe customer.
+ * Accounts from before customers were stored are matched by email, once it's verified.
+ * Sends the error response and returns null when there's nothing to manage.
+ */
+const loadBillingCustomer = async (req, res) => {
+  const account = await findAccountById(req.user.id);
+  if (!account) {
+    res.status(404).json({ error: 'Account not found' });
+    return null;
+  }
+
+  if (!account.stripeCustomerId && account.email && account.emailVerified) {
+    const { data } = await stripe.customers.list({ email: account.email, limit: 1 });
+    if (data[0]) {
+      account.stripeCustomerId = data[0].id;
+      await account.save();
+    }
+  }
+
+  if (!account.stripeCustomerId) {
+    res.status(404).json({ error: 'No web subscription found for this account' });
+    return null;
+  }
+  return account;
+};
+
+/**
+ * The customer's current subscription (the newest one that hasn't ended)
+ */
+const findCurrentSubscription = async (account) => {
+  if (account.stripeSubscriptionId) {
+    const subscription = await stripe.subscriptions.retrieve(account.stripeSubscriptionId);
+    if (!['canceled', 'incomplete_expired'].includes(subscription.status)) return subscription;
+  }
+  const { data } = await stripe.subscriptions.list({ customer: account.stripeCustomerId, status: 'all', limit: 10 });
+  return data.find(sub => !['canceled', 'incomplete_expired'].includes(sub.status)) || null;
+};
+
+const formatSubscription = (subscription) => {
+  const price = subscription.items.data[0]?.price;
+  return {
+    id: subscription.id,
+    status: subscription.status,
+    plan: planForPrice(price?.id) || subscription.metadata?.plan || null,
+    amount: price?.unit_amount ?? null,
+    currency: price?.currency || null,
+    interval: price?.recurring?.interval || null,
+    currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+    trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+  };
+};
+
+/**
+ * GET /api/stripe/subscription
+ * The caller's current web subscription (null when there is none)
+ */
+router.get('/subscription', requireAccount, async (req, res) => {
+  try {
+    const account = await loadBillingCustomer(req, res);
+    if (!account) return;
+
+    const subscription = await findCurrentSubscription(account);
+    res.json({ subscription: subscription ? formatSubscription(subscription) : null });
+  } catch (error) {
+    console.error('❌ Subscription lookup error:', error);
+    res.status(500).json({ error: 'Failed to load subscription' });
+  }
+});
+
+/**
+ * POST /api/stripe/portal-session
+ * Stripe customer portal (update card, cancel, receipts)
+ * Body: { returnUrl? } (must be on the app, else the settings page)
+ */
+router.post('/portal-session', requireAccount, async (req, res) => {
+  try {
+    const account = await loadBillingCustomer(req, res);
+    if (!account) return;
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: account.stripeCustomerId,
+      return_url: appReturnUrl(req.body.returnUrl, `${APP_URL}/#/settings`),
+    });
+
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error('❌ Portal session error:', error);
+    res.status(500).json({ error: 'Failed to create portal session', message: error.message });
+  }
+});
+
+// Subscription item update switching to `plan`
+const planChangeFor = (subscription, plan) => ({
+  items: [{ id: subscription.items.data[0].id, price: PRICE_IDS[plan] }],
+  proration_behavior: 'create_prorations',
+});
+
+// Validates the plan and loads the subscription to change; null when the response was sent
+const loadPlanChange = async (req, res) => {
+  const { plan } = req.body;
+  if (!plan || !PRICE_IDS[plan]) {
+    res.status(400).json({ error: 'Invalid plan. Must be "annual" or "monthly"' });
+    return null;
+  }
+
+  const account = await loadBillingCustomer(req, res);
+  if (!account) return null;
+
+  const subscription = await findCurrentSubscription(account);
+  if (!subscription) {
+    res.status(404).json({ error: 'No active web subscription to change' });
+    return null;
+  }
+  if (subscription.items.data[0]?.price?.id === PRICE_IDS[plan]) {
+    res.status(400).json({ error: `Already on the ${plan} plan` });
+    return null;
+  }
+  return { account, subscription, plan };
+};
+
+/**
+ * POST /api/stripe/change-plan/preview
+ * What switching plans would cost today (proration credit for the unused time included)
+ * Body: { plan: 'monthly' | 'annual' }
+ */
+router.post('/change-plan/preview', requireAccount, async (req, res) => {
+  try {
+    const change = await loadPlanChange(req, res);
+    if (!change) return;
+
+    const { items, proration_behavior: prorationBehavior } = planChangeFor(change.subscription, change.plan);
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const invoice = await stripe.invoices.retrieveUpcoming({
+      customer: change.account.stripeCustomerId,
+      subscription: change.subscription.id,
+      subscription_items: items,
+      subscription_proration_behavior: prorationBehavior,
+      subscription_proration_date: prorationDate,
+    });
+
+    const prorationAmount = invoice.lines.data
+      .filter(line => line.proration)
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    res.json({
+      plan: change.plan,
+      prorationDate,
+      prorationAmount,
+      amountDue: invoice.amount_due,
+      currency: invoice.currency,
+      nextPaymentAt: invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null,
+    });
+  } catch (error) {
+    console.error('❌ Plan change preview error:', error);
+    res.status(500).json({ error: 'Failed to preview plan change', message: error.message });
+  }
+});
+
+/**
+ * POST /api/stripe/change-plan
+ * Switch between monthly and annual. The unused time on the current plan is
+ * credited against the new one (pass prorationDate from the preview to match it exactly).
+ * Body: { plan: 'monthly' | 'annual', prorationDate? }
+ */
+router.post('/change-plan', requireAccount, async (req, res) => {
+  try {
+    const change = await loadPlanChange(req, res);
+    if (!change) return;
+
+    const prorationDate = parseInt(req.body.prorationDate);
+    const subscription = await stripe.subscriptions.update(change.subscription.id, {
+      ...planChangeFor(change.subscription, change.plan),
+      ...(Number.isFinite(prorationDate) ? { proration_date: prorationDate } : {}),
+      // Switching plans undoes a pending cancellation
+      cancel_at_period_end: false,
+      metadata: { ...change.subscription.metadata, plan: change.plan },
+    });
+
+    console.log(`🔁 Plan changed to ${change.plan} for account ${change.account._id}`);
+    res.json({ success: true, subscription: formatSubscription(subscription) });
+  } catch (error) {
+    console.error('❌ Plan change error:', error);
+    res.status(500).json({ error: 'Failed to change plan', message: error.message });
+  }
+});
+
+// cancel_at_period_end toggle shared by cancel/resume
+const setCancelAtPeriodEnd = (cancel) => async (req, res) => {
+  try {
+    const account = await loadBillingCustomer(req, res);
+    if (!account) return;
+
+    const subscription = await findCurrentSubscription(account);
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active web subscription' });
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: cancel });
+    console.log(`${cancel ? '🛑 Cancellation scheduled' : '▶️ Cancellation undone'} for account ${account._id}`);
+    res.json({ success: true, subscription: formatSubscription(updated) });
+  } catch (error) {
+    console.error('❌ Cancellation update error:', error);
+    res.status(500).json({ error: 'Failed to update subscription', message: error.message });
+  }
+};
+
+/**
+ * POST /api/stripe/cancel
+ * Cancel at the end of the current period - access continues until then
+ */
+router.post('/cancel', requireAccount, setCancelAtPeriodEnd(true));
+
+/**
+ * POST /api/stripe/resume
+ * Undo a scheduled cancellation
+ */
+router.post('/resume', requireAccount, setCancelAtPeriodEnd(false));
+
+/**
+ * GET /api/stripe/invoices
+ * Receipts and invoices for the caller, newest first
+ * Query params: limit (max 100), startingAfter (invoice id, for paging)
+ */
+router.get('/invoices', requireAccount, async (req, res) => {
+  try {
+    const account = await loadBillingCustomer(req, res);
+    if (!account) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 24, 100);
+    const invoices = await stripe.invoices.list({
+      customer: account.stripeCustomerId,
+      limit,
+      ...(req.query.startingAfter ? { starting_after: req.query.startingAfter } : {}),
+    });
+
+    res.json({
+      invoices: invoices.data.map(invoice => ({
+        id: invoice.id,
+        number: invoice.number,
+        status: invoice.status,
+        amountDue: invoice.amount_due,
+        amountPaid: invoice.amount_paid,
+        currency: invoice.currency,
+        createdAt: new Date(invoice.created * 1000),
+        periodStart: invoice.period_start ? new Date(invoice.period_start * 1000) : null,
+        periodEnd: invoice.period_end ? new Date(invoice.period_end * 1000) : null,
+        hostedInvoiceUrl: invoice.hosted_invoice_url,
+        invoicePdf: invoice.invoice_pdf,
+      })),
+      hasMore: invoices.has_more,
+    });
+  } catch (error) {
+    console.error('❌ Invoice list error:', error);
+    res.status(500).json({ error: 'Failed to load invoices' });
+  }
+});
+
 module.exports = router;
 
@@ -4,6 +4,9 @@ const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Translation = require('../models/Translation');
 const Page = require('../models/Page');
+const { requireAdmin } = require('../middleware/auth');
+const { translateLimiter } = require('../middleware/rateLimiter');
+const { registerJobHandler, isAsyncRequest, enqueueAndRespond } = require('../services/jobQueue');
 
 // Supported languages
 const SUPPORTED_LANGUAGES = {
@@ -22,6 +25,9 @@ const SUPPORTED_LANGUAGES = {
     'tl': 'Filipino',
 };
 
+// Most pages per bulk request - a whole book
+const MAX_BULK_PAGES = 100;
+
 // Generate hash of text for change detection
 const generateHash = (text) => {
     return crypto.createHash('md5').update(text || '').digest('hex');
@@ -226,76 +232,105 @@ router.get('/page/:pageId', async (req, res) => {
     }
 });
 
-// POST /api/translate/bulk - Translate multiple pages at once (for preloading)
-router.post('/bulk', async (req, res) => {
-    try {
-        const { pageIds, lang } = req.body;
-        
-        if (!pageIds || !Array.isArray(pageIds) || pageIds.length === 0) {
-            return res.status(400).json({ message: 'pageIds array is required' });
-        }
-        
-        if (!lang || !SUPPORTED_LANGUAGES[lang]) {
-            return res.status(400).json({ message: 'Valid language code (lang) is required' });
-        }
-        
-        const results = [];
-        
-        for (const pageId of pageIds) {
-            try {
-                // Check cache first
-                let translation = await Translation.findOne({ pageId, languageCode: lang });
+/**
+ * Translate (or fetch cached translations of) several pages.
+ * Returns { status, body } so it can run inline or from the job queue.
+ */
+const translatePages = async ({ pageIds, lang }, reportProgress = async () => {}) => {
+    if (!pageIds || !Array.isArray(pageIds) || pageIds.length === 0) {
+        return { status: 400, body: { message: 'pageIds array is required' } };
+    }
+    if (pageIds.length > MAX_BULK_PAGES) {
+        return { status: 400, body: { message: `At most ${MAX_BULK_PAGES} pages can be translated at once` } };
+    }
+    
+    if (!lang || !SUPPORTED_LANGUAGES[lang]) {
+        return { status: 400, body: { message: 'Valid language code (lang) is required' } };
+    }
+    
+    const results = [];
+    
+    for (let index = 0; index < pageIds.length; index++) {
+        const pageId = pageIds[index];
+        await reportProgress({ current: index, total: pageIds.length, message: `Translating page ${index + 1} of ${pageIds.length}` });
+
+        try {
+            // Check cache first
+            let translation = await Translation.findOne({ pageId, languageCode: lang });
+            
+            if (translation) {
+                results.push({ pageId, status: 'cached', translation });
+            } else {
+                // Get original page
+                const page = await Page.findById(pageId);
+                if (!page) {
+                    results.push({ pageId, status: 'not_found' });
+                    continue;
+                }
                 
-                if (translation) {
-                    results.push({ pageId, status: 'cached', translation });
-                } else {
-                    // Get original page
-                    const page = await Page.findById(pageId);
-                    if (!page) {
-                        results.push({ pageId, status: 'not_found' });
-                        continue;
-                    }
-                    
-                    // Translate
-                    const translatedText = await translateText(page.content?.text || '', lang);
-                    const translatedTextBoxes = [];
-                    
-                    if (page.content?.textBoxes) {
-                        for (let i = 0; i < page.content.textBoxes.length; i++) {
-                            const tb = page.content.textBoxes[i];
-                            const translatedTbText = await translateText(tb.text || '', lang);
-                            translatedTextBoxes.push({
-                                textBoxIndex: i,
-                                originalText: tb.text,
-                                translatedText: translatedTbText,
-                            });
-                        }
+                // Translate
+                const translatedText = await translateText(page.content?.text || '', lang);
+                const translatedTextBoxes = [];
+                
+                if (page.content?.textBoxes) {
+                    for (let i = 0; i < page.content.textBoxes.length; i++) {
+                        const tb = page.content.textBoxes[i];
+                        const translatedTbText = await translateText(tb.text || '', lang);
+                        translatedTextBoxes.push({
+                            textBoxIndex: i,
+                            originalText: tb.text,
+                            translatedText: translatedTbText,
+                        });
                     }
-                    
-                    // Save to cache
-                    const currentHash = generateHash(
-                        (page.content?.text || '') + 
-                        (page.content?.textBoxes?.map(tb => tb.text).join('') || '')
-                    );
-                    
-                    translation = await Translation.create({
-                        pageId,
-                        languageCode: lang,
-                        originalText: page.content?.text || '',
-                        translatedText,
-                        translatedTextBoxes,
-                        originalHash: currentHash,
-                    });
-                    
-                    results.push({ pageId, status: 'translated', translation });
                 }
-            } catch (err) {
-                results.push({ pageId, status: 'error', error: err.message });
+                
+                // Save to cache
+                const currentHash = generateHash(
+                    (page.content?.text || '') + 
+                    (page.content?.textBoxes?.map(tb => tb.text).join('') || '')
+                );
+                
+                translation = await Translation.create({
+                    pageId,
+                    languageCode: lang,
+                    originalText: page.content?.text || '',
+                    translatedText,
+                    translatedTextBoxes,
+                    originalHash: currentHash,
+                });
+                
+                results.push({ pageId, status: 'translated', translation });
             }
+        } catch (err) {
+            results.push({ pageId, status: 'error', error: err.message });
         }
-        
-        res.json({ results, language: lang });
-        
+    }
+    
+    return { status: 200, body: { results, language: lang } };
+};
+
+registerJobHandler('translate.bulk', (payload, { reportProgress }) => translatePages(payload, reportProgress));
+
+// POST /api/translate/bulk - Translate multiple pages at once (for preloading, up to MAX_BULK_PAGES)
+// Add ?async=true (or "async": true) to queue it and poll GET /api/jobs/:id for progress
+router.post('/bulk', translateLimiter, async (req, res) => {
+    try {
+        if (isAsyncRequest(req)) {
+            const { pageIds, lang } = req.body;
+            if (!pageIds || !Array.isArray(pageIds) || pageIds.length === 0) {
+                return res.status(400).json({ message: 'pageIds array is required' });
+            }
+            if (pageIds.length > MAX_BULK_PAGES) {
+                return res.status(400).json({ message: `At most ${MAX_BULK_PAGES} pages can be translated at once` });
+            }
+            if (!lang || !SUPPORTED_LANGUAGES[lang]) {
+                return res.status(400).json({ message: 'Valid language code (lang) is required' });
+            }
+            return await enqueueAndRespond(req, res, 'translate.bulk', req.body);
+        }
+
+        const { status, body } = await translatePages(req.body);
+        res.status(status).json(body);
     } catch (error) {
         console.error('Bulk translation error:', error);
         res.status(500).json({ message: error.message });
@@ -390,7 +425,7 @@ router.post('/texts', async (req, res) => {
 });
 
 // DELETE /api/translate/cache - Clear all translation cache (or specific language)
-router.delete('/cache', async (req, res) => {
+router.delete('/cache', requireAdmin, async (req, res) => {
     try {
         const { lang } = req.query;
         
@@ -2,357 +2,137 @@ require('dotenv').config(); // Ensure env vars are loaded
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const crypto = require('crypto');
-const path = require('path');
-const fs = require('fs');
 // FormData not needed for TTS generation - using JSON with ElevenLabs API
-const { bucket } = require('../config/storage');
 const TTSCache = require('../models/TTSCache');
-
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Helper to save buffer to file (Local or GCS)
-const saveAudioFile = async (buffer, filename, bookId = null, pageNumber = null) => {
-    // If pageNumber is provided, organize into page-specific subfolder for clarity
-    let filePath;
-    if (bookId && pageNumber !== null && pageNumber !== undefined) {
-        filePath = `books/${bookId}/audio/page${pageNumber}_${filename}`;
-    } else if (bookId) {
-        filePath = `books/${bookId}/audio/${filename}`;
-    } else {
-        filePath = `audio/${filename}`;
-    }
-
-    // Check if GCS is configured
-    if (bucket && process.env.GCS_BUCKET_NAME) {
-        return new Promise((resolve, reject) => {
-            const blob = bucket.file(filePath);
-            const blobStream = blob.createWriteStream({
-                metadata: {
-                    contentType: 'audio/mpeg',
-                },
-            });
-
-            blobStream.on('error', (error) => {
-                console.error('GCS Upload error:', error);
-                // Fallback to local
-                saveLocal(buffer, filePath).then(resolve).catch(reject);
-            });
-
-            blobStream.on('finish', () => {
-                const publicUrl = `https://storage.googleapis.com/${bucket.name}/${filePath}`;
-                resolve(publicUrl);
-            });
-
-            blobStream.end(buffer);
-        });
-    } else {
-        return saveLocal(buffer, filePath);
-    }
+const mongoose = require('mongoose');
+const NarrationBundle = require('../models/NarrationBundle');
+const Book = require('../models/Book');
+const Job = require('../models/Job');
+const { generateSpeech } = require('../services/ttsService');
+const { getProviderStatus, providerChain } = require('../services/ttsProviders');
+const { requestBookNarration, renderBookNarration, getBookContentHash } = require('../services/narrationService');
+const { requireAdmin, requireEditor } = require('../middleware/auth');
+const {
+    MEMBERS_ONLY_MESSAGE,
+    isStaff,
+    canAccessMembersContent,
+    isBookMembersOnly,
+    signAssetUrls,
+} = require('../services/contentAccessService');
+const { registerJobHandler, isAsyncRequest, enqueueAndRespond } = require('../services/jobQueue');
+
+registerJobHandler('tts.generate', (payload) => generateSpeech(payload));
+registerJobHandler('tts.narrateBook', renderBookNarration);
+
+// Narration of a members-only book is only handed out (as signed URLs) to members
+const isMembersOnlyBook = async (req, bookId) => {
+    if (isStaff(req)) return false;
+    const book = await Book.findById(bookId).select('isMembersOnly').lean();
+    return !!book && await isBookMembersOnly(book);
 };
 
-const saveLocal = (buffer, gcsPath) => {
-    return new Promise((resolve, reject) => {
-        const localPath = path.join(uploadsDir, gcsPath);
-        const dir = path.dirname(localPath);
-
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+// POST /generate - Generate TTS audio
+// Add ?async=true (or "async": true) to queue it and poll GET /api/jobs/:id instead
+router.post('/generate', async (req, res) => {
+    try {
+        if (isAsyncRequest(req)) {
+            if (!req.body.text || !req.body.voiceId) {
+                return res.status(400).json({ message: 'Text and voiceId are required' });
+            }
+            return await enqueueAndRespond(req, res, 'tts.generate', req.body);
         }
 
-        fs.writeFile(localPath, buffer, (err) => {
-            if (err) reject(err);
-            else resolve(`/uploads/${gcsPath}`);
-        });
-    });
-};
-
-/**
- * Process ElevenLabs character-level alignment into word-level timing
- * @param {string} text - The original text that was sent to TTS
- * @param {object} alignment - ElevenLabs alignment object with characters and timing arrays
- * @returns {object} - Word-level alignment data
- */
-const processAlignmentToWords = (text, alignment) => {
-    if (!alignment || !alignment.characters || !alignment.character_start_times_seconds) {
-        console.warn('⚠️ No valid alignment data received');
-        // Fallback to estimated timing
-        const words = text.split(/\s+/).filter(w => w.length > 0);
-        const estimatedDurationPerWord = 0.4;
-        return {
-            words: words.map((word, index) => ({
-                word,
-                start: index * estimatedDurationPerWord,
-                end: (index + 1) * estimatedDurationPerWord
-            })),
-            isEstimated: true
-        };
+        const { status, body } = await generateSpeech(req.body);
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('TTS Error:', error.response?.data || error.message);
+        res.status(500).json({ message: 'TTS Generation Failed', error: error.message });
     }
+});
 
-    const { characters, character_start_times_seconds, character_end_times_seconds } = alignment;
-    
-    // Build word-level timing from character timing
-    const words = [];
-    let currentWord = '';
-    let wordStartTime = null;
-    let wordEndTime = null;
-    
-    for (let i = 0; i < characters.length; i++) {
-        const char = characters[i];
-        const startTime = character_start_times_seconds[i];
-        const endTime = character_end_times_seconds[i];
-        
-        // Check if this is a word boundary (space, newline, or punctuation followed by space)
-        if (char === ' ' || char === '\n' || char === '\t') {
-            // End current word if we have one
-            if (currentWord.trim().length > 0) {
-                words.push({
-                    word: currentWord.trim(),
-                    start: wordStartTime,
-                    end: wordEndTime
-                });
-            }
-            currentWord = '';
-            wordStartTime = null;
-            wordEndTime = null;
-        } else {
-            // Add character to current word
-            if (wordStartTime === null) {
-                wordStartTime = startTime;
-            }
-            wordEndTime = endTime;
-            currentWord += char;
+// POST /books/:bookId/narration - Pre-render narration for every page and text box of a book
+// Body: { voiceId, force } - editors only, a render calls the TTS provider for every text box
+// 202 + job id while rendering (poll GET /api/jobs/:id for progress), 200 with the bundle once it's ready
+router.post('/books/:bookId/narration', requireEditor, async (req, res) => {
+    try {
+        const { voiceId, force } = req.body;
+        if (!voiceId) {
+            return res.status(400).json({ message: 'voiceId is required' });
         }
-    }
-    
-    // Don't forget the last word
-    if (currentWord.trim().length > 0) {
-        words.push({
-            word: currentWord.trim(),
-            start: wordStartTime,
-            end: wordEndTime
+        if (!mongoose.Types.ObjectId.isValid(req.params.bookId)) {
+            return res.status(404).json({ message: 'Book not found' });
+        }
+
+        const { status, body } = await requestBookNarration(req.params.bookId, voiceId, {
+            force: force === true,
+            createdBy: req.user.id,
         });
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Narration render error:', error);
+        res.status(500).json({ message: 'Failed to start narration render', error: error.message });
     }
-    
-    console.log('📊 Processed alignment:', {
-        totalCharacters: characters.length,
-        totalWords: words.length,
-        firstWord: words[0],
-        lastWord: words[words.length - 1]
-    });
-    
-    return {
-        words,
-        isEstimated: false
-    };
-};
+});
 
-// POST /generate - Generate TTS audio
-router.post('/generate', async (req, res) => {
+// GET /books/:bookId/narration - List the narration bundles of a book (one per voice)
+router.get('/books/:bookId/narration', async (req, res) => {
     try {
-        const { text, voiceId, bookId, languageCode, pageNumber, textBoxIndex } = req.body;
-
-        if (!text || !voiceId) {
-            return res.status(400).json({ message: 'Text and voiceId are required' });
-        }
-        
-        // Log page info for debugging
-        if (bookId && pageNumber !== undefined) {
-            console.log(`📄 Generating TTS for book ${bookId}, page ${pageNumber}${textBoxIndex !== undefined ? `, textbox ${textBoxIndex}` : ''}`);
-        }
-
-        // Include language in cache key for multilingual support
-        const cacheKey = languageCode && languageCode !== 'en' 
-            ? `${text}${voiceId}${languageCode}` 
-            : `${text}${voiceId}`;
-        
-        // 1. Check Cache
-        const textHash = crypto.createHash('md5').update(cacheKey).digest('hex');
-        const cached = await TTSCache.findOne({ textHash, voiceId });
-
-        if (cached) {
-            // Check if cached URL is a local path but GCS is now configured
-            // If so, we need to regenerate with GCS
-            const isLocalPath = cached.audioUrl && cached.audioUrl.startsWith('/uploads/');
-            const gcsConfigured = bucket && process.env.GCS_BUCKET_NAME;
-            
-            if (isLocalPath && gcsConfigured) {
-                console.log('TTS Cache Hit - but URL is local path and GCS is configured, regenerating...');
-                // Delete old cache entry so we regenerate with GCS
-                await TTSCache.deleteOne({ _id: cached._id });
-                // Fall through to generate new audio
-            } else if (isLocalPath) {
-                console.log('TTS Cache Hit - local path (GCS not configured)');
-                return res.json({
-                    audioUrl: cached.audioUrl,
-                    alignment: cached.alignmentData
-                });
-            } else {
-                console.log('TTS Cache Hit - GCS URL');
-                return res.json({
-                    audioUrl: cached.audioUrl,
-                    alignment: cached.alignmentData
-                });
-            }
+        if (!mongoose.Types.ObjectId.isValid(req.params.bookId)) {
+            return res.status(404).json({ message: 'Book not found' });
         }
-
-        console.log('TTS Cache Miss - Generating Audio with Timestamps');
-        let audioBuffer;
-        let alignmentData;
-
-        // ELEVENLABS GENERATION WITH TIMESTAMPS
-        const apiKey = process.env.ELEVENLABS_API_KEY;
-        if (!apiKey) {
-            return res.status(500).json({ message: 'TTS Generation Failed', error: 'apiKey is not defined' });
+        const [bundles, contentHash, membersOnly] = await Promise.all([
+            NarrationBundle.find({ bookId: req.params.bookId }).select('-manifest').sort({ updatedAt: -1 }).lean(),
+            getBookContentHash(req.params.bookId),
+            isMembersOnlyBook(req, req.params.bookId),
+        ]);
+        const access = membersOnly ? await canAccessMembersContent(req) : true;
+
+        const list = [];
+        for (const bundle of bundles) {
+            let manifestUrl = bundle.manifestUrl;
+            if (membersOnly) manifestUrl = access ? await signAssetUrls(manifestUrl) : null;
+            list.push({ ...bundle, manifestUrl, stale: !!bundle.contentHash && bundle.contentHash !== contentHash });
         }
+        res.json(list);
+    } catch (error) {
+        console.error('Narration list error:', error);
+        res.status(500).json({ message: error.message });
+    }
+});
 
-        // Use multilingual model for non-English languages
-        const isMultilingual = languageCode && languageCode !== 'en';
-        const modelId = isMultilingual ? "eleven_multilingual_v2" : "eleven_v3";
-        
-        // Strip emotional cues from text before sending to ElevenLabs
-        // These are bracketed expressions like [happy], [Niños riendo], [long pause], etc.
-        // The multilingual model doesn't handle them, and they can interfere with TTS quality
-        let processedText = text;
-        const bracketRegex = /\[[^\]]+\]/g;
-        const brackets = text.match(bracketRegex);
-        if (brackets && brackets.length > 0) {
-            processedText = text.replace(bracketRegex, '').replace(/\s+/g, ' ').trim();
-            console.log(`🔧 Stripped ${brackets.length} bracketed expression(s): ${brackets.join(', ')}`);
+// GET /books/:bookId/narration/:voiceId - Narration manifest for one voice
+// manifest.pages[].textBoxes[] = { textBoxIndex, audioUrl, alignment }
+// Members-only books: 403 without a membership, signed URLs with one
+// stale: true when the book's text changed after the render
+router.get('/books/:bookId/narration/:voiceId', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.bookId)) {
+            return res.status(404).json({ message: 'Narration not found' });
         }
-        
-        console.log(`🎤 Generating TTS with ElevenLabs model: ${modelId} (language: ${languageCode || 'en'})`);
-        console.log(`📝 Text length: ${processedText.length} chars`);
-
-        try {
-            // Use the /with-timestamps endpoint to get word-level timing
-            const response = await axios.post(
-                `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps`,
-                {
-                    text: processedText, // Use processed text with brackets stripped
-                    model_id: modelId,
-                    voice_settings: {
-                        stability: 0.5,
-                        similarity_boost: 0.75
-                    }
-                },
-                {
-                    headers: {
-                        'xi-api-key': apiKey,
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    params: {
-                        output_format: 'mp3_44100_128'
-                    }
-                }
-            );
-
-            // Response contains: audio_base64, alignment (with characters and timing)
-            const { audio_base64, alignment } = response.data;
-            
-            // Convert base64 audio to buffer
-            audioBuffer = Buffer.from(audio_base64, 'base64');
-            
-            // Process character-level alignment into word-level timing (use processed text for accurate alignment)
-            alignmentData = processAlignmentToWords(processedText, alignment);
-            
-            console.log('✅ Got alignment data:', {
-                characters: alignment?.characters?.length || 0,
-                words: alignmentData?.words?.length || 0
-            });
-
-        } catch (error) {
-            console.error('❌ ElevenLabs API Error:', error.response?.status, error.response?.data);
-            
-            // Fallback to regular TTS without timestamps if /with-timestamps fails
-            console.log('⚠️ Falling back to TTS without timestamps...');
-            try {
-                const fallbackResponse = await axios.post(
-                    `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-                    {
-                        text: processedText, // Use processed text with brackets stripped
-                        model_id: modelId,
-                        voice_settings: {
-                            stability: 0.5,
-                            similarity_boost: 0.75
-                        }
-                    },
-                    {
-                        headers: {
-                            'xi-api-key': apiKey,
-                            'Content-Type': 'application/json'
-                        },
-                        responseType: 'arraybuffer',
-                        params: {
-                            output_format: 'mp3_44100_128'
-                        }
-                    }
-                );
-                audioBuffer = fallbackResponse.data;
-                
-                // Generate estimated word timing as fallback (use processed text)
-                const words = processedText.split(/\s+/).filter(w => w.length > 0);
-                const estimatedDurationPerWord = 0.4;
-                alignmentData = {
-                    words: words.map((word, index) => ({
-                        word,
-                        start: index * estimatedDurationPerWord,
-                        end: (index + 1) * estimatedDurationPerWord
-                    })),
-                    isEstimated: true
-                };
-            } catch (fallbackError) {
-                console.error('❌ Fallback TTS also failed:', fallbackError.message);
-                throw fallbackError;
-            }
+        const membersOnly = await isMembersOnlyBook(req, req.params.bookId);
+        if (membersOnly && !(await canAccessMembersContent(req))) {
+            return res.status(403).json({ message: MEMBERS_ONLY_MESSAGE, code: 'MEMBERS_ONLY' });
         }
 
-        // 3. Save Audio with descriptive filename
-        // Include page and textbox info if available for easier identification in GCS
-        let filename;
-        if (pageNumber !== undefined && textBoxIndex !== undefined) {
-            filename = `p${pageNumber}_tb${textBoxIndex}_${textHash.substring(0, 8)}.mp3`;
-        } else if (pageNumber !== undefined) {
-            filename = `p${pageNumber}_${textHash.substring(0, 8)}.mp3`;
-        } else {
-            filename = `${Date.now()}_${textHash.substring(0, 12)}.mp3`;
-        }
-        const audioUrl = await saveAudioFile(audioBuffer, filename, bookId, pageNumber);
-
-        // 5. Save to Cache (handle duplicate key errors gracefully)
-        try {
-            const newCache = new TTSCache({
-                textHash,
-                voiceId,
-                text,
-                audioUrl,
-                alignmentData,
-                bookId: bookId || null // Store bookId for cache clearing by book
-            });
-            await newCache.save();
-        } catch (cacheError) {
-            // If it's a duplicate key error, that's fine - another request already cached it
-            if (cacheError.code === 11000) {
-                console.log('TTS Cache: Entry already exists (race condition), continuing...');
-            } else {
-                console.warn('TTS Cache save warning:', cacheError.message);
-            }
-            // Don't fail the request - we still have the audio
+        const bundle = await NarrationBundle.findOne({ bookId: req.params.bookId, voiceId: req.params.voiceId }).lean();
+        if (!bundle) {
+            return res.status(404).json({ message: 'Narration not found' });
         }
 
-        res.json({
-            audioUrl,
-            alignment: alignmentData
-        });
+        const [contentHash, job] = await Promise.all([
+            getBookContentHash(req.params.bookId),
+            bundle.jobId ? Job.findById(bundle.jobId).select('status progress error').lean() : null,
+        ]);
 
+        const body = {
+            ...bundle,
+            stale: !!bundle.contentHash && bundle.contentHash !== contentHash,
+            job: job ? { id: job._id, status: job.status, progress: job.progress, error: job.error } : null,
+        };
+        res.json(membersOnly ? await signAssetUrls(body) : body);
     } catch (error) {
-        console.error('TTS Error:', error.response?.data || error.message);
-        res.status(500).json({ message: 'TTS Generation Failed', error: error.message });
+        console.error('Narration fetch error:', error);
+        res.status(500).json({ message: error.message });
     }
 });
 
@@ -646,7 +426,7 @@ router.get('/voices', async (req, res) => {
 
 // DELETE /clear-cache - Clear TTS cache to force regeneration with real timestamps
 // This is useful when timestamp logic has been updated
-router.delete('/clear-cache', async (req, res) => {
+router.delete('/clear-cache', requireAdmin, async (req, res) => {
     try {
         const { textHash, voiceId, clearAll } = req.body;
         
@@ -718,7 +498,7 @@ router.delete('/clear-cache', async (req, res) => {
 });
 
 // GET /cache-stats - Get TTS cache statistics
-router.get('/cache-stats', async (req, res) => {
+router.get('/cache-stats', requireAdmin, async (req, res) => {
     try {
         const totalEntries = await TTSCache.countDocuments();
         const estimatedEntries = await TTSCache.countDocuments({ 'alignmentData.isEstimated': true });
@@ -736,4 +516,18 @@ router.get('/cache-stats', async (req, res) => {
     }
 });
 
+// GET /providers - TTS providers, whether they're configured or benched after running out of quota
+// Add ?voiceId= (and ?languageCode=) to see the order the providers would be tried in for that voice
+router.get('/providers', requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            providers: getProviderStatus(),
+            chain: req.query.voiceId ? await providerChain(req.query.voiceId, { languageCode: req.query.languageCode }) : undefined
+        });
+    } catch (error) {
+        console.error('TTS Providers Error:', error.message);
+        res.status(500).json({ message: 'Failed to get TTS providers' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,224 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { streamSpeech } = require('../services/ttsService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Streaming TTS over WebSocket at ws(s)://<host>/api/tts/ws
+ * Attached to the HTTP server in src/index.js (upgrades bypass Express).
+ * Clients may sign the connection with `Authorization: Bearer <token>` or `?token=` (browsers
+ * can't set headers on a WebSocket); the hourly quota is then per account or guest device
+ * instead of per client address.
+ *
+ * Client -> server (JSON):
+ *   { type: 'generate' (default), requestId?, text, voiceId, bookId?, languageCode?, pageNumber?, textBoxIndex? }
+ *   { type: 'cancel', requestId? }  - no requestId cancels everything on the connection
+ *   { type: 'ping' }
+ *
+ * Server -> client (JSON, tagged with the requestId):
+ *   { type: 'start' }
+ *   { type: 'audio', index, audio (base64 - mp3, or wav from the local engine), alignment: { characters, start, end } | null }
+ *     - start/end are seconds from the beginning of the clip, so they can be appended as they arrive
+ *   { type: 'complete', cached, audioUrl, alignment, provider }  - same body as POST /api/tts/generate;
+ *     cache hits go straight here without audio chunks
+ *   { type: 'cancelled' }
+ *   { type: 'error', error }
+ */
+
+const WS_PATH = '/api/tts/ws';
+const MAX_TEXT_LENGTH = 5000;
+const MAX_IN_FLIGHT = 3;
+// Same budget as ttsLimiter on the HTTP routes, per account, guest device or client address
+const HOURLY_LIMIT = 120;
+// Proxies in front of the server (as Express 'trust proxy' in src/index.js)
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0;
+const HOUR_MS = 60 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+
+const usage = new Map();
+
+// The client address as the last trusted proxy saw it - hops beyond those are client-supplied
+const clientAddress = (req) => {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+    const chain = [req.socket.remoteAddress, ...forwarded.reverse()];
+    return chain[Math.min(TRUST_PROXY_HOPS, chain.length - 1)];
+};
+
+// Who the quota is charged to: the signed-in account, a guest's device, else the client address
+const quotaKey = async (req) => {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const authReq = {
+        headers: token && !req.headers.authorization ? { ...req.headers, authorization: `Bearer ${token}` } : req.headers,
+    };
+    await authenticate(authReq, null, () => {});
+    const user = authReq.user;
+
+    if (user && user.role !== 'anonymous') return `user:${user.id}`;
+    if (user?.deviceId) return `device:${user.deviceId}`;
+    if (user?.sessionId) return `session:${user.sessionId}`;
+    return `ip:${clientAddress(req)}`;
+};
+
+const takeQuota = (key) => {
+    const now = Date.now();
+    const entry = usage.get(key);
+    if (!entry || entry.resetAt <= now) {
+        usage.set(key, { count: 1, resetAt: now + HOUR_MS });
+        return true;
+    }
+    if (entry.count >= HOURLY_LIMIT) return false;
+    entry.count++;
+    return true;
+};
+
+const handleConnection = (ws, req) => {
+    const { quotaKey: key } = req;
+    const active = new Map(); // requestId -> AbortController
+    let nextId = 1;
+
+    const send = (message) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    const cancel = (requestId) => {
+        const controller = active.get(requestId);
+        if (!controller) return false;
+        controller.abort();
+        active.delete(requestId);
+        send({ type: 'cancelled', requestId });
+        return true;
+    };
+
+    const generate = async (message) => {
+        const requestId = String(message.requestId ?? nextId++);
+        const { text, voiceId, bookId, languageCode, pageNumber, textBoxIndex } = message;
+
+        if (typeof text !== 'string' || !text.trim() || typeof voiceId !== 'string' || !voiceId) {
+            return send({ type: 'error', requestId, error: 'Text and voiceId are required' });
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            return send({ type: 'error', requestId, error: `Text is limited to ${MAX_TEXT_LENGTH} characters` });
+        }
+        // Re-using a requestId replaces the earlier request (e.g. the reader turned the page again)
+        cancel(requestId);
+        if (active.size >= MAX_IN_FLIGHT) {
+            return send({ type: 'error', requestId, error: `At most ${MAX_IN_FLIGHT} requests can run at once` });
+        }
+        if (!takeQuota(key)) {
+            return send({ type: 'error', requestId, error: 'Too many requests, please try again later.' });
+        }
+
+        const controller = new AbortController();
+        active.set(requestId, controller);
+        send({ type: 'start', requestId });
+
+        let index = 0;
+        try {
+            const result = await streamSpeech(
+                { text, voiceId, bookId, languageCode, pageNumber, textBoxIndex },
+                {
+                    signal: controller.signal,
+                    onChunk: ({ audio, alignment }) => send({
+                        type: 'audio',
+                        requestId,
+                        index: index++,
+                        audio: audio ? audio.toString('base64') : null,
+                        alignment,
+                    }),
+                }
+            );
+            if (controller.signal.aborted) return;
+
+            send({ type: 'complete', requestId, ...result });
+        } catch (error) {
+            // Cancellation was already answered
+            if (controller.signal.aborted) return;
+            console.error('TTS WebSocket Error:', error.message);
+            send({ type: 'error', requestId, error: error.message });
+        } finally {
+            if (active.get(requestId) === controller) active.delete(requestId);
+        }
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            return send({ type: 'error', error: 'Messages must be JSON' });
+        }
+
+        switch (message.type || 'generate') {
+            case 'generate':
+                generate(message).catch(err => console.error('TTS WebSocket Error:', err.message));
+                break;
+            case 'cancel':
+                if (message.requestId !== undefined) {
+                    if (!cancel(String(message.requestId))) {
+                        send({ type: 'error', requestId: String(message.requestId), error: 'No such request in progress' });
+                    }
+                } else {
+                    [...active.keys()].forEach(cancel);
+                }
+                break;
+            case 'ping':
+                send({ type: 'pong' });
+                break;
+            default:
+                send({ type: 'error', error: `Unknown message type: ${message.type}` });
+        }
+    });
+
+    // Stop paying for audio nobody will hear
+    ws.on('close', () => {
+        active.forEach(controller => controller.abort());
+        active.clear();
+    });
+};
+
+/**
+ * Serve the TTS socket on the given HTTP server
+ */
+const attachTtsSocket = (server) => {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+    wss.on('connection', handleConnection);
+
+    server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== WS_PATH) {
+            socket.destroy();
+            return;
+        }
+        quotaKey(req)
+            .then((key) => {
+                req.quotaKey = key;
+                wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+            })
+            .catch((error) => {
+                console.error('TTS WebSocket upgrade error:', error.message);
+                socket.destroy();
+            });
+    });
+
+    // Drop connections that stopped answering pings, and forget expired quotas
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+        const now = Date.now();
+        usage.forEach((entry, key) => {
+            if (entry.resetAt <= now) usage.delete(key);
+        });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    console.log(`🔊 TTS WebSocket listening on ${WS_PATH}`);
+    return wss;
+};
+
+module.exports = { attachTtsSocket };
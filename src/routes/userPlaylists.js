@@ -2,17 +2,60 @@ const express = require('express');
 const router = express.Router();
 const UserPlaylist = require('../models/UserPlaylist');
 const Playlist = require('../models/Playlist');
+const { requireRole } = require('../middleware/auth');
+const { findAccountById, normalizeEmail } = require('../services/accountService');
 
-// GET /api/user-playlists - Get all playlists for a user
+// Every route acts on the signed-in parent's own playlists
+router.use(requireRole('parent', 'admin'));
+
+/**
+ * The userId values the caller's playlists may be stored under: the account id (and ids
+ * merged into it), plus verified email addresses for playlists saved before accounts had ids
+ */
+const callerOwnerIds = async (req) => {
+    if (req.ownerIds) return req.ownerIds;
+    const account = await findAccountById(req.user.id, { select: 'email emails emailVerified mergedAccountIds', lean: true });
+    const ids = [req.user.id];
+    if (account) {
+        ids.push(account._id.toString(), ...(account.mergedAccountIds || []).map(String));
+        if (account.emailVerified) {
+            ids.push(...[account.email, ...(account.emails || [])].filter(Boolean).map(normalizeEmail));
+        }
+    }
+    req.ownerIds = [...new Set(ids)];
+    return req.ownerIds;
+};
+
+const ownsPlaylist = async (req, playlist) => {
+    if (req.user.role === 'admin') return true;
+    const userId = playlist.userId.includes('@') ? normalizeEmail(playlist.userId) : playlist.userId;
+    return (await callerOwnerIds(req)).includes(userId);
+};
+
+/**
+ * Load :id if the caller owns it (admins may load any), otherwise answer 404/403 and return null
+ */
+const loadOwnedPlaylist = async (req, res, notFoundMessage = 'Playlist not found') => {
+    const playlist = await UserPlaylist.findById(req.params.id);
+    if (!playlist) {
+        res.status(404).json({ message: notFoundMessage });
+        return null;
+    }
+    if (!(await ownsPlaylist(req, playlist))) {
+        res.status(403).json({ message: 'You do not have permission to access this playlist', code: 'FORBIDDEN' });
+        return null;
+    }
+    return playlist;
+};
+
+// GET /api/user-playlists - Get the signed-in user's playlists (admins: ?userId= for anyone's)
 router.get('/', async (req, res) => {
     try {
-        const { userId } = req.query;
+        const userIds = req.user.role === 'admin' && req.query.userId
+            ? [req.query.userId]
+            : await callerOwnerIds(req);
         
-        if (!userId) {
-            return res.status(400).json({ message: 'userId is required' });
-        }
-        
-        const playlists = await UserPlaylist.find({ userId })
+        const playlists = await UserPlaylist.find({ userId: { $in: userIds } })
             .sort({ updatedAt: -1 });
         
         res.json(playlists);
@@ -25,11 +68,8 @@ router.get('/', async (req, res) => {
 // GET /api/user-playlists/:id - Get a specific playlist
 router.get('/:id', async (req, res) => {
     try {
-        const playlist = await UserPlaylist.findById(req.params.id);
-        
-        if (!playlist) {
-            return res.status(404).json({ message: 'Playlist not found' });
-        }
+        const playlist = await loadOwnedPlaylist(req, res);
+        if (!playlist) return;
         
         res.json(playlist);
     } catch (error) {
@@ -43,13 +83,15 @@ router.post('/', async (req, res) => {
     console.log('📋 POST /api/user-playlists - Request body:', JSON.stringify(req.body));
     
     try {
-        const { userId, name, description, coverImage } = req.body;
+        const { name, description, coverImage } = req.body;
+        // Playlists belong to the signed-in account - admins may create one for a given userId
+        const userId = req.user.role === 'admin' && req.body.userId ? req.body.userId : req.user.id;
         
         console.log('📋 Parsed values:', { userId, name, description: description?.substring(0, 50), hasCoverImage: !!coverImage });
         
-        if (!userId || !name) {
-            console.log('❌ Missing required fields:', { userId: !!userId, name: !!name });
-            return res.status(400).json({ message: 'userId and name are required' });
+        if (!name) {
+            console.log('❌ Missing required fields:', { name: !!name });
+            return res.status(400).json({ message: 'name is required' });
         }
         
         // Check if user already has a playlist with this name
@@ -86,10 +128,8 @@ router.put('/:id', async (req, res) => {
     try {
         const { name, description, coverImage, aiGenerated } = req.body;
         
-        const playlist = await UserPlaylist.findById(req.params.id);
-        if (!playlist) {
-            return res.status(404).json({ message: 'Playlist not found' });
-        }
+        const playlist = await loadOwnedPlaylist(req, res);
+        if (!playlist) return;
         
         if (name) playlist.name = name.trim();
         if (description !== undefined) playlist.description = description?.trim() || '';
@@ -108,11 +148,10 @@ router.put('/:id', async (req, res) => {
 // DELETE /api/user-playlists/:id - Delete a playlist
 router.delete('/:id', async (req, res) => {
     try {
-        const playlist = await UserPlaylist.findByIdAndDelete(req.params.id);
+        const playlist = await loadOwnedPlaylist(req, res);
+        if (!playlist) return;
         
-        if (!playlist) {
-            return res.status(404).json({ message: 'Playlist not found' });
-        }
+        await UserPlaylist.deleteOne({ _id: playlist._id });
         
         console.log(`🗑️ Playlist deleted: "${playlist.name}"`);
         res.json({ success: true, message: 'Playlist deleted' });
@@ -131,10 +170,8 @@ router.post('/:id/items', async (req, res) => {
             return res.status(400).json({ message: 'playlistId and itemId are required' });
         }
         
-        const userPlaylist = await UserPlaylist.findById(req.params.id);
-        if (!userPlaylist) {
-            return res.status(404).json({ message: 'User playlist not found' });
-        }
+        const userPlaylist = await loadOwnedPlaylist(req, res, 'User playlist not found');
+        if (!userPlaylist) return;
         
         // Check if item already exists in playlist
         const alreadyExists = userPlaylist.items.some(
@@ -188,10 +225,8 @@ router.post('/:id/items', async (req, res) => {
 // DELETE /api/user-playlists/:id/items/:itemId - Remove item from playlist
 router.delete('/:id/items/:itemId', async (req, res) => {
     try {
-        const userPlaylist = await UserPlaylist.findById(req.params.id);
-        if (!userPlaylist) {
-            return res.status(404).json({ message: 'Playlist not found' });
-        }
+        const userPlaylist = await loadOwnedPlaylist(req, res);
+        if (!userPlaylist) return;
         
         const itemIndex = userPlaylist.items.findIndex(
             item => item._id.toString() === req.params.itemId
@@ -228,10 +263,8 @@ router.put('/:id/reorder', async (req, res) => {
             return res.status(400).json({ message: 'itemIds array is required' });
         }
         
-        const userPlaylist = await UserPlaylist.findById(req.params.id);
-        if (!userPlaylist) {
-            return res.status(404).json({ message: 'Playlist not found' });
-        }
+        const userPlaylist = await loadOwnedPlaylist(req, res);
+        if (!userPlaylist) return;
         
         // Reorder items based on provided order
         const reorderedItems = itemIds.map((id, index) => {
@@ -3,7 +3,9 @@ const router = express.Router();
 const axios = require('axios');
 const mongoose = require('mongoose');
 const Voice = require('../models/Voice');
-const AppUser = require('../models/AppUser');
+const { findAccount } = require('../services/accountService');
+const { requireAdmin } = require('../middleware/auth');
+const { PROVIDER_NAMES } = require('../services/ttsProviders');
 
 // GET / - Get all voices (enabled and disabled)
 router.get('/', async (req, res) => {
@@ -81,7 +83,7 @@ router.get('/enabled', async (req, res) => {
 });
 
 // GET /sync - Sync voices from ElevenLabs API
-router.get('/sync', async (req, res) => {
+router.get('/sync', requireAdmin, async (req, res) => {
     try {
         const apiKey = process.env.ELEVENLABS_API_KEY;
         if (!apiKey) {
@@ -142,7 +144,7 @@ router.get('/sync', async (req, res) => {
 });
 
 // PUT /:voiceId/enable - Enable a voice
-router.put('/:voiceId/enable', async (req, res) => {
+router.put('/:voiceId/enable', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(503).json({ message: 'Database not connected' });
@@ -166,7 +168,7 @@ router.put('/:voiceId/enable', async (req, res) => {
 });
 
 // PUT /:voiceId/disable - Disable a voice
-router.put('/:voiceId/disable', async (req, res) => {
+router.put('/:voiceId/disable', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(503).json({ message: 'Database not connected' });
@@ -190,7 +192,7 @@ router.put('/:voiceId/disable', async (req, res) => {
 });
 
 // PUT /:voiceId - Update voice metadata
-router.put('/:voiceId', async (req, res) => {
+router.put('/:voiceId', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(503).json({ message: 'Database not connected' });
@@ -201,6 +203,15 @@ router.put('/:voiceId', async (req, res) => {
             return res.status(404).json({ message: 'Voice not found' });
         }
 
+        const { provider, fallbacks } = req.body;
+        if (fallbacks !== undefined && !Array.isArray(fallbacks)) {
+            return res.status(400).json({ message: 'fallbacks must be an array of { provider, providerVoiceId }' });
+        }
+        const providers = [provider, ...(fallbacks || []).map(fallback => fallback?.provider)].filter(name => name !== undefined);
+        if (providers.some(name => !PROVIDER_NAMES.includes(name))) {
+            return res.status(400).json({ message: `provider must be one of: ${PROVIDER_NAMES.join(', ')}` });
+        }
+
         // Update allowed fields
         if (req.body.enabled !== undefined) voice.enabled = req.body.enabled;
         if (req.body.showInApp !== undefined) voice.showInApp = req.body.showInApp;
@@ -211,7 +222,10 @@ router.put('/:voiceId', async (req, res) => {
         if (req.body.language !== undefined) voice.language = req.body.language;
         if (req.body.displayOrder !== undefined) voice.displayOrder = req.body.displayOrder;
         if (req.body.isPremium !== undefined) voice.isPremium = req.body.isPremium;
-        
+        if (provider !== undefined) voice.provider = provider;
+        if (req.body.providerVoiceId !== undefined) voice.providerVoiceId = req.body.providerVoiceId || undefined;
+        if (fallbacks !== undefined) voice.fallbacks = fallbacks;
+
         voice.updatedAt = Date.now();
         await voice.save();
 
@@ -224,7 +238,7 @@ router.put('/:voiceId', async (req, res) => {
 });
 
 // DELETE /:voiceId - Delete a voice
-router.delete('/:voiceId', async (req, res) => {
+router.delete('/:voiceId', requireAdmin, async (req, res) => {
     try {
         if (mongoose.connection.readyState !== 1) {
             return res.status(503).json({ message: 'Database not connected' });
@@ -265,12 +279,7 @@ router.post('/unlock', async (req, res) => {
         }
         
         // Find user and add voice to unlockedVoices if not already there
-        const user = await AppUser.findOne({ 
-            $or: [
-                { email: userId },
-                { _id: mongoose.Types.ObjectId.isValid(userId) ? userId : null }
-            ]
-        });
+        const user = await findAccount(userId);
         
         if (!user) {
             return res.status(404).json({ 
@@ -327,12 +336,7 @@ router.get('/user/:userId/unlocked', async (req, res) => {
     try {
         const { userId } = req.params;
         
-        const user = await AppUser.findOne({ 
-            $or: [
-                { email: userId },
-                { _id: mongoose.Types.ObjectId.isValid(userId) ? userId : null }
-            ]
-        });
+        const user = await findAccount(userId);
         
         if (!user) {
             return res.json({ unlockedVoices: [] });
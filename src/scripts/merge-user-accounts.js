@@ -0,0 +1,138 @@
+/**
+ * Merge User Accounts Script
+ *
+ * Folds the legacy `users` collection (auth accounts) into `appusers` so every
+ * family has exactly one account document:
+ *   1. Each `users` document becomes an AppUser with the SAME _id (so existing
+ *      tokens, sessions and audit logs keep pointing at it) and its hashed password.
+ *   2. AppUsers that belong to the same person (same email, or the User's deviceId)
+ *      are merged into it - coins, kids, unlocks, stats and devices carry over and
+ *      their old ids keep resolving via mergedAccountIds.
+ *   3. Remaining AppUsers that share an email are merged into the oldest one.
+ *
+ * Safe to re-run: users already moved over are skipped. The `users` collection is
+ * left untouched - drop it once you've checked the result.
+ *
+ * Usage: node src/scripts/merge-user-accounts.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AppUser = require('../models/AppUser');
+const { mergeAccounts, normalizeEmail } = require('../services/accountService');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const LEGACY_FIELDS = [
+    'username', 'password', 'role', 'adminRole', 'isPremium', 'subscriptionProductId',
+    'subscriptionExpiresAt', 'deviceId', 'createdAt', 'updatedAt',
+];
+
+// AppUsers that are really this person: same email or the device they signed up on
+const findMatches = async (email, deviceId, excludeId) => {
+    const conditions = [];
+    if (email) conditions.push({ email }, { emails: email });
+    if (deviceId) conditions.push({ deviceId }, { deviceIds: deviceId });
+    if (conditions.length === 0) return [];
+    return AppUser.find({ $or: conditions, _id: { $ne: excludeId } })
+        .select('+password')
+        .sort({ createdAt: 1 });
+};
+
+async function moveLegacyUsers(stats) {
+    const legacyUsers = await mongoose.connection.collection('users').find({}).toArray();
+    console.log(`📊 Found ${legacyUsers.length} documents in the legacy users collection\n`);
+
+    for (const legacy of legacyUsers) {
+        const email = legacy.email ? normalizeEmail(legacy.email) : null;
+
+        if (await AppUser.exists({ _id: legacy._id })) {
+            stats.skipped++;
+            continue;
+        }
+
+        const matches = await findMatches(email, legacy.deviceId, legacy._id);
+        console.log(`👤 ${email || legacy._id}: ${matches.length} matching app account(s)`);
+        if (DRY_RUN) {
+            stats.moved++;
+            stats.merged += matches.length;
+            continue;
+        }
+
+        const data = { _id: legacy._id, email };
+        LEGACY_FIELDS.forEach(field => {
+            if (legacy[field] !== undefined && legacy[field] !== null) data[field] = legacy[field];
+        });
+        if (email) data.emails = [email];
+        if (legacy.deviceId) data.deviceIds = [legacy.deviceId];
+        if (legacy.isPremium) data.subscriptionStatus = 'active';
+
+        // insertMany skips the save hook, so the already-hashed password isn't hashed again
+        await AppUser.insertMany([data]);
+        const account = await AppUser.findById(legacy._id).select('+password');
+
+        for (const match of matches) {
+            await mergeAccounts(account, match);
+            stats.merged++;
+        }
+        stats.moved++;
+    }
+}
+
+async function mergeDuplicateEmails(stats) {
+    const duplicates = await AppUser.aggregate([
+        { $match: { email: { $type: 'string', $ne: '' } } },
+        { $group: { _id: { $toLower: { $trim: { input: '$email' } } }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+    ]);
+    console.log(`\n📊 Found ${duplicates.length} emails shared by more than one app account`);
+
+    for (const { _id: email, ids } of duplicates) {
+        const accounts = await AppUser.find({ _id: { $in: ids } }).select('+password').sort({ createdAt: 1 });
+        // Keep the account that can sign in, otherwise the oldest
+        const target = accounts.find(account => account.password) || accounts[0];
+        const others = accounts.filter(account => !account._id.equals(target._id));
+        console.log(`📧 ${email}: keeping ${target._id}, merging ${others.length}`);
+        if (DRY_RUN) {
+            stats.merged += others.length;
+            continue;
+        }
+        for (const other of others) {
+            await mergeAccounts(target, other);
+            stats.merged++;
+        }
+    }
+}
+
+async function mergeUserAccounts() {
+    console.log(`🔀 Merging User and AppUser accounts${DRY_RUN ? ' (dry run - nothing will be written)' : ''}\n`);
+
+    try {
+        if (!process.env.MONGO_URI) {
+            console.error('❌ MONGO_URI not set in environment');
+            process.exit(1);
+        }
+
+        console.log('🔌 Connecting to MongoDB...');
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ Connected to MongoDB\n');
+
+        const stats = { moved: 0, merged: 0, skipped: 0 };
+        await moveLegacyUsers(stats);
+        await mergeDuplicateEmails(stats);
+
+        console.log(`\n✅ Done: ${stats.moved} users moved, ${stats.merged} app accounts merged, ${stats.skipped} already migrated`);
+        if (!DRY_RUN && stats.moved > 0) {
+            console.log('ℹ️  The legacy users collection was left in place - drop it once you have checked the result');
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    } finally {
+        await mongoose.disconnect();
+        console.log('\n🔌 Disconnected from MongoDB');
+    }
+}
+
+// Run the script
+mergeUserAccounts();
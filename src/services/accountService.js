@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const AppUser = require('../models/AppUser');
+const { findDeviceSession, verifyDeviceToken } = require('./sessionService');
+const { issueToken } = require('./authTokenService');
+const { sendPasswordResetEmail } = require('./emailService');
+
+/**
+ * Account resolution and linking
+ *
+ * The app identifies a family by whatever it has at hand: the account _id, the
+ * parent's email, or the device id it generated before anyone signed up. All of
+ * those resolve to the same AppUser document through `findAccount`.
+ *
+ * When an anonymous device later signs up (or signs in), its device account is
+ * merged into the signed-in account (`linkDeviceToAccount`) so coins, kids,
+ * unlocks and stats carry over and the old device id keeps resolving. Device ids
+ * are chosen by the app, so linking needs the device's own guest token as proof.
+ */
+
+// Links in account-claim emails open the app
+const APP_URL = process.env.APP_URL || 'https://app.godlykids.com';
+
+// Onboarding states from least to most progressed
+const ONBOARDING_ORDER = ['not_started', 'skipped', 'in_progress', 'completed'];
+const SUBSCRIPTION_ORDER = ['free', 'expired', 'cancelled', 'trial', 'active'];
+
+const STAT_FIELDS = [
+    'totalSessions', 'totalTimeSpent', 'booksRead', 'pagesRead', 'playlistsPlayed',
+    'audioListeningTime', 'lessonsCompleted', 'quizzesCompleted', 'coloringSessions',
+    'gamesPlayed', 'onboardingStep',
+];
+
+const UNION_FIELDS = [
+    'unlockedAvatarItems', 'unlockedShips', 'unlockedWheels', 'unlockedPets',
+    'unlockedVoices', 'usedReferralCodes',
+];
+
+// Copied from the merged account only when the target has no value
+const FILL_FIELDS = [
+    'parentName', 'defaultVoiceId', 'equippedAvatar', 'equippedShip', 'equippedWheel', 'equippedPet',
+    'referredBy', 'oneSignalPlayerId', 'notificationEmail', 'emailSignupSource', 'emailSignupAt',
+    'activeKidProfileId', 'oldAppUserId', 'timezone',
+];
+
+// Helper to check if a string is a valid MongoDB ObjectId
+const isValidObjectId = (id) => {
+    if (!id || typeof id !== 'string') return false;
+    // ObjectIds are exactly 24 hex characters
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) return false;
+    try {
+        return new mongoose.Types.ObjectId(id).toString() === id;
+    } catch {
+        return false;
+    }
+};
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+/**
+ * Query matching an account by any identifier it's known by
+ * (ObjectId, merged account id, email, linked email, device id, linked device id).
+ * Emails only match accounts whose address is verified - anyone can type an email
+ * into the app - unless `includeUnverifiedEmail` is set (admin tools).
+ * Returns null for an empty identifier.
+ */
+const buildAccountQuery = (identifier, { includeUnverifiedEmail = false } = {}) => {
+    if (identifier === undefined || identifier === null || identifier === '') return null;
+    const value = String(identifier).trim();
+
+    const conditions = [];
+    if (isValidObjectId(value)) {
+        conditions.push({ _id: value }, { mergedAccountIds: value });
+    }
+    if (value.includes('@')) {
+        const email = normalizeEmail(value);
+        const verified = includeUnverifiedEmail ? {} : { emailVerified: true };
+        conditions.push({ email, ...verified }, { emails: email, ...verified });
+        // Emails stored before addresses were normalised
+        if (email !== value) conditions.push({ email: value, ...verified });
+    }
+    conditions.push({ deviceId: value }, { deviceIds: value });
+
+    return { $or: conditions };
+};
+
+/**
+ * Resolve an identifier to its account.
+ * Options: select (projection), lean (plain object), includeUnverifiedEmail (see buildAccountQuery)
+ */
+const findAccount = async (identifier, { select, lean = false, includeUnverifiedEmail = false } = {}) => {
+    const query = buildAccountQuery(identifier, { includeUnverifiedEmail });
+    if (!query) return null;
+
+    let request = AppUser.findOne(query);
+    if (select) request = request.select(select);
+    if (lean) request = request.lean();
+    return request;
+};
+
+/**
+ * Resolve the account id from a verified token (or an account merged into it).
+ * Unlike `findAccount`, never matches emails or device ids.
+ */
+const findAccountById = async (accountId, { select, lean = false } = {}) => {
+    const id = accountId ? String(accountId) : '';
+    if (!isValidObjectId(id)) return null;
+
+    let request = AppUser.findOne({ $or: [{ _id: id }, { mergedAccountIds: id }] });
+    if (select) request = request.select(select);
+    if (lean) request = request.lean();
+    return request;
+};
+
+/**
+ * The anonymous device account of a guest caller (`req.user` from a /sign-in/skip token).
+ * Guest tokens can be had for any device id, so it only counts when the guest's
+ * session was opened before the device account was created.
+ */
+const findGuestDeviceAccount = async ({ deviceId, sessionId } = {}) => {
+    const session = await findDeviceSession(sessionId, deviceId);
+    if (!session) return null;
+
+    const account = await AppUser.findOne({ $or: [{ deviceId }, { deviceIds: deviceId }] }).select('+password').lean();
+    if (!account || account.password || account.role === 'admin' || session.createdAt > account.createdAt) {
+        return null;
+    }
+    delete account.password;
+    return account;
+};
+
+/**
+ * The account behind `req.user`: the token's account, or for guests the device
+ * account their session proves. null for API keys and callers without an account.
+ */
+const findCallerAccount = async (user, { lean = false } = {}) => {
+    if (!user || user.viaApiKey) return null;
+    if (user.role !== 'anonymous') return findAccountById(user.id, { lean });
+
+    const deviceAccount = await findGuestDeviceAccount(user);
+    if (!deviceAccount || lean) return deviceAccount;
+    return AppUser.findById(deviceAccount._id);
+};
+
+/**
+ * Whether `identifier` (as the app sends it in URLs and bodies) names `account`:
+ * its id or a merged id, one of its device ids, a verified email, or one of its
+ * kid profiles (progress like quiz attempts is recorded under the kid's id)
+ */
+const isOwnIdentifier = (account, identifier) => {
+    if (!account || !identifier) return false;
+    const value = String(identifier);
+    const kidIds = (account.kidProfiles || []).flatMap(kid => [kid._id, kid.frontendId]);
+    const ids = [account._id, ...(account.mergedAccountIds || []), account.deviceId, ...(account.deviceIds || []), ...kidIds]
+        .filter(Boolean)
+        .map(String);
+    if (ids.includes(value)) return true;
+    return !!account.emailVerified
+        && [account.email, ...(account.emails || [])].filter(Boolean).map(normalizeEmail).includes(normalizeEmail(value));
+};
+
+/**
+ * Whether the caller may act on data recorded under `identifier` (admins always may)
+ */
+const callerOwnsIdentifier = async (user, identifier) => {
+    if (user?.role === 'admin') return true;
+    return isOwnIdentifier(await findCallerAccount(user, { lean: true }), identifier);
+};
+
+/**
+ * Account a user-scoped request acts on. Admins may name any `identifier`; everyone
+ * else gets their own account, and `identifier` (when sent) has to be one of its ids.
+ * Returns { account } or { status, message }
+ */
+const resolveCallerAccount = async (user, identifier, { lean = false } = {}) => {
+    const isAdmin = user?.role === 'admin';
+    const account = isAdmin && identifier
+        ? await findAccount(identifier, { lean, includeUnverifiedEmail: true })
+        : await findCallerAccount(user, { lean });
+
+    if (!account) return { status: 404, message: 'User not found' };
+    if (!isAdmin && identifier && !isOwnIdentifier(account, identifier)) {
+        return { status: 403, message: 'You can only access your own account' };
+    }
+    return { account };
+};
+
+const rankOf = (order, value) => Math.max(order.indexOf(value), 0);
+
+/**
+ * Fold `source` into `target` (both AppUser documents) and delete `source`.
+ * `target` keeps its identity and credentials; everything the family earned on the
+ * other account carries over. Returns the saved target.
+ */
+const mergeAccounts = async (target, source) => {
+    if (target._id.equals(source._id)) return target;
+
+    // Identities - the merged account's ids/emails/devices keep resolving to the target
+    const addAll = (field, values) => {
+        const set = new Set((target[field] || []).map(String));
+        values.filter(Boolean).forEach(value => set.add(String(value)));
+        target[field] = [...set];
+    };
+    addAll('deviceIds', [target.deviceId, source.deviceId, ...(source.deviceIds || [])]);
+    addAll('emails', [target.email, source.email, ...(source.emails || [])].filter(Boolean).map(normalizeEmail));
+    target.mergedAccountIds = [...new Set([
+        ...(target.mergedAccountIds || []).map(String),
+        source._id.toString(),
+        ...(source.mergedAccountIds || []).map(String),
+    ])];
+    if (!target.deviceId && source.deviceId) target.deviceId = source.deviceId;
+    if (!target.email && source.email) target.email = normalizeEmail(source.email);
+
+    // Kids - keep the same _ids so per-profile progress still points at them
+    const kidIds = new Set(target.kidProfiles.map(kid => kid._id.toString()));
+    const kidNames = new Set(target.kidProfiles.map(kid => kid.name.trim().toLowerCase()));
+    (source.kidProfiles || []).forEach(kid => {
+        if (kidIds.has(kid._id.toString()) || kidNames.has(kid.name.trim().toLowerCase())) return;
+        target.kidProfiles.push(kid.toObject ? kid.toObject() : kid);
+    });
+
+    UNION_FIELDS.forEach(field => addAll(field, source[field] || []));
+    FILL_FIELDS.forEach(field => {
+        if ((target[field] === undefined || target[field] === null || target[field] === '') && source[field]) {
+            target[field] = source[field];
+        }
+    });
+
+    // Every account starts with the same coin grant, so take the larger balance rather than the sum
+    target.coins = Math.max(target.coins || 0, source.coins || 0);
+    target.referralCount = (target.referralCount || 0) + (source.referralCount || 0);
+    const referralCode = !target.referralCode ? source.referralCode : null;
+
+    STAT_FIELDS.forEach(field => {
+        target.set(`stats.${field}`, Math.max(target.stats?.[field] || 0, source.stats?.[field] || 0));
+    });
+    if (target.stats?.farthestPageReached === '/' && source.stats?.farthestPageReached) {
+        target.set('stats.farthestPageReached', source.stats.farthestPageReached);
+    }
+
+    if (rankOf(ONBOARDING_ORDER, source.onboardingStatus) > rankOf(ONBOARDING_ORDER, target.onboardingStatus)) {
+        ['onboardingStatus', 'onboardingStep', 'onboardingStartedAt', 'onboardingCompletedAt'].forEach(field => {
+            target[field] = source[field];
+        });
+    }
+
+    // Subscription - whichever account has the better standing wins
+    if (rankOf(SUBSCRIPTION_ORDER, source.subscriptionStatus) > rankOf(SUBSCRIPTION_ORDER, target.subscriptionStatus)) {
+        ['subscriptionStatus', 'subscriptionPlan', 'subscriptionStartDate', 'subscriptionEndDate'].forEach(field => {
+            target[field] = source[field];
+        });
+    }
+    if (source.isPremium && !target.isPremium) {
+        target.isPremium = true;
+        target.subscriptionProductId = source.subscriptionProductId;
+        target.subscriptionExpiresAt = source.subscriptionExpiresAt;
+    }
+    if (source.stripeCustomerId && !target.stripeCustomerId) {
+        target.stripeCustomerId = source.stripeCustomerId;
+        target.stripeSubscriptionId = source.stripeSubscriptionId;
+    }
+    target.isTrialUsed = !!(target.isTrialUsed || source.isTrialUsed);
+    target.migratedFromOldApp = !!(target.migratedFromOldApp || source.migratedFromOldApp);
+
+    if (source.lastActiveAt && (!target.lastActiveAt || source.lastActiveAt > target.lastActiveAt)) {
+        target.lastActiveAt = source.lastActiveAt;
+    }
+    if (target.platform === 'unknown' && source.platform) target.platform = source.platform;
+
+    // Remove the source first so its unique fields (referralCode, username) are free;
+    // put it back if the target can't be saved
+    const sourceSnapshot = await AppUser.collection.findOne({ _id: source._id });
+    await AppUser.deleteOne({ _id: source._id });
+    try {
+        if (referralCode) target.referralCode = referralCode;
+        await target.save();
+    } catch (error) {
+        if (sourceSnapshot) await AppUser.collection.insertOne(sourceSnapshot);
+        throw error;
+    }
+
+    console.log(`🔗 Merged account ${source._id} (${source.email || source.deviceId}) into ${target._id}`);
+    return target;
+};
+
+/**
+ * Link a device to a signed-in account.
+ * `deviceToken` is the guest access token the device got from /sign-in/skip - it
+ * proves the caller holds the device. An anonymous account already registered for
+ * the device is merged in, but only when the token's session predates it (the data
+ * was made under that session); a device that belongs to another signed-up account
+ * is refused.
+ * Returns { status, body }.
+ */
+const linkDeviceToAccount = async (accountId, deviceId, deviceToken) => {
+    if (!deviceId || typeof deviceId !== 'string') {
+        return { status: 400, body: { message: 'deviceId is required' } };
+    }
+
+    const account = await AppUser.findById(accountId);
+    if (!account) {
+        return { status: 404, body: { message: 'Account not found' } };
+    }
+
+    const existing = await AppUser.findOne({ $or: [{ deviceId }, { deviceIds: deviceId }] }).select('+password');
+    if (existing && existing._id.equals(account._id)) {
+        return { status: 200, body: { linked: true, alreadyLinked: true, merged: false, accountId: account.id } };
+    }
+    if (existing && (existing.password || existing.role === 'admin')) {
+        return { status: 409, body: { message: 'This device is linked to another account', code: 'DEVICE_LINKED_ELSEWHERE' } };
+    }
+
+    // Anyone can get a guest token for any device id, so a session opened after
+    // the device account was created proves nothing about its data
+    const deviceSession = await verifyDeviceToken(deviceToken, deviceId);
+    if (!deviceSession || (existing && deviceSession.createdAt > existing.createdAt)) {
+        return {
+            status: 403,
+            body: { message: 'Linking needs the guest token issued to this device', code: 'DEVICE_PROOF_REQUIRED' },
+        };
+    }
+
+    if (existing) {
+        await mergeAccounts(account, existing);
+    } else {
+        account.deviceIds = [...new Set([...(account.deviceIds || []), deviceId])];
+        if (!account.deviceId) account.deviceId = deviceId;
+        await account.save();
+    }
+
+    return {
+        status: 200,
+        body: {
+            linked: true,
+            alreadyLinked: false,
+            merged: !!existing,
+            mergedAccountId: existing ? existing.id : null,
+            accountId: account.id,
+            coins: account.coins,
+            kidProfiles: account.kidProfiles,
+        },
+    };
+};
+
+/**
+ * Create credentials for an email.
+ * Returns { account }, { conflict: true } when the email already has a password, or
+ * { claimRequired: true, account } when the app already created a passwordless
+ * account for it (profile sync, email signup) - that one can only be claimed
+ * through a link sent to the address (`sendAccountClaimLink`).
+ */
+const registerAccount = async ({ email, username, password, ...fields }) => {
+    const normalizedEmail = normalizeEmail(email);
+    const existing = await AppUser.findOne({ $or: [{ email: normalizedEmail }, { emails: normalizedEmail }] })
+        .select('+password');
+
+    if (existing?.password) {
+        return { conflict: true };
+    }
+    if (existing) {
+        return { claimRequired: true, account: existing };
+    }
+
+    const account = new AppUser({ ...fields, username, password, email: normalizedEmail, emails: [normalizedEmail] });
+    await account.save();
+
+    return { account };
+};
+
+/**
+ * Email a set-password link (a password_reset token) so the owner of the address
+ * can claim the passwordless account the app made for it
+ */
+const sendAccountClaimLink = async (account, email, req) => {
+    const normalizedEmail = normalizeEmail(email);
+    const token = await issueToken('password_reset', { accountId: account._id, email: normalizedEmail, req });
+    return sendPasswordResetEmail(normalizedEmail, token, `${APP_URL}/#/reset-password?token=${token}`);
+};
+
+module.exports = {
+    isValidObjectId,
+    normalizeEmail,
+    buildAccountQuery,
+    findAccount,
+    findAccountById,
+    findGuestDeviceAccount,
+    findCallerAccount,
+    isOwnIdentifier,
+    callerOwnsIdentifier,
+    resolveCallerAccount,
+    mergeAccounts,
+    linkDeviceToAccount,
+    registerAccount,
+    sendAccountClaimLink,
+};
@@ -0,0 +1,377 @@
+const AppUser = require('../models/AppUser');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const EntitlementEvent = require('../models/EntitlementEvent');
+
+/**
+ * Admin reports over accounts grouped into signup cohorts
+ *
+ * Every report starts from AppUser, buckets accounts by createdAt (UTC day,
+ * week starting Monday, or month) and joins their AnalyticsEvent /
+ * EntitlementEvent entries inside the aggregation, so nothing is loaded per user.
+ * Events are joined on accountId (set by /api/analytics/events), including the
+ * ids of accounts merged into this one.
+ *
+ * Filters choose which accounts are reported on: `platform` is the account's
+ * platform, `appVersion` the version of the first event the account sent.
+ * Reports return flat rows so the same data can be exported as CSV.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const PLATFORMS = AppUser.schema.path('platform').enumValues;
+const DEFAULT_RANGE_DAYS = 90;
+const DEFAULT_RETENTION_DAYS = [1, 7, 14, 30];
+const MAX_RETENTION_DAY = 180;
+const DEFAULT_FUNNEL_WINDOW_DAYS = 30;
+
+// Conversion funnel after signup - each step is the first matching entry after the previous step
+const FUNNEL_STEPS = [
+    { key: 'onboarding', label: 'Completed onboarding', model: AnalyticsEvent, match: { eventType: 'onboarding_complete' } },
+    { key: 'firstBook', label: 'Opened a book', model: AnalyticsEvent, match: { eventType: 'book_view' } },
+    { key: 'paywall', label: 'Saw the paywall', model: AnalyticsEvent, match: { eventType: 'paywall_view' } },
+    { key: 'subscribed', label: 'Started a trial or subscription', model: EntitlementEvent, match: { type: { $in: ['trial_started', 'purchase'] } } },
+];
+
+const parseList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const cohortLabel = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Filters shared by every report, from query params
+ * (from, to, interval, platform, appVersion - lists are comma separated).
+ * Returns { filters } or { error }
+ */
+const parseReportFilters = (query) => {
+    const interval = query.interval || 'week';
+    if (!INTERVALS.includes(interval)) {
+        return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+    }
+
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+
+    const platforms = parseList(query.platform);
+    const unknownPlatform = platforms.find(platform => !PLATFORMS.includes(platform));
+    if (unknownPlatform) {
+        return { error: `Unknown platform '${unknownPlatform}'` };
+    }
+
+    return { filters: { from, to, interval, platforms, appVersions: parseList(query.appVersion) } };
+};
+
+/**
+ * Stages selecting the filtered accounts with { createdAt, cohort, accountIds }
+ */
+const cohortStages = ({ from, to, interval, platforms, appVersions }) => {
+    const stages = [
+        {
+            $match: {
+                createdAt: { $gte: from, $lt: to },
+                ...(platforms.length ? { platform: { $in: platforms } } : {}),
+            },
+        },
+        {
+            $project: {
+                createdAt: 1,
+                cohort: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: 'UTC', startOfWeek: 'monday' } },
+                // Events keep the id of the account they were sent from, even after a merge
+                accountIds: { $concatArrays: [['$_id'], { $ifNull: ['$mergedAccountIds', []] }] },
+            },
+        },
+    ];
+
+    if (appVersions.length) {
+        stages.push(
+            {
+                $lookup: {
+                    from: AnalyticsEvent.collection.name,
+                    localField: 'accountIds',
+                    foreignField: 'accountId',
+                    pipeline: [
+                        { $sort: { occurredAt: 1 } },
+                        { $limit: 1 },
+                        { $project: { _id: 0, appVersion: 1 } },
+                    ],
+                    as: 'firstEvent',
+                },
+            },
+            { $match: { 'firstEvent.appVersion': { $in: appVersions } } },
+            { $project: { firstEvent: 0 } },
+        );
+    }
+
+    return stages;
+};
+
+/**
+ * Day-N retention: share of each cohort active (any event) on day N after signup,
+ * day 0 being the first 24 hours. Accounts whose day N hasn't ended yet are left
+ * out of that day's rate.
+ */
+const retentionReport = async (filters, days = DEFAULT_RETENTION_DAYS) => {
+    const now = new Date();
+    const lastDay = Math.max(...days);
+    const dayEnded = (n) => ({ $lte: [{ $add: ['$createdAt', (n + 1) * DAY_MS] }, now] });
+
+    const cohorts = await AppUser.aggregate([
+        ...cohortStages(filters),
+        {
+            $lookup: {
+                from: AnalyticsEvent.collection.name,
+                localField: 'accountIds',
+                foreignField: 'accountId',
+                let: { start: '$createdAt' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $gte: ['$occurredAt', '$$start'] },
+                                    { $lt: ['$occurredAt', { $add: ['$$start', (lastDay + 1) * DAY_MS] }] },
+                                ],
+                            },
+                        },
+                    },
+                    { $group: { _id: { $floor: { $divide: [{ $subtract: ['$occurredAt', '$$start'] }, DAY_MS] } } } },
+                ],
+                as: 'activeDays',
+            },
+        },
+        {
+            $group: {
+                _id: '$cohort',
+                accounts: { $sum: 1 },
+                ...Object.fromEntries(days.flatMap(n => [
+                    [`eligible${n}`, { $sum: { $cond: [dayEnded(n), 1, 0] } }],
+                    [`retained${n}`, { $sum: { $cond: [{ $and: [dayEnded(n), { $in: [n, '$activeDays._id'] }] }, 1, 0] } }],
+                ])),
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+
+    const toRow = (cohort, group) => ({
+        cohort,
+        accounts: group.accounts,
+        ...Object.fromEntries(days.flatMap(n => [
+            [`day${n}Eligible`, group[`eligible${n}`]],
+            [`day${n}Retained`, group[`retained${n}`]],
+            [`day${n}Rate`, percent(group[`retained${n}`], group[`eligible${n}`])],
+        ])),
+    });
+
+    const total = { accounts: 0 };
+    cohorts.forEach(group => {
+        Object.entries(group).forEach(([key, value]) => {
+            if (key !== '_id') total[key] = (total[key] || 0) + value;
+        });
+    });
+
+    return {
+        days,
+        rows: cohorts.map(group => toRow(cohortLabel(group._id), group)),
+        total: toRow('total', total),
+    };
+};
+
+/**
+ * Conversion funnel per cohort: signup → FUNNEL_STEPS, each within `windowDays` of signup.
+ * With `ordered` (default) a step only counts when it happened after the previous one;
+ * otherwise it only needs the previous step to have happened at all.
+ */
+const funnelReport = async (filters, { windowDays = DEFAULT_FUNNEL_WINDOW_DAYS, ordered = true } = {}) => {
+    const stages = [
+        ...cohortStages(filters),
+        { $set: { deadline: { $add: ['$createdAt', windowDays * DAY_MS] } } },
+    ];
+
+    let previous = '$createdAt';
+    FUNNEL_STEPS.forEach(step => {
+        stages.push(
+            {
+                $lookup: {
+                    from: step.model.collection.name,
+                    localField: 'accountIds',
+                    foreignField: 'accountId',
+                    let: { after: ordered ? previous : '$createdAt', deadline: '$deadline' },
+                    pipeline: [
+                        { $match: step.match },
+                        {
+                            $match: {
+                                $expr: {
+                                    $and: [
+                                        { $gte: ['$occurredAt', '$$after'] },
+                                        { $lte: ['$occurredAt', '$$deadline'] },
+                                    ],
+                                },
+                            },
+                        },
+                        { $sort: { occurredAt: 1 } },
+                        { $limit: 1 },
+                        { $project: { _id: 0, occurredAt: 1 } },
+                    ],
+                    as: step.key,
+                },
+            },
+            {
+                $set: {
+                    // Missing the previous step drops the account out of the funnel
+                    [step.key]: {
+                        $cond: [
+                            { $eq: [previous, null] },
+                            null,
+                            { $ifNull: [{ $arrayElemAt: [`$${step.key}.occurredAt`, 0] }, null] },
+                        ],
+                    },
+                },
+            },
+        );
+        previous = `$${step.key}`;
+    });
+
+    stages.push(
+        {
+            $group: {
+                _id: '$cohort',
+                accounts: { $sum: 1 },
+                ...Object.fromEntries(FUNNEL_STEPS.map(step => [
+                    step.key, { $sum: { $cond: [{ $ne: [`$${step.key}`, null] }, 1, 0] } },
+                ])),
+            },
+        },
+        { $sort: { _id: 1 } },
+    );
+
+    const cohorts = await AppUser.aggregate(stages);
+
+    const toRow = (cohort, group) => ({
+        cohort,
+        accounts: group.accounts,
+        ...Object.fromEntries(FUNNEL_STEPS.flatMap(step => [
+            [step.key, group[step.key]],
+            [`${step.key}Rate`, percent(group[step.key], group.accounts)],
+        ])),
+    });
+
+    const total = { accounts: 0 };
+    cohorts.forEach(group => {
+        ['accounts', ...FUNNEL_STEPS.map(step => step.key)].forEach(key => {
+            total[key] = (total[key] || 0) + group[key];
+        });
+    });
+
+    return {
+        windowDays,
+        ordered,
+        steps: FUNNEL_STEPS.map(({ key, label }) => ({ key, label })),
+        rows: cohorts.map(group => toRow(cohortLabel(group._id), group)),
+        total: toRow('total', total),
+    };
+};
+
+/**
+ * Revenue per cohort from the entitlement ledger (net of refunds), one row per
+ * cohort and currency. `windowDays` only counts money collected within that many
+ * days of signup, so young and old cohorts can be compared.
+ */
+const revenueReport = async (filters, { windowDays = null } = {}) => {
+    const [result] = await AppUser.aggregate([
+        ...cohortStages(filters),
+        {
+            $lookup: {
+                from: EntitlementEvent.collection.name,
+                localField: 'accountIds',
+                foreignField: 'accountId',
+                let: { start: '$createdAt' },
+                pipeline: [
+                    { $match: { amount: { $ne: null } } },
+                    ...(windowDays
+                        ? [{ $match: { $expr: { $lt: ['$occurredAt', { $add: ['$$start', windowDays * DAY_MS] }] } } }]
+                        : []),
+                    {
+                        $group: {
+                            _id: '$currency',
+                            amount: { $sum: '$amount' },
+                            payments: { $sum: { $cond: [{ $gt: ['$amount', 0] }, 1, 0] } },
+                        },
+                    },
+                ],
+                as: 'revenue',
+            },
+        },
+        {
+            $facet: {
+                cohorts: [{ $group: { _id: '$cohort', accounts: { $sum: 1 } } }],
+                revenue: [
+                    { $unwind: '$revenue' },
+                    {
+                        $group: {
+                            _id: { cohort: '$cohort', currency: '$revenue._id' },
+                            revenue: { $sum: '$revenue.amount' },
+                            payments: { $sum: '$revenue.payments' },
+                            payers: { $sum: { $cond: [{ $gt: ['$revenue.payments', 0] }, 1, 0] } },
+                        },
+                    },
+                ],
+            },
+        },
+    ]);
+
+    const toRow = (cohort, accounts, currency, money = { revenue: 0, payments: 0, payers: 0 }) => ({
+        cohort,
+        accounts,
+        currency,
+        revenue: roundMoney(money.revenue),
+        payments: money.payments,
+        payers: money.payers,
+        conversionRate: percent(money.payers, accounts),
+        revenuePerAccount: accounts > 0 ? roundMoney(money.revenue / accounts) : null,
+        revenuePerPayer: money.payers > 0 ? roundMoney(money.revenue / money.payers) : null,
+    });
+
+    const cohorts = result.cohorts.sort((a, b) => a._id - b._id);
+    const rows = [];
+    const totals = {};
+    cohorts.forEach(({ _id: cohort, accounts }) => {
+        const byCurrency = result.revenue.filter(entry => entry._id.cohort.getTime() === cohort.getTime());
+        if (byCurrency.length === 0) {
+            rows.push(toRow(cohortLabel(cohort), accounts, null));
+        }
+        byCurrency
+            .sort((a, b) => String(a._id.currency).localeCompare(String(b._id.currency)))
+            .forEach(entry => {
+                rows.push(toRow(cohortLabel(cohort), accounts, entry._id.currency, entry));
+                const total = totals[entry._id.currency] || (totals[entry._id.currency] = { revenue: 0, payments: 0, payers: 0 });
+                total.revenue += entry.revenue;
+                total.payments += entry.payments;
+                total.payers += entry.payers;
+            });
+    });
+
+    const accounts = cohorts.reduce((sum, cohort) => sum + cohort.accounts, 0);
+    return {
+        windowDays,
+        rows,
+        total: Object.entries(totals).map(([currency, money]) => toRow('total', accounts, currency, money)),
+    };
+};
+
+module.exports = {
+    DEFAULT_RETENTION_DAYS,
+    MAX_RETENTION_DAY,
+    parseList,
+    parseReportFilters,
+    retentionReport,
+    funnelReport,
+    revenueReport,
+};
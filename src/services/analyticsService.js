@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const AppUser = require('../models/AppUser');
+const { findAccountById, findGuestDeviceAccount } = require('./accountService');
+
+/**
+ * Analytics event ingestion
+ *
+ * The app posts batches of AnalyticsEvent entries, each with its own
+ * clientEventId so a retried batch never counts twice. Events go to the caller's
+ * own account (from the token) - batches never create or name an account. Events without a
+ * sessionId are attached to the user's current session (the last event within
+ * SESSION_IDLE_MS, unless it ended the session) or start a new one.
+ *
+ * AppUser.stats counters are then recomputed from the stored events - client
+ * totals are no longer trusted (see /api/analytics/sync-stats).
+ */
+
+const EVENT_TYPES = AnalyticsEvent.schema.path('eventType').enumValues;
+const TARGET_TYPES = AnalyticsEvent.schema.path('targetType').enumValues;
+const PLATFORMS = AnalyticsEvent.schema.path('platform').enumValues;
+
+const MAX_BATCH_SIZE = 100;
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const MAX_SESSION_SECONDS = 4 * 60 * 60;
+const MAX_LISTEN_SECONDS = 3 * 60 * 60;
+const MAX_EVENT_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Counters recomputed from events (farthestPageReached is left to the app)
+const DERIVED_STATS = [
+    'totalSessions', 'totalTimeSpent', 'booksRead', 'pagesRead', 'playlistsPlayed',
+    'audioListeningTime', 'lessonsCompleted', 'quizzesCompleted', 'coloringSessions',
+    'gamesPlayed', 'onboardingStep',
+];
+
+const newSessionId = () => `s_${crypto.randomUUID()}`;
+
+/**
+ * Validate one raw event from a batch.
+ * Returns { event } ready to store (minus user/session fields) or { error }
+ */
+const validateEvent = (raw, defaults, now = Date.now()) => {
+    if (!raw || typeof raw !== 'object') return { error: 'Event must be an object' };
+
+    const clientEventId = typeof raw.clientEventId === 'string' ? raw.clientEventId.trim() : '';
+    if (!clientEventId || clientEventId.length > 100) {
+        return { error: 'clientEventId is required (max 100 characters)' };
+    }
+    if (!EVENT_TYPES.includes(raw.eventType)) {
+        return { error: `Unknown eventType '${raw.eventType}'` };
+    }
+    if (raw.targetType !== undefined && !TARGET_TYPES.includes(raw.targetType)) {
+        return { error: `Unknown targetType '${raw.targetType}'` };
+    }
+    const platform = raw.platform || defaults.platform || 'unknown';
+    if (!PLATFORMS.includes(platform)) {
+        return { error: `Unknown platform '${platform}'` };
+    }
+
+    const timestamp = raw.occurredAt || raw.timestamp;
+    let occurredAt = timestamp ? new Date(timestamp) : new Date(now);
+    if (isNaN(occurredAt.getTime())) return { error: 'occurredAt must be a valid date' };
+    if (occurredAt.getTime() < now - MAX_EVENT_AGE_MS) return { error: 'Event is older than 30 days' };
+    // Device clocks run ahead - never store events in the future
+    if (occurredAt.getTime() > now + MAX_CLOCK_SKEW_MS) occurredAt = new Date(now);
+
+    if (raw.metadata !== undefined && (typeof raw.metadata !== 'object' || Array.isArray(raw.metadata))) {
+        return { error: 'metadata must be an object' };
+    }
+
+    return {
+        event: {
+            clientEventId,
+            eventType: raw.eventType,
+            occurredAt,
+            kidProfileId: raw.kidProfileId || defaults.kidProfileId || undefined,
+            sessionId: raw.sessionId || defaults.sessionId || undefined,
+            targetType: raw.targetType,
+            targetId: raw.targetId !== undefined && raw.targetId !== null ? String(raw.targetId) : undefined,
+            targetTitle: raw.targetTitle,
+            metadata: raw.metadata || {},
+            platform,
+            deviceType: raw.deviceType || defaults.deviceType || 'unknown',
+            appVersion: raw.appVersion || defaults.appVersion,
+        },
+    };
+};
+
+/**
+ * Account the caller's events belong to: the token's account, or for guests the
+ * device account their session proves. null when there is none.
+ */
+const resolveAccount = async (user) => {
+    if (!user || user.viaApiKey) return null;
+    if (user.role !== 'anonymous') return findAccountById(user.id);
+
+    const deviceAccount = await findGuestDeviceAccount(user);
+    return deviceAccount ? AppUser.findById(deviceAccount._id) : null;
+};
+
+const accountEventQuery = (account) => ({
+    $or: [
+        { accountId: { $in: [account._id, ...(account.mergedAccountIds || [])] } },
+        { userId: { $in: [account._id.toString(), account.deviceId, account.email, ...(account.deviceIds || [])].filter(Boolean) } },
+    ],
+});
+
+/**
+ * Give every event a sessionId, continuing the account's latest session when
+ * the first event comes soon enough after it. Events must be sorted by occurredAt.
+ */
+const attachSessions = async (account, events) => {
+    const previous = await AnalyticsEvent.findOne({
+        ...accountEventQuery(account),
+        occurredAt: { $lte: events[0].occurredAt },
+    }).sort({ occurredAt: -1 }).select('sessionId eventType occurredAt').lean();
+
+    let current = previous?.sessionId && previous.eventType !== 'session_end'
+        ? { id: previous.sessionId, lastAt: previous.occurredAt }
+        : null;
+
+    events.forEach(event => {
+        const idle = !current || event.occurredAt - current.lastAt > SESSION_IDLE_MS;
+        if (event.sessionId) {
+            current = { id: event.sessionId, lastAt: event.occurredAt };
+        } else {
+            if (event.eventType === 'session_start' || idle) current = { id: newSessionId(), lastAt: event.occurredAt };
+            event.sessionId = current.id;
+            current.lastAt = event.occurredAt;
+        }
+        if (event.eventType === 'session_end') current = null;
+    });
+};
+
+// Value of an aggregation facet that returns a single { value } row
+const facetValue = (rows) => rows[0]?.value || 0;
+
+// Numeric metadata field, 0 when missing or not a number
+const numberField = (path) => ({ $convert: { input: path, to: 'double', onError: 0, onNull: 0 } });
+
+/**
+ * Counters computed from the account's events
+ */
+const computeStatsFromEvents = async (account) => {
+    const countOf = (eventType) => [
+        { $match: { eventType } },
+        { $count: 'value' },
+    ];
+    const distinctCountOf = (eventType, key) => [
+        { $match: { eventType } },
+        { $group: { _id: key } },
+        { $count: 'value' },
+    ];
+
+    const [result] = await AnalyticsEvent.aggregate([
+        { $match: { ...accountEventQuery(account), occurredAt: { $ne: null } } },
+        {
+            $facet: {
+                sessions: [
+                    { $match: { sessionId: { $ne: null } } },
+                    { $group: { _id: '$sessionId', start: { $min: '$occurredAt' }, end: { $max: '$occurredAt' } } },
+                    {
+                        $group: {
+                            _id: null,
+                            count: { $sum: 1 },
+                            seconds: {
+                                $sum: { $min: [{ $divide: [{ $subtract: ['$end', '$start'] }, 1000] }, MAX_SESSION_SECONDS] },
+                            },
+                        },
+                    },
+                ],
+                // One completion per book per session - re-opening the last page doesn't count twice
+                booksRead: distinctCountOf('book_read_complete', { book: '$targetId', session: '$sessionId' }),
+                pagesRead: countOf('book_read_progress'),
+                playlistsPlayed: countOf('playlist_play'),
+                audioListeningTime: [
+                    { $match: { eventType: 'playlist_play' } },
+                    {
+                        $group: {
+                            _id: null,
+                            value: { $sum: { $min: [{ $max: [numberField('$metadata.durationSeconds'), 0] }, MAX_LISTEN_SECONDS] } },
+                        },
+                    },
+                ],
+                lessonsCompleted: distinctCountOf('lesson_complete', '$targetId'),
+                quizzesCompleted: countOf('quiz_complete'),
+                coloringSessions: countOf('coloring_start'),
+                gamesPlayed: countOf('game_open'),
+                onboardingStep: [
+                    { $match: { eventType: 'onboarding_step' } },
+                    { $group: { _id: null, value: { $max: numberField('$metadata.step') } } },
+                ],
+            },
+        },
+    ]);
+
+    const sessions = result.sessions[0] || { count: 0, seconds: 0 };
+    return {
+        totalSessions: sessions.count,
+        totalTimeSpent: Math.round(sessions.seconds),
+        booksRead: facetValue(result.booksRead),
+        pagesRead: facetValue(result.pagesRead),
+        playlistsPlayed: facetValue(result.playlistsPlayed),
+        audioListeningTime: Math.round(facetValue(result.audioListeningTime)),
+        lessonsCompleted: facetValue(result.lessonsCompleted),
+        quizzesCompleted: facetValue(result.quizzesCompleted),
+        coloringSessions: facetValue(result.coloringSessions),
+        gamesPlayed: facetValue(result.gamesPlayed),
+        onboardingStep: facetValue(result.onboardingStep),
+    };
+};
+
+/**
+ * Recompute account.stats from events (plus the pre-events baseline) and save
+ */
+const deriveAccountStats = async (account) => {
+    if (!account.statsDerivedAt) {
+        // First events from this account - keep what older app versions synced
+        const current = account.stats?.toObject ? account.stats.toObject() : (account.stats || {});
+        account.statsBaseline = Object.fromEntries(DERIVED_STATS.map(stat => [stat, current[stat] || 0]));
+    }
+
+    const derived = await computeStatsFromEvents(account);
+    const baseline = account.statsBaseline || {};
+    DERIVED_STATS.forEach(stat => {
+        account.set(`stats.${stat}`, stat === 'onboardingStep'
+            ? Math.max(baseline[stat] || 0, derived[stat])
+            : (baseline[stat] || 0) + derived[stat]);
+    });
+    account.statsDerivedAt = new Date();
+    await account.save();
+    return account.stats;
+};
+
+/**
+ * Store a batch of events for one account (see resolveAccount).
+ * Returns { accepted, duplicates, rejected: [{ index, clientEventId, error }], stats }
+ */
+const ingestEvents = async (account, rawEvents, defaults = {}) => {
+    const now = Date.now();
+    const rejected = [];
+    const valid = [];
+    const seen = new Set();
+
+    rawEvents.forEach((raw, index) => {
+        const { event, error } = validateEvent(raw, defaults, now);
+        if (error) {
+            rejected.push({ index, clientEventId: raw?.clientEventId || null, error });
+        } else if (!seen.has(event.clientEventId)) {
+            seen.add(event.clientEventId);
+            valid.push(event);
+        }
+    });
+    let duplicates = rawEvents.length - rejected.length - valid.length;
+
+    if (valid.length === 0) {
+        return { accepted: 0, duplicates, rejected, stats: null };
+    }
+
+    const existing = await AnalyticsEvent.find({
+        accountId: account._id,
+        clientEventId: { $in: valid.map(e => e.clientEventId) },
+    })
+        .select('clientEventId')
+        .lean();
+    const known = new Set(existing.map(e => e.clientEventId));
+    const fresh = valid.filter(e => !known.has(e.clientEventId)).sort((a, b) => a.occurredAt - b.occurredAt);
+    duplicates += valid.length - fresh.length;
+
+    if (fresh.length === 0) {
+        return { accepted: 0, duplicates, rejected, stats: null };
+    }
+
+    await attachSessions(account, fresh);
+
+    let accepted = fresh.length;
+    try {
+        await AnalyticsEvent.insertMany(
+            fresh.map(event => ({ ...event, userId: account._id.toString(), accountId: account._id })),
+            { ordered: false }
+        );
+    } catch (error) {
+        // The same batch arriving twice at once - the second copy's events are duplicates
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some(e => (e.code ?? e.err?.code) !== 11000)) throw error;
+        accepted -= writeErrors.length;
+        duplicates += writeErrors.length;
+    }
+
+    account.lastActiveAt = new Date(Math.max(fresh[fresh.length - 1].occurredAt, account.lastActiveAt || 0));
+    if (defaults.platform && account.platform === 'unknown' && PLATFORMS.includes(defaults.platform)) {
+        account.platform = defaults.platform;
+    }
+    const stats = await deriveAccountStats(account);
+
+    return { accepted, duplicates, rejected, stats };
+};
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    DERIVED_STATS,
+    validateEvent,
+    resolveAccount,
+    ingestEvents,
+    deriveAccountStats,
+};
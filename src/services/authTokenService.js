@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+// How long each kind of emailed link stays valid
+const TOKEN_TTL_MS = {
+    password_reset: 60 * 60 * 1000,             // 1 hour
+    email_verification: 48 * 60 * 60 * 1000,    // 2 days
+    magic_link: 15 * 60 * 1000,                 // 15 minutes
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for an account and return the raw value to put in the link.
+ * Older unused tokens of the same purpose are retired, so only the newest link works.
+ */
+const issueToken = async (purpose, { accountId, email, req }) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await AuthToken.updateMany(
+        { accountId, purpose, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+
+    await AuthToken.create({
+        tokenHash: hashToken(token),
+        purpose,
+        accountId,
+        email,
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+        requestedIp: req?.ip,
+    });
+
+    return token;
+};
+
+const activeTokenFilter = (purpose, token) => ({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Look a token up without redeeming it (e.g. to show the reset form).
+ * Returns the token document or null if it's unknown, used or expired.
+ */
+const findActiveToken = async (purpose, token) => {
+    if (!token) return null;
+    return AuthToken.findOne(activeTokenFilter(purpose, token)).lean();
+};
+
+/**
+ * Redeem a token. Atomic, so a link can only ever be used once.
+ * Returns the token document or null.
+ */
+const consumeToken = async (purpose, token) => {
+    if (!token) return null;
+    return AuthToken.findOneAndUpdate(
+        activeTokenFilter(purpose, token),
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    ).lean();
+};
+
+module.exports = {
+    TOKEN_TTL_MS,
+    issueToken,
+    findActiveToken,
+    consumeToken,
+};
@@ -0,0 +1,170 @@
+const BookSeries = require('../models/BookSeries');
+const { getSignedUrl, gcsPathFromUrl } = require('../config/storage');
+const { hasMembersAccess } = require('./entitlementService');
+const { findAccountById, findGuestDeviceAccount } = require('./accountService');
+
+/**
+ * Members-only content enforcement
+ *
+ * Books, playlist items and book series flagged `isMembersOnly` (a book is also
+ * members-only when any series it belongs to is) are only delivered in full to
+ * callers with an entitlement. Everyone else gets the metadata and cover art
+ * with the premium files stripped and `locked: true`.
+ *
+ * For callers with access, bucket files of members-only content are rewritten
+ * to short-lived signed URLs (config/storage.js).
+ */
+
+// Artwork shown on locked tiles - stays public
+const PUBLIC_ASSET_KEYS = new Set(['coverImage', 'thumbnail', 'thumbnailUrl']);
+
+const MEMBERS_ONLY_MESSAGE = 'This content is for members only';
+
+// The portal edits and saves what it loads, so staff get the stored URLs untouched
+const isStaff = (req) => req.user?.role === 'admin';
+
+// The token's account, or for guests the device account their session proves - never
+// resolved by email or a client-chosen id (purchases made as a guest sit on the device account)
+const callerAccount = async (user) => {
+    if (!user || user.viaApiKey) return null;
+    if (user.role === 'anonymous') return findGuestDeviceAccount(user);
+    return findAccountById(user.id, { lean: true });
+};
+
+/**
+ * Whether the caller may open members-only content (admins always can).
+ * The answer is cached on `req` for the rest of the request.
+ */
+const canAccessMembersContent = async (req) => {
+    if (req.membersAccess !== undefined) return req.membersAccess;
+
+    let access = false;
+    if (isStaff(req)) {
+        access = true;
+    } else {
+        const account = await callerAccount(req.user);
+        access = account ? await hasMembersAccess(null, { account }) : false;
+    }
+
+    req.membersAccess = access;
+    return access;
+};
+
+/**
+ * Ids (strings) of the given books that sit in a members-only series
+ */
+const booksInMembersOnlySeries = async (bookIds) => {
+    if (bookIds.length === 0) return new Set();
+    const series = await BookSeries.find({ isMembersOnly: true, 'books.book': { $in: bookIds } })
+        .select('books.book')
+        .lean();
+    return new Set(series.flatMap(s => s.books.map(entry => String(entry.book))));
+};
+
+/**
+ * Copy of `value` with every bucket URL replaced by a signed URL
+ */
+const signAssetUrls = async (value, key) => {
+    if (typeof value === 'string') {
+        return !PUBLIC_ASSET_KEYS.has(key) && gcsPathFromUrl(value) ? getSignedUrl(value) : value;
+    }
+    if (Array.isArray(value)) {
+        return Promise.all(value.map(item => signAssetUrls(item, key)));
+    }
+    // Leave ObjectIds, Dates and other non-plain values alone
+    if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+    const signed = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+        signed[field] = await signAssetUrls(fieldValue, field);
+    }
+    return signed;
+};
+
+/**
+ * Book as seen without access: metadata and cover only
+ */
+const lockBook = (book) => ({
+    ...book,
+    files: {
+        coverImage: book.files?.coverImage || null,
+        images: [],
+        videos: [],
+        audio: [],
+    },
+    pages: [],
+    bookVideos: (book.bookVideos || []).map(video => ({ ...video, videoUrl: null })),
+    bookGames: (book.bookGames || []).map(game => ({ ...game, url: null })),
+    introVideoUrl: null,
+    locked: true,
+});
+
+/**
+ * Apply members-only rules to plain book objects (lean docs / toObject()).
+ * `inMembersOnlySeries` skips the series lookup when the caller already knows.
+ */
+const prepareBooksForCaller = async (req, books, { inMembersOnlySeries = false } = {}) => {
+    if (isStaff(req)) return books;
+
+    const seriesLocked = inMembersOnlySeries
+        ? null
+        : await booksInMembersOnlySeries(books.filter(b => b && !b.isMembersOnly).map(b => b._id));
+
+    const prepared = [];
+    for (const book of books) {
+        const membersOnly = book && (book.isMembersOnly || inMembersOnlySeries || seriesLocked.has(String(book._id)));
+        if (!membersOnly) {
+            prepared.push(book);
+        } else if (await canAccessMembersContent(req)) {
+            prepared.push({ ...(await signAssetUrls(book)), isMembersOnly: true, locked: false });
+        } else {
+            prepared.push({ ...lockBook(book), isMembersOnly: true });
+        }
+    }
+    return prepared;
+};
+
+const prepareBookForCaller = async (req, book) => (await prepareBooksForCaller(req, [book]))[0];
+
+/**
+ * Whether a book is members-only (its own flag or a members-only series)
+ */
+const isBookMembersOnly = async (book) => {
+    if (book.isMembersOnly) return true;
+    return (await booksInMembersOnlySeries([book._id])).has(String(book._id));
+};
+
+/**
+ * Apply members-only rules to one playlist item (or a flattened episode).
+ * Locked items keep their metadata but lose the audio.
+ */
+const prepareItemForCaller = async (req, item, playlistMembersOnly = false) => {
+    if (isStaff(req) || (!item.isMembersOnly && !playlistMembersOnly)) return item;
+    if (await canAccessMembersContent(req)) {
+        return { ...(await signAssetUrls(item)), isMembersOnly: true, locked: false };
+    }
+    return { ...item, audioUrl: null, isMembersOnly: true, locked: true };
+};
+
+/**
+ * Apply members-only rules to a plain playlist object
+ */
+const preparePlaylistForCaller = async (req, playlist) => {
+    const items = [];
+    for (const item of playlist.items || []) {
+        items.push(await prepareItemForCaller(req, item, playlist.isMembersOnly));
+    }
+    return { ...playlist, items };
+};
+
+module.exports = {
+    MEMBERS_ONLY_MESSAGE,
+    isStaff,
+    canAccessMembersContent,
+    signAssetUrls,
+    isBookMembersOnly,
+    prepareBooksForCaller,
+    prepareBookForCaller,
+    prepareItemForCaller,
+    preparePlaylistForCaller,
+};
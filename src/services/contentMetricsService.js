@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const PlayEvent = require('../models/PlayEvent');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const ContentDailyMetric = require('../models/ContentDailyMetric');
+
+/**
+ * Daily content metrics
+ *
+ * jobs/contentMetricsRollup.js rolls PlayEvent (plays, listeners, completion,
+ * pages) and AnalyticsEvent like/favorite events up into one ContentDailyMetric
+ * per content item and UTC day. Raw play events expire after 30 days; the
+ * rollup is permanent and is what trending, top-rated and the admin metrics
+ * endpoints read.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const CONTENT_TYPES = ContentDailyMetric.schema.path('contentType').enumValues;
+const MAX_HISTORY_PERIODS = 1000;
+
+// Reaction events counted into the rollup (by the day they were received)
+const REACTIONS = {
+    book_like: { contentType: 'book', field: 'likes', delta: 1 },
+    book_unlike: { contentType: 'book', field: 'likes', delta: -1 },
+    book_favorite: { contentType: 'book', field: 'favorites', delta: 1 },
+    book_unfavorite: { contentType: 'book', field: 'favorites', delta: -1 },
+    playlist_like: { contentType: 'playlist', field: 'likes', delta: 1 },
+    playlist_unlike: { contentType: 'playlist', field: 'likes', delta: -1 },
+    playlist_favorite: { contentType: 'playlist', field: 'favorites', delta: 1 },
+    playlist_unfavorite: { contentType: 'playlist', field: 'favorites', delta: -1 },
+};
+
+const COMPLETION_BUCKETS = ['under25', 'from25', 'from50', 'from75', 'complete'];
+
+// Engagement score, from the same weights trending has always used
+const ENGAGEMENT_SCORE = {
+    // Each play = 1 point, every 10 pages viewed = 1 point, average completion up to 2 points
+    book: { $add: ['$recentPlays', { $divide: ['$totalPagesViewed', 10] }, { $multiply: ['$avgCompletion', 0.02] }] },
+    // Each play = 1 point, every 5 minutes listened = 1 point, average completion up to 2 points
+    episode: { $add: ['$recentPlays', { $divide: ['$totalListenSeconds', 300] }, { $multiply: ['$avgCompletion', 0.02] }] },
+    playlist: { $add: ['$recentPlays', { $divide: ['$totalListenSeconds', 300] }, { $multiply: ['$avgCompletion', 0.02] }] },
+};
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+// Start of the day / week (Monday) / month containing `date`, in UTC
+const periodStart = (date, interval) => {
+    const day = startOfDay(date);
+    if (interval === 'week') return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    if (interval === 'month') return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    return day;
+};
+
+const nextPeriod = (start, interval) => {
+    if (interval === 'week') return new Date(start.getTime() + 7 * DAY_MS);
+    if (interval === 'month') return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    return new Date(start.getTime() + DAY_MS);
+};
+
+const emptyMetrics = () => ({
+    plays: 0,
+    uniqueListeners: 0,
+    anonymousPlays: 0,
+    engagedPlays: 0,
+    listenSeconds: 0,
+    pagesViewed: 0,
+    completionSum: 0,
+    completion: Object.fromEntries(COMPLETION_BUCKETS.map(bucket => [bucket, 0])),
+    likes: 0,
+    favorites: 0,
+    lastPlayedAt: null,
+});
+
+const completionBetween = (min, max) => ({
+    $sum: {
+        $cond: [
+            { $and: [{ $gte: ['$completionPercent', min] }, { $lt: ['$completionPercent', max] }] },
+            1,
+            0,
+        ],
+    },
+});
+
+/**
+ * Roll up one UTC day into ContentDailyMetric (safe to re-run - rows are overwritten).
+ * `final` marks the day as complete. Returns the number of content rows written.
+ */
+const rollupDay = async (date, { final = false } = {}) => {
+    const day = startOfDay(date);
+    const range = { $gte: day, $lt: new Date(day.getTime() + DAY_MS) };
+
+    const [plays, reactions] = await Promise.all([
+        PlayEvent.aggregate([
+            { $match: { playedAt: range } },
+            { $sort: { playedAt: 1 } },
+            {
+                $group: {
+                    _id: { contentType: '$contentType', contentId: '$contentId' },
+                    playlistId: { $last: '$playlistId' },
+                    itemIndex: { $last: '$itemIndex' },
+                    plays: { $sum: 1 },
+                    listeners: { $addToSet: '$userId' },
+                    anonymousPlays: { $sum: { $cond: [{ $in: [{ $ifNull: ['$userId', 'anonymous'] }, ['anonymous', '']] }, 1, 0] } },
+                    engagedPlays: { $sum: { $cond: ['$isEngagementUpdate', 1, 0] } },
+                    listenSeconds: { $sum: { $ifNull: ['$durationSeconds', 0] } },
+                    pagesViewed: { $sum: { $ifNull: ['$pagesViewed', 0] } },
+                    completionSum: { $sum: { $ifNull: ['$completionPercent', 0] } },
+                    under25: { $sum: { $cond: [{ $lt: ['$completionPercent', 25] }, 1, 0] } },
+                    from25: completionBetween(25, 50),
+                    from50: completionBetween(50, 75),
+                    from75: completionBetween(75, 100),
+                    complete: { $sum: { $cond: [{ $gte: ['$completionPercent', 100] }, 1, 0] } },
+                    lastPlayedAt: { $max: '$playedAt' },
+                },
+            },
+            { $set: { uniqueListeners: { $size: { $setDifference: ['$listeners', [null, '', 'anonymous']] } } } },
+        ]),
+        AnalyticsEvent.aggregate([
+            { $match: { eventType: { $in: Object.keys(REACTIONS) }, createdAt: range, targetId: { $type: 'string' } } },
+            { $group: { _id: { eventType: '$eventType', targetId: '$targetId' }, count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const metrics = new Map();
+    const metricsFor = (contentType, contentId) => {
+        const key = `${contentType}:${contentId}`;
+        if (!metrics.has(key)) metrics.set(key, { contentType, contentId, ...emptyMetrics() });
+        return metrics.get(key);
+    };
+
+    plays.forEach(row => {
+        const entry = metricsFor(row._id.contentType, row._id.contentId);
+        Object.assign(entry, {
+            playlistId: row.playlistId || undefined,
+            itemIndex: row.itemIndex ?? undefined,
+            plays: row.plays,
+            uniqueListeners: row.uniqueListeners,
+            anonymousPlays: row.anonymousPlays,
+            engagedPlays: row.engagedPlays,
+            listenSeconds: row.listenSeconds,
+            pagesViewed: row.pagesViewed,
+            completionSum: row.completionSum,
+            completion: Object.fromEntries(COMPLETION_BUCKETS.map(bucket => [bucket, row[bucket]])),
+            lastPlayedAt: row.lastPlayedAt,
+        });
+    });
+
+    reactions.forEach(({ _id, count }) => {
+        // targetId is whatever the app sent - only real content ids can be rolled up
+        if (!/^[0-9a-f]{24}$/i.test(_id.targetId)) return;
+        const reaction = REACTIONS[_id.eventType];
+        metricsFor(reaction.contentType, new mongoose.Types.ObjectId(_id.targetId))[reaction.field] += reaction.delta * count;
+    });
+
+    if (metrics.size === 0) return 0;
+
+    await ContentDailyMetric.bulkWrite([...metrics.values()].map(({ contentType, contentId, ...fields }) => ({
+        updateOne: {
+            filter: { contentType, contentId, day },
+            update: { $set: { ...fields, final } },
+            upsert: true,
+        },
+    })), { ordered: false });
+
+    return metrics.size;
+};
+
+/**
+ * First day that still needs rolling up: the day after the last final one
+ * (but never later than yesterday - engagement updates arrive after midnight),
+ * or the oldest play event still stored.
+ */
+const firstPendingDay = async (now = new Date()) => {
+    const yesterday = new Date(startOfDay(now).getTime() - DAY_MS);
+    const lastFinal = await ContentDailyMetric.findOne({ final: true }).sort({ day: -1 }).select('day').lean();
+    if (lastFinal) {
+        const next = new Date(lastFinal.day.getTime() + DAY_MS);
+        return next < yesterday ? next : yesterday;
+    }
+    const oldest = await PlayEvent.findOne().sort({ playedAt: 1 }).select('playedAt').lean();
+    return oldest ? startOfDay(oldest.playedAt) : startOfDay(now);
+};
+
+/**
+ * Trending content of one type since `since` (rounded down to the day), highest
+ * engagement first. Rows: { _id: contentId, playlistId, itemIndex, recentPlays,
+ * totalPagesViewed, totalListenSeconds, avgCompletion, engagementScore, lastPlayed }
+ */
+const trendingContent = (contentType, { since, limit = 10 }) => ContentDailyMetric.aggregate([
+    { $match: { contentType, day: { $gte: startOfDay(since) }, plays: { $gt: 0 } } },
+    { $sort: { day: 1 } },
+    {
+        $group: {
+            _id: '$contentId',
+            playlistId: { $last: '$playlistId' },
+            itemIndex: { $last: '$itemIndex' },
+            recentPlays: { $sum: '$plays' },
+            totalPagesViewed: { $sum: '$pagesViewed' },
+            totalListenSeconds: { $sum: '$listenSeconds' },
+            completionSum: { $sum: '$completionSum' },
+            lastPlayed: { $max: '$lastPlayedAt' },
+        },
+    },
+    { $set: { avgCompletion: { $divide: ['$completionSum', '$recentPlays'] } } },
+    { $set: { engagementScore: ENGAGEMENT_SCORE[contentType] } },
+    // Sort by engagement score (desc), then by lastPlayed (desc), then by _id for consistent ordering
+    { $sort: { engagementScore: -1, lastPlayed: -1, _id: 1 } },
+    { $limit: limit },
+]);
+
+/**
+ * Content of one type whose likes + favorites per play reach `minRatio`, best first.
+ * `since` limits the window (null = all history). Rows: { _id: contentId, plays,
+ * likes, favorites, ratingRatio }. Null when the rollup has no reactions at all
+ * for the type, so callers can fall back to the lifetime counters.
+ */
+const topRatedContent = async (contentType, { since = null, minPlays = 5, minRatio = 0.15 } = {}) => {
+    const match = { contentType, ...(since ? { day: { $gte: startOfDay(since) } } : {}) };
+    const hasReactions = await ContentDailyMetric.exists({ ...match, $or: [{ likes: { $ne: 0 } }, { favorites: { $ne: 0 } }] });
+    if (!hasReactions) return null;
+
+    return ContentDailyMetric.aggregate([
+        { $match: match },
+        { $group: { _id: '$contentId', plays: { $sum: '$plays' }, likes: { $sum: '$likes' }, favorites: { $sum: '$favorites' } } },
+        { $match: { plays: { $gte: minPlays } } },
+        { $set: { ratingRatio: { $divide: [{ $max: [{ $add: ['$likes', '$favorites'] }, 0] }, '$plays'] } } },
+        { $match: { ratingRatio: { $gte: minRatio } } },
+        { $sort: { ratingRatio: -1, plays: -1, _id: 1 } },
+    ]);
+};
+
+/**
+ * Most played content between two dates, for dashboards.
+ * Rows: { contentType, contentId, plays, listenerDays, listenSeconds, pagesViewed,
+ * avgCompletion, likes, favorites, lastPlayedAt }
+ */
+const topContent = async ({ contentType, from, to, limit = 50 }) => {
+    const rows = await ContentDailyMetric.aggregate([
+        {
+            $match: {
+                day: { $gte: startOfDay(from), $lte: to },
+                ...(contentType ? { contentType } : {}),
+            },
+        },
+        {
+            $group: {
+                _id: { contentType: '$contentType', contentId: '$contentId' },
+                plays: { $sum: '$plays' },
+                listenerDays: { $sum: '$uniqueListeners' },
+                listenSeconds: { $sum: '$listenSeconds' },
+                pagesViewed: { $sum: '$pagesViewed' },
+                completionSum: { $sum: '$completionSum' },
+                likes: { $sum: '$likes' },
+                favorites: { $sum: '$favorites' },
+                lastPlayedAt: { $max: '$lastPlayedAt' },
+            },
+        },
+        { $sort: { plays: -1, lastPlayedAt: -1 } },
+        { $limit: limit },
+    ]);
+
+    return rows.map(({ _id, completionSum, ...row }) => ({
+        contentType: _id.contentType,
+        contentId: _id.contentId,
+        ...row,
+        avgCompletion: row.plays > 0 ? Math.round(completionSum / row.plays) : 0,
+    }));
+};
+
+/**
+ * Metric history of one item between two dates, grouped by day, week or month,
+ * with empty periods filled in. `listenerDays` is the sum of each day's unique
+ * listeners (distinct listeners can't be recovered for longer periods).
+ * Returns { periods, totals } or { error }
+ */
+const contentHistory = async (contentType, contentId, { from, to, interval = 'day' }) => {
+    const first = periodStart(from, interval);
+    let periodCount = 0;
+    for (let period = first; period <= to && periodCount <= MAX_HISTORY_PERIODS; period = nextPeriod(period, interval)) {
+        periodCount++;
+    }
+    if (periodCount > MAX_HISTORY_PERIODS) {
+        return { error: `Range too long for interval '${interval}' (max ${MAX_HISTORY_PERIODS} periods)` };
+    }
+
+    const rows = await ContentDailyMetric.aggregate([
+        { $match: { contentType, contentId: new mongoose.Types.ObjectId(contentId), day: { $gte: first, $lte: to } } },
+        {
+            $group: {
+                _id: { $dateTrunc: { date: '$day', unit: interval, timezone: 'UTC', startOfWeek: 'monday' } },
+                plays: { $sum: '$plays' },
+                listenerDays: { $sum: '$uniqueListeners' },
+                anonymousPlays: { $sum: '$anonymousPlays' },
+                engagedPlays: { $sum: '$engagedPlays' },
+                listenSeconds: { $sum: '$listenSeconds' },
+                pagesViewed: { $sum: '$pagesViewed' },
+                completionSum: { $sum: '$completionSum' },
+                ...Object.fromEntries(COMPLETION_BUCKETS.map(bucket => [bucket, { $sum: `$completion.${bucket}` }])),
+                likes: { $sum: '$likes' },
+                favorites: { $sum: '$favorites' },
+                lastPlayedAt: { $max: '$lastPlayedAt' },
+                final: { $min: '$final' },
+            },
+        },
+    ]);
+
+    const byPeriod = new Map(rows.map(row => [row._id.getTime(), row]));
+    const { uniqueListeners, ...empty } = emptyMetrics();
+    const totals = { ...empty, listenerDays: 0 };
+
+    const periods = [];
+    for (let period = first; period <= to; period = nextPeriod(period, interval)) {
+        const row = byPeriod.get(period.getTime());
+        const entry = {
+            period: period.toISOString().split('T')[0],
+            plays: row?.plays || 0,
+            listenerDays: row?.listenerDays || 0,
+            anonymousPlays: row?.anonymousPlays || 0,
+            engagedPlays: row?.engagedPlays || 0,
+            listenSeconds: row?.listenSeconds || 0,
+            pagesViewed: row?.pagesViewed || 0,
+            avgCompletion: row?.plays ? Math.round(row.completionSum / row.plays) : 0,
+            completion: Object.fromEntries(COMPLETION_BUCKETS.map(bucket => [bucket, row?.[bucket] || 0])),
+            likes: row?.likes || 0,
+            favorites: row?.favorites || 0,
+            // Periods that include today's (or an un-finalised) partial rollup
+            partial: row ? !row.final : nextPeriod(period, interval) > Date.now(),
+        };
+        periods.push(entry);
+
+        ['plays', 'listenerDays', 'anonymousPlays', 'engagedPlays', 'listenSeconds', 'pagesViewed', 'likes', 'favorites']
+            .forEach(field => { totals[field] += entry[field]; });
+        COMPLETION_BUCKETS.forEach(bucket => { totals.completion[bucket] += entry.completion[bucket]; });
+        totals.completionSum += row?.completionSum || 0;
+        if (row?.lastPlayedAt && (!totals.lastPlayedAt || row.lastPlayedAt > totals.lastPlayedAt)) {
+            totals.lastPlayedAt = row.lastPlayedAt;
+        }
+    }
+
+    const { completionSum, ...summary } = totals;
+    summary.avgCompletion = summary.plays > 0 ? Math.round(completionSum / summary.plays) : 0;
+
+    return { periods, totals: summary };
+};
+
+module.exports = {
+    DAY_MS,
+    INTERVALS,
+    CONTENT_TYPES,
+    startOfDay,
+    rollupDay,
+    firstPendingDay,
+    trendingContent,
+    topRatedContent,
+    topContent,
+    contentHistory,
+};
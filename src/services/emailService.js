@@ -222,6 +222,274 @@ const sendWelcomeEmail = async (email, name) => {
     }
 };
 
+/**
+ * Send a single-button email in the same layout as the password reset email
+ * (leave out `expiresIn` for links that don't expire)
+ */
+const sendActionEmail = async (email, { subject, icon, heading, message, buttonText, url, expiresIn, notice, logLabel }) => {
+    const transport = getTransporter();
+
+    if (!transport) {
+        console.log(`📧 ${logLabel} email skipped (Gmail not configured). Link:`, url);
+        return { success: false, error: 'Email service not configured' };
+    }
+
+    try {
+        const fromEmail = process.env.EMAIL_USER || 'hello@kbpublish.org';
+        const supportEmail = process.env.SUPPORT_EMAIL || 'hello@kbpublish.org';
+
+        const mailOptions = {
+            from: `GodlyKids <${fromEmail}>`,
+            to: email,
+            subject,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; background-color: #f5f0e8; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f0e8; padding: 40px 20px;">
+        <tr>
+            <td align="center">
+                <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 500px; background: linear-gradient(135deg, #5c3d2e 0%, #3e2a1e 100%); border-radius: 20px; overflow: hidden; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+
+                    <tr>
+                        <td style="padding: 30px 30px 20px; text-align: center;">
+                            <h1 style="margin: 0; color: #FFD700; font-size: 28px; font-weight: bold;">GodlyKids</h1>
+                            <p style="margin: 5px 0 0; color: #eecaa0; font-size: 14px;">Faith-filled adventures for kids! 🌟</p>
+                        </td>
+                    </tr>
+
+                    <tr>
+                        <td style="padding: 0 30px 30px;">
+                            <div style="background: rgba(255,255,255,0.95); border-radius: 15px; padding: 30px; text-align: center;">
+                                <div style="font-size: 50px; margin-bottom: 15px;">${icon}</div>
+                                <h2 style="margin: 0 0 15px; color: #3e2a1e; font-size: 22px;">${heading}</h2>
+                                <p style="margin: 0 0 25px; color: #5c3d2e; font-size: 15px; line-height: 1.6;">
+                                    ${message}
+                                </p>
+
+                                <a href="${url}" style="display: inline-block; background: linear-gradient(135deg, #FFD700 0%, #FFA500 100%); color: #3e2a1e; text-decoration: none; padding: 15px 40px; border-radius: 30px; font-weight: bold; font-size: 16px; box-shadow: 0 4px 15px rgba(255,215,0,0.4);">
+                                    ${buttonText}
+                                </a>
+
+                                ${expiresIn ? `<p style="margin: 25px 0 0; color: #8B4513; font-size: 13px;">
+                                    This link expires in <strong>${expiresIn}</strong> and can only be used once.
+                                </p>` : ''}
+                            </div>
+                        </td>
+                    </tr>
+
+                    <tr>
+                        <td style="padding: 0 30px 20px;">
+                            <div style="background: rgba(0,0,0,0.2); border-radius: 10px; padding: 15px;">
+                                <p style="margin: 0; color: #eecaa0; font-size: 12px; text-align: center;">
+                                    🛡️ ${notice}
+                                </p>
+                            </div>
+                        </td>
+                    </tr>
+
+                    <tr>
+                        <td style="padding: 20px 30px 30px; text-align: center; border-top: 1px solid rgba(255,255,255,0.1);">
+                            <p style="margin: 0 0 10px; color: #eecaa0; font-size: 13px;">
+                                Need help? Contact us at<br>
+                                <a href="mailto:${supportEmail}" style="color: #FFD700;">${supportEmail}</a>
+                            </p>
+                            <p style="margin: 0; color: rgba(255,255,255,0.4); font-size: 11px;">
+                                © ${new Date().getFullYear()} GodlyKids. All rights reserved.
+                            </p>
+                        </td>
+                    </tr>
+
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+            `,
+            text: `
+GodlyKids - ${heading}
+
+${message}
+
+${buttonText}:
+${url}
+${expiresIn ? `\nThis link expires in ${expiresIn} and can only be used once.\n` : ''}
+${notice}
+
+Need help? Contact us at ${supportEmail}
+
+© ${new Date().getFullYear()} GodlyKids
+            `.trim()
+        };
+
+        const info = await transport.sendMail(mailOptions);
+
+        console.log(`✅ ${logLabel} email sent to:`, email, 'MessageId:', info.messageId);
+        return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+        console.error('❌ Email send error:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Send an email address verification link after signup
+ */
+const sendEmailVerificationEmail = (email, verifyUrl) => sendActionEmail(email, {
+    subject: '✉️ Confirm your GodlyKids email',
+    icon: '✉️',
+    heading: 'Confirm Your Email',
+    message: 'Thanks for joining GodlyKids! Please confirm this is your email address so we can help you get back into your account if you ever need to.',
+    buttonText: 'Confirm Email',
+    url: verifyUrl,
+    expiresIn: '2 days',
+    notice: "Didn't create a GodlyKids account? You can safely ignore this email.",
+    logLabel: 'Verification',
+});
+
+/**
+ * Send a passwordless sign-in link
+ */
+const sendMagicLinkEmail = (email, magicUrl) => sendActionEmail(email, {
+    subject: '✨ Your GodlyKids sign-in link',
+    icon: '✨',
+    heading: 'Sign In to GodlyKids',
+    message: 'Tap the button below to sign in - no password needed.',
+    buttonText: 'Sign In',
+    url: magicUrl,
+    expiresIn: '15 minutes',
+    notice: "Didn't ask to sign in? You can safely ignore this email - nobody can sign in without this link.",
+    logLabel: 'Magic link',
+});
+
+/**
+ * Dunning - tell a web subscriber their renewal payment failed.
+ * `nextAttemptAt` is null once Stripe has stopped retrying.
+ */
+const sendPaymentFailedEmail = (email, { payUrl, amount, nextAttemptAt }) => sendActionEmail(email, {
+    subject: nextAttemptAt ? '⚠️ Your GodlyKids payment didn\'t go through' : '⚠️ Last notice: your GodlyKids membership is on hold',
+    icon: '💳',
+    heading: nextAttemptAt ? 'Payment Failed' : 'Membership On Hold',
+    message: nextAttemptAt
+        ? `We couldn't charge ${amount} for your GodlyKids membership. We'll try again on ${nextAttemptAt.toDateString()} - update your card before then to keep the stories coming.`
+        : `We still couldn't charge ${amount} for your GodlyKids membership, so members-only stories are paused. Update your card to pick up right where you left off.`,
+    buttonText: 'Update Payment',
+    url: payUrl,
+    notice: 'We never ask for card details by email - this button opens our secure payment page.',
+    logLabel: 'Payment failed',
+});
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+/**
+ * Weekly summary of each child's activity (services/parentReportService.js)
+ * `children`: [{ name, minutes, booksFinished, quizzes, lessonsCompleted, streak }]
+ */
+const sendWeeklyReportEmail = async (email, { parentName, weekLabel, children, reportUrl, settingsUrl }) => {
+    const transport = getTransporter();
+    
+    if (!transport) {
+        console.log('📧 Weekly report email skipped (Gmail not configured)');
+        return { success: false, error: 'Email service not configured' };
+    }
+    
+    try {
+        const fromEmail = process.env.EMAIL_USER || 'hello@kbpublish.org';
+        const stat = (value, label) => `<td style="padding: 6px; text-align: center;"><div style="color: #3e2a1e; font-size: 20px; font-weight: bold;">${value}</div><div style="color: #8B4513; font-size: 11px;">${label}</div></td>`;
+        
+        const childCards = children.map(child => `
+                            <div style="background: rgba(255,255,255,0.95); border-radius: 15px; padding: 20px; margin-bottom: 15px;">
+                                <h3 style="margin: 0 0 10px; color: #3e2a1e; font-size: 18px;">${escapeHtml(child.name)}${child.streak > 1 ? ` <span style="font-size: 13px; color: #FFA500;">🔥 ${child.streak}-day streak</span>` : ''}</h3>
+                                <table width="100%" cellpadding="0" cellspacing="0">
+                                    <tr>
+                                        ${stat(child.minutes, 'minutes')}
+                                        ${stat(child.booksFinished, child.booksFinished === 1 ? 'book finished' : 'books finished')}
+                                        ${stat(child.quizzes, child.quizzes === 1 ? 'quiz' : 'quizzes')}
+                                        ${stat(child.lessonsCompleted, child.lessonsCompleted === 1 ? 'lesson' : 'lessons')}
+                                    </tr>
+                                </table>
+                            </div>`).join('');
+        
+        const mailOptions = {
+            from: `GodlyKids <${fromEmail}>`,
+            to: email,
+            subject: `📖 Your family's week on GodlyKids (${weekLabel})`,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; background-color: #f5f0e8; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f0e8; padding: 40px 20px;">
+        <tr>
+            <td align="center">
+                <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 500px; background: linear-gradient(135deg, #5c3d2e 0%, #3e2a1e 100%); border-radius: 20px; overflow: hidden; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                    
+                    <tr>
+                        <td style="padding: 30px; text-align: center;">
+                            <h1 style="margin: 0; color: #FFD700; font-size: 26px;">Your Week on GodlyKids 📖</h1>
+                            <p style="margin: 15px 0 0; color: #eecaa0; font-size: 15px;">
+                                Hi${parentName ? ` ${escapeHtml(parentName)}` : ''}! Here's what your family explored ${escapeHtml(weekLabel)}.
+                            </p>
+                        </td>
+                    </tr>
+                    
+                    <tr>
+                        <td style="padding: 0 30px 15px;">${childCards}
+                        </td>
+                    </tr>
+                    
+                    <tr>
+                        <td style="padding: 0 30px 30px; text-align: center;">
+                            <a href="${reportUrl}" style="display: inline-block; background: linear-gradient(135deg, #FFD700 0%, #FFA500 100%); color: #3e2a1e; text-decoration: none; padding: 15px 40px; border-radius: 30px; font-weight: bold; font-size: 16px; box-shadow: 0 4px 15px rgba(255,215,0,0.4);">
+                                See Full Report
+                            </a>
+                            <p style="margin: 20px 0 0; color: rgba(255,255,255,0.5); font-size: 11px;">
+                                Don't want these emails? <a href="${settingsUrl}" style="color: #eecaa0;">Turn off weekly reports</a> in Settings.<br>
+                                © ${new Date().getFullYear()} GodlyKids. All rights reserved.
+                            </p>
+                        </td>
+                    </tr>
+                    
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+            `,
+            text: `
+Your week on GodlyKids (${weekLabel})
+
+${children.map(child => `${child.name}: ${child.minutes} minutes, ${child.booksFinished} books finished, ${child.quizzes} quizzes, ${child.lessonsCompleted} lessons${child.streak > 1 ? `, ${child.streak}-day streak` : ''}`).join('\n')}
+
+See the full report: ${reportUrl}
+
+Turn off weekly reports in Settings: ${settingsUrl}
+            `.trim()
+        };
+        
+        const info = await transport.sendMail(mailOptions);
+        
+        console.log('✅ Weekly report email sent to:', email);
+        return { success: true, messageId: info.messageId };
+        
+    } catch (error) {
+        console.error('❌ Email send error:', error);
+        return { success: false, error: error.message };
+    }
+};
+
 /**
  * Test email configuration
  */
@@ -245,5 +513,9 @@ const testEmailConfig = async () => {
 module.exports = {
     sendPasswordResetEmail,
     sendWelcomeEmail,
+    sendEmailVerificationEmail,
+    sendMagicLinkEmail,
+    sendPaymentFailedEmail,
+    sendWeeklyReportEmail,
     testEmailConfig
 };
@@ -0,0 +1,236 @@
+const EntitlementEvent = require('../models/EntitlementEvent');
+const { findAccount } = require('./accountService');
+
+/**
+ * Entitlements - who gets members-only content, and why
+ *
+ * Every subscription change from RevenueCat, Stripe, the old app (legacy) or an
+ * admin is appended to the EntitlementEvent ledger. The current entitlement is
+ * computed from it:
+ *   - per source, the latest event (by occurredAt) gives that source's state
+ *   - a source grants access while its status is active/trial/cancelled and
+ *     expiresAt is unset or in the future
+ *   - if several sources grant access, the one lasting longest wins
+ *
+ * After each event the result is cached on the account (isPremium,
+ * subscriptionStatus, ...) for analytics and older clients. Members-only gating
+ * must go through `hasMembersAccess`, never those fields.
+ */
+
+const SOURCES = ['revenuecat', 'stripe', 'legacy', 'admin'];
+const ENTITLED_STATUSES = ['active', 'trial', 'cancelled'];
+
+const toDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const planFromProduct = (productId) => {
+    if (!productId) return null;
+    return /year|annual/i.test(productId) ? 'annual' : 'monthly';
+};
+
+// Every id the ledger might have recorded this account under - events recorded
+// against an email only count once the account has verified that address
+const accountIdentifiers = (account) => [
+    account._id.toString(),
+    ...(account.mergedAccountIds || []).map(String),
+    ...(account.emailVerified ? [account.email, ...(account.emails || [])] : []),
+    account.deviceId, ...(account.deviceIds || []),
+].filter(Boolean);
+
+const ledgerQuery = (account, identifier) => {
+    if (!account) return { identifier };
+    return {
+        $or: [
+            { accountId: { $in: [account._id, ...(account.mergedAccountIds || [])] } },
+            { identifier: { $in: accountIdentifiers(account) } },
+        ],
+    };
+};
+
+const isSourceEntitled = (state, now) =>
+    ENTITLED_STATUSES.includes(state.status) && (!state.expiresAt || state.expiresAt > now);
+
+/**
+ * Entitlement computed from ledger events
+ */
+const computeEntitlement = (events, now = new Date()) => {
+    const latest = {};
+    events.forEach(event => {
+        const current = latest[event.source];
+        const newer = !current
+            || event.occurredAt > current.occurredAt
+            || (event.occurredAt.getTime() === current.occurredAt.getTime() && event.createdAt > current.createdAt);
+        if (newer) latest[event.source] = event;
+    });
+
+    const sources = {};
+    Object.values(latest).forEach(event => {
+        const entitled = isSourceEntitled(event, now);
+        sources[event.source] = {
+            status: entitled || !ENTITLED_STATUSES.includes(event.status) ? event.status : 'expired',
+            entitled,
+            productId: event.productId || null,
+            plan: event.plan || null,
+            expiresAt: event.expiresAt || null,
+            willRenew: entitled && event.status !== 'cancelled',
+            lastEventType: event.type,
+            lastEventAt: event.occurredAt,
+        };
+    });
+
+    const ranked = Object.entries(sources).sort(([, a], [, b]) => {
+        if (a.entitled !== b.entitled) return a.entitled ? -1 : 1;
+        if (a.entitled) {
+            // Open-ended access beats any expiry
+            return (b.expiresAt ? b.expiresAt.getTime() : Infinity) - (a.expiresAt ? a.expiresAt.getTime() : Infinity);
+        }
+        return b.lastEventAt - a.lastEventAt;
+    });
+    const [source, best] = ranked[0] || [];
+
+    return {
+        isEntitled: !!best?.entitled,
+        status: best ? best.status : 'free',
+        source: source || null,
+        productId: best?.productId || null,
+        plan: best?.plan || null,
+        expiresAt: best?.expiresAt || null,
+        willRenew: !!best?.willRenew,
+        sources,
+    };
+};
+
+// Accounts from before the ledger existed only have the cached fields
+const entitlementFromAccountFields = (account, now = new Date()) => {
+    const expiresAt = account.subscriptionEndDate || account.subscriptionExpiresAt || null;
+    const status = account.isPremium && !ENTITLED_STATUSES.includes(account.subscriptionStatus)
+        ? 'active'
+        : account.subscriptionStatus || 'free';
+    const entitled = ENTITLED_STATUSES.includes(status) && (!expiresAt || expiresAt > now);
+    return {
+        isEntitled: entitled,
+        status: entitled || status === 'free' ? status : 'expired',
+        source: entitled ? 'account' : null,
+        productId: account.subscriptionProductId || null,
+        plan: account.subscriptionPlan || null,
+        expiresAt,
+        willRenew: false,
+        sources: {},
+    };
+};
+
+/**
+ * Current entitlement for any account identifier.
+ * Returns { accountId, isEntitled, status, source, productId, plan, expiresAt, willRenew, sources }
+ */
+const getEntitlement = async (identifier, { account } = {}) => {
+    const resolved = account || await findAccount(identifier, { lean: true });
+    const events = await EntitlementEvent.find(ledgerQuery(resolved, identifier))
+        .select('source type status productId plan expiresAt occurredAt createdAt')
+        .lean();
+
+    const entitlement = events.length === 0 && resolved
+        ? entitlementFromAccountFields(resolved)
+        : computeEntitlement(events);
+
+    return { accountId: resolved?._id || null, ...entitlement };
+};
+
+/**
+ * The one check for members-only content.
+ * Pass `account` when the caller's account is already resolved.
+ */
+const hasMembersAccess = async (identifier, { account } = {}) => {
+    if (!identifier && !account) return false;
+    const entitlement = await getEntitlement(identifier, { account });
+    return entitlement.isEntitled;
+};
+
+// Cache the computed entitlement on the account
+const syncAccountSnapshot = async (account) => {
+    const entitlement = await getEntitlement(null, { account });
+    account.isPremium = entitlement.isEntitled;
+    account.subscriptionStatus = entitlement.status;
+    account.entitlementSource = entitlement.source;
+    account.subscriptionProductId = entitlement.productId || account.subscriptionProductId;
+    account.subscriptionExpiresAt = entitlement.expiresAt;
+    account.subscriptionEndDate = entitlement.expiresAt;
+    if (entitlement.plan) account.subscriptionPlan = entitlement.plan;
+    await account.save();
+    return entitlement;
+};
+
+/**
+ * Append an event to the ledger and refresh the account's cached entitlement.
+ * Pass `account` when you already have the document, otherwise `identifier`.
+ * Events with an externalEventId already recorded for the source are ignored,
+ * unless `replace` is set (webhook replays) - then the stored entry is rewritten.
+ * Returns { event, entitlement, duplicate }
+ */
+const recordEntitlementEvent = async ({
+    account, identifier, source, type, status, productId, plan,
+    startsAt, expiresAt, occurredAt, amount, currency, externalEventId, recordedBy, note, raw, replace = false,
+}) => {
+    if (!SOURCES.includes(source)) {
+        throw new Error(`Unknown entitlement source: ${source}`);
+    }
+
+    const existing = externalEventId
+        ? await EntitlementEvent.findOne({ source, externalEventId: String(externalEventId) }).lean()
+        : null;
+    if (existing && !replace) {
+        return { event: existing, entitlement: null, duplicate: true };
+    }
+
+    const resolved = account || await findAccount(identifier);
+    const fields = {
+        accountId: resolved?._id || null,
+        identifier: identifier ? String(identifier) : resolved?._id.toString(),
+        source,
+        type,
+        status,
+        productId,
+        plan: plan || planFromProduct(productId),
+        startsAt: toDate(startsAt),
+        expiresAt: toDate(expiresAt),
+        occurredAt: toDate(occurredAt) || new Date(),
+        amount: Number.isFinite(amount) ? amount : null,
+        currency: Number.isFinite(amount) && currency ? String(currency).toUpperCase() : undefined,
+        externalEventId: externalEventId ? String(externalEventId) : undefined,
+        recordedBy,
+        note,
+        raw,
+    };
+
+    let event;
+    if (existing) {
+        event = await EntitlementEvent.findByIdAndUpdate(existing._id, fields, { new: true });
+    } else {
+        try {
+            event = await EntitlementEvent.create(fields);
+        } catch (error) {
+            // Concurrent delivery of the same webhook
+            if (error.code === 11000 && externalEventId) {
+                const duplicate = await EntitlementEvent.findOne({ source, externalEventId: String(externalEventId) }).lean();
+                return { event: duplicate, entitlement: null, duplicate: true };
+            }
+            throw error;
+        }
+    }
+
+    const entitlement = resolved ? await syncAccountSnapshot(resolved) : null;
+    console.log(`🎫 Entitlement ${source}/${type} -> ${status} for ${resolved?._id || identifier}${existing ? ' (replayed)' : ''}${entitlement ? ` (entitled: ${entitlement.isEntitled})` : ' (no account yet)'}`);
+
+    return { event, entitlement, duplicate: false };
+};
+
+module.exports = {
+    SOURCES,
+    computeEntitlement,
+    getEntitlement,
+    hasMembersAccess,
+    recordEntitlementEvent,
+};
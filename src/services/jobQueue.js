@@ -0,0 +1,118 @@
+const Job = require('../models/Job');
+
+/**
+ * Persistent job queue (MongoDB)
+ *
+ * Slow generators (TTS, quiz, translation, radio segments) register a handler here
+ * and accept `?async=true` (or `"async": true` in the body). In async mode the
+ * endpoint answers 202 with a job id straight away and jobs/jobWorker.js runs
+ * the handler in the background; the client polls GET /api/jobs/:id.
+ *
+ * A handler receives (payload, { job, reportProgress }) and returns the same
+ * { status, body } the synchronous endpoint would have sent:
+ * - 2xx        → job completed, body stored as job.result
+ * - 4xx        → job failed permanently (bad input - retrying won't help)
+ * - 5xx/throws → retried with exponential backoff up to maxAttempts
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type (called once at module load)
+ */
+const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+const getJobHandler = (type) => handlers.get(type);
+
+const getJobTypes = () => [...handlers.keys()];
+
+/**
+ * Queue a job. Returns the saved Job document.
+ */
+const enqueueJob = async (type, payload, options = {}) => {
+    if (!handlers.has(type)) {
+        throw new Error(`No job handler registered for '${type}'`);
+    }
+    const job = await Job.create({
+        type,
+        payload,
+        createdBy: options.createdBy || null,
+        maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        runAt: options.runAt || new Date(),
+    });
+    console.log(`🧾 Job queued: ${type} (${job._id})`);
+    return job;
+};
+
+/**
+ * Public shape of a job for API responses
+ */
+const serializeJob = (job) => ({
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    result: job.result,
+    error: job.error,
+    runAt: job.runAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+});
+
+/**
+ * Did the client ask for async mode?
+ */
+const isAsyncRequest = (req) => req.query.async === 'true' || req.body?.async === true;
+
+/**
+ * Who a job belongs to: the signed-in account, or for guests (who all share the
+ * id 'guest') their device, else their session. Null when neither is known.
+ */
+const jobOwnerFor = (user) => {
+    if (!user) return null;
+    if (user.role !== 'anonymous') return user.id;
+    if (user.deviceId) return `device:${user.deviceId}`;
+    if (user.sessionId) return `session:${user.sessionId}`;
+    return null;
+};
+
+/**
+ * Queue a job for the current request and answer 202 with its id.
+ * Async mode needs a caller the job can be scoped to, so only they can poll it.
+ */
+const enqueueAndRespond = async (req, res, type, payload) => {
+    const createdBy = jobOwnerFor(req.user);
+    if (!createdBy) {
+        return res.status(401).json({
+            message: 'Sign in to run this in the background',
+            code: 'UNAUTHORIZED',
+        });
+    }
+    const jobPayload = { ...payload };
+    delete jobPayload.async;
+    const job = await enqueueJob(type, jobPayload, { createdBy });
+    return res.status(202).json({
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`,
+    });
+};
+
+module.exports = {
+    registerJobHandler,
+    getJobHandler,
+    getJobTypes,
+    enqueueJob,
+    serializeJob,
+    isAsyncRequest,
+    jobOwnerFor,
+    enqueueAndRespond,
+};
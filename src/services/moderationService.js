@@ -0,0 +1,189 @@
+const axios = require('axios');
+const ModerationConfig = require('../models/ModerationConfig');
+
+/**
+ * Comment moderation for book and playlist comments
+ *
+ * Every comment runs through, in order:
+ *   1. word list   - built-in list + ModerationConfig.blockedWords (minus allowedWords),
+ *                    matched on normalised text so "5tuuupid" still matches "stupid"
+ *   2. PII         - phone numbers, emails, street addresses, links
+ *   3. AI pass     - OpenAI moderation endpoint, when enabled and OPENAI_API_KEY is set
+ *
+ * Anything flagged is stored with moderationStatus 'pending' and only shows up
+ * once an admin approves it (routes/moderation.js). Comments the app offers as
+ * ready-made options (Book.generatedComments) skip the checks.
+ */
+
+const BUILT_IN_BLOCKED_WORDS = [
+    'stupid', 'idiot', 'dumb', 'loser', 'ugly', 'fat', 'shut up', 'hate you', 'kill', 'die',
+    'damn', 'crap', 'sucks', 'butt', 'poop', 'fart', 'sex', 'sexy', 'naked', 'drugs',
+    'shit', 'fuck', 'bitch', 'ass', 'bastard', 'dick', 'piss', 'wtf', 'stfu',
+];
+
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const PII_PATTERNS = [
+    {
+        type: 'email',
+        pattern: /[a-z0-9._%+-]+\s*(?:@|\(at\)|\[at\])\s*[a-z0-9.-]+\s*(?:\.|\(dot\)|\[dot\])\s*[a-z]{2,}/i,
+    },
+    {
+        type: 'address',
+        pattern: /\b\d{1,5}\s+(?:[a-z]+\s+){0,3}(?:street|st|avenue|ave|road|rd|lane|ln|drive|dr|court|ct|boulevard|blvd|way|place|pl|circle|cir|terrace|highway|hwy)\b/i,
+    },
+    {
+        type: 'link',
+        pattern: /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|gg|tv|me|co|app)\b/i,
+    },
+];
+
+// Shown in the app when a comment is held
+const PENDING_COMMENT_MESSAGE = 'Thanks! Your comment will show up once a grown-up has checked it.';
+
+/**
+ * Who a comment belongs to for showing its author their pending comments: the
+ * signed-in account id, never a client-supplied userId (null for guests)
+ */
+const commentAuthorId = (user) => (user && user.role !== 'anonymous' && !user.viaApiKey ? user.id : null);
+
+const CONFIG_CACHE_MS = 60 * 1000;
+let cachedConfig = null;
+let cachedAt = 0;
+
+/**
+ * Current settings (cached briefly - comments are posted far more often than settings change)
+ */
+const getModerationConfig = async () => {
+    if (cachedConfig && Date.now() - cachedAt < CONFIG_CACHE_MS) return cachedConfig;
+    let config = await ModerationConfig.findOne().lean();
+    if (!config) {
+        config = (await ModerationConfig.create({})).toObject();
+    }
+    cachedConfig = config;
+    cachedAt = Date.now();
+    return config;
+};
+
+const clearModerationConfigCache = () => {
+    cachedConfig = null;
+};
+
+// Lowercase, undo leetspeak and drop accents
+const normalizeForMatching = (text) => text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[013457@$]/g, char => LEET_MAP[char]);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Each letter may repeat ("stuuupid" matches "stupid", but "but" doesn't match "butt")
+const buildWordPattern = (word) => new RegExp(
+    `(^|[^a-z])${[...word].map(char => (char === ' ' ? '\\s+' : `${escapeRegex(char)}+`)).join('')}($|[^a-z])`
+);
+
+const findBlockedWords = (text, config) => {
+    const normalized = normalizeForMatching(text);
+    const allowed = new Set((config.allowedWords || []).map(word => normalizeForMatching(word.trim())));
+    const words = [...BUILT_IN_BLOCKED_WORDS, ...(config.blockedWords || [])]
+        .map(word => word.trim())
+        .filter(Boolean);
+
+    const matches = new Set();
+    words.forEach(word => {
+        const needle = normalizeForMatching(word);
+        if (allowed.has(needle)) return;
+        if (buildWordPattern(needle).test(normalized)) {
+            matches.add(word);
+        }
+    });
+    return [...matches];
+};
+
+const findPII = (text) => {
+    const found = PII_PATTERNS
+        .filter(({ pattern }) => pattern.test(text))
+        .map(({ type }) => type);
+
+    // 7+ digits in a row, allowing spaces/dashes/dots/brackets between them
+    const digitRuns = text.match(/\+?\d[\d\s().-]*\d/g) || [];
+    if (digitRuns.some(run => run.replace(/\D/g, '').length >= 7)) {
+        found.push('phone');
+    }
+    return found;
+};
+
+/**
+ * OpenAI moderation. Returns { flagged, categories } or null when unavailable.
+ */
+const classifyWithAI = async (text) => {
+    const openaiKey = process.env.OPENAI_API_KEY;
+    if (!openaiKey) return null;
+
+    try {
+        const response = await axios.post(
+            'https://api.openai.com/v1/moderations',
+            { model: 'omni-moderation-latest', input: text },
+            {
+                headers: { 'Authorization': `Bearer ${openaiKey}`, 'Content-Type': 'application/json' },
+                timeout: 5000,
+            }
+        );
+        const result = response.data.results?.[0];
+        if (!result) return null;
+        return {
+            flagged: !!result.flagged,
+            categories: Object.keys(result.categories || {}).filter(category => result.categories[category]),
+        };
+    } catch (error) {
+        console.error('AI moderation error:', error.response?.data || error.message);
+        return null;
+    }
+};
+
+/**
+ * Run a comment through the pipeline.
+ * Returns { status: 'approved' | 'pending', flags: [{ type, detail }], checkedAt }
+ */
+const moderateText = async (text, { preapprovedTexts = [] } = {}) => {
+    const checkedAt = new Date();
+
+    if (preapprovedTexts.some(option => option && option.trim() === text.trim())) {
+        return { status: 'approved', flags: [], checkedAt, preapproved: true };
+    }
+
+    const config = await getModerationConfig();
+    const flags = [];
+
+    findBlockedWords(text, config).forEach(word => flags.push({ type: 'word', detail: word }));
+
+    if (config.piiDetection !== false) {
+        findPII(text).forEach(kind => flags.push({ type: 'pii', detail: kind }));
+    }
+
+    if (config.aiEnabled) {
+        const ai = await classifyWithAI(text);
+        if (!ai) {
+            // Can't vouch for it - let a grown-up look
+            flags.push({ type: 'ai', detail: 'unavailable' });
+        } else if (ai.flagged) {
+            flags.push({ type: 'ai', detail: ai.categories.join(', ') || 'flagged' });
+        }
+    }
+
+    if (flags.length === 0 && config.holdAllComments) {
+        flags.push({ type: 'hold', detail: 'All comments are held for review' });
+    }
+
+    return { status: flags.length > 0 ? 'pending' : 'approved', flags, checkedAt };
+};
+
+module.exports = {
+    BUILT_IN_BLOCKED_WORDS,
+    PENDING_COMMENT_MESSAGE,
+    commentAuthorId,
+    getModerationConfig,
+    clearModerationConfigCache,
+    moderateText,
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { bucket, privateBucket, publicUrlFor } = require('../config/storage');
+const Book = require('../models/Book');
+const Page = require('../models/Page');
+const Voice = require('../models/Voice');
+const Job = require('../models/Job');
+const NarrationBundle = require('../models/NarrationBundle');
+const { generateSpeech } = require('./ttsService');
+const { enqueueJob } = require('./jobQueue');
+const { isBookMembersOnly } = require('./contentAccessService');
+
+/**
+ * Whole-book narration pre-render
+ *
+ * Narrates every text box of every page of a book in one voice and writes a
+ * manifest mapping page / textBoxIndex → audio URL + word alignment, so the app
+ * can fetch a whole book for offline reading in one call.
+ *
+ * Each text box goes through generateSpeech, so anything already in TTSCache is
+ * reused and new audio lands under books/{bookId}/audio/ exactly as if the app
+ * had requested it page by page. The manifest itself is stored at
+ * books/{bookId}/narration/{voiceId}/manifest.json. Members-only books are
+ * rendered into the private bucket (GCS_PRIVATE_BUCKET_NAME), so their files
+ * can only be opened through signed URLs.
+ */
+
+// Text boxes the app reads aloud (new schema first, legacy root field as fallback)
+const getPageTextBoxes = (page) => (
+    page.content?.textBoxes?.length ? page.content.textBoxes : (page.textBoxes || [])
+);
+
+/**
+ * Everything that needs narrating, in reading order
+ */
+const collectNarrationItems = (pages) => {
+    const items = [];
+    pages.forEach(page => {
+        getPageTextBoxes(page).forEach((textBox, textBoxIndex) => {
+            const text = (textBox.text || '').trim();
+            // Skip boxes that are only emotional cues like [pause]
+            if (!text.replace(/\[[^\]]+\]/g, '').trim()) return;
+            items.push({ pageId: page._id, pageNumber: page.pageNumber, textBoxIndex, text });
+        });
+    });
+    return items;
+};
+
+const computeContentHash = (items) => crypto
+    .createHash('md5')
+    .update(JSON.stringify(items.map(item => [item.pageNumber, item.textBoxIndex, item.text])))
+    .digest('hex');
+
+/**
+ * Current content hash of a book - compare with bundle.contentHash to detect stale bundles
+ */
+const getBookContentHash = async (bookId) => {
+    const pages = await Page.find({ bookId }).sort({ pageNumber: 1 }).lean();
+    return computeContentHash(collectNarrationItems(pages));
+};
+
+// Whether a book's narration belongs in the private bucket
+const needsPrivateStorage = async (bookId) => {
+    if (!privateBucket) return false;
+    const book = await Book.findById(bookId).select('isMembersOnly').lean();
+    return !!book && await isBookMembersOnly(book);
+};
+
+// Save the manifest JSON next to the audio (GCS, or local uploads/ when GCS isn't configured)
+const saveManifestFile = async (manifest, bookId, voiceId, { privateStorage = false } = {}) => {
+    const filePath = `books/${bookId}/narration/${voiceId}/manifest.json`;
+    const buffer = Buffer.from(JSON.stringify(manifest));
+
+    const target = privateStorage ? privateBucket : bucket;
+    if (target && process.env.GCS_BUCKET_NAME) {
+        await target.file(filePath).save(buffer, {
+            contentType: 'application/json',
+            metadata: { cacheControl: 'no-cache' },
+        });
+        return publicUrlFor(target, filePath);
+    }
+
+    const localPath = path.join(__dirname, '../../uploads', filePath);
+    fs.mkdirSync(path.dirname(localPath), { recursive: true });
+    fs.writeFileSync(localPath, buffer);
+    return `/uploads/${filePath}`;
+};
+
+/**
+ * Queue a render for a book + voice (reuses a render already in progress).
+ * Returns { status, body } in the same shape the route sends.
+ */
+const requestBookNarration = async (bookId, voiceId, { force = false, createdBy = null } = {}) => {
+    const [book, voice] = await Promise.all([
+        Book.findById(bookId).select('title'),
+        Voice.findOne({ voiceId }),
+    ]);
+    if (!book) {
+        return { status: 404, body: { message: 'Book not found' } };
+    }
+    if (!voice || !voice.enabled) {
+        return { status: 404, body: { message: 'Voice not found' } };
+    }
+
+    let bundle = await NarrationBundle.findOne({ bookId, voiceId });
+
+    // A render is already running - unless its job died
+    if (bundle && ['queued', 'rendering'].includes(bundle.status)) {
+        const job = bundle.jobId ? await Job.findById(bundle.jobId).select('status') : null;
+        if (job && ['queued', 'running'].includes(job.status)) {
+            return { status: 202, body: { bundle, jobId: bundle.jobId, statusUrl: `/api/jobs/${bundle.jobId}` } };
+        }
+    }
+
+    // A book made members-only after its render is rendered again into the private bucket
+    if (bundle && bundle.status === 'ready' && !force && bundle.privateStorage === await needsPrivateStorage(bookId)) {
+        const contentHash = await getBookContentHash(bookId);
+        if (contentHash === bundle.contentHash) {
+            return { status: 200, body: { bundle, cached: true } };
+        }
+    }
+
+    if (!bundle) {
+        bundle = new NarrationBundle({ bookId, voiceId });
+    }
+    const job = await enqueueJob('tts.narrateBook', { bookId: bookId.toString(), voiceId }, { createdBy });
+    bundle.voiceName = voice.customName || voice.name;
+    bundle.status = 'queued';
+    bundle.jobId = job._id;
+    await bundle.save();
+
+    console.log(`🎙️ Narration render queued for "${book.title}" in voice ${bundle.voiceName}`);
+    return { status: 202, body: { bundle, jobId: job._id, statusUrl: `/api/jobs/${job._id}` } };
+};
+
+/**
+ * Job handler: render every text box and write the manifest.
+ * Failed boxes are retried with the whole job (cached boxes are free the second time);
+ * after the last attempt the bundle is saved as 'partial'.
+ */
+const renderBookNarration = async ({ bookId, voiceId }, { job, reportProgress }) => {
+    const bundle = await NarrationBundle.findOne({ bookId, voiceId });
+    if (!bundle) {
+        return { status: 404, body: { message: 'Narration bundle not found' } };
+    }
+
+    const pages = await Page.find({ bookId }).sort({ pageNumber: 1 }).lean();
+    const items = collectNarrationItems(pages);
+    const privateStorage = await needsPrivateStorage(bookId);
+
+    bundle.status = 'rendering';
+    await bundle.save();
+
+    const rendered = new Map();
+    const failedItems = [];
+
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        await reportProgress({
+            current: i,
+            total: items.length,
+            message: `Narrating page ${item.pageNumber}, text box ${item.textBoxIndex + 1}`,
+        });
+
+        try {
+            const { status, body } = await generateSpeech({
+                text: item.text,
+                voiceId,
+                bookId,
+                pageNumber: item.pageNumber,
+                textBoxIndex: item.textBoxIndex,
+            }, { privateStorage });
+            if (status !== 200) throw new Error(body?.error || body?.message || `TTS returned ${status}`);
+            rendered.set(`${item.pageNumber}:${item.textBoxIndex}`, body);
+        } catch (error) {
+            console.error(`❌ Narration failed for page ${item.pageNumber}, text box ${item.textBoxIndex}:`, error.message);
+            failedItems.push({ pageNumber: item.pageNumber, textBoxIndex: item.textBoxIndex, error: error.message });
+        }
+    }
+
+    const attemptsLeft = job.attempts < job.maxAttempts;
+    if (failedItems.length > 0 && attemptsLeft) {
+        return { status: 502, body: { message: `${failedItems.length} of ${items.length} text boxes failed to render` } };
+    }
+
+    const manifest = {
+        bookId,
+        voiceId,
+        voiceName: bundle.voiceName,
+        version: bundle.version + 1,
+        contentHash: computeContentHash(items),
+        generatedAt: new Date(),
+        pageCount: pages.length,
+        itemCount: rendered.size,
+        pages: pages.map(page => ({
+            pageId: page._id,
+            pageNumber: page.pageNumber,
+            textBoxes: items
+                .filter(item => item.pageNumber === page.pageNumber && rendered.has(`${item.pageNumber}:${item.textBoxIndex}`))
+                .map(item => {
+                    const audio = rendered.get(`${item.pageNumber}:${item.textBoxIndex}`);
+                    return { textBoxIndex: item.textBoxIndex, audioUrl: audio.audioUrl, alignment: audio.alignment };
+                }),
+        })),
+    };
+
+    let manifestUrl = null;
+    try {
+        manifestUrl = await saveManifestFile(manifest, bookId, voiceId, { privateStorage });
+    } catch (error) {
+        // The manifest is still served from the database
+        console.error('❌ Failed to store narration manifest file:', error.message);
+    }
+
+    bundle.status = failedItems.length === 0 ? 'ready' : (rendered.size > 0 ? 'partial' : 'failed');
+    bundle.version = manifest.version;
+    bundle.contentHash = manifest.contentHash;
+    bundle.manifest = manifest;
+    bundle.manifestUrl = manifestUrl;
+    bundle.privateStorage = privateStorage;
+    bundle.itemCount = rendered.size;
+    bundle.failedItems = failedItems;
+    bundle.renderedAt = manifest.generatedAt;
+    await bundle.save();
+
+    console.log(`✅ Narration bundle ${bundle.status} for book ${bookId} (${rendered.size}/${items.length} text boxes, voice ${voiceId})`);
+
+    if (bundle.status === 'failed') {
+        return { status: 502, body: { message: 'No text boxes could be narrated', failedItems } };
+    }
+    return {
+        status: 200,
+        body: {
+            bundleId: bundle._id,
+            status: bundle.status,
+            version: bundle.version,
+            manifestUrl,
+            itemCount: bundle.itemCount,
+            failedItems,
+        },
+    };
+};
+
+module.exports = {
+    collectNarrationItems,
+    getBookContentHash,
+    requestBookNarration,
+    renderBookNarration,
+};
@@ -153,6 +153,15 @@ const NotificationTemplates = {
         data: { type: 'new_book', bookId: book._id.toString() }
     }),
 
+    // New book series published
+    newSeries: (series) => ({
+        title: '📚 New Book Series!',
+        message: `"${series.title}" is now available - start the adventure!`,
+        url: `/#/series/${series._id}`,
+        imageUrl: series.coverImage || null,
+        data: { type: 'new_series', seriesId: series._id.toString() }
+    }),
+
     // New playlist published
     newPlaylist: (playlist) => ({
         title: playlist.type === 'Song' ? '🎵 New Music Playlist!' : '🎧 New Audio Adventure!',
@@ -202,6 +211,15 @@ const notifyNewBook = async (book) => {
     return sendNotification(template);
 };
 
+/**
+ * Send notification for new book series
+ */
+const notifyNewSeries = async (series) => {
+    if (series.status !== 'published') return null;
+    const template = NotificationTemplates.newSeries(series);
+    return sendNotification(template);
+};
+
 /**
  * Send notification for new playlist
  */
@@ -261,6 +279,7 @@ module.exports = {
     sendNotificationToUser,
     sendNotificationByPlayerId,
     notifyNewBook,
+    notifyNewSeries,
     notifyNewPlaylist,
     notifyNewPlaylistItem,
     notifyNewLesson,
@@ -0,0 +1,440 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const { fileFromUrl } = require('../config/storage');
+const Book = require('../models/Book');
+const Page = require('../models/Page');
+const Playlist = require('../models/Playlist');
+const Lesson = require('../models/Lesson');
+const NarrationBundle = require('../models/NarrationBundle');
+const Voice = require('../models/Voice');
+const OfflinePackage = require('../models/OfflinePackage');
+
+/**
+ * Offline download packages for books, playlists and lessons
+ *
+ * A package is a versioned, signed manifest listing every file the app needs
+ * (with md5 hash and byte size) plus the non-file content (page layout, captions,
+ * devotional...). Versions are only bumped when something actually changed, so
+ * the app can ask for a delta against the version it already has.
+ *
+ * File metadata comes from GCS (or the local uploads/ folder in development) and
+ * is carried over from the previous version for unchanged URLs, so rebuilding a
+ * package only touches storage for new files. Built packages are kept in memory
+ * by a hash of their source (asset URLs + content) for BUILD_CACHE_TTL_MS, so
+ * repeat requests for unchanged content skip the metadata and version lookups.
+ *
+ * Signature: HMAC-SHA256 (OFFLINE_MANIFEST_SECRET) over
+ *   `${contentType}:${contentId}:${variant}:${version}:${manifestHash}`
+ */
+
+const MANIFEST_FORMAT = 1;
+const VERSIONS_TO_KEEP = 20;
+const METADATA_CONCURRENCY = 8;
+const BUILD_CACHE_TTL_MS = 10 * 60 * 1000;
+const BUILD_CACHE_MAX = 500;
+
+// Its own secret - manifests must not be signed with the token signing key
+const MANIFEST_SECRET = process.env.OFFLINE_MANIFEST_SECRET;
+if (!MANIFEST_SECRET) {
+    throw new Error('OFFLINE_MANIFEST_SECRET is not set - refusing to start without a manifest signing secret');
+}
+
+// Counters and bookkeeping that change without the downloadable content changing
+const VOLATILE_FIELDS = [
+    '__v', 'createdAt', 'updatedAt', 'readCount', 'favoriteCount', 'likeCount', 'playCount',
+    'viewCount', 'completionCount', 'generatedComments', 'review', 'announceOnPublish',
+];
+
+const CONTENT_TYPES = {
+    books: 'Book',
+    playlists: 'Playlist',
+    lessons: 'Lesson',
+};
+
+const stripVolatile = (value) => {
+    if (Array.isArray(value)) return value.map(stripVolatile);
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            if (!VOLATILE_FIELDS.includes(key)) result[key] = stripVolatile(value[key]);
+        });
+        return result;
+    }
+    return value;
+};
+
+const toPlain = (doc) => stripVolatile(JSON.parse(JSON.stringify(doc)));
+
+// ===========================
+// ASSET COLLECTION
+// ===========================
+
+// Collects { key, kind, url } entries, ignoring empty URLs and duplicates
+const createAssetList = () => {
+    const assets = [];
+    const seen = new Set();
+    return {
+        add(key, kind, url) {
+            if (!url || typeof url !== 'string' || seen.has(key)) return;
+            seen.add(key);
+            assets.push({ key, kind, url });
+        },
+        assets,
+    };
+};
+
+const collectBookPackage = async (book, voiceId) => {
+    const list = createAssetList();
+    const pages = await Page.find({ bookId: book._id }).sort({ pageNumber: 1 }).lean();
+
+    list.add('book:cover', 'image', book.files?.coverImage || book.coverImage);
+    list.add('book:intro-video', 'video', book.introVideoUrl);
+    (book.files?.images || []).forEach((file, i) => list.add(`book:image:${i}`, 'image', file.url));
+    (book.files?.videos || []).forEach((file, i) => list.add(`book:video:${i}`, 'video', file.url));
+    // Book-level audio is the background music
+    (book.files?.audio || []).forEach((file, i) => list.add(`book:music:${i}`, 'audio', file.url));
+    (book.bookVideos || []).forEach(video => {
+        list.add(`book:bonus-video:${video._id}`, 'video', video.videoUrl);
+        list.add(`book:bonus-video:${video._id}:thumbnail`, 'image', video.thumbnailUrl);
+    });
+
+    pages.forEach(page => {
+        const prefix = `page:${page.pageNumber}`;
+        const files = page.files || {};
+        list.add(`${prefix}:background`, files.background?.type === 'video' ? 'video' : 'image', files.background?.url || page.backgroundUrl);
+        list.add(`${prefix}:scroll`, 'image', files.scroll?.url || page.scrollUrl);
+        list.add(`${prefix}:image`, 'image', page.imageUrl);
+        list.add(`${prefix}:audio`, 'audio', files.audio?.url || page.audioUrl);
+        list.add(`${prefix}:sound-effect`, 'audio', files.soundEffect?.url || page.soundEffectUrl);
+        list.add(`${prefix}:background-audio`, 'audio', page.backgroundAudioUrl);
+        (files.images || []).forEach((file, i) => list.add(`${prefix}:image:${i}`, 'image', file.url));
+        (files.videos || []).forEach((file, i) => list.add(`${prefix}:video:${i}`, 'video', file.url));
+        (page.videoSequence || []).forEach(video => {
+            list.add(`${prefix}:video-sequence:${video.order}`, 'video', video.url);
+            list.add(`${prefix}:video-sequence:${video.order}:audio`, 'audio', video.audioUrl);
+        });
+        (page.imageSequence || []).forEach(image => list.add(`${prefix}:image-sequence:${image.order}`, 'image', image.url));
+    });
+
+    // Pre-rendered narration (tts/books/:bookId/narration) in the requested voice
+    let narration = null;
+    if (voiceId) {
+        const bundle = await NarrationBundle.findOne({ bookId: book._id, voiceId, status: { $in: ['ready', 'partial'] } }).lean();
+        if (bundle?.manifest) {
+            narration = {
+                voiceId,
+                version: bundle.version,
+                pages: bundle.manifest.pages.map(page => ({
+                    pageNumber: page.pageNumber,
+                    textBoxes: page.textBoxes.map(textBox => {
+                        const key = `narration:${page.pageNumber}:${textBox.textBoxIndex}`;
+                        list.add(key, 'narration', textBox.audioUrl);
+                        return { textBoxIndex: textBox.textBoxIndex, assetKey: key, alignment: textBox.alignment };
+                    }),
+                })),
+            };
+        }
+    }
+
+    return {
+        assets: list.assets,
+        content: {
+            book: toPlain(book),
+            pages: pages.map(toPlain),
+            narration,
+        },
+    };
+};
+
+const collectPlaylistPackage = async (playlist) => {
+    const list = createAssetList();
+    list.add('playlist:cover', 'image', playlist.coverImage);
+    (playlist.items || []).forEach(item => {
+        list.add(`item:${item._id}:audio`, 'audio', item.audioUrl);
+        list.add(`item:${item._id}:cover`, 'image', item.coverImage);
+    });
+    return { assets: list.assets, content: { playlist: toPlain(playlist) } };
+};
+
+const collectLessonPackage = async (lesson) => {
+    const list = createAssetList();
+    list.add('lesson:video', 'video', lesson.video?.url);
+    list.add('lesson:thumbnail', 'image', lesson.video?.thumbnail);
+    (lesson.episodes || []).forEach(episode => {
+        list.add(`episode:${episode.episodeNumber}:video`, 'video', episode.url);
+        list.add(`episode:${episode.episodeNumber}:thumbnail`, 'image', episode.thumbnail);
+    });
+    // Captions and the devotional are plain data inside content.lesson
+    return { assets: list.assets, content: { lesson: toPlain(lesson) } };
+};
+
+// ===========================
+// FILE METADATA
+// ===========================
+
+const hashLocalFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+});
+
+/**
+ * { hash, bytes, mimeType } for one file URL (nulls when it can't be determined)
+ */
+const fetchAssetMetadata = async (url) => {
+    try {
+        const file = fileFromUrl(url);
+        if (file) {
+            const [metadata] = await file.getMetadata();
+            return {
+                hash: metadata.md5Hash ? Buffer.from(metadata.md5Hash, 'base64').toString('hex') : (metadata.etag || null),
+                bytes: metadata.size !== undefined ? Number(metadata.size) : null,
+                mimeType: metadata.contentType || null,
+            };
+        }
+
+        if (url.startsWith('/uploads/')) {
+            const localPath = path.join(__dirname, '../..', decodeURIComponent(url.split('?')[0]));
+            const stats = await fs.promises.stat(localPath);
+            return { hash: await hashLocalFile(localPath), bytes: stats.size, mimeType: null };
+        }
+
+        // Anything else (CDN, third-party) - use whatever the server tells us
+        const response = await axios.head(url, { timeout: 10000 });
+        const length = response.headers['content-length'];
+        return {
+            hash: (response.headers.etag || '').replace(/"/g, '') || null,
+            bytes: length !== undefined ? Number(length) : null,
+            mimeType: response.headers['content-type'] || null,
+        };
+    } catch (error) {
+        console.warn(`⚠️ Offline package: no metadata for ${url}: ${error.message}`);
+        return { hash: null, bytes: null, mimeType: null };
+    }
+};
+
+/**
+ * Attach metadata to every asset, reusing what the previous version already knew
+ */
+const resolveAssets = async (assets, previousAssets = []) => {
+    const known = new Map(previousAssets.filter(a => a.hash).map(a => [a.url, a]));
+    const resolved = new Array(assets.length);
+
+    for (let start = 0; start < assets.length; start += METADATA_CONCURRENCY) {
+        const batch = assets.slice(start, start + METADATA_CONCURRENCY);
+        await Promise.all(batch.map(async (asset, i) => {
+            const cached = known.get(asset.url);
+            const metadata = cached
+                ? { hash: cached.hash, bytes: cached.bytes, mimeType: cached.mimeType }
+                : await fetchAssetMetadata(asset.url);
+            resolved[start + i] = { ...asset, ...metadata };
+        }));
+    }
+
+    return resolved;
+};
+
+// ===========================
+// PACKAGES
+// ===========================
+
+const computeSourceHash = (assets, content) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+        assets: assets.map(a => [a.key, a.url]),
+        content,
+    }))
+    .digest('hex');
+
+const computeManifestHash = (assets, content) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+        assets: assets.map(a => [a.key, a.url, a.hash]),
+        content,
+    }))
+    .digest('hex');
+
+const signPackage = (pkg) => crypto
+    .createHmac('sha256', MANIFEST_SECRET)
+    .update(`${pkg.contentType}:${pkg.contentId}:${pkg.variant}:${pkg.version}:${pkg.manifestHash}`)
+    .digest('hex');
+
+/**
+ * Public manifest shape sent to the app
+ */
+const toManifest = (pkg) => ({
+    format: MANIFEST_FORMAT,
+    contentType: pkg.contentType,
+    contentId: pkg.contentId,
+    variant: pkg.variant || null,
+    version: pkg.version,
+    manifestHash: pkg.manifestHash,
+    generatedAt: pkg.createdAt,
+    assetCount: pkg.assets.length,
+    totalBytes: pkg.totalBytes,
+    assets: pkg.assets,
+    content: pkg.content,
+    signature: signPackage(pkg),
+    signatureAlgorithm: 'HMAC-SHA256',
+});
+
+// Load the downloadable document (only what the app can see, unless previewing)
+const loadContent = async (contentType, contentId, { includeUnpublished } = {}) => {
+    switch (contentType) {
+        case 'Book': {
+            const filter = { _id: contentId };
+            if (!includeUnpublished) filter.status = 'published';
+            return Book.findOne(filter).lean();
+        }
+        case 'Playlist': {
+            const filter = { _id: contentId };
+            if (!includeUnpublished) filter.status = 'published';
+            return Playlist.findOne(filter).lean();
+        }
+        case 'Lesson': {
+            const filter = { _id: contentId };
+            if (!includeUnpublished) filter.status = { $in: ['published', 'scheduled'] };
+            return Lesson.findOne(filter).lean();
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Whether a book package can be built for `voiceId`: a Voice we know, or one the
+ * book already has narration in. Keeps arbitrary ids from minting package variants.
+ */
+const isKnownVoice = async (bookId, voiceId) => {
+    if (!voiceId || typeof voiceId !== 'string') return false;
+    const [voice, bundle] = await Promise.all([
+        Voice.exists({ voiceId }),
+        NarrationBundle.exists({ bookId, voiceId }),
+    ]);
+    return !!(voice || bundle);
+};
+
+// Last built package per content/variant: key -> { sourceHash, pkg, cachedAt }
+const buildCache = new Map();
+
+const cacheBuild = (key, sourceHash, pkg) => {
+    buildCache.delete(key);
+    buildCache.set(key, { sourceHash, pkg, cachedAt: Date.now() });
+    // Map keeps insertion order - drop the oldest
+    if (buildCache.size > BUILD_CACHE_MAX) buildCache.delete(buildCache.keys().next().value);
+    return pkg;
+};
+
+/**
+ * Build the current package, storing a new version only if something changed.
+ * `options.doc` is the content when the caller already loaded it (loadContent).
+ * Returns the OfflinePackage (plain object), or null if the content doesn't exist.
+ */
+const buildPackage = async (contentType, contentId, options = {}) => {
+    const doc = options.doc || await loadContent(contentType, contentId, options);
+    if (!doc) return null;
+
+    const variant = contentType === 'Book'
+        ? (options.voiceId || doc.defaultNarratorVoiceId || doc.defaultVoiceId || '')
+        : '';
+
+    let collected;
+    if (contentType === 'Book') collected = await collectBookPackage(doc, variant);
+    else if (contentType === 'Playlist') collected = await collectPlaylistPackage(doc);
+    else collected = await collectLessonPackage(doc);
+
+    const cacheKey = `${contentType}:${contentId}:${variant}`;
+    const sourceHash = computeSourceHash(collected.assets, collected.content);
+    const cached = buildCache.get(cacheKey);
+    if (cached && cached.sourceHash === sourceHash && Date.now() - cached.cachedAt < BUILD_CACHE_TTL_MS) {
+        return cached.pkg;
+    }
+
+    const latest = await OfflinePackage.findOne({ contentType, contentId, variant }).sort({ version: -1 }).lean();
+    const assets = await resolveAssets(collected.assets, latest?.assets);
+    const manifestHash = computeManifestHash(assets, collected.content);
+
+    if (latest && latest.manifestHash === manifestHash) {
+        return cacheBuild(cacheKey, sourceHash, latest);
+    }
+
+    const version = (latest?.version || 0) + 1;
+    let pkg;
+    try {
+        pkg = await OfflinePackage.create({
+            contentType,
+            contentId,
+            variant,
+            version,
+            manifestHash,
+            assets,
+            totalBytes: assets.reduce((sum, asset) => sum + (asset.bytes || 0), 0),
+            content: collected.content,
+        });
+    } catch (error) {
+        // Another request stored this version first
+        if (error.code === 11000) {
+            return OfflinePackage.findOne({ contentType, contentId, variant }).sort({ version: -1 }).lean();
+        }
+        throw error;
+    }
+
+    console.log(`📦 Offline package ${contentType} ${contentId}${variant ? ` (${variant})` : ''} v${version}: ${assets.length} assets`);
+
+    // Keep a bounded history for deltas
+    const stale = await OfflinePackage.find({ contentType, contentId, variant })
+        .sort({ version: -1 })
+        .skip(VERSIONS_TO_KEEP)
+        .select('_id')
+        .lean();
+    if (stale.length > 0) {
+        await OfflinePackage.deleteMany({ _id: { $in: stale.map(p => p._id) } });
+    }
+
+    return cacheBuild(cacheKey, sourceHash, pkg.toObject());
+};
+
+/**
+ * What changed between an older version and the current package
+ */
+const diffPackages = (previous, current) => {
+    const previousByKey = new Map(previous.assets.map(asset => [asset.key, asset]));
+    const currentKeys = new Set(current.assets.map(asset => asset.key));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    current.assets.forEach(asset => {
+        const old = previousByKey.get(asset.key);
+        if (!old) added.push(asset);
+        else if (old.url !== asset.url || old.hash !== asset.hash || !asset.hash) changed.push(asset);
+        else unchanged++;
+    });
+
+    const removed = previous.assets.filter(asset => !currentKeys.has(asset.key)).map(asset => asset.key);
+    const download = [...added, ...changed];
+
+    return {
+        added,
+        changed,
+        removed,
+        unchanged,
+        contentChanged: JSON.stringify(previous.content) !== JSON.stringify(current.content),
+        downloadBytes: download.reduce((sum, asset) => sum + (asset.bytes || 0), 0),
+    };
+};
+
+module.exports = {
+    CONTENT_TYPES,
+    isKnownVoice,
+    loadContent,
+    buildPackage,
+    diffPackages,
+    toManifest,
+    signPackage,
+};
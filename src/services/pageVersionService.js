@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Page = require('../models/Page');
+const PageVersion = require('../models/PageVersion');
+
+/**
+ * Page versioning - snapshots, diffs and point-in-time restore for book pages
+ * Snapshots are written by routes/pages.js on every create/update/delete/reorder.
+ */
+
+const IGNORED_DIFF_FIELDS = ['updatedAt', '__v'];
+// Concurrent edits of one page can pick the same next version number - the loser retries
+const VERSION_WRITE_ATTEMPTS = 3;
+
+const toSnapshot = (page) => {
+    const plain = page.toObject ? page.toObject({ depopulate: true }) : page;
+    return JSON.parse(JSON.stringify(plain));
+};
+
+const nextVersionNumber = async (pageId) => {
+    const latest = await PageVersion.findOne({ pageId }).sort({ version: -1 }).select('version').lean();
+    return latest ? latest.version + 1 : 1;
+};
+
+/**
+ * Store a snapshot of a page. Never throws - a failed snapshot must not fail the edit itself.
+ */
+const recordPageVersion = async (page, reason, savedBy, createdAt) => {
+    const deleted = reason === 'delete';
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await PageVersion.create({
+                pageId: page._id,
+                bookId: page.bookId,
+                version: await nextVersionNumber(page._id),
+                pageNumber: page.pageNumber,
+                reason,
+                snapshot: deleted ? null : toSnapshot(page),
+                deleted,
+                savedBy,
+                createdAt: createdAt || new Date(),
+            });
+        } catch (error) {
+            // (pageId, version) is unique - another snapshot took this number
+            if (error.code === 11000 && attempt < VERSION_WRITE_ATTEMPTS) continue;
+            console.error(`❌ Failed to snapshot page ${page._id} (${reason}):`, error.message);
+            return null;
+        }
+    }
+};
+
+/**
+ * Pages created before versioning existed have no history - store their current
+ * state (dated at their last update) before the first versioned change.
+ */
+const ensureBaseline = async (page, savedBy) => {
+    const exists = await PageVersion.exists({ pageId: page._id });
+    if (exists) return null;
+    return recordPageVersion(page, 'baseline', savedBy, page.updatedAt || page.createdAt);
+};
+
+/**
+ * Path-level diff between two snapshots: [{ path, before, after }]
+ * e.g. { path: 'textBoxes.2.text', before: 'Once upon', after: 'Long ago' }
+ */
+const diffSnapshots = (before, after, basePath = '') => {
+    const isObject = (value) => value !== null && typeof value === 'object';
+
+    if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+        return JSON.stringify(before) === JSON.stringify(after)
+            ? []
+            : [{ path: basePath, before: before === undefined ? null : before, after: after === undefined ? null : after }];
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    for (const key of keys) {
+        if (!basePath && IGNORED_DIFF_FIELDS.includes(key)) continue;
+        const path = basePath ? `${basePath}.${key}` : key;
+        changes.push(...diffSnapshots(before[key], after[key], path));
+    }
+    return changes;
+};
+
+/**
+ * Latest version of every page of a book at or before a point in time
+ */
+const getVersionsAt = async (bookId, at) => {
+    const latest = await PageVersion.aggregate([
+        { $match: { bookId: new mongoose.Types.ObjectId(bookId), createdAt: { $lte: at } } },
+        { $sort: { version: -1 } },
+        { $group: { _id: '$pageId', version: { $first: '$$ROOT' } } },
+    ]);
+
+    const map = new Map();
+    latest.forEach(entry => map.set(entry._id.toString(), entry.version));
+    return map;
+};
+
+/**
+ * Work out what restoring a book to `at` would do, without changing anything
+ */
+const planBookRestore = async (bookId, at) => {
+    const [versionsAt, currentPages, firstVersions] = await Promise.all([
+        getVersionsAt(bookId, at),
+        Page.find({ bookId }).lean(),
+        PageVersion.aggregate([
+            { $match: { bookId: new mongoose.Types.ObjectId(bookId) } },
+            { $sort: { version: 1 } },
+            { $group: { _id: '$pageId', version: { $first: '$$ROOT' } } },
+        ]),
+    ]);
+
+    const currentMap = new Map(currentPages.map(page => [page._id.toString(), page]));
+    const firstVersionMap = new Map(firstVersions.map(entry => [entry._id.toString(), entry.version]));
+
+    const plan = { restore: [], remove: [], unchanged: [], skipped: [] };
+
+    // Pages that had a known state at `at`
+    for (const [pageId, version] of versionsAt) {
+        const current = currentMap.get(pageId);
+        if (version.deleted) {
+            if (current) plan.remove.push({ pageId, pageNumber: current.pageNumber });
+            continue;
+        }
+        if (current && diffSnapshots(version.snapshot, JSON.parse(JSON.stringify(current))).length === 0) {
+            plan.unchanged.push({ pageId, pageNumber: current.pageNumber });
+            continue;
+        }
+        plan.restore.push({
+            pageId,
+            pageNumber: version.snapshot.pageNumber,
+            fromVersion: version.version,
+            recreate: !current,
+            snapshot: version.snapshot,
+        });
+    }
+
+    // Current pages with no known state at `at`
+    for (const [pageId, current] of currentMap) {
+        if (versionsAt.has(pageId)) continue;
+
+        const first = firstVersionMap.get(pageId);
+        const createdAt = new Date(first?.reason === 'baseline' ? first.snapshot?.createdAt : current.createdAt);
+        const createdAfter = first?.reason === 'create' || createdAt > at;
+
+        if (createdAfter) {
+            plan.remove.push({ pageId, pageNumber: current.pageNumber });
+        } else if (first) {
+            plan.skipped.push({ pageId, pageNumber: current.pageNumber, reason: 'No snapshot from before this time' });
+        } else {
+            plan.unchanged.push({ pageId, pageNumber: current.pageNumber });
+        }
+    }
+
+    return plan;
+};
+
+// Move a page parked by restoreBook back to `pageNumber`, or after the book's last page when that's taken
+const returnParkedPage = async (bookId, pageId, pageNumber, temporary) => {
+    try {
+        await Page.updateOne({ _id: pageId, pageNumber: temporary }, { $set: { pageNumber } });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const last = await Page.findOne({ bookId }).sort({ pageNumber: -1 }).select('pageNumber').lean();
+        await Page.updateOne({ _id: pageId, pageNumber: temporary }, { $set: { pageNumber: (last?.pageNumber || 0) + 1 } });
+    }
+};
+
+/**
+ * Restore every page of a book to its state at `at`.
+ * The restore itself is versioned, so it can be undone by restoring to a later time.
+ */
+const restoreBook = async (bookId, at, savedBy) => {
+    const plan = await planBookRestore(bookId, at);
+    const result = { restored: [], removed: [], errors: [] };
+
+    // Remove pages that didn't exist yet (snapshot first so the removal is reversible)
+    for (const { pageId } of plan.remove) {
+        const page = await Page.findById(pageId);
+        if (!page) continue;
+        await ensureBaseline(page, savedBy);
+        await page.deleteOne();
+        await recordPageVersion(page, 'delete', savedBy);
+        result.removed.push(pageId);
+    }
+
+    // Pages parked on a temporary negative number: pageId -> { pageNumber, temporary }
+    const moved = new Map();
+    try {
+        // PHASE 1: move pages being restored out of the way of the unique (bookId, pageNumber) index
+        for (let i = 0; i < plan.restore.length; i++) {
+            const { pageId, recreate } = plan.restore[i];
+            if (recreate) continue;
+            const page = await Page.findById(pageId);
+            if (!page) continue;
+            await ensureBaseline(page, savedBy);
+            await Page.updateOne({ _id: pageId }, { $set: { pageNumber: -(i + 1) } });
+            moved.set(String(pageId), { pageNumber: page.pageNumber, temporary: -(i + 1) });
+        }
+
+        // PHASE 2: write the snapshots back (recreating deleted pages with their original ids)
+        for (const { pageId, snapshot } of plan.restore) {
+            try {
+                const doc = { ...snapshot, updatedAt: new Date() };
+                delete doc.__v;
+                await Page.replaceOne({ _id: pageId }, doc, { upsert: true });
+                moved.delete(String(pageId));
+                const restored = await Page.findById(pageId).lean();
+                await recordPageVersion(restored, 'restore', savedBy);
+                result.restored.push(pageId);
+            } catch (error) {
+                console.error(`❌ Failed to restore page ${pageId}:`, error.message);
+                result.errors.push({ pageId, error: error.message });
+            }
+        }
+    } finally {
+        // Never leave a page on its temporary number - put it back, or after the last page if that slot was taken
+        for (const [pageId, { pageNumber, temporary }] of moved) {
+            try {
+                await returnParkedPage(bookId, pageId, pageNumber, temporary);
+            } catch (error) {
+                console.error(`❌ Failed to move page ${pageId} back from ${temporary}:`, error.message);
+                result.errors.push({ pageId, error: `Left on page number ${temporary}: ${error.message}` });
+            }
+        }
+    }
+
+    return {
+        ...result,
+        unchanged: plan.unchanged.length,
+        skipped: plan.skipped,
+    };
+};
+
+module.exports = {
+    recordPageVersion,
+    ensureBaseline,
+    diffSnapshots,
+    planBookRestore,
+    restoreBook,
+};
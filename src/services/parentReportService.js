@@ -0,0 +1,312 @@
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const PlayEvent = require('../models/PlayEvent');
+const BookQuiz = require('../models/BookQuiz');
+const Book = require('../models/Book');
+const LessonCompletion = require('../models/LessonCompletion');
+const LessonWatchProgress = require('../models/LessonWatchProgress');
+const { zonedParts } = require('../utils/time');
+
+/**
+ * Parent activity reports
+ *
+ * One report per account and week (Monday to Sunday in the parent's timezone),
+ * with a section per kid profile. Activity is attributed to a child when it was
+ * recorded under the kid profile id: AnalyticsEvent.kidProfileId, and the
+ * userId / profileId the app sends for quizzes, lessons and plays. Activity
+ * recorded only under the account or device ids is reported as `household`.
+ *
+ * Streaks count consecutive days with any activity, looking back
+ * STREAK_LOOKBACK_DAYS (play events are only kept for 30 of them).
+ */
+
+const STREAK_LOOKBACK_DAYS = 60;
+const MAX_SESSION_SECONDS = 4 * 60 * 60;
+const WATCHED_THRESHOLD = 0.5;
+
+// YYYY-MM-DD of `date` in `timezone`
+const dayKey = (date, timezone) => {
+    const parts = zonedParts(date, timezone);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+const addDays = (key, days) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+// Instant the local day `key` starts in `timezone`
+const zonedMidnight = (key, timezone) => {
+    const [year, month, day] = key.split('-').map(Number);
+    const localAsUtc = Date.UTC(year, month - 1, day);
+    const offsetAt = (instant) => {
+        const parts = zonedParts(new Date(instant), timezone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+    };
+    // Second pass corrects for a DST change between the guess and the answer
+    const guess = localAsUtc - offsetAt(localAsUtc);
+    return new Date(localAsUtc - offsetAt(guess));
+};
+
+/**
+ * The report week (Monday-Sunday local) containing `date`
+ * Returns { start, end, startKey, dayKeys, timezone } - end is exclusive
+ */
+const reportWeek = (date, timezone) => {
+    const key = dayKey(date, timezone);
+    const [year, month, day] = key.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const startKey = addDays(key, -((weekday + 6) % 7));
+    const dayKeys = Array.from({ length: 7 }, (_, i) => addDays(startKey, i));
+    return {
+        start: zonedMidnight(startKey, timezone),
+        end: zonedMidnight(addDays(startKey, 7), timezone),
+        startKey,
+        dayKeys,
+        timezone,
+    };
+};
+
+// Ids the account's own (not per-child) activity can be recorded under
+const accountIdentifiers = (account) => [
+    account._id.toString(),
+    ...(account.mergedAccountIds || []).map(String),
+    account.deviceId, ...(account.deviceIds || []),
+    account.email,
+].filter(Boolean);
+
+const accountEventMatch = (account) => ({
+    $or: [
+        { accountId: { $in: [account._id, ...(account.mergedAccountIds || [])] } },
+        { userId: { $in: accountIdentifiers(account) } },
+    ],
+});
+
+const eventTime = { $ifNull: ['$occurredAt', '$createdAt'] };
+
+const toMinutes = (seconds) => Math.round(seconds / 60);
+
+/**
+ * Longest and current run of consecutive active days, ending on `todayKey`
+ * (or the day before, so a streak isn't broken until the day is over)
+ */
+const computeStreaks = (activeKeys, todayKey) => {
+    const sorted = [...activeKeys].sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    sorted.forEach(key => {
+        run = previous && addDays(previous, 1) === key ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = key;
+    });
+
+    let current = 0;
+    let cursor = activeKeys.has(todayKey) ? todayKey : addDays(todayKey, -1);
+    while (activeKeys.has(cursor)) {
+        current++;
+        cursor = addDays(cursor, -1);
+    }
+
+    return { current, longest };
+};
+
+/**
+ * Activity of one subject - a child ({ ids: [kidProfileId], kidProfileId }) or the
+ * household ({ ids: account identifiers, kidProfileId: null }) - for the week
+ */
+const subjectActivity = async (account, subject, week, { age, now = new Date() } = {}) => {
+    const { ids, kidProfileId } = subject;
+    const { timezone } = week;
+    const lookbackStart = zonedMidnight(addDays(dayKey(now, timezone), -STREAK_LOOKBACK_DAYS), timezone);
+    const weekRange = { $gte: week.start, $lt: week.end };
+
+    // Children: their events. Household: events not tagged with any child
+    const eventMatch = {
+        ...accountEventMatch(account),
+        kidProfileId: kidProfileId || { $in: [null, ''] },
+    };
+
+    const [sessions, finishedEvents, eventDays, plays, quizzes, completions, watched] = await Promise.all([
+        AnalyticsEvent.aggregate([
+            { $match: { ...eventMatch, sessionId: { $ne: null } } },
+            { $set: { at: eventTime } },
+            { $match: { at: weekRange } },
+            { $group: { _id: '$sessionId', start: { $min: '$at' }, end: { $max: '$at' } } },
+        ]),
+        AnalyticsEvent.aggregate([
+            { $match: { ...eventMatch, eventType: 'book_read_complete', targetId: { $ne: null } } },
+            { $set: { at: eventTime } },
+            { $match: { at: weekRange } },
+            { $group: { _id: '$targetId', title: { $last: '$targetTitle' }, finishedAt: { $max: '$at' } } },
+        ]),
+        AnalyticsEvent.aggregate([
+            { $match: eventMatch },
+            { $set: { at: eventTime } },
+            { $match: { at: { $gte: lookbackStart } } },
+            { $group: { _id: { $dateToString: { date: '$at', format: '%Y-%m-%d', timezone } } } },
+        ]),
+        PlayEvent.find({ userId: { $in: ids }, playedAt: { $gte: lookbackStart } })
+            .select('contentType contentId playedAt durationSeconds completionPercent')
+            .lean(),
+        BookQuiz.find({ 'attempts.godlykids_user_id': { $in: ids } })
+            .select('bookId attempts ageGroupedQuestions'),
+        LessonCompletion.find({ userId: { $in: ids }, completedAt: { $gte: lookbackStart } })
+            .populate('lessonId', 'title')
+            .lean(),
+        LessonWatchProgress.find({ profileId: { $in: ids }, lastSeenAt: { $gte: lookbackStart } })
+            .select('lessonId maxPercentWatched lastSeenAt seen50DateKey')
+            .lean(),
+    ]);
+
+    const inWeek = (date) => date >= week.start && date < week.end;
+    const activeKeys = new Set(eventDays.map(day => day._id));
+
+    // Time in the app, by the local day each session started
+    const minutesByDay = Object.fromEntries(week.dayKeys.map(key => [key, 0]));
+    let appSeconds = 0;
+    sessions.forEach(session => {
+        const seconds = Math.min((session.end - session.start) / 1000, MAX_SESSION_SECONDS);
+        appSeconds += seconds;
+        const key = dayKey(session.start, timezone);
+        if (key in minutesByDay) minutesByDay[key] += seconds / 60;
+    });
+
+    // Books finished: completion events, plus book plays read to the end
+    const finished = new Map(finishedEvents.map(book => [book._id, { bookId: book._id, title: book.title || null, finishedAt: book.finishedAt }]));
+    let listeningSeconds = 0;
+    plays.forEach(play => {
+        activeKeys.add(dayKey(play.playedAt, timezone));
+        if (!inWeek(play.playedAt)) return;
+        if (play.contentType !== 'book') listeningSeconds += play.durationSeconds || 0;
+        const bookId = play.contentId.toString();
+        if (play.contentType === 'book' && play.completionPercent >= 100 && !finished.has(bookId)) {
+            finished.set(bookId, { bookId, title: null, finishedAt: play.playedAt });
+        }
+    });
+
+    // Quiz attempts this week, grouped by book
+    const quizResults = [];
+    quizzes.forEach(quiz => {
+        const attempts = quiz.attempts
+            .filter(attempt => ids.includes(attempt.godlykids_user_id))
+            .sort((a, b) => a.completedAt - b.completedAt);
+        attempts.forEach(attempt => activeKeys.add(dayKey(attempt.completedAt, timezone)));
+
+        const thisWeek = attempts.filter(attempt => inWeek(attempt.completedAt));
+        if (thisWeek.length === 0) return;
+        quizResults.push({
+            bookId: quiz.bookId.toString(),
+            title: null,
+            attempts: thisWeek.map(attempt => ({
+                attemptNumber: attempt.attemptNumber,
+                score: attempt.score,
+                // Questions in the set the child was given (null when the age is unknown)
+                outOf: age ? quiz.getQuestionsForAge(age, attempt.attemptNumber)?.length || null : null,
+                coinsEarned: attempt.coinsEarned,
+                completedAt: attempt.completedAt,
+            })),
+            bestScore: Math.max(...thisWeek.map(attempt => attempt.score)),
+        });
+    });
+
+    // Lessons
+    const lessonsCompleted = [];
+    completions.forEach(completion => {
+        activeKeys.add(dayKey(completion.completedAt, timezone));
+        if (completion.completed && inWeek(completion.completedAt)) {
+            lessonsCompleted.push({
+                lessonId: completion.lessonId?._id || null,
+                title: completion.lessonId?.title || null,
+                completedAt: completion.completedAt,
+            });
+        }
+    });
+    let lessonsWatched = 0;
+    watched.forEach(progress => {
+        // seen50DateKey is already the device's local date
+        activeKeys.add(progress.seen50DateKey || dayKey(progress.lastSeenAt, timezone));
+        if (progress.maxPercentWatched >= WATCHED_THRESHOLD && inWeek(progress.lastSeenAt)) lessonsWatched++;
+    });
+
+    // Titles for books that only came with ids
+    const untitled = [...finished.values(), ...quizResults].filter(entry => !entry.title).map(entry => entry.bookId);
+    if (untitled.length) {
+        const books = await Book.find({ _id: { $in: [...new Set(untitled)].filter(id => /^[0-9a-f]{24}$/i.test(id)) } })
+            .select('title')
+            .lean();
+        const titles = new Map(books.map(book => [book._id.toString(), book.title]));
+        [...finished.values(), ...quizResults].forEach(entry => {
+            if (!entry.title) entry.title = titles.get(entry.bookId) || null;
+        });
+    }
+
+    const todayKey = dayKey(now, timezone);
+    const activeDaysThisWeek = week.dayKeys.filter(key => activeKeys.has(key)).length;
+    const booksFinished = [...finished.values()].sort((a, b) => a.finishedAt - b.finishedAt);
+
+    return {
+        timeSpent: {
+            minutes: toMinutes(appSeconds),
+            listeningMinutes: toMinutes(listeningSeconds),
+            byDay: week.dayKeys.map(key => ({ date: key, minutes: Math.round(minutesByDay[key]) })),
+        },
+        booksFinished: {
+            count: booksFinished.length,
+            books: booksFinished,
+        },
+        quizzes: quizResults.sort((a, b) => a.attempts[0].completedAt - b.attempts[0].completedAt),
+        lessons: {
+            completed: lessonsCompleted.length,
+            watched: lessonsWatched,
+            items: lessonsCompleted.sort((a, b) => a.completedAt - b.completedAt),
+        },
+        streaks: {
+            ...computeStreaks(activeKeys, todayKey),
+            activeDaysThisWeek,
+        },
+        hasActivity: activeDaysThisWeek > 0,
+    };
+};
+
+/**
+ * Weekly report for an account (AppUser document or lean object)
+ * Options: date (any moment in the week, default now), timezone (IANA, default UTC)
+ */
+const buildParentReport = async (account, { date = new Date(), timezone = 'UTC', now = new Date() } = {}) => {
+    const week = reportWeek(date, timezone);
+
+    const children = [];
+    for (const kid of account.kidProfiles || []) {
+        const kidProfileId = kid._id.toString();
+        const activity = await subjectActivity(account, { ids: [kidProfileId], kidProfileId }, week, { age: kid.age, now });
+        children.push({
+            kidProfileId,
+            name: kid.name,
+            age: kid.age ?? null,
+            ...activity,
+        });
+    }
+
+    const household = await subjectActivity(account, { ids: accountIdentifiers(account), kidProfileId: null }, week, { now });
+
+    return {
+        accountId: account._id,
+        parentName: account.parentName || null,
+        week: {
+            start: week.start,
+            end: week.end,
+            firstDay: week.startKey,
+            lastDay: week.dayKeys[6],
+            timezone,
+        },
+        children,
+        // Activity recorded without a kid profile (older app versions, shared device use)
+        household: household.hasActivity ? household : null,
+        generatedAt: now,
+    };
+};
+
+module.exports = {
+    reportWeek,
+    buildParentReport,
+};
@@ -0,0 +1,174 @@
+/**
+ * Draft → review → publish workflow for books and book series
+ *
+ *   draft ──submit──▶ in_review ──approve──▶ scheduled ──(publishAt reached)──▶ published
+ *     ▲                  │                      │  approve without a future publishAt ──▶ published
+ *     └─────reject───────┘◀──────unschedule─────┘
+ *
+ * The scheduled → published flip is done by jobs/publishScheduler.js.
+ * Owners may still set any status or publishAt directly through PUT (e.g. hot fixes);
+ * editors and reviewers must go through the workflow endpoints, and their edits
+ * to content that is in review, scheduled or published send it back to review.
+ */
+
+const WORKFLOW_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Statuses that mean "went through review" - only owners may set them directly
+const REVIEWED_STATUSES = ['in_review', 'scheduled', 'published'];
+
+const WORKFLOW_ACTIONS = {
+    submit: { from: ['draft'], roles: ['owner', 'editor'] },
+    approve: { from: ['in_review'], roles: ['owner', 'reviewer'] },
+    reject: { from: ['in_review'], roles: ['owner', 'reviewer'] },
+    unschedule: { from: ['scheduled'], roles: ['owner', 'editor', 'reviewer'] },
+};
+
+const parsePublishAt = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? false : date;
+};
+
+/**
+ * Apply a workflow action to a Book or BookSeries document (not saved).
+ * Returns { status, error } on failure, or { publishedNow } on success.
+ */
+const applyWorkflowAction = (doc, action, actor, options = {}) => {
+    const rule = WORKFLOW_ACTIONS[action];
+    if (!rule) {
+        return { status: 400, error: `Unknown workflow action: ${action}` };
+    }
+    if (!rule.roles.includes(actor.adminRole)) {
+        return { status: 403, error: `Only ${rule.roles.join('/')} admins can ${action}` };
+    }
+    if (!rule.from.includes(doc.status)) {
+        return { status: 409, error: `Cannot ${action} content with status '${doc.status}'` };
+    }
+
+    const publishAt = parsePublishAt(options.publishAt);
+    if (publishAt === false) {
+        return { status: 400, error: 'publishAt must be a valid date' };
+    }
+
+    const now = new Date();
+    const review = doc.review ? { ...(doc.review.toObject ? doc.review.toObject() : doc.review) } : {};
+
+    switch (action) {
+        case 'submit':
+            doc.status = 'in_review';
+            review.submittedBy = actor.id;
+            review.submittedAt = now;
+            review.reviewedBy = null;
+            review.reviewedAt = null;
+            review.decision = null;
+            review.notes = options.notes || '';
+            if (publishAt !== undefined) doc.publishAt = publishAt;
+            break;
+
+        case 'approve': {
+            // Reviewers can't sign off their own submissions
+            if (review.submittedBy === actor.id && actor.adminRole !== 'owner') {
+                return { status: 403, error: 'You cannot approve content you submitted' };
+            }
+            const goLiveAt = publishAt !== undefined ? publishAt : doc.publishAt;
+            review.reviewedBy = actor.id;
+            review.reviewedAt = now;
+            review.decision = 'approved';
+            if (options.notes) review.notes = options.notes;
+
+            if (goLiveAt && goLiveAt > now) {
+                doc.status = 'scheduled';
+                doc.publishAt = goLiveAt;
+            } else {
+                doc.status = 'published';
+                doc.publishAt = goLiveAt || now;
+                doc.publishedAt = now;
+            }
+            break;
+        }
+
+        case 'reject':
+            doc.status = 'draft';
+            review.reviewedBy = actor.id;
+            review.reviewedAt = now;
+            review.decision = 'rejected';
+            review.notes = options.notes || '';
+            break;
+
+        case 'unschedule':
+            doc.status = 'draft';
+            doc.publishAt = null;
+            break;
+    }
+
+    if (options.announce !== undefined) {
+        doc.announceOnPublish = !!options.announce;
+    }
+
+    doc.review = review;
+    return { publishedNow: doc.status === 'published' };
+};
+
+/**
+ * Check a status change requested through a plain create/update (PUT/POST).
+ * Returns an error message, or null if allowed.
+ */
+const validateDirectStatusChange = (currentStatus, requestedStatus, actor) => {
+    if (requestedStatus === undefined || requestedStatus === currentStatus) return null;
+    if (!WORKFLOW_STATUSES.includes(requestedStatus)) {
+        return `Invalid status '${requestedStatus}'`;
+    }
+    if (actor?.adminRole === 'owner') return null;
+    if (REVIEWED_STATUSES.includes(requestedStatus)) {
+        return `Status '${requestedStatus}' must be set through the review workflow (submit-review / approve)`;
+    }
+    if (REVIEWED_STATUSES.includes(currentStatus)) {
+        return `Only owners can move content with status '${currentStatus}' outside the review workflow (reject / unschedule)`;
+    }
+    return null;
+};
+
+/**
+ * Check a publishAt change requested through a plain update (PUT): outside drafts
+ * it is set when the content is submitted or approved.
+ * Returns an error message, or null if allowed.
+ */
+const validateDirectPublishAtChange = (doc, requestedPublishAt, actor) => {
+    const publishAt = parsePublishAt(requestedPublishAt);
+    // Invalid dates fail validation on save
+    if (publishAt === undefined || publishAt === false) return null;
+    if (actor?.adminRole === 'owner' || doc.status === 'draft') return null;
+    if ((publishAt?.getTime() ?? null) === (doc.publishAt ? new Date(doc.publishAt).getTime() : null)) return null;
+    return `publishAt of content with status '${doc.status}' must be set through the review workflow (submit-review / approve)`;
+};
+
+/**
+ * After a non-owner edits content that is in review, scheduled or published (not saved):
+ * it goes back to in_review, as submitted by them, so a reviewer signs off what goes live.
+ * Published content leaves the catalogue until approved again, and isn't announced twice.
+ * Returns true if the content was sent back.
+ */
+const sendBackForReview = (doc, actor) => {
+    if (actor?.adminRole === 'owner' || !REVIEWED_STATUSES.includes(doc.status)) return false;
+
+    if (doc.status === 'published') doc.announceOnPublish = false;
+    doc.status = 'in_review';
+    doc.review = {
+        submittedBy: actor.id,
+        submittedAt: new Date(),
+        reviewedBy: null,
+        reviewedAt: null,
+        decision: null,
+        notes: 'Edited after submission',
+    };
+    return true;
+};
+
+module.exports = {
+    WORKFLOW_STATUSES,
+    applyWorkflowAction,
+    validateDirectStatusChange,
+    validateDirectPublishAtChange,
+    sendBackForReview,
+};
@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RadioStation = require('../models/RadioStation');
+const RadioSegment = require('../models/RadioSegment');
+const RadioLibrary = require('../models/RadioLibrary');
+const RadioHost = require('../models/RadioHost');
+const { isValidTimezone, zonedParts } = require('../utils/time');
+const { invalidatePlayout } = require('./radioPlayoutService');
+const { resolveRules, createTrackScheduler } = require('./radioTrackScheduler');
+
+/**
+ * Programming clock for the radio station.
+ *
+ * The station's `programming` says what plays when: weekly shows first, then
+ * the dayparts (first match wins), then the station defaults. Each programme
+ * has its own library category mix, hosts, tempo (songs between breaks, break
+ * length) and break templates. Rendering walks a time window item by item -
+ * a programme takes over at the first item starting inside it, nothing is cut.
+ * Tracks within a category come from the rotation-aware track scheduler
+ * (services/radioTrackScheduler.js).
+ *
+ * Rendering is seeded from the station and window start, so a preview and a
+ * commit of the same window produce the same schedule (as long as the library
+ * and its play history haven't changed in between).
+ */
+
+const CATEGORIES = RadioLibrary.schema.path('category').enumValues;
+const DEFAULT_TRACK_SECONDS = 180;
+const MAX_HOURS = 7 * 24;
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Local weekday (0 = Sunday) and minute of the day of `date` in `timezone`
+const localTime = (date, timezone) => {
+    const parts = zonedParts(date, timezone);
+    return {
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+        minute: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+};
+
+const daypartCovers = (daypart, { weekday, minute }) => {
+    const start = toMinutes(daypart.startTime);
+    const end = toMinutes(daypart.endTime);
+    const days = daypart.days?.length ? daypart.days : ALL_DAYS;
+
+    if (start === end) return days.includes(weekday);
+    if (start < end) return days.includes(weekday) && minute >= start && minute < end;
+    // Runs past midnight - the early hours belong to the previous day's daypart
+    return (days.includes(weekday) && minute >= start) || (days.includes((weekday + 6) % 7) && minute < end);
+};
+
+// Minutes since Sunday 00:00 the show starts and ends (end may run into the next week)
+const showSpan = (show) => {
+    const start = show.day * MINUTES_PER_DAY + toMinutes(show.startTime);
+    return { start, end: start + show.durationMinutes };
+};
+
+const showCovers = (show, { weekday, minute }) => {
+    const { start, end } = showSpan(show);
+    const at = weekday * MINUTES_PER_DAY + minute;
+    return (at >= start && at < end) || (at + MINUTES_PER_WEEK >= start && at + MINUTES_PER_WEEK < end);
+};
+
+/**
+ * The programme on air at `at`: the show, daypart or station default, with the
+ * station settings filled in where the programme leaves them empty
+ */
+const resolveProgramme = (station, at) => {
+    const programming = station.programming || {};
+    const local = localTime(at, programming.timezone || 'UTC');
+    const show = (programming.shows || []).find(s => s.enabled !== false && showCovers(s, local));
+    const daypart = !show && (programming.dayparts || []).find(d => d.enabled !== false && daypartCovers(d, local));
+    const source = show || daypart;
+
+    const songsPerBreak = source?.tempo?.songsPerBreak || station.hostBreakFrequency || 3;
+    const breakDuration = source?.tempo?.breakDuration || station.hostBreakDuration || 10;
+
+    if (!source) {
+        // Station defaults: a break every hostBreakFrequency songs, a devotional every devotionalFrequency songs
+        return {
+            kind: 'default',
+            id: null,
+            name: station.name,
+            description: station.tagline,
+            hosts: [],
+            categoryMix: {},
+            songsPerBreak,
+            breakDuration,
+            breakTemplates: [
+                { contentType: 'song', every: 1 },
+                {
+                    contentType: 'devotional_segment',
+                    every: Math.max(1, Math.round((station.devotionalFrequency || 10) / songsPerBreak)),
+                    duration: station.devotionalDuration,
+                },
+            ],
+        };
+    }
+
+    return {
+        kind: show ? 'show' : 'daypart',
+        id: source._id,
+        name: source.name,
+        description: source.description,
+        hosts: source.hosts || [],
+        categoryMix: source.categoryMix || {},
+        songsPerBreak,
+        breakDuration,
+        breakTemplates: source.breakTemplates?.length ? source.breakTemplates : [{ contentType: 'song', every: 1 }],
+    };
+};
+
+// Template for the n-th break of a programme: the largest `every` that divides n
+const templateFor = (templates, breakNumber) => templates
+    .filter(template => breakNumber % (template.every || 1) === 0)
+    .reduce((best, template) => (!best || (template.every || 1) > (best.every || 1) ? template : best), null)
+    || { contentType: 'song', every: 1 };
+
+// Deterministic random numbers (mulberry32) so previews are reproducible
+const seededRandom = (seed) => {
+    let state = crypto.createHash('md5').update(seed).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Smooth weighted round-robin - over any stretch categories come up in proportion to their weights.
+// Categories that `allowed` rejects (over their hourly quota) are passed over while another one fits.
+const nextCategory = (mix, allowed) => {
+    let best = null;
+    let bestAllowed = null;
+    for (const entry of mix.entries) {
+        entry.current += entry.weight;
+        if (!best || entry.current > best.current) best = entry;
+        if (allowed(entry.category) && (!bestAllowed || entry.current > bestAllowed.current)) bestAllowed = entry;
+    }
+    const chosen = bestAllowed || best;
+    chosen.current -= mix.total;
+    return chosen.category;
+};
+
+const breakDurationFor = (programme, breakNumber) => templateFor(programme.breakTemplates, breakNumber).duration
+    || programme.breakDuration;
+
+const openBlock = (programme, at, context) => {
+    const { byCategory, hostsById, defaultHosts, warnings } = context;
+
+    const entries = CATEGORIES
+        .filter(category => (programme.categoryMix[category] || 0) > 0)
+        .filter(category => {
+            if (byCategory.has(category)) return true;
+            warnings.add(`${programme.name}: no enabled "${category}" tracks in the library, category skipped`);
+            return false;
+        })
+        .map(category => ({ category, weight: programme.categoryMix[category], current: 0 }));
+
+    let hosts = programme.hosts.map(id => hostsById.get(String(id))).filter(Boolean);
+    if (!hosts.length) hosts = defaultHosts;
+    if (!hosts.length) warnings.add(`${programme.name}: no enabled hosts, scheduled without host breaks`);
+
+    return {
+        key: `${programme.kind}:${programme.id || ''}`,
+        programme,
+        startsAt: new Date(at),
+        mix: entries.length ? { entries, total: entries.reduce((sum, entry) => sum + entry.weight, 0) } : null,
+        hosts,
+        // Opens with a break introducing the programme
+        songsSinceBreak: programme.songsPerBreak,
+        breakCount: 0,
+        songs: 0,
+        categories: {},
+    };
+};
+
+const summarizeBlock = (block) => ({
+    kind: block.programme.kind,
+    id: block.programme.id,
+    name: block.programme.name,
+    startsAt: block.startsAt,
+    endsAt: block.endsAt,
+    minutes: Math.round((block.endsAt - block.startsAt) / 60000),
+    hosts: block.hosts.map(host => ({ id: host._id, name: host.name })),
+    songs: block.songs,
+    breaks: block.breakCount,
+    categoryMix: block.mix ? Object.fromEntries(block.mix.entries.map(entry => [entry.category, entry.weight])) : null,
+    categories: block.categories,
+});
+
+/**
+ * Lay out `hours` of programming from `start`.
+ * Returns { timezone, start, end, endsAt, blocks, items, warnings } - items are
+ * segment-shaped (plus hostName for display); endsAt is when the last item ends.
+ */
+const renderSchedule = (station, { start, hours, tracks, hosts }) => {
+    const end = new Date(start.getTime() + hours * 60 * 60 * 1000);
+    const scheduler = createTrackScheduler({
+        rules: resolveRules(station),
+        random: seededRandom(`${station._id}:${start.toISOString()}`),
+    });
+    scheduler.seedHistory(tracks);
+
+    const byCategory = new Map();
+    for (const track of tracks) {
+        if (!byCategory.has(track.category)) byCategory.set(track.category, []);
+        byCategory.get(track.category).push(track);
+    }
+    const hostsById = new Map(hosts.map(host => [String(host._id), host]));
+    const stationHosts = (station.hosts || []).map(id => hostsById.get(String(id))).filter(Boolean);
+    const context = {
+        byCategory,
+        hostsById,
+        defaultHosts: stationHosts.length ? stationHosts : hosts,
+        warnings: new Set(),
+    };
+
+    const items = [];
+    const blocks = [];
+    const rotateHosts = station.settings?.rotateHosts !== false;
+    let hostIndex = 0;
+    let previousSong = null;
+    let block = null;
+    let t = start.getTime();
+
+    if (!tracks.length) {
+        context.warnings.add('The radio library has no enabled tracks');
+    }
+
+    while (tracks.length && t < end.getTime()) {
+        const programme = resolveProgramme(station, new Date(t));
+        if (!block || block.key !== `${programme.kind}:${programme.id || ''}`) {
+            if (block) block.endsAt = new Date(t);
+            block = openBlock(programme, t, context);
+            blocks.push(block);
+        }
+
+        const category = block.mix ? nextCategory(block.mix, c => scheduler.withinQuota(c, t)) : null;
+        // Picked for when the song will start - after the break, if one is due
+        const breakDue = block.hosts.length && block.songsSinceBreak >= programme.songsPerBreak;
+        const songAt = breakDue ? t + breakDurationFor(programme, block.breakCount + 1) * 1000 : t;
+        const { track, reason } = scheduler.pick({ at: songAt, pool: category ? byCategory.get(category) : tracks });
+
+        const placement = { kind: programme.kind, id: programme.id, name: programme.name };
+
+        if (breakDue) {
+            block.breakCount++;
+            const template = templateFor(programme.breakTemplates, block.breakCount);
+            const host = block.hosts[rotateHosts ? hostIndex++ % block.hosts.length : 0];
+
+            let contentType = template.contentType || 'song';
+            if (contentType === 'song' && track.category === 'story') contentType = 'story_intro';
+            else if (contentType === 'song' && previousSong?.category === 'story') contentType = 'story_outro';
+
+            const opener = block.breakCount === 1 && programme.kind !== 'default'
+                ? `Start of ${programme.name}${programme.description ? `: ${programme.description}` : ''}`
+                : undefined;
+            const duration = breakDurationFor(programme, block.breakCount);
+
+            items.push({
+                type: 'host_break',
+                scheduledAt: new Date(t),
+                duration,
+                hostId: host._id,
+                hostName: host.name,
+                contentType,
+                isDuo: !!template.duo && block.hosts.length >= 2,
+                contentDescription: template.description || opener,
+                nextTrack: { title: track.title, artist: track.artist },
+                previousTrack: previousSong ? { title: previousSong.title, artist: previousSong.artist } : undefined,
+                programme: placement,
+            });
+            t += duration * 1000;
+            block.songsSinceBreak = 0;
+        }
+
+        const duration = track.duration || DEFAULT_TRACK_SECONDS;
+        items.push({
+            type: 'song',
+            scheduledAt: new Date(t),
+            duration,
+            trackId: track._id,
+            category: track.category,
+            pickReason: reason,
+            playlistId: track.sourcePlaylistId,
+            playlistItemIndex: track.sourceItemIndex,
+            songInfo: {
+                title: track.title,
+                artist: track.artist,
+                coverImage: track.coverImage,
+                audioUrl: track.audioUrl,
+                duration,
+            },
+            programme: placement,
+        });
+        t += duration * 1000;
+        block.songsSinceBreak++;
+        block.songs++;
+        block.categories[track.category] = (block.categories[track.category] || 0) + 1;
+        previousSong = track;
+    }
+    if (block) block.endsAt = new Date(t);
+
+    return {
+        timezone: station.programming?.timezone || 'UTC',
+        start,
+        end,
+        endsAt: new Date(t),
+        blocks: blocks.map(summarizeBlock),
+        items,
+        warnings: [...context.warnings],
+    };
+};
+
+/**
+ * Problems the schema can't catch: an unknown timezone or overlapping shows.
+ * Returns an error message or null.
+ */
+const validateProgramming = (programming) => {
+    if (programming.timezone && !isValidTimezone(programming.timezone)) {
+        return `Unknown timezone: ${programming.timezone}`;
+    }
+
+    const shows = (programming.shows || []).filter(show => show.enabled !== false);
+    for (let i = 0; i < shows.length; i++) {
+        for (let j = i + 1; j < shows.length; j++) {
+            const a = showSpan(shows[i]);
+            const b = showSpan(shows[j]);
+            const overlaps = [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK]
+                .some(shift => a.start < b.end + shift && b.start + shift < a.end);
+            if (overlaps) return `Shows "${shows[i].name}" and "${shows[j].name}" overlap`;
+        }
+    }
+
+    return null;
+};
+
+// { start, hours } from a request, or { error }
+const resolveWindow = ({ start, hours } = {}, now = new Date()) => {
+    const windowHours = hours === undefined || hours === '' ? 24 : Number(hours);
+    if (!Number.isFinite(windowHours) || windowHours < 1 || windowHours > MAX_HOURS) {
+        return { error: `hours must be between 1 and ${MAX_HOURS}` };
+    }
+
+    let windowStart = new Date(Math.floor(now.getTime() / 60000) * 60000);
+    if (start) {
+        windowStart = new Date(start);
+        if (Number.isNaN(windowStart.getTime())) return { error: 'Invalid start time' };
+        if (windowStart < now - 60 * 60 * 1000 || windowStart > now.getTime() + MAX_HOURS * 60 * 60 * 1000) {
+            return { error: 'start must be within the past hour or the next 7 days' };
+        }
+    }
+
+    return { start: windowStart, hours: windowHours };
+};
+
+const loadClockInputs = async () => {
+    const station = await RadioStation.findOne().lean();
+    if (!station) return null;
+
+    // Stable order keeps seeded renders reproducible
+    const [tracks, hosts] = await Promise.all([
+        RadioLibrary.find({ enabled: true }).sort({ createdAt: 1, _id: 1 }).lean(),
+        RadioHost.find({ enabled: true }).sort({ order: 1, _id: 1 }).lean(),
+    ]);
+    return { station, tracks, hosts };
+};
+
+/**
+ * Render a window without saving anything. Returns { status, body }.
+ */
+const previewSchedule = async (input) => {
+    const window = resolveWindow(input);
+    if (window.error) return { status: 400, body: { message: window.error } };
+
+    const inputs = await loadClockInputs();
+    if (!inputs) return { status: 400, body: { message: 'No station configured' } };
+
+    const schedule = renderSchedule(inputs.station, { ...window, tracks: inputs.tracks, hosts: inputs.hosts });
+    return { status: 200, body: schedule };
+};
+
+/**
+ * Render a window and make it the station's segment list, playing from its start.
+ * Song segments are ready; host breaks are pending script/audio generation.
+ * The loop is then timed by scheduledAt and repeats every `hours` (see
+ * radioPlayoutService), so the window should be whole days to keep dayparts in place.
+ * Returns { status, body } so it can run inline or from the job queue.
+ */
+const commitSchedule = async (input, reportProgress = async () => {}) => {
+    const window = resolveWindow(input);
+    if (window.error) return { status: 400, body: { message: window.error } };
+
+    const inputs = await loadClockInputs();
+    if (!inputs) return { status: 400, body: { message: 'No station configured' } };
+
+    await reportProgress({ percent: 20, message: 'Rendering schedule' });
+
+    const { station } = inputs;
+    const schedule = renderSchedule(station, { ...window, tracks: inputs.tracks, hosts: inputs.hosts });
+    if (!schedule.items.length) {
+        return { status: 400, body: { message: 'Nothing to schedule', warnings: schedule.warnings } };
+    }
+
+    await reportProgress({ percent: 60, message: `Saving ${schedule.items.length} segments` });
+
+    const segments = schedule.items.map(({ hostName, ...item }, order) => ({
+        ...item,
+        _id: new mongoose.Types.ObjectId(),
+        stationId: station._id,
+        order,
+        status: item.type === 'song' ? 'ready' : 'pending',
+    }));
+
+    // Insert before removing the old list, so a failed insert leaves the current schedule on air
+    const segmentIds = segments.map(segment => segment._id);
+    try {
+        await RadioSegment.insertMany(segments);
+    } catch (error) {
+        await RadioSegment.deleteMany({ _id: { $in: segmentIds } })
+            .catch(cleanupError => console.error('❌ Failed to remove partly committed segments:', cleanupError.message));
+        throw error;
+    }
+    await RadioSegment.deleteMany({ stationId: station._id, _id: { $nin: segmentIds } });
+
+    // The loop now starts with the window and repeats every window, so segments air at their scheduled times
+    await RadioStation.updateOne(
+        { _id: station._id },
+        { $set: { playoutEpoch: schedule.start, playoutCycleSeconds: window.hours * 60 * 60 } }
+    );
+    invalidatePlayout();
+
+    const warnings = [...schedule.warnings];
+    if (window.hours % 24 !== 0) {
+        warnings.push(`The schedule repeats every ${window.hours} hours - commit whole days to keep dayparts at the same time each day`);
+    }
+
+    const hostBreaks = segments.filter(segment => segment.type === 'host_break').length;
+    console.log(`📻 Committed programming clock: ${segments.length} segments from ${schedule.start.toISOString()} (${schedule.blocks.length} programme blocks)`);
+
+    return {
+        status: 200,
+        body: {
+            message: 'Schedule committed',
+            start: schedule.start,
+            end: schedule.end,
+            endsAt: schedule.endsAt,
+            totalSegments: segments.length,
+            songs: segments.length - hostBreaks,
+            hostBreaks,
+            blocks: schedule.blocks,
+            warnings,
+        },
+    };
+};
+
+module.exports = {
+    resolveProgramme,
+    renderSchedule,
+    validateProgramming,
+    previewSchedule,
+    commitSchedule,
+};
@@ -0,0 +1,218 @@
+const RadioStation = require('../models/RadioStation');
+const RadioSegment = require('../models/RadioSegment');
+
+/**
+ * Server-side playout clock for the radio station.
+ *
+ * The station's ready segments, in `order`, form one loop that started at the
+ * station's playoutEpoch and repeats forever. What is on air at any moment is
+ * worked out from the epoch and the segment durations alone, so every listener
+ * (the /now-playing poller, the continuous stream, clients that seek into the
+ * segment's own file) hears the same thing at the same time.
+ *
+ * Segments without audio or a duration (host breaks still pending generation)
+ * are left out of the loop. Editing segments takes effect within
+ * PLAYOUT_CACHE_MS and re-times the loop from the epoch.
+ *
+ * A loop committed from the programming clock (station.playoutCycleSeconds set)
+ * is timed by the segments' scheduledAt instead: each segment holds its slot
+ * until the next one starts, pending host breaks included (they air as silence
+ * until their audio is generated), and the loop repeats every
+ * playoutCycleSeconds - so programmes stay on the wall clock.
+ */
+
+const PLAYOUT_CACHE_MS = 15 * 1000;
+
+let cached = null;
+
+// Songs carry their file in songInfo, host breaks and jingles on the segment
+const segmentAudioUrl = (segment) => (segment.type === 'song' ? segment.songInfo?.audioUrl || segment.audioUrl : segment.audioUrl);
+
+const segmentDuration = (segment) => Number(segment.duration || segment.songInfo?.duration) || 0;
+
+// Back to back in `order`, ready segments with audio only
+const sequentialItems = (segments) => {
+    let start = 0;
+    return segments
+        .map(segment => ({ segment, audioUrl: segmentAudioUrl(segment), duration: segmentDuration(segment) }))
+        .filter(item => item.audioUrl && item.duration > 0)
+        .map(item => {
+            const timed = { ...item, start };
+            start += item.duration;
+            return timed;
+        });
+};
+
+// Each segment from its scheduledAt until the next one starts (or the loop ends)
+const scheduledItems = (segments, epoch, cycleSeconds) => {
+    const timed = segments
+        .filter(segment => segment.scheduledAt && segment.status !== 'error')
+        .map(segment => ({
+            segment,
+            audioUrl: segment.status === 'ready' ? segmentAudioUrl(segment) || null : null,
+            start: (new Date(segment.scheduledAt).getTime() - epoch.getTime()) / 1000,
+        }))
+        .filter(item => item.start >= 0 && item.start < cycleSeconds)
+        .sort((a, b) => a.start - b.start);
+    // The loop starts with the first slot
+    if (timed.length) timed[0].start = 0;
+
+    return timed
+        .map((item, i) => ({ ...item, duration: (i + 1 < timed.length ? timed[i + 1].start : cycleSeconds) - item.start }))
+        .filter(item => item.duration > 0);
+};
+
+const segmentTitle = (segment) => {
+    if (segment.type === 'song') return segment.songInfo?.title || 'Untitled';
+    if (segment.type === 'host_break') return segment.hostId?.name ? `${segment.hostId.name} on air` : 'Host break';
+    return 'Station jingle';
+};
+
+/**
+ * The station and its loop: { station, epoch, items: [{ segment, audioUrl, start, duration }], cycleSeconds }
+ * Cached for PLAYOUT_CACHE_MS - every listener and poller shares one load.
+ */
+const loadPlayout = async ({ fresh = false } = {}) => {
+    if (!fresh && cached && cached.loadedAt > Date.now() - PLAYOUT_CACHE_MS) {
+        return cached.playout;
+    }
+
+    const station = await RadioStation.findOne().lean();
+    const epoch = station ? new Date(station.playoutEpoch || station.createdAt) : null;
+    let items = [];
+    let cycleSeconds = 0;
+
+    if (station) {
+        const clockCycle = station.playoutCycleSeconds || 0;
+        const segments = await RadioSegment.find({ stationId: station._id, ...(clockCycle ? {} : { status: 'ready' }) })
+            .populate('hostId', 'name avatarUrl')
+            .sort({ order: 1 })
+            .lean();
+
+        items = clockCycle ? scheduledItems(segments, epoch, clockCycle) : sequentialItems(segments);
+        cycleSeconds = clockCycle && items.length
+            ? clockCycle
+            : items.reduce((sum, item) => sum + item.duration, 0);
+    }
+
+    const playout = {
+        station,
+        epoch,
+        items,
+        cycleSeconds,
+    };
+    cached = { playout, loadedAt: Date.now() };
+    return playout;
+};
+
+// Drop the cached loop so the next read sees segment/station changes right away
+const invalidatePlayout = () => {
+    cached = null;
+};
+
+/**
+ * Where the loop is at `at`: { index, item, offset, cycle, startedAt } (null when nothing can play)
+ */
+const positionAt = (playout, at = new Date()) => {
+    if (!playout.items.length || !playout.cycleSeconds) return null;
+
+    // Before the epoch the loop sits at its start
+    const elapsed = Math.max(0, (at.getTime() - playout.epoch.getTime()) / 1000);
+    const cycle = Math.floor(elapsed / playout.cycleSeconds);
+    const intoCycle = elapsed - cycle * playout.cycleSeconds;
+
+    // Last item starting at or before intoCycle
+    let low = 0;
+    let high = playout.items.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (playout.items[mid].start <= intoCycle) low = mid;
+        else high = mid - 1;
+    }
+
+    const item = playout.items[low];
+    const offset = intoCycle - item.start;
+    return {
+        index: low,
+        item,
+        offset,
+        cycle,
+        startedAt: new Date(at.getTime() - offset * 1000),
+    };
+};
+
+const describeItem = (item, extra = {}) => ({
+    segmentId: item.segment._id,
+    type: item.segment.type,
+    title: segmentTitle(item.segment),
+    artist: item.segment.type === 'song' ? item.segment.songInfo?.artist || null : null,
+    coverImage: item.segment.songInfo?.coverImage || item.segment.hostId?.avatarUrl || null,
+    audioUrl: item.audioUrl,
+    duration: item.duration,
+    ...extra,
+});
+
+/**
+ * What is on air at `at`, and what comes next
+ */
+const getNowPlaying = async ({ at = new Date(), upcoming = 3 } = {}) => {
+    const playout = await loadPlayout();
+    const { station } = playout;
+    const position = station?.isLive ? positionAt(playout, at) : null;
+
+    const result = {
+        station: station
+            ? { id: station._id, name: station.name, tagline: station.tagline, coverImageUrl: station.coverImageUrl || null }
+            : null,
+        onAir: !!position,
+        serverTime: at,
+        epoch: playout.epoch,
+        cycleSeconds: playout.cycleSeconds,
+        current: null,
+        upcoming: [],
+    };
+    if (!position) return result;
+
+    result.current = describeItem(position.item, {
+        offset: Math.round(position.offset * 1000) / 1000,
+        startedAt: position.startedAt,
+        endsAt: new Date(position.startedAt.getTime() + position.item.duration * 1000),
+    });
+
+    let startsAt = result.current.endsAt;
+    for (let i = 1; i <= Math.min(upcoming, playout.items.length - 1); i++) {
+        const item = playout.items[(position.index + i) % playout.items.length];
+        result.upcoming.push(describeItem(item, { startsAt }));
+        startsAt = new Date(startsAt.getTime() + item.duration * 1000);
+    }
+
+    return result;
+};
+
+/**
+ * Go back to playing segments back to back in `order` - for edits that rebuild
+ * or reorder the segment list outside the programming clock
+ */
+const clearScheduledPlayout = async () => {
+    await RadioStation.updateOne({ playoutCycleSeconds: { $exists: true } }, { $unset: { playoutCycleSeconds: 1 } });
+    invalidatePlayout();
+};
+
+/**
+ * Set the loop to start over from its first segment now (or at `at`)
+ */
+const restartPlayout = async (at = new Date()) => {
+    const station = await RadioStation.findOneAndUpdate({}, { $set: { playoutEpoch: at } }, { new: true }).lean();
+    invalidatePlayout();
+    return station;
+};
+
+module.exports = {
+    loadPlayout,
+    invalidatePlayout,
+    clearScheduledPlayout,
+    positionAt,
+    describeItem,
+    getNowPlaying,
+    restartPlayout,
+};
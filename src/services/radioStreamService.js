@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { loadPlayout, positionAt, describeItem } = require('./radioPlayoutService');
+
+/**
+ * Continuous Icecast-style MP3 stream of the radio playout.
+ *
+ * One broadcaster runs while anyone is listening. It follows the playout clock:
+ * each segment's MP3 frames are sent from the on-air offset and for exactly the
+ * segment's scheduled duration - cut short if the file runs long, padded with
+ * silent frames if it runs short or isn't MP3 - so the stream never drifts from
+ * /now-playing. Frames are paced against the wall clock, LEAD_MS ahead; new
+ * listeners get the last BURST_MS of audio so playback starts immediately.
+ *
+ * Clients that send `Icy-MetaData: 1` get `StreamTitle` updates every ICY_METAINT bytes.
+ */
+
+const LEAD_MS = 2000;
+const BURST_MS = 2000;
+const BATCH_MS = 250;
+const ICY_METAINT = 16000;
+// Listeners that can't keep up are dropped rather than buffered without bound
+const MAX_LISTENER_BACKLOG = 1024 * 1024;
+const MAX_SEGMENT_BYTES = 50 * 1024 * 1024;
+
+const uploadsDir = path.join(__dirname, '../../uploads');
+
+const listeners = new Set();
+let broadcasting = false;
+let streamTitle = '';
+let recentFrames = [];
+let audioCache = new Map();
+
+// ===========================
+// MP3 FRAMES
+// ===========================
+
+const BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000],
+};
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, mono, no CRC - used for silence until a real frame sets the format
+const DEFAULT_HEADER = Buffer.from([0xFF, 0xFB, 0x90, 0xC0]);
+
+/**
+ * Parse a Layer III frame header at `pos`: { length, duration } in bytes/seconds, or null
+ */
+const readFrameHeader = (buffer, pos) => {
+    if (pos + 4 > buffer.length) return null;
+    const b1 = buffer[pos + 1];
+    const b2 = buffer[pos + 2];
+    if (buffer[pos] !== 0xFF || (b1 & 0xE0) !== 0xE0) return null;
+
+    const version = [2.5, null, 2, 1][(b1 >> 3) & 3];
+    const layer = (b1 >> 1) & 3;
+    const bitrate = version && BITRATES[version === 1 ? 1 : 2][b2 >> 4];
+    const sampleRate = version && SAMPLE_RATES[version][(b2 >> 2) & 3];
+    if (!version || layer !== 1 || !bitrate || !sampleRate) return null;
+
+    const samples = version === 1 ? 1152 : 576;
+    const padding = (b2 >> 1) & 1;
+    return {
+        length: Math.floor((samples / 8) * bitrate * 1000 / sampleRate) + padding,
+        duration: samples / sampleRate,
+    };
+};
+
+/**
+ * Split an MP3 file into frames: [{ data, duration }]. Skips ID3v2 tags and
+ * resyncs past junk; a non-MP3 file yields no frames.
+ */
+const parseFrames = (buffer) => {
+    const frames = [];
+    let pos = 0;
+
+    if (buffer.length > 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+        const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+        pos = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+    }
+
+    while (pos + 4 <= buffer.length) {
+        const header = readFrameHeader(buffer, pos);
+        // A real frame is followed by another one (or the end of the file)
+        if (!header || (pos + header.length + 4 <= buffer.length && !readFrameHeader(buffer, pos + header.length))) {
+            pos++;
+            continue;
+        }
+        if (pos + header.length > buffer.length) break;
+        frames.push({ data: buffer.subarray(pos, pos + header.length), duration: header.duration });
+        pos += header.length;
+    }
+
+    return frames;
+};
+
+/**
+ * A frame that decodes to silence in the given format: the header (padding and
+ * CRC bits cleared) followed by zeroed side info and main data
+ */
+const silentFrame = (header = DEFAULT_HEADER) => {
+    const silentHeader = Buffer.from(header.subarray(0, 4));
+    silentHeader[1] |= 0x01;
+    silentHeader[2] &= ~0x02;
+    const { length, duration } = readFrameHeader(silentHeader, 0);
+    const data = Buffer.alloc(length);
+    silentHeader.copy(data);
+    return { data, duration };
+};
+
+// ===========================
+// SEGMENT AUDIO
+// ===========================
+
+const fetchAudio = async (audioUrl) => {
+    if (audioUrl.startsWith('/uploads/')) {
+        const localPath = path.resolve(uploadsDir, `.${audioUrl.slice('/uploads'.length)}`);
+        if (!localPath.startsWith(uploadsDir + path.sep)) throw new Error('Invalid audio path');
+        return fs.promises.readFile(localPath);
+    }
+
+    const response = await axios.get(audioUrl, {
+        responseType: 'arraybuffer',
+        timeout: 20000,
+        maxContentLength: MAX_SEGMENT_BYTES,
+    });
+    return Buffer.from(response.data);
+};
+
+/**
+ * Frames for a segment's audio; the last two segments loaded stay cached.
+ * An unreachable or non-MP3 file gives no frames (the slot is filled with silence).
+ */
+const loadFrames = async (audioUrl) => {
+    if (audioCache.has(audioUrl)) return audioCache.get(audioUrl);
+
+    let frames = [];
+    try {
+        frames = parseFrames(await fetchAudio(audioUrl));
+        if (!frames.length) console.warn(`⚠️ Radio stream: no MP3 frames in ${audioUrl}, playing silence`);
+    } catch (error) {
+        console.error(`❌ Radio stream: failed to load ${audioUrl}:`, error.message);
+    }
+
+    audioCache = new Map([...audioCache].slice(-1));
+    audioCache.set(audioUrl, frames);
+    return frames;
+};
+
+// ===========================
+// LISTENERS
+// ===========================
+
+const icyMetadata = () => {
+    const text = Buffer.from(`StreamTitle='${streamTitle.replace(/'/g, '’')}';`, 'utf8').subarray(0, 255 * 16);
+    const blocks = Math.ceil(text.length / 16);
+    const meta = Buffer.alloc(1 + blocks * 16);
+    meta[0] = blocks;
+    text.copy(meta, 1);
+    return meta;
+};
+
+// Write audio to a listener, interleaving ICY metadata every ICY_METAINT bytes when asked for
+const writeAudio = (listener, chunk) => {
+    if (!listener.icy) {
+        listener.res.write(chunk);
+        return;
+    }
+
+    let pos = 0;
+    while (pos < chunk.length) {
+        const take = Math.min(listener.untilMeta, chunk.length - pos);
+        listener.res.write(chunk.subarray(pos, pos + take));
+        pos += take;
+        listener.untilMeta -= take;
+        if (listener.untilMeta === 0) {
+            const sendTitle = listener.sentTitle !== streamTitle;
+            listener.res.write(sendTitle ? icyMetadata() : Buffer.alloc(1));
+            listener.sentTitle = streamTitle;
+            listener.untilMeta = ICY_METAINT;
+        }
+    }
+};
+
+const broadcast = (chunk) => {
+    for (const listener of listeners) {
+        if (listener.res.writableLength > MAX_LISTENER_BACKLOG) {
+            console.warn('⚠️ Radio stream: dropping slow listener');
+            listener.res.destroy();
+            listeners.delete(listener);
+            continue;
+        }
+        writeAudio(listener, chunk);
+    }
+};
+
+const endAll = () => {
+    for (const listener of listeners) listener.res.end();
+    listeners.clear();
+};
+
+// ===========================
+// BROADCASTER
+// ===========================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Keep the last BURST_MS of audio for listeners that join mid-stream
+const rememberFrames = (frames) => {
+    recentFrames.push(...frames);
+    let total = recentFrames.reduce((sum, frame) => sum + frame.duration, 0);
+    while (recentFrames.length && total - recentFrames[0].duration >= BURST_MS / 1000) {
+        total -= recentFrames.shift().duration;
+    }
+};
+
+/**
+ * Play one segment from `offset` to its scheduled end, starting at wall time `playhead` (ms).
+ * Returns the playhead after it, or null once everyone has left.
+ */
+const playSegment = async (item, offset, playhead) => {
+    // Host breaks still being generated hold their slot in silence
+    const frames = item.audioUrl ? await loadFrames(item.audioUrl) : [];
+    const info = describeItem(item);
+    streamTitle = info.artist ? `${info.artist} - ${info.title}` : info.title;
+
+    // Skip to the frame nearest the on-air offset
+    let index = 0;
+    let position = 0;
+    while (index < frames.length && position + frames[index].duration / 2 < offset) {
+        position += frames[index].duration;
+        index++;
+    }
+
+    const silence = silentFrame(frames[0]?.data);
+    let batch = [];
+    let batchSeconds = 0;
+
+    while (position < item.duration - 0.001) {
+        const frame = index < frames.length ? frames[index++] : silence;
+        batch.push(frame);
+        batchSeconds += frame.duration;
+        position += frame.duration;
+
+        if (batchSeconds * 1000 >= BATCH_MS || position >= item.duration - 0.001) {
+            if (!listeners.size) return null;
+            broadcast(Buffer.concat(batch.map(f => f.data)));
+            rememberFrames(batch);
+            playhead += batchSeconds * 1000;
+            batch = [];
+            batchSeconds = 0;
+
+            const ahead = playhead - Date.now();
+            if (ahead > LEAD_MS) await sleep(ahead - LEAD_MS);
+        }
+    }
+
+    return playhead;
+};
+
+const runBroadcaster = async () => {
+    broadcasting = true;
+    let playhead = Date.now();
+    console.log('📻 Radio stream started');
+
+    try {
+        while (listeners.size) {
+            // Fell behind (slow fetch, event loop stall) - rejoin the clock rather than lag forever
+            if (playhead < Date.now() - LEAD_MS) playhead = Date.now();
+
+            const playout = await loadPlayout();
+            const position = playout.station?.isLive ? positionAt(playout, new Date(playhead)) : null;
+            if (!position) {
+                console.log('📻 Radio went off air, closing stream');
+                endAll();
+                break;
+            }
+
+            playhead = await playSegment(position.item, position.offset, playhead);
+            if (playhead === null) break;
+        }
+    } catch (error) {
+        console.error('❌ Radio stream error:', error.message);
+        endAll();
+    } finally {
+        broadcasting = false;
+        recentFrames = [];
+        audioCache = new Map();
+        console.log('📻 Radio stream stopped');
+    }
+};
+
+/**
+ * Attach an HTTP response as a listener (headers already sent). Starts the broadcaster if idle.
+ */
+const addListener = (req, res, { icy = false } = {}) => {
+    const listener = { res, icy, untilMeta: ICY_METAINT, sentTitle: null };
+    listeners.add(listener);
+    req.on('close', () => listeners.delete(listener));
+
+    if (recentFrames.length) writeAudio(listener, Buffer.concat(recentFrames.map(f => f.data)));
+    if (!broadcasting) runBroadcaster();
+};
+
+const getStreamStatus = () => ({
+    broadcasting,
+    listeners: listeners.size,
+    streamTitle,
+});
+
+module.exports = {
+    ICY_METAINT,
+    parseFrames,
+    silentFrame,
+    addListener,
+    getStreamStatus,
+};
@@ -0,0 +1,225 @@
+/**
+ * Rotation-aware track picking for the radio station.
+ *
+ * Tracks are drawn at random, weighted by their RadioLibrary rotation and by
+ * how long ago they last aired, from the tracks that pass the station's
+ * rotationRules:
+ * - title separation: the same title doesn't play again within N minutes
+ * - artist separation: nor does anything by the same artist
+ * - category quotas: at most N tracks of a category per rolling hour
+ *
+ * When no track passes every rule (small pools), rules are relaxed in that
+ * order - quota first, title last - and the pick says so. Every pick comes with
+ * a one-line explanation, stored on the segment as pickReason.
+ *
+ * Play history is seeded from the tracks' lastPlayedAt, which jobs/radioPlayLog.js
+ * keeps up to date as segments air. Plays known to come later (the top of a
+ * loop coming round again) can be reserved so separation holds across the wrap.
+ */
+
+const DEFAULT_RULES = {
+    weights: { high: 3, medium: 2, low: 1 },
+    titleSeparationMinutes: 180,
+    artistSeparationMinutes: 30,
+    categoryQuotas: {},
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+// Tracks rested this long (or never aired) get double weight
+const FRESH_AFTER_HOURS = 24;
+const RELAX_ORDER = ['quota', 'artist', 'title'];
+const RULE_LABELS = { title: 'title separation', artist: 'artist separation', quota: 'category quota' };
+const UNKNOWN_ARTISTS = new Set(['', 'unknown', 'unknown artist', 'various artists']);
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// Library tracks have an _id; playlist songs outside the library are told apart by their audio
+const trackKey = (track) => String(track._id || track.audioUrl);
+
+const formatAgo = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 120) return `${minutes} min`;
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+    return `${Math.round(minutes / (24 * 60))} days`;
+};
+
+/**
+ * The station's rotationRules with defaults filled in (lean documents skip schema defaults)
+ */
+const resolveRules = (station) => {
+    const rules = station?.rotationRules || {};
+    const quotas = Object.entries(rules.categoryQuotas || {})
+        .filter(([, max]) => typeof max === 'number' && max >= 0);
+
+    return {
+        weights: {
+            high: rules.weights?.high || DEFAULT_RULES.weights.high,
+            medium: rules.weights?.medium || DEFAULT_RULES.weights.medium,
+            low: rules.weights?.low || DEFAULT_RULES.weights.low,
+        },
+        titleSeparationMinutes: rules.titleSeparationMinutes ?? DEFAULT_RULES.titleSeparationMinutes,
+        artistSeparationMinutes: rules.artistSeparationMinutes ?? DEFAULT_RULES.artistSeparationMinutes,
+        categoryQuotas: Object.fromEntries(quotas),
+    };
+};
+
+/**
+ * A scheduler for one run (a generate or a clock render). Picks must be made in time order.
+ *
+ *   const scheduler = createTrackScheduler({ rules: resolveRules(station), random });
+ *   scheduler.seedHistory(tracks);
+ *   scheduler.reserve(openingTrack, loopEndsAt);
+ *   const { track, reason } = scheduler.pick({ at, pool: tracks, category });
+ */
+const createTrackScheduler = ({ rules = DEFAULT_RULES, random = Math.random } = {}) => {
+    const lastByTrack = new Map();
+    const lastByTitle = new Map();
+    const lastByArtist = new Map();
+    const categoryPlays = new Map();
+    // Reserved plays still to come - kept apart from history so they don't stand in for the last play
+    const nextByTitle = new Map();
+    const nextByArtist = new Map();
+
+    const record = (track, at) => {
+        const time = new Date(at).getTime();
+        const later = (map, key) => {
+            if (!(map.get(key) >= time)) map.set(key, time);
+        };
+        later(lastByTrack, trackKey(track));
+        later(lastByTitle, normalize(track.title));
+        const artist = normalize(track.artist);
+        if (!UNKNOWN_ARTISTS.has(artist)) later(lastByArtist, artist);
+        if (track.category) {
+            if (!categoryPlays.has(track.category)) categoryPlays.set(track.category, []);
+            categoryPlays.get(track.category).push(time);
+        }
+    };
+
+    // Start from what already aired
+    const seedHistory = (tracks) => {
+        for (const track of tracks) {
+            if (track.lastPlayedAt) record(track, track.lastPlayedAt);
+        }
+    };
+
+    // A play known to come at `at`; only title and artist separation look at these
+    const reserve = (track, at) => {
+        const time = new Date(at).getTime();
+        const earlier = (map, key) => {
+            if (!(map.get(key) <= time)) map.set(key, time);
+        };
+        earlier(nextByTitle, normalize(track.title));
+        const artist = normalize(track.artist);
+        if (!UNKNOWN_ARTISTS.has(artist)) earlier(nextByArtist, artist);
+    };
+
+    const clearReserved = () => {
+        nextByTitle.clear();
+        nextByArtist.clear();
+    };
+
+    const withinSeparation = (last, atMs, minutes) => last !== undefined && Math.abs(atMs - last) < minutes * 60000;
+
+    const categoryPlaysInHour = (category, atMs) => (categoryPlays.get(category) || [])
+        .filter(time => time > atMs - HOUR_MS && time <= atMs).length;
+
+    // Whether another `category` track fits its quota at `at`
+    const withinQuota = (category, at) => {
+        const max = rules.categoryQuotas[category];
+        return max === undefined || categoryPlaysInHour(category, new Date(at).getTime()) < max;
+    };
+
+    const blockedBy = (track, atMs, quotaFull) => {
+        const blocked = [];
+        const title = normalize(track.title);
+        const artist = normalize(track.artist);
+        if (withinSeparation(lastByTitle.get(title), atMs, rules.titleSeparationMinutes)
+            || withinSeparation(nextByTitle.get(title), atMs, rules.titleSeparationMinutes)) blocked.push('title');
+        if (withinSeparation(lastByArtist.get(artist), atMs, rules.artistSeparationMinutes)
+            || withinSeparation(nextByArtist.get(artist), atMs, rules.artistSeparationMinutes)) blocked.push('artist');
+        if (track.category) {
+            if (!quotaFull.has(track.category)) quotaFull.set(track.category, !withinQuota(track.category, atMs));
+            if (quotaFull.get(track.category)) blocked.push('quota');
+        }
+        return blocked;
+    };
+
+    const weightOf = (track, atMs) => {
+        const rotationWeight = rules.weights[track.rotation] || rules.weights.medium;
+        const last = lastByTrack.get(trackKey(track));
+        const restedHours = last === undefined ? FRESH_AFTER_HOURS : Math.max(0, atMs - last) / HOUR_MS;
+        return rotationWeight * (1 + Math.min(restedHours, FRESH_AFTER_HOURS) / FRESH_AFTER_HOURS);
+    };
+
+    /**
+     * Pick a track from `pool` (only `category` tracks when given) to start at `at`.
+     * Returns { track, reason } or null for an empty pool; the pick is recorded.
+     */
+    const pick = ({ at, pool, category = null }) => {
+        const atMs = new Date(at).getTime();
+        const candidates = category ? pool.filter(track => track.category === category) : pool;
+        if (!candidates.length) return null;
+
+        const quotaFull = new Map();
+        const checked = candidates.map(track => ({ track, blocked: blockedBy(track, atMs, quotaFull) }));
+
+        let relaxed = [];
+        let eligible = checked.filter(entry => !entry.blocked.length);
+        for (let i = 1; !eligible.length && i <= RELAX_ORDER.length; i++) {
+            relaxed = RELAX_ORDER.slice(0, i);
+            eligible = checked.filter(entry => entry.blocked.every(rule => relaxed.includes(rule)));
+        }
+
+        let track;
+        if (relaxed.includes('title')) {
+            // Nothing avoids a repeat - take whatever aired longest ago
+            track = eligible
+                .map(entry => entry.track)
+                .sort((a, b) => (lastByTrack.get(trackKey(a)) ?? -1) - (lastByTrack.get(trackKey(b)) ?? -1))[0];
+        } else {
+            const weights = eligible.map(entry => weightOf(entry.track, atMs));
+            let roll = random() * weights.reduce((sum, weight) => sum + weight, 0);
+            track = eligible[eligible.length - 1].track;
+            for (let i = 0; i < eligible.length; i++) {
+                roll -= weights[i];
+                if (roll < 0) {
+                    track = eligible[i].track;
+                    break;
+                }
+            }
+        }
+
+        const last = lastByTrack.get(trackKey(track));
+        const heldBack = Object.keys(RULE_LABELS)
+            .map(rule => [rule, checked.filter(entry => entry.blocked.includes(rule)).length])
+            .filter(([, count]) => count > 0)
+            .map(([rule, count]) => `${count} held back by ${RULE_LABELS[rule]}`);
+
+        const reason = [
+            `${track.rotation || 'medium'} rotation (weight ${rules.weights[track.rotation] || rules.weights.medium})`,
+            last === undefined ? 'not aired before' : (last <= atMs ? `last aired ${formatAgo(atMs - last)} before` : 'aired recently'),
+            `${eligible.length} of ${candidates.length}${category ? ` ${category}` : ''} tracks eligible${heldBack.length ? ` (${heldBack.join(', ')})` : ''}`,
+            relaxed.length
+                ? `relaxed ${relaxed.filter(rule => eligible.some(entry => entry.blocked.includes(rule))).map(rule => RULE_LABELS[rule]).join(', ')} - no track met every rule`
+                : null,
+        ].filter(Boolean).join('; ');
+
+        record(track, atMs);
+        return { track, reason };
+    };
+
+    return {
+        seedHistory,
+        record,
+        reserve,
+        clearReserved,
+        withinQuota,
+        pick,
+    };
+};
+
+module.exports = {
+    DEFAULT_RULES,
+    resolveRules,
+    createTrackScheduler,
+};
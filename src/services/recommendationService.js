@@ -0,0 +1,451 @@
+const mongoose = require('mongoose');
+const AppUser = require('../models/AppUser');
+const PlayEvent = require('../models/PlayEvent');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const LessonWatchProgress = require('../models/LessonWatchProgress');
+const Book = require('../models/Book');
+const BookSeries = require('../models/BookSeries');
+const Playlist = require('../models/Playlist');
+const Lesson = require('../models/Lesson');
+
+/**
+ * Personalised recommendations for one kid profile
+ *
+ * 1. History  - PlayEvent (plays + completion %), AnalyticsEvent (completes, likes,
+ *               favourites) and LessonWatchProgress for the profile. Plays recorded
+ *               before PlayEvent.kidProfileId existed count for an account's only kid
+ * 2. Taste    - category weights built from the items the kid engaged with most
+ * 3. Score    - age-appropriate candidates (the newest published books, episodes of
+ *               published playlists and lessons, plus anything the kid played, in a
+ *               series they read from or popular this week) get points for: next book in a series
+ *               they enjoyed, next episode of a playlist they enjoyed, unfinished
+ *               books, category overlap, and a small popularity boost
+ * 4. Mix      - ranked, with no more than two items of the same type in a row
+ *
+ * Every item carries the strongest signal behind it as a reason, e.g.
+ *   { code: 'series_next', text: 'Because you enjoyed Noah's Ark', basedOn: { type, id, title } }
+ */
+
+const HISTORY_DAYS = 90;
+const POPULAR_DAYS = 7;
+const MAX_STREAK = 2;
+// Newest items of each type considered on top of the ones the history points at
+const CANDIDATE_LIMITS = { book: 300, playlist: 100, lesson: 200 };
+
+const WEIGHTS = {
+    seriesNext: 6,
+    playlistNext: 5,
+    continueReading: 4,
+    category: 2,
+    popularity: 1,
+};
+
+// Analytics events that say "the kid liked this" and how much
+const EVENT_AFFINITY = {
+    book_read_complete: 3,
+    book_like: 2,
+    book_favorite: 3,
+    playlist_play: 1,
+    playlist_like: 2,
+    playlist_favorite: 3,
+    lesson_complete: 3,
+    devotional_complete: 1,
+};
+
+const LESSON_AGE_GROUPS = [
+    { group: '4-6', min: 4, max: 6 },
+    { group: '6-8', min: 6, max: 8 },
+    { group: '8-10', min: 8, max: 10 },
+    { group: '10-12', min: 10, max: 12 },
+];
+
+const normalizeCategory = (value) => String(value || '').trim().toLowerCase();
+
+const categoriesOf = (doc) => [...new Set([doc.category, ...(doc.categories || [])].map(normalizeCategory).filter(Boolean))];
+
+const episodeKey = (playlistId, itemIndex) => `${playlistId}:${itemIndex}`;
+
+/**
+ * Find the kid profile, its age and the account it belongs to
+ */
+const loadProfile = async (profileId) => {
+    if (!mongoose.Types.ObjectId.isValid(profileId)) return null;
+    const account = await AppUser.findOne({ 'kidProfiles._id': profileId })
+        .select('kidProfiles._id kidProfiles.name kidProfiles.age mergedAccountIds deviceId deviceIds')
+        .lean();
+    const profile = account?.kidProfiles.find(p => p._id.toString() === profileId);
+    return profile ? { id: profileId, name: profile.name, age: profile.age || null, account } : null;
+};
+
+/**
+ * Per-item engagement of the profile: Map<key, { type, id, plays, completion, affinity }>
+ * Keys: 'book:<id>', 'episode:<playlistId>:<index>', 'playlist:<id>', 'lesson:<id>'
+ */
+const loadHistory = async (profile) => {
+    const profileId = profile.id;
+    const { account } = profile;
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    const playsOf = [{ kidProfileId: profileId }];
+    if (account.kidProfiles.length === 1) {
+        const accountIds = [account._id.toString(), ...(account.mergedAccountIds || []), account.deviceId, ...(account.deviceIds || [])]
+            .filter(Boolean)
+            .map(String);
+        playsOf.push({ userId: { $in: accountIds }, kidProfileId: null });
+    }
+
+    const [plays, events, watched] = await Promise.all([
+        PlayEvent.aggregate([
+            { $match: { $or: playsOf, playedAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: { contentType: '$contentType', contentId: '$contentId', playlistId: '$playlistId', itemIndex: '$itemIndex' },
+                    plays: { $sum: { $cond: ['$isEngagementUpdate', 0, 1] } },
+                    completion: { $max: '$completionPercent' },
+                    lastPlayed: { $max: '$playedAt' },
+                },
+            },
+        ]),
+        AnalyticsEvent.find({
+            kidProfileId: profileId,
+            eventType: { $in: Object.keys(EVENT_AFFINITY) },
+            createdAt: { $gte: since },
+        }).select('eventType targetType targetId').lean(),
+        LessonWatchProgress.find({ profileId }).select('lessonId maxPercentWatched lastSeenAt').lean(),
+    ]);
+
+    const history = new Map();
+    const touch = (key, type, id, extra = {}) => {
+        const entry = history.get(key) || { type, id: String(id), plays: 0, completion: 0, affinity: 0, lastPlayed: null, ...extra };
+        history.set(key, entry);
+        return entry;
+    };
+
+    plays.forEach(({ _id, plays: count, completion, lastPlayed }) => {
+        const key = _id.contentType === 'episode'
+            ? `episode:${episodeKey(_id.playlistId, _id.itemIndex)}`
+            : `${_id.contentType}:${_id.contentId}`;
+        const entry = touch(key, _id.contentType, _id.contentId, _id.contentType === 'episode'
+            ? { playlistId: String(_id.playlistId), itemIndex: _id.itemIndex }
+            : {});
+        entry.plays += count;
+        entry.completion = Math.max(entry.completion, completion || 0);
+        entry.lastPlayed = lastPlayed;
+    });
+
+    events.forEach(event => {
+        if (!event.targetId || !['book', 'playlist', 'lesson'].includes(event.targetType)) return;
+        const entry = touch(`${event.targetType}:${event.targetId}`, event.targetType, event.targetId);
+        entry.affinity += EVENT_AFFINITY[event.eventType];
+        if (event.eventType === 'book_read_complete' || event.eventType === 'lesson_complete') {
+            entry.completion = 100;
+        }
+    });
+
+    watched.forEach(progress => {
+        // maxPercentWatched is stored as a 0-1 fraction
+        const entry = touch(`lesson:${progress.lessonId}`, 'lesson', progress.lessonId);
+        entry.completion = Math.max(entry.completion, Math.round((progress.maxPercentWatched || 0) * 100));
+        entry.lastPlayed = progress.lastSeenAt;
+    });
+
+    // One number per item: plays, how far they got, and explicit likes
+    history.forEach(entry => {
+        entry.score = entry.plays + entry.completion / 50 + entry.affinity;
+    });
+
+    return history;
+};
+
+const loadPopularity = async () => {
+    const since = new Date(Date.now() - POPULAR_DAYS * 24 * 60 * 60 * 1000);
+    const rows = await PlayEvent.aggregate([
+        { $match: { playedAt: { $gte: since }, isEngagementUpdate: { $ne: true } } },
+        { $group: { _id: { contentType: '$contentType', contentId: '$contentId', playlistId: '$playlistId', itemIndex: '$itemIndex' }, plays: { $sum: 1 } } },
+        { $sort: { plays: -1 } },
+        { $limit: 200 },
+    ]);
+    const maxPlays = rows[0]?.plays || 1;
+    const popularity = new Map();
+    rows.forEach(({ _id, plays }) => {
+        const key = _id.contentType === 'episode'
+            ? `episode:${episodeKey(_id.playlistId, _id.itemIndex)}`
+            : `${_id.contentType}:${_id.contentId}`;
+        popularity.set(key, plays / maxPlays);
+    });
+    return popularity;
+};
+
+const isAgeAppropriate = (minAge, age) => !age || !minAge || minAge <= age;
+
+const idsOfType = (keys, type) => [...new Set(keys
+    .filter(key => key.startsWith(`${type}:`))
+    .map(key => key.split(':')[1])
+    .filter(id => mongoose.Types.ObjectId.isValid(id)))];
+
+/**
+ * The newest `limit` documents matching filter + ageFilter, plus the ones in `ids`
+ * (whatever the kid played or is likely next) whatever their age
+ */
+const loadCandidates = async (Model, { filter, ageFilter = {}, select, ids, limit }) => {
+    const [newest, referenced] = await Promise.all([
+        Model.find({ ...filter, ...ageFilter }).select(select).sort({ createdAt: -1 }).limit(limit).lean(),
+        ids.length ? Model.find({ ...filter, _id: { $in: ids } }).select(select).lean() : [],
+    ]);
+    const byId = new Map(newest.map(doc => [doc._id.toString(), doc]));
+    referenced.forEach(doc => byId.set(doc._id.toString(), doc));
+    return [...byId.values()];
+};
+
+const lessonGroupsForAge = (age) => {
+    if (!age) return null;
+    return ['all', ...LESSON_AGE_GROUPS.filter(g => age >= g.min && age <= g.max).map(g => g.group)];
+};
+
+/**
+ * Build ranked recommendations for a profile (from loadProfile)
+ */
+const getRecommendations = async (profile, { limit = 20, age: ageOverride } = {}) => {
+    const profileId = profile.id;
+    const age = ageOverride || profile.age;
+
+    const [history, popularity, seriesList] = await Promise.all([
+        loadHistory(profile),
+        loadPopularity(),
+        BookSeries.find({ status: 'published' }).select('title books.book books.order minAge maxAge').lean(),
+    ]);
+
+    // Besides the newest items: everything played, popular this week, or in a series the kid read from
+    const keys = [...history.keys(), ...popularity.keys()];
+    const historyBookIds = new Set(idsOfType([...history.keys()], 'book'));
+    const seriesBookIds = seriesList
+        .filter(series => series.books.some(entry => historyBookIds.has(entry.book.toString())))
+        .flatMap(series => series.books.map(entry => entry.book.toString()));
+    const playlistIds = [...new Set([
+        ...idsOfType(keys, 'playlist'),
+        ...keys.filter(key => key.startsWith('episode:')).map(key => key.split(':')[1]),
+    ])].filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    const minAgeFilter = age ? { $or: [{ minAge: { $lte: age } }, { minAge: null }] } : {};
+    const ageGroups = lessonGroupsForAge(age);
+
+    const [books, playlists, lessons] = await Promise.all([
+        loadCandidates(Book, {
+            filter: { status: 'published' },
+            ageFilter: minAgeFilter,
+            select: 'title author minAge category categories files.coverImage isMembersOnly',
+            ids: [...new Set([...idsOfType(keys, 'book'), ...seriesBookIds])],
+            limit: CANDIDATE_LIMITS.book,
+        }),
+        loadCandidates(Playlist, {
+            filter: { status: 'published' },
+            ageFilter: minAgeFilter,
+            select: 'title author category categories coverImage type minAge isMembersOnly items._id items.title items.coverImage items.duration items.isMembersOnly',
+            ids: playlistIds,
+            limit: CANDIDATE_LIMITS.playlist,
+        }),
+        loadCandidates(Lesson, {
+            filter: { status: { $in: ['published', 'scheduled'] } },
+            ageFilter: ageGroups ? { $or: [{ ageGroup: { $in: ageGroups } }, { ageGroup: null }] } : {},
+            select: 'title type ageGroup video.thumbnail episodes.thumbnail',
+            ids: idsOfType(keys, 'lesson'),
+            limit: CANDIDATE_LIMITS.lesson,
+        }),
+    ]);
+
+    const bookMap = new Map(books.map(b => [b._id.toString(), b]));
+    const playlistMap = new Map(playlists.map(p => [p._id.toString(), p]));
+    const lessonMap = new Map(lessons.map(l => [l._id.toString(), l]));
+
+    // Titles for "because you enjoyed X"
+    const describe = (entry) => {
+        if (entry.type === 'book') return bookMap.get(entry.id)?.title;
+        if (entry.type === 'playlist') return playlistMap.get(entry.id)?.title;
+        if (entry.type === 'lesson') return lessonMap.get(entry.id)?.title;
+        if (entry.type === 'episode') return playlistMap.get(entry.playlistId)?.items?.[entry.itemIndex]?.title;
+        return null;
+    };
+
+    const enjoyed = [...history.values()]
+        .filter(entry => entry.score > 0 && describe(entry))
+        .sort((a, b) => b.score - a.score);
+
+    // Category taste: weight of each category + the item that contributed most to it
+    const taste = new Map();
+    enjoyed.forEach(entry => {
+        let doc = null;
+        if (entry.type === 'book') doc = bookMap.get(entry.id);
+        else if (entry.type === 'playlist') doc = playlistMap.get(entry.id);
+        else if (entry.type === 'episode') doc = playlistMap.get(entry.playlistId);
+        let categories = doc ? categoriesOf(doc) : [];
+        if (entry.type === 'lesson') {
+            const lesson = lessonMap.get(entry.id);
+            categories = lesson ? [normalizeCategory(lesson.type)] : [];
+        }
+        categories.forEach(category => {
+            const current = taste.get(category) || { weight: 0, source: entry };
+            current.weight += entry.score;
+            taste.set(category, current);
+        });
+    });
+    const maxTaste = Math.max(1, ...[...taste.values()].map(t => t.weight));
+
+    const reasonFrom = (code, entry, text) => ({
+        code,
+        text: text || `Because you enjoyed ${describe(entry)}`,
+        basedOn: entry ? { type: entry.type, id: entry.id, title: describe(entry) } : null,
+    });
+
+    const candidates = [];
+    const consider = (candidate, signals) => {
+        if (signals.length === 0) return;
+        signals.sort((a, b) => b.score - a.score);
+        candidate.score = Math.round(signals.reduce((sum, s) => sum + s.score, 0) * 100) / 100;
+        candidate.reason = signals[0].reason;
+        candidates.push(candidate);
+    };
+
+    const categorySignal = (categories) => {
+        const best = categories
+            .map(category => ({ category, taste: taste.get(category) }))
+            .filter(c => c.taste)
+            .sort((a, b) => b.taste.weight - a.taste.weight)[0];
+        if (!best) return null;
+        return {
+            score: WEIGHTS.category * (best.taste.weight / maxTaste),
+            reason: reasonFrom('category', best.taste.source),
+        };
+    };
+
+    const popularitySignal = (key) => {
+        const value = popularity.get(key);
+        return value ? { score: WEIGHTS.popularity * value, reason: reasonFrom('popular', null, 'Popular with kids this week') } : null;
+    };
+
+    // Next unread book of every series the kid enjoyed a book from
+    const seriesNext = new Map();
+    seriesList.forEach(series => {
+        const ordered = [...series.books].sort((a, b) => a.order - b.order).map(b => b.book.toString());
+        const enjoyedInSeries = ordered
+            .map(id => history.get(`book:${id}`))
+            .filter(entry => entry && entry.score > 0);
+        if (enjoyedInSeries.length === 0) return;
+        const next = ordered.find(id => (history.get(`book:${id}`)?.completion || 0) < 90);
+        if (next) {
+            const best = enjoyedInSeries.sort((a, b) => b.score - a.score)[0];
+            seriesNext.set(next, reasonFrom('series_next', best, `Next in ${series.title} - because you enjoyed ${describe(best)}`));
+        }
+    });
+
+    // Books
+    books.forEach(book => {
+        const id = book._id.toString();
+        if (!isAgeAppropriate(book.minAge, age)) return;
+        const own = history.get(`book:${id}`);
+        if (own && own.completion >= 90) return; // Already read
+
+        const signals = [];
+        if (seriesNext.has(id)) signals.push({ score: WEIGHTS.seriesNext, reason: seriesNext.get(id) });
+        if (own && own.completion >= 10) {
+            signals.push({ score: WEIGHTS.continueReading, reason: reasonFrom('continue', own, `Pick up where you left off in ${book.title}`) });
+        }
+        const category = categorySignal(categoriesOf(book));
+        if (category) signals.push(category);
+        const popular = popularitySignal(`book:${id}`);
+        if (popular) signals.push(popular);
+
+        consider({
+            type: 'book',
+            id,
+            title: book.title,
+            author: book.author,
+            coverImage: book.files?.coverImage || null,
+            isMembersOnly: !!book.isMembersOnly,
+        }, signals);
+    });
+
+    // Episodes - the next unplayed episode of each playlist, plus category/popular matches
+    playlists.forEach(playlist => {
+        const playlistId = playlist._id.toString();
+        if (!isAgeAppropriate(playlist.minAge, age)) return;
+        const items = playlist.items || [];
+
+        const playedHere = [...history.values()].filter(e => e.type === 'episode' && e.playlistId === playlistId && e.score > 0);
+        const bestPlayed = playedHere.sort((a, b) => b.score - a.score)[0];
+        const playlistCategory = categorySignal(categoriesOf(playlist));
+
+        items.forEach((item, itemIndex) => {
+            const own = history.get(`episode:${episodeKey(playlistId, itemIndex)}`);
+            if (own && own.completion >= 90) return;
+
+            const signals = [];
+            if (bestPlayed && playlist.type === 'Audiobook' && itemIndex === bestPlayed.itemIndex + 1) {
+                signals.push({ score: WEIGHTS.playlistNext, reason: reasonFrom('playlist_next', bestPlayed, `Next in ${playlist.title} - because you enjoyed ${describe(bestPlayed)}`) });
+            }
+            if (own && own.completion >= 10) {
+                signals.push({ score: WEIGHTS.continueReading, reason: reasonFrom('continue', own, `Finish listening to ${item.title}`) });
+            }
+            if (playlistCategory) signals.push(playlistCategory);
+            const popular = popularitySignal(`episode:${episodeKey(playlistId, itemIndex)}`);
+            if (popular) signals.push(popular);
+
+            consider({
+                type: 'episode',
+                id: item._id.toString(),
+                playlistId,
+                itemIndex,
+                title: item.title,
+                playlistTitle: playlist.title,
+                coverImage: item.coverImage || playlist.coverImage || null,
+                duration: item.duration || null,
+                isMembersOnly: !!(playlist.isMembersOnly || item.isMembersOnly),
+            }, signals);
+        });
+    });
+
+    // Lessons
+    lessons.forEach(lesson => {
+        const id = lesson._id.toString();
+        if (ageGroups && !ageGroups.includes(lesson.ageGroup || 'all')) return;
+        const own = history.get(`lesson:${id}`);
+        if (own && own.completion >= 50) return; // Same "seen" threshold as the lesson planner
+
+        const signals = [];
+        const category = categorySignal([normalizeCategory(lesson.type)]);
+        if (category) signals.push(category);
+        const popular = popularitySignal(`lesson:${id}`);
+        if (popular) signals.push(popular);
+
+        consider({
+            type: 'lesson',
+            id,
+            title: lesson.title,
+            lessonType: lesson.type,
+            coverImage: lesson.video?.thumbnail || lesson.episodes?.[0]?.thumbnail || null,
+        }, signals);
+    });
+
+    // Rank, keeping the mix varied
+    candidates.sort((a, b) => b.score - a.score);
+    const ranked = [];
+    const remaining = [...candidates];
+    while (ranked.length < limit && remaining.length > 0) {
+        const recentTypes = ranked.slice(-MAX_STREAK).map(item => item.type);
+        const streakType = recentTypes.length === MAX_STREAK && recentTypes.every(t => t === recentTypes[0]) ? recentTypes[0] : null;
+        const index = remaining.findIndex(item => item.type !== streakType);
+        ranked.push(remaining.splice(index === -1 ? 0 : index, 1)[0]);
+    }
+
+    return {
+        profileId,
+        age: age || null,
+        generatedAt: new Date(),
+        basedOn: enjoyed.slice(0, 5).map(entry => ({ type: entry.type, id: entry.id, title: describe(entry) })),
+        items: ranked.map((item, index) => ({ rank: index + 1, ...item })),
+    };
+};
+
+module.exports = {
+    loadProfile,
+    getRecommendations,
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const PendingPurchase = require('../models/PendingPurchase');
+const { recordEntitlementEvent } = require('./entitlementService');
+
+/**
+ * RevenueCat webhooks
+ *
+ * Deliveries must carry the Authorization header configured in the RevenueCat
+ * dashboard (REVENUECAT_WEBHOOK_AUTH). Each accepted delivery is stored in
+ * WebhookEvent by event id, so retries of an event we already handled are only
+ * acknowledged. Entitlement changes go to the ledger with the event timestamp,
+ * which keeps late deliveries from overriding newer state.
+ *
+ * Stored events can be replayed against the current mapping (after a bug fix);
+ * replays rewrite the ledger entry the event created.
+ */
+
+const WEBHOOK_AUTH = process.env.REVENUECAT_WEBHOOK_AUTH;
+const PENDING_PURCHASE_TTL_MS = 60 * 60 * 1000;
+const MAX_REPLAY = 1000;
+
+// RevenueCat event type -> ledger entry (CANCELLATION only turns off auto-renew;
+// access continues until expiration_at_ms)
+const REVENUECAT_EVENTS = {
+    INITIAL_PURCHASE: { type: 'purchase', status: 'active' },
+    RENEWAL: { type: 'renewal', status: 'active' },
+    PRODUCT_CHANGE: { type: 'product_change', status: 'active' },
+    RESTORE: { type: 'restore', status: 'active' },
+    UNCANCELLATION: { type: 'uncancellation', status: 'active' },
+    CANCELLATION: { type: 'cancellation', status: 'cancelled' },
+    BILLING_ISSUE: { type: 'billing_issue', status: 'active' },
+    EXPIRATION: { type: 'expiration', status: 'expired' },
+};
+
+const toDate = (ms) => (ms ? new Date(Number(ms)) : null);
+
+/**
+ * Compare the Authorization header with the configured secret (with or without "Bearer ")
+ * Returns { ok } or { ok: false, status, message }
+ */
+const verifyWebhookAuthorization = (header) => {
+    if (!WEBHOOK_AUTH) {
+        return { ok: false, status: 503, message: 'RevenueCat webhook authorization is not configured' };
+    }
+    const strip = (value) => String(value || '').replace(/^Bearer\s+/i, '');
+    const expected = Buffer.from(strip(WEBHOOK_AUTH));
+    const received = Buffer.from(strip(header));
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return { ok: false, status: 401, message: 'Invalid webhook authorization' };
+    }
+    return { ok: true };
+};
+
+// The fields we use from a webhook body ({ api_version, event: {...} })
+const parseEvent = (body) => {
+    const event = body?.event || body || {};
+    return {
+        id: event.id ? String(event.id) : null,
+        type: event.type,
+        // Our own id for the subscriber (first alias) when RevenueCat has one
+        externalId: event.aliases?.[0] || event.app_user_id,
+        productId: event.product_id,
+        periodType: event.period_type,
+        purchasedAt: toDate(event.purchased_at_ms),
+        expiresAt: toDate(event.expiration_at_ms),
+        occurredAt: toDate(event.event_timestamp_ms),
+        // Always in USD (negative for refunds); price_in_purchased_currency is the store's
+        price: typeof event.price === 'number' ? event.price : null,
+        raw: event,
+    };
+};
+
+// Polled purchase state only ever moves forward in event time
+const updatePendingPurchase = async (externalId, state, eventAt) => {
+    try {
+        await PendingPurchase.updateOne(
+            { externalId, eventAt: { $lte: eventAt } },
+            { $set: { ...state, eventAt, expiresAt: new Date(Date.now() + PENDING_PURCHASE_TTL_MS) } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // The upsert hit an entry set by a newer event - keep it
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Apply one parsed event. Returns { outcome: 'processed' | 'ignored', mapped, entitlement }
+ */
+const applyEvent = async (parsed, { replay = false } = {}) => {
+    const mapped = REVENUECAT_EVENTS[parsed.type];
+    if (!mapped) {
+        return { outcome: 'ignored', mapped: null, entitlement: null };
+    }
+
+    // Trials come through as INITIAL_PURCHASE with period_type TRIAL
+    const status = mapped.status === 'active' && parsed.periodType === 'TRIAL' ? 'trial' : mapped.status;
+    const eventAt = parsed.occurredAt || new Date();
+
+    // Replays are old news for the app's post-purchase polling
+    if (!replay && mapped.status !== 'cancelled') {
+        await updatePendingPurchase(parsed.externalId, mapped.status === 'active'
+            ? { status: 'active', productId: parsed.productId, expirationDate: parsed.expiresAt }
+            : { status: 'expired' }, eventAt);
+    }
+
+    const { entitlement, duplicate } = await recordEntitlementEvent({
+        identifier: parsed.externalId,
+        source: 'revenuecat',
+        type: mapped.type,
+        status,
+        productId: parsed.productId,
+        startsAt: parsed.purchasedAt,
+        expiresAt: parsed.expiresAt,
+        occurredAt: eventAt,
+        amount: parsed.price,
+        currency: 'USD',
+        externalEventId: parsed.id,
+        raw: parsed.raw,
+        replace: replay,
+    });
+    if (!entitlement && !duplicate) {
+        console.log(`⚠️ No account found for: ${parsed.externalId}, event kept in the ledger`);
+    }
+
+    return { outcome: 'processed', mapped: { ...mapped, status }, entitlement };
+};
+
+/**
+ * Store and process one webhook delivery. Returns { status, body } for the response -
+ * failures answer 500 so RevenueCat retries the delivery.
+ */
+const handleWebhook = async (body) => {
+    const parsed = parseEvent(body);
+    if (!parsed.id || !parsed.type) {
+        return { status: 400, body: { message: 'Webhook event id and type are required' } };
+    }
+
+    console.log(`📦 RevenueCat ${parsed.type} ${parsed.id} for ${parsed.externalId}`);
+
+    const stored = await WebhookEvent.findOneAndUpdate(
+        { provider: 'revenuecat', eventId: parsed.id },
+        {
+            $setOnInsert: {
+                eventType: parsed.type,
+                appUserId: parsed.externalId,
+                occurredAt: parsed.occurredAt,
+                payload: body,
+            },
+            $inc: { deliveries: 1 },
+        },
+        { upsert: true, new: true }
+    );
+
+    if (['processed', 'ignored'].includes(stored.status)) {
+        console.log(`ℹ️ RevenueCat event ${parsed.id} already handled (delivery ${stored.deliveries})`);
+        return { status: 200, body: { received: true, duplicate: true } };
+    }
+
+    try {
+        const { outcome } = await applyEvent(parsed);
+        stored.status = outcome;
+        stored.processedAt = new Date();
+        stored.lastError = null;
+        await stored.save();
+
+        if (outcome === 'ignored') console.log(`ℹ️ Unhandled event type: ${parsed.type}`);
+        return { status: 200, body: { received: true } };
+    } catch (error) {
+        console.error(`❌ RevenueCat event ${parsed.id} failed:`, error);
+        stored.status = 'failed';
+        stored.lastError = error.message;
+        await stored.save();
+        return { status: 500, body: { received: true, error: 'Event processing failed' } };
+    }
+};
+
+/**
+ * Re-run stored events (oldest first) through the current mapping.
+ * Filters: eventIds, appUserId, since, until, status. dryRun only reports the mapping.
+ * Returns { matched, replayed, failed, results }
+ */
+const replayEvents = async ({ eventIds, appUserId, since, until, status, limit, dryRun = false }) => {
+    const filter = { provider: 'revenuecat' };
+    if (eventIds?.length) filter.eventId = { $in: eventIds.map(String) };
+    if (appUserId) filter.appUserId = appUserId;
+    if (status) filter.status = status;
+    if (since || until) {
+        filter.occurredAt = {};
+        if (since) filter.occurredAt.$gte = new Date(since);
+        if (until) filter.occurredAt.$lte = new Date(until);
+    }
+
+    const events = await WebhookEvent.find(filter)
+        .sort({ occurredAt: 1, createdAt: 1 })
+        .limit(Math.min(parseInt(limit) || 100, MAX_REPLAY));
+
+    const summary = { matched: events.length, replayed: 0, failed: 0, results: [] };
+
+    for (const stored of events) {
+        const parsed = parseEvent(stored.payload);
+        const base = { eventId: stored.eventId, type: parsed.type, appUserId: parsed.externalId, occurredAt: parsed.occurredAt };
+
+        if (dryRun) {
+            summary.results.push({ ...base, wouldApply: REVENUECAT_EVENTS[parsed.type] || null });
+            continue;
+        }
+
+        try {
+            const { outcome, mapped, entitlement } = await applyEvent(parsed, { replay: true });
+            stored.status = outcome;
+            stored.processedAt = new Date();
+            stored.lastError = null;
+            summary.replayed++;
+            summary.results.push({ ...base, outcome, applied: mapped, isEntitled: entitlement ? entitlement.isEntitled : null });
+        } catch (error) {
+            stored.status = 'failed';
+            stored.lastError = error.message;
+            summary.failed++;
+            summary.results.push({ ...base, outcome: 'failed', error: error.message });
+        }
+        stored.replayCount = (stored.replayCount || 0) + 1;
+        stored.lastReplayedAt = new Date();
+        await stored.save();
+    }
+
+    if (!dryRun) {
+        console.log(`🔁 RevenueCat replay: ${summary.replayed} replayed, ${summary.failed} failed of ${summary.matched}`);
+    }
+    return summary;
+};
+
+/**
+ * Latest polled purchase state for a subscriber (null when none in the last hour)
+ */
+const getPendingPurchase = (externalId) => PendingPurchase.findOne({ externalId, expiresAt: { $gt: new Date() } }).lean();
+
+/**
+ * Mark a subscriber as just-purchased (admin testing)
+ */
+const setTestPurchase = (externalId) => updatePendingPurchase(externalId, { status: 'active', productId: 'test' }, new Date());
+
+module.exports = {
+    REVENUECAT_EVENTS,
+    verifyWebhookAuthorization,
+    handleWebhook,
+    replayEvents,
+    getPendingPurchase,
+    setTestPurchase,
+};
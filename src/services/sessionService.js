@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { JWT_SECRET, forgetSessionStatus } = require('../middleware/auth');
+
+const ACCESS_TOKEN_TTL = '1h';
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign an access/refresh pair bound to a session.
+ * Refresh tokens are tagged so the auth middleware never accepts them as access tokens.
+ */
+const signTokens = (payload, session) => {
+    const accessToken = jwt.sign(
+        { user: payload.user, sid: session.id },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = jwt.sign(
+        { user: payload.user, sid: session.id, jti: session.currentTokenId, tokenType: 'refresh' },
+        JWT_SECRET,
+        { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+    );
+
+    return { accessToken, refreshToken };
+};
+
+/**
+ * Create a session for a freshly authenticated user and return its token pair
+ */
+const createSession = async (payload, req, deviceInfo) => {
+    const session = await Session.create({
+        userId: payload.user.id,
+        role: payload.user.role || 'parent',
+        deviceId: payload.user.deviceId || deviceInfo?.deviceId || undefined,
+        deviceInfo: deviceInfo || undefined,
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip,
+        currentTokenId: newTokenId(),
+        expiresAt: refreshExpiry(),
+    });
+
+    return { ...signTokens(payload, session), sessionId: session.id };
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    forgetSessionStatus(sessionId);
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one (the caller's)
+ */
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'logout_all' } = {}) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+    forgetSessionStatus();
+    return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new pair (rotation).
+ * Presenting a refresh token that was already rotated means it leaked -
+ * the whole session is revoked and the caller has to sign in again.
+ */
+const rotateSession = async (refreshToken, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, JWT_SECRET);
+    } catch (error) {
+        return {
+            success: false,
+            code: error.name === 'TokenExpiredError' ? 'REFRESH_TOKEN_EXPIRED' : 'INVALID_REFRESH_TOKEN',
+            message: 'Invalid or expired refresh token',
+        };
+    }
+
+    // Tokens issued before sessions existed can't be rotated
+    if (decoded.tokenType !== 'refresh' || !decoded.sid || !decoded.jti) {
+        return { success: false, code: 'INVALID_REFRESH_TOKEN', message: 'Please sign in again' };
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || session.revokedAt) {
+        return { success: false, code: 'SESSION_REVOKED', message: 'Session has been signed out' };
+    }
+
+    // Refresh the role from the account so promotions/demotions apply on next refresh
+    const payload = { user: { ...decoded.user } };
+    if (mongoose.Types.ObjectId.isValid(payload.user.id)) {
+        const user = await User.findById(payload.user.id).select('role adminRole');
+        if (!user) {
+            await revokeSession(session.id, 'account_missing');
+            return { success: false, code: 'SESSION_REVOKED', message: 'Account no longer exists' };
+        }
+        payload.user.role = user.role || 'parent';
+        payload.user.adminRole = user.role === 'admin' ? user.adminRole || undefined : undefined;
+    }
+
+    // Atomic compare-and-swap on the token id so two concurrent refreshes can't both win
+    const nextTokenId = newTokenId();
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, currentTokenId: decoded.jti, revokedAt: null },
+        {
+            $set: {
+                currentTokenId: nextTokenId,
+                lastUsedAt: new Date(),
+                expiresAt: refreshExpiry(),
+                role: payload.user.role || session.role,
+                ipAddress: req.ip,
+            },
+            $inc: { rotationCount: 1 },
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        console.warn(`🚨 Refresh token reuse detected for session ${session.id} (user ${session.userId}) - revoking`);
+        await revokeSession(session.id, 'token_reuse');
+        return { success: false, code: 'TOKEN_REUSE', message: 'Refresh token already used - please sign in again' };
+    }
+
+    return { success: true, ...signTokens(payload, rotated), sessionId: rotated.id };
+};
+
+/**
+ * Resolve the session id from a refresh token without requiring it to be current
+ */
+const getSessionIdFromRefreshToken = (refreshToken) => {
+    try {
+        const decoded = jwt.verify(refreshToken, JWT_SECRET, { ignoreExpiration: true });
+        return decoded.tokenType === 'refresh' ? decoded.sid || null : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * The active anonymous session `sessionId` if it was opened for `deviceId`, else null
+ */
+const findDeviceSession = async (sessionId, deviceId) => {
+    if (!deviceId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return Session.findOne({
+        _id: sessionId,
+        role: 'anonymous',
+        deviceId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+/**
+ * Check a guest access token (from /sign-in/skip) as proof that the caller holds `deviceId`.
+ * Returns its active anonymous session, or null.
+ */
+const verifyDeviceToken = async (deviceToken, deviceId) => {
+    if (!deviceToken || !deviceId) return null;
+
+    let decoded;
+    try {
+        decoded = jwt.verify(deviceToken, JWT_SECRET);
+    } catch {
+        return null;
+    }
+    if (decoded.tokenType === 'refresh' || decoded.user?.deviceId !== deviceId) return null;
+
+    return findDeviceSession(decoded.sid, deviceId);
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    getSessionIdFromRefreshToken,
+    findDeviceSession,
+    verifyDeviceToken,
+};
@@ -0,0 +1,704 @@
+const axios = require('axios');
+const textToSpeech = require('@google-cloud/text-to-speech');
+const Voice = require('../models/Voice');
+
+/**
+ * Text-to-speech engines behind one interface, used by services/ttsService.js.
+ *
+ * A provider is { name, isConfigured(), defaultVoice, defaultVoiceFor?(languageCode), synthesize(request), stream?(request, onChunk) }
+ * where request = { text, voiceId, languageCode, signal, pitch, speakingRate } (pitch and
+ * speakingRate are Google-only). Both resolve to
+ * { audio: Buffer, contentType, alignment } with alignment normalized by normalizeAlignment,
+ * whichever engine produced it:
+ *   { words: [{ word, start, end }], characters: { characters, start, end }, isEstimated, provider }
+ *
+ * - elevenlabs: the app's narration voices, character timings from /with-timestamps
+ * - google:     Cloud TTS; word timings from SSML marks where the voice supports them
+ * - local:      offline tone generator (WAV) with exact timings, for tests and development
+ *
+ * Each voice picks its provider on the Voice model (provider, providerVoiceId, fallbacks);
+ * fallbacks without their own voice use the provider's default voice for the request's language.
+ * When a provider errors the next one in the chain is tried; quota/rate-limit errors also
+ * bench the provider for QUOTA_COOLDOWN_MS so requests don't keep hitting it.
+ */
+
+const PROVIDER_NAMES = ['elevenlabs', 'google', 'local'];
+const QUOTA_COOLDOWN_MS = 15 * 60 * 1000;
+const ESTIMATED_SECONDS_PER_WORD = 0.4;
+
+class TtsProviderError extends Error {
+    constructor(provider, message, { status = null, quota = false } = {}) {
+        super(message);
+        this.name = 'TtsProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.quota = quota;
+    }
+}
+
+// ===========================================
+// ALIGNMENT
+// ===========================================
+
+// Words of `text` with their character offsets
+const wordSpans = (text) => [...text.matchAll(/\S+/g)].map(match => ({
+    word: match[0],
+    from: match.index,
+    to: match.index + match[0].length,
+}));
+
+/**
+ * Process ElevenLabs character-level alignment into word-level timing
+ * @param {string} text - The original text that was sent to TTS
+ * @param {object} alignment - ElevenLabs alignment object with characters and timing arrays
+ * @returns {object} - Word-level alignment data
+ */
+const processAlignmentToWords = (text, alignment) => {
+    if (!alignment || !alignment.characters || !alignment.character_start_times_seconds) {
+        console.warn('⚠️ No valid alignment data received');
+        // Fallback to estimated timing
+        const words = text.split(/\s+/).filter(w => w.length > 0);
+        return {
+            words: words.map((word, index) => ({
+                word,
+                start: index * ESTIMATED_SECONDS_PER_WORD,
+                end: (index + 1) * ESTIMATED_SECONDS_PER_WORD
+            })),
+            isEstimated: true
+        };
+    }
+
+    const { characters, character_start_times_seconds, character_end_times_seconds } = alignment;
+
+    // Build word-level timing from character timing
+    const words = [];
+    let currentWord = '';
+    let wordStartTime = null;
+    let wordEndTime = null;
+
+    for (let i = 0; i < characters.length; i++) {
+        const char = characters[i];
+        const startTime = character_start_times_seconds[i];
+        const endTime = character_end_times_seconds[i];
+
+        // Check if this is a word boundary (space, newline, or punctuation followed by space)
+        if (char === ' ' || char === '\n' || char === '\t') {
+            // End current word if we have one
+            if (currentWord.trim().length > 0) {
+                words.push({
+                    word: currentWord.trim(),
+                    start: wordStartTime,
+                    end: wordEndTime
+                });
+            }
+            currentWord = '';
+            wordStartTime = null;
+            wordEndTime = null;
+        } else {
+            // Add character to current word
+            if (wordStartTime === null) {
+                wordStartTime = startTime;
+            }
+            wordEndTime = endTime;
+            currentWord += char;
+        }
+    }
+
+    // Don't forget the last word
+    if (currentWord.trim().length > 0) {
+        words.push({
+            word: currentWord.trim(),
+            start: wordStartTime,
+            end: wordEndTime
+        });
+    }
+
+    console.log('📊 Processed alignment:', {
+        totalCharacters: characters.length,
+        totalWords: words.length,
+        firstWord: words[0],
+        lastWord: words[words.length - 1]
+    });
+
+    return {
+        words,
+        isEstimated: false
+    };
+};
+
+// Spread each word's time evenly over its characters; spaces fill the gap to the next word
+const charactersFromWords = (text, words) => {
+    const spans = wordSpans(text);
+    const characters = [...text];
+    const start = new Array(characters.length).fill(0);
+    const end = new Array(characters.length).fill(0);
+
+    // Offsets from matchAll are UTF-16 - walk code points alongside them
+    let unit = 0;
+    let spanIndex = 0;
+    let previousEnd = 0;
+    characters.forEach((char, i) => {
+        while (spanIndex < spans.length && unit >= spans[spanIndex].to) {
+            previousEnd = words[spanIndex]?.end ?? previousEnd;
+            spanIndex++;
+        }
+        const span = spans[spanIndex];
+        const word = words[spanIndex];
+        if (span && word && unit >= span.from) {
+            const step = (word.end - word.start) / (span.to - span.from);
+            start[i] = word.start + (unit - span.from) * step;
+            end[i] = start[i] + step * char.length;
+        } else {
+            start[i] = previousEnd;
+            end[i] = word ? word.start : previousEnd;
+        }
+        unit += char.length;
+    });
+
+    return { characters, start, end };
+};
+
+// Guess word timings over `duration` seconds - longer words and sentence ends take longer
+const estimateWords = (text, duration) => {
+    const spans = wordSpans(text);
+    const weights = spans.map(({ word }) => word.length + (/[.!?]["')\]]?$/.test(word) ? 6 : /[,;:]$/.test(word) ? 3 : 1));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const secondsPerWeight = duration && total ? duration / total : ESTIMATED_SECONDS_PER_WORD / 6;
+
+    let time = 0;
+    return spans.map(({ word }, i) => {
+        const start = time;
+        time += weights[i] * secondsPerWeight;
+        // Leave the pause weight as silence after the word
+        const speaking = (word.length / weights[i]) * (time - start);
+        return { word, start, end: start + Math.max(speaking, 0.05) };
+    });
+};
+
+/**
+ * One alignment shape for every provider. Pass whatever the engine gave:
+ * - characters: { characters, start, end } (ElevenLabs)
+ * - words: [{ word, start, end }] (SSML marks, local engine)
+ * - neither: timings are estimated from `duration` (seconds, if known)
+ */
+const normalizeAlignment = (text, { characters = null, words = null, duration = null, provider, isEstimated = false } = {}) => {
+    if (characters?.characters?.length) {
+        const { words: fromCharacters } = processAlignmentToWords(text, {
+            characters: characters.characters,
+            character_start_times_seconds: characters.start,
+            character_end_times_seconds: characters.end,
+        });
+        return { words: fromCharacters, characters, isEstimated, provider };
+    }
+
+    const estimated = !words?.length;
+    const timedWords = estimated ? estimateWords(text, duration) : words;
+    return {
+        words: timedWords,
+        characters: charactersFromWords(text, timedWords),
+        isEstimated: isEstimated || estimated,
+        provider,
+    };
+};
+
+// Bitrates (kbps) by header index for MPEG-1 and MPEG-2/2.5 Layer III
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+/**
+ * Length of a constant-bitrate MP3 in seconds, from its first frame header (null if unknown).
+ * Both ElevenLabs and Google return CBR audio.
+ */
+const mp3Duration = (buffer) => {
+    let offset = 0;
+    if (buffer.length > 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+        const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+        offset = 10 + size;
+    }
+    for (; offset < buffer.length - 4; offset++) {
+        const isFrameSync = buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0;
+        const isLayer3 = ((buffer[offset + 1] >> 1) & 0x03) === 1;
+        if (!isFrameSync || !isLayer3) continue;
+
+        const version = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG-1
+        const bitrate = MP3_BITRATES[version === 3 ? 1 : 2][buffer[offset + 2] >> 4];
+        if (bitrate) return ((buffer.length - offset) * 8) / (bitrate * 1000);
+    }
+    return null;
+};
+
+// ===========================================
+// ELEVENLABS
+// ===========================================
+
+// Use multilingual model for non-English languages
+const elevenLabsModel = (languageCode) => (languageCode && languageCode !== 'en' ? 'eleven_multilingual_v2' : 'eleven_v3');
+
+const elevenLabsRequest = (text, languageCode) => ({
+    text,
+    model_id: elevenLabsModel(languageCode),
+    voice_settings: {
+        stability: 0.5,
+        similarity_boost: 0.75
+    }
+});
+
+// 401 quota_exceeded / 429 too_many_requests bench the provider, anything else just fails over
+const elevenLabsError = (error) => {
+    if (error instanceof TtsProviderError) return error;
+    const status = error.response?.status || null;
+    const detail = error.response?.data?.detail;
+    const detailStatus = typeof detail === 'object' ? detail?.status : null;
+    const quota = status === 429 || ['quota_exceeded', 'too_many_concurrent_requests', 'system_busy'].includes(detailStatus);
+    return new TtsProviderError('elevenlabs', `ElevenLabs: ${detailStatus || error.message}`, { status, quota });
+};
+
+const elevenlabs = {
+    name: 'elevenlabs',
+    defaultVoice: process.env.ELEVENLABS_FALLBACK_VOICE_ID || '21m00Tcm4TlvDq8ikWAM',
+    isConfigured: () => !!process.env.ELEVENLABS_API_KEY,
+
+    async synthesize({ text, voiceId, languageCode, signal }) {
+        const headers = { 'xi-api-key': process.env.ELEVENLABS_API_KEY, 'Content-Type': 'application/json' };
+        const params = { output_format: 'mp3_44100_128' };
+        console.log(`🎤 Generating TTS with ElevenLabs model: ${elevenLabsModel(languageCode)} (language: ${languageCode || 'en'})`);
+
+        try {
+            // Use the /with-timestamps endpoint to get character-level timing
+            const response = await axios.post(
+                `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps`,
+                elevenLabsRequest(text, languageCode),
+                { headers: { ...headers, 'Accept': 'application/json' }, params, signal }
+            );
+            const { audio_base64, alignment } = response.data;
+            return {
+                audio: Buffer.from(audio_base64, 'base64'),
+                contentType: 'audio/mpeg',
+                alignment: normalizeAlignment(text, {
+                    characters: alignment && {
+                        characters: alignment.characters,
+                        start: alignment.character_start_times_seconds,
+                        end: alignment.character_end_times_seconds,
+                    },
+                    provider: 'elevenlabs',
+                }),
+            };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            const failure = elevenLabsError(error);
+            console.error('❌ ElevenLabs API Error:', failure.status, failure.message);
+            if (failure.quota) throw failure;
+        }
+
+        // Regular TTS without timestamps - word timings are estimated from the audio length
+        console.log('⚠️ Falling back to ElevenLabs TTS without timestamps...');
+        try {
+            const response = await axios.post(
+                `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
+                elevenLabsRequest(text, languageCode),
+                { headers, params, responseType: 'arraybuffer', signal }
+            );
+            const audio = Buffer.from(response.data);
+            return {
+                audio,
+                contentType: 'audio/mpeg',
+                alignment: normalizeAlignment(text, { duration: mp3Duration(audio), provider: 'elevenlabs' }),
+            };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            throw elevenLabsError(error);
+        }
+    },
+
+    /**
+     * Audio and character timings as ElevenLabs generates them. Chunk times are made
+     * relative to the start of the whole clip.
+     */
+    async stream({ text, voiceId, languageCode, signal }, onChunk) {
+        console.log(`🎤 Streaming TTS with ElevenLabs model: ${elevenLabsModel(languageCode)} (${text.length} chars)`);
+
+        const audioChunks = [];
+        const characters = { characters: [], start: [], end: [] };
+        let offset = 0;
+
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+            const { audio_base64, alignment } = JSON.parse(line);
+            const audio = audio_base64 ? Buffer.from(audio_base64, 'base64') : null;
+            let chunkAlignment = null;
+
+            if (alignment?.characters?.length) {
+                const chunkStarts = alignment.character_start_times_seconds;
+                // Some models time each chunk from its own start - move those past what we already have
+                const lastEnd = characters.end.length ? characters.end[characters.end.length - 1] : 0;
+                if (chunkStarts[0] + offset < lastEnd - 0.01) offset = lastEnd;
+
+                chunkAlignment = {
+                    characters: alignment.characters,
+                    start: chunkStarts.map(t => t + offset),
+                    end: alignment.character_end_times_seconds.map(t => t + offset),
+                };
+                characters.characters.push(...chunkAlignment.characters);
+                characters.start.push(...chunkAlignment.start);
+                characters.end.push(...chunkAlignment.end);
+            }
+
+            if (audio) audioChunks.push(audio);
+            if (audio || chunkAlignment) onChunk({ audio, alignment: chunkAlignment });
+        };
+
+        try {
+            const response = await axios.post(
+                `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream/with-timestamps`,
+                elevenLabsRequest(text, languageCode),
+                {
+                    headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY, 'Content-Type': 'application/json' },
+                    params: { output_format: 'mp3_44100_128' },
+                    responseType: 'stream',
+                    signal,
+                }
+            );
+
+            // One JSON object per line
+            response.data.setEncoding('utf8');
+            let pending = '';
+            for await (const piece of response.data) {
+                pending += piece;
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                lines.forEach(handleLine);
+            }
+            handleLine(pending);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            const failure = elevenLabsError(error);
+            console.error('❌ ElevenLabs stream error:', failure.status, failure.message);
+            // Nothing sent yet - the regular endpoint can still answer
+            if (audioChunks.length === 0 && !failure.quota) {
+                const result = await this.synthesize({ text, voiceId, languageCode, signal });
+                onChunk({ audio: result.audio, alignment: result.alignment.characters });
+                return result;
+            }
+            throw failure;
+        }
+
+        return {
+            audio: Buffer.concat(audioChunks),
+            contentType: 'audio/mpeg',
+            alignment: normalizeAlignment(text, { characters, provider: 'elevenlabs' }),
+        };
+    },
+};
+
+// ===========================================
+// GOOGLE CLOUD TTS
+// ===========================================
+
+// Shared clients, created on first use (also used by routes/googleTts.js and routes/radio.js)
+let googleClient;
+let googleBetaClient;
+
+const googleCredentials = () => {
+    const credentialsJson = process.env.GCS_CREDENTIALS_JSON || process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+    if (credentialsJson) return { credentials: JSON.parse(credentialsJson) };
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS) return {};
+    return null;
+};
+
+/**
+ * Google Cloud TTS client, or null when no credentials are configured
+ * (GCS_CREDENTIALS_JSON / GOOGLE_SERVICE_ACCOUNT_JSON or GOOGLE_APPLICATION_CREDENTIALS)
+ */
+const getGoogleTtsClient = () => {
+    if (googleClient !== undefined) return googleClient;
+    try {
+        const options = googleCredentials();
+        googleClient = options ? new textToSpeech.TextToSpeechClient(options) : null;
+        if (googleClient) console.log('✅ Google TTS: client initialized');
+        else console.error('❌ Google TTS: No credentials configured (need GCS_CREDENTIALS_JSON or GOOGLE_APPLICATION_CREDENTIALS)');
+    } catch (error) {
+        console.error('❌ Google TTS: Failed to load credentials:', error.message);
+        googleClient = null;
+    }
+    return googleClient;
+};
+
+// v1beta1 is the only version that returns SSML mark timepoints
+const getGoogleBetaClient = () => {
+    if (googleBetaClient === undefined) {
+        const options = googleCredentials();
+        googleBetaClient = options ? new textToSpeech.v1beta1.TextToSpeechClient(options) : null;
+    }
+    return googleBetaClient;
+};
+
+// App language codes (routes/translate.js) to the Cloud TTS locale to pick a voice from
+const GOOGLE_LOCALES = {
+    en: 'en-US', es: 'es-US', pt: 'pt-BR', fr: 'fr-FR', de: 'de-DE', it: 'it-IT', nl: 'nl-NL',
+    pl: 'pl-PL', ru: 'ru-RU', zh: 'cmn-CN', ja: 'ja-JP', ko: 'ko-KR', tl: 'fil-PH',
+};
+
+const googleLocale = (languageCode) => (languageCode?.includes('-') ? languageCode : GOOGLE_LOCALES[languageCode] || null);
+
+// A bare locale (es-US) as voice id lets Google pick its voice for that locale
+const isGoogleLocale = (voiceId) => /^[a-z]{2,3}-[A-Z]{2}$/.test(voiceId);
+
+// Chirp and Journey voices don't accept SSML, so they get estimated timings
+const supportsMarks = (voiceName) => !/Chirp|Journey/i.test(voiceName);
+
+const escapeXml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// gRPC RESOURCE_EXHAUSTED = 8
+const googleError = (error) => new TtsProviderError('google', `Google TTS: ${error.message}`, {
+    status: error.code ?? null,
+    quota: error.code === 8 || /RESOURCE_EXHAUSTED|quota/i.test(error.message),
+});
+
+const google = {
+    name: 'google',
+    defaultVoice: process.env.GOOGLE_TTS_FALLBACK_VOICE || 'en-US-Neural2-F',
+    isConfigured: () => !!getGoogleTtsClient(),
+
+    // The configured voice for English, Google's own voice for the locale otherwise
+    defaultVoiceFor(languageCode) {
+        const locale = googleLocale(languageCode);
+        return !locale || locale.startsWith('en-') ? this.defaultVoice : locale;
+    },
+
+    async synthesize({ text, voiceId, languageCode, pitch, speakingRate }) {
+        // Voice names start with their locale, e.g. en-US-Neural2-F
+        const voice = isGoogleLocale(voiceId)
+            ? { languageCode: voiceId }
+            : { name: voiceId, languageCode: voiceId.split('-').slice(0, 2).join('-') || googleLocale(languageCode) || 'en-US' };
+        const audioConfig = { audioEncoding: 'MP3', pitch: pitch || 0, speakingRate: speakingRate || 1.0 };
+        console.log(`🎙️ Generating TTS with Google voice: ${voiceId}`);
+
+        try {
+            if (supportsMarks(voiceId)) {
+                const spans = wordSpans(text);
+                const ssml = `<speak>${spans.map(({ word }, i) => `<mark name="${i}"/>${escapeXml(word)}`).join(' ')}</speak>`;
+                const [response] = await getGoogleBetaClient().synthesizeSpeech({
+                    input: { ssml },
+                    voice,
+                    audioConfig,
+                    enableTimePointing: ['SSML_MARK'],
+                });
+                const audio = Buffer.from(response.audioContent);
+                const duration = mp3Duration(audio);
+                const starts = new Map((response.timepoints || []).map(point => [Number(point.markName), point.timeSeconds]));
+
+                // Every word needs a mark time, otherwise fall back to estimating
+                if (spans.length && spans.every((_, i) => starts.has(i))) {
+                    const words = spans.map(({ word }, i) => ({
+                        word,
+                        start: starts.get(i),
+                        end: i + 1 < spans.length ? starts.get(i + 1) : (duration ?? starts.get(i) + ESTIMATED_SECONDS_PER_WORD),
+                    }));
+                    return { audio, contentType: 'audio/mpeg', alignment: normalizeAlignment(text, { words, provider: 'google' }) };
+                }
+                return { audio, contentType: 'audio/mpeg', alignment: normalizeAlignment(text, { duration, provider: 'google' }) };
+            }
+
+            const [response] = await getGoogleTtsClient().synthesizeSpeech({ input: { text }, voice, audioConfig });
+            const audio = Buffer.from(response.audioContent);
+            return {
+                audio,
+                contentType: 'audio/mpeg',
+                alignment: normalizeAlignment(text, { duration: mp3Duration(audio), provider: 'google' }),
+            };
+        } catch (error) {
+            throw googleError(error);
+        }
+    },
+};
+
+// ===========================================
+// LOCAL (offline)
+// ===========================================
+
+const LOCAL_SAMPLE_RATE = 16000;
+const LOCAL_SECONDS_PER_CHAR = 0.06;
+const LOCAL_WORD_GAP = 0.08;
+const LOCAL_SENTENCE_GAP = 0.35;
+
+const wavFile = (samples) => {
+    const data = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // Subchunk1 size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // Mono
+    header.writeUInt32LE(LOCAL_SAMPLE_RATE, 24);
+    header.writeUInt32LE(LOCAL_SAMPLE_RATE * 2, 28); // Byte rate
+    header.writeUInt16LE(2, 32); // Block align
+    header.writeUInt16LE(16, 34); // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+};
+
+/**
+ * No network, no credentials: a soft tone per word with deterministic timings.
+ * The voice id only changes the pitch, so different voices are told apart by ear.
+ */
+const local = {
+    name: 'local',
+    defaultVoice: 'local-default',
+    isConfigured: () => true,
+
+    async synthesize({ text, voiceId }) {
+        const pitch = 180 + ([...voiceId].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 120);
+        const words = [];
+        const samples = [];
+        let time = 0;
+
+        for (const { word } of wordSpans(text)) {
+            const length = word.length * LOCAL_SECONDS_PER_CHAR;
+            words.push({ word, start: Math.round(time * 1000) / 1000, end: Math.round((time + length) * 1000) / 1000 });
+            const toneSamples = Math.round(length * LOCAL_SAMPLE_RATE);
+            for (let i = 0; i < toneSamples; i++) {
+                // Short fade in/out so words don't click
+                const envelope = Math.min(1, i / 160, (toneSamples - i) / 160);
+                samples.push(Math.round(Math.sin((2 * Math.PI * pitch * i) / LOCAL_SAMPLE_RATE) * 3000 * envelope));
+            }
+            const gap = /[.!?]["')\]]?$/.test(word) ? LOCAL_SENTENCE_GAP : LOCAL_WORD_GAP;
+            for (let i = Math.round(gap * LOCAL_SAMPLE_RATE); i > 0; i--) samples.push(0);
+            time += length + gap;
+        }
+
+        return {
+            audio: wavFile(samples),
+            contentType: 'audio/wav',
+            alignment: normalizeAlignment(text, { words, provider: 'local' }),
+        };
+    },
+};
+
+// ===========================================
+// REGISTRY & FALLBACK
+// ===========================================
+
+const providers = { elevenlabs, google, local };
+const benchedUntil = new Map();
+
+const isAvailable = (name) => providers[name].isConfigured() && !((benchedUntil.get(name) || 0) > Date.now());
+
+const defaultVoiceFor = (name, languageCode) => providers[name].defaultVoiceFor?.(languageCode) || providers[name].defaultVoice;
+
+// TTS_FALLBACK_PROVIDERS (comma separated) applies to voices without their own fallbacks
+const defaultFallbacks = () => (process.env.TTS_FALLBACK_PROVIDERS || 'google')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => PROVIDER_NAMES.includes(name))
+    .map(provider => ({ provider }));
+
+/**
+ * Providers to try for an app voice id, in order: [{ provider, voiceId }]
+ * Voices missing from the Voice collection are `provider` voices - ElevenLabs by default
+ * (how the app started out). Fallbacks speak `languageCode` where they can.
+ * TTS_PROVIDER=local forces the offline engine everywhere (development).
+ */
+const providerChain = async (voiceId, { languageCode, provider = 'elevenlabs' } = {}) => {
+    if (process.env.TTS_PROVIDER === 'local') {
+        return [{ provider: 'local', voiceId }];
+    }
+
+    const voice = await Voice.findOne({ voiceId }).select('provider providerVoiceId fallbacks').lean().catch(() => null);
+    const primary = { provider: voice?.provider || provider, voiceId: voice?.providerVoiceId || voiceId };
+    const fallbacks = (voice?.fallbacks?.length ? voice.fallbacks : defaultFallbacks())
+        .filter(fallback => fallback.provider !== primary.provider || fallback.providerVoiceId)
+        .map(fallback => ({
+            provider: fallback.provider,
+            voiceId: fallback.providerVoiceId || defaultVoiceFor(fallback.provider, languageCode),
+        }));
+
+    return [primary, ...fallbacks];
+};
+
+/**
+ * Synthesize with the voice's provider, falling back down its chain.
+ * With `onChunk`, providers that can stream do so; the others hand over their whole
+ * clip as one chunk. Once audio has gone out there is no falling back.
+ * `provider` names the engine of a voice id that isn't in the Voice collection
+ * (e.g. a Google voice name picked for a radio host).
+ * Returns { audio, contentType, alignment, provider, voiceId, fallback }
+ */
+const synthesizeWithFallback = async ({ text, voiceId, languageCode, signal, provider: voiceProvider, pitch, speakingRate }, { onChunk } = {}) => {
+    const chain = await providerChain(voiceId, { languageCode, provider: voiceProvider });
+    const failures = [];
+
+    for (const [index, step] of chain.entries()) {
+        const provider = providers[step.provider];
+        if (!isAvailable(step.provider)) {
+            failures.push(`${step.provider}: unavailable`);
+            continue;
+        }
+
+        let sent = false;
+        try {
+            const request = { text, voiceId: step.voiceId, languageCode, signal, pitch, speakingRate };
+            let result;
+            if (onChunk && provider.stream) {
+                result = await provider.stream(request, (chunk) => {
+                    sent = true;
+                    onChunk(chunk);
+                });
+            } else {
+                result = await provider.synthesize(request);
+                if (onChunk) {
+                    sent = true;
+                    onChunk({ audio: result.audio, alignment: result.alignment.characters });
+                }
+            }
+
+            if (index > 0) {
+                console.log(`🔁 TTS for voice ${voiceId} served by fallback ${step.provider} (${step.voiceId})`);
+            }
+            return { ...result, provider: step.provider, voiceId: step.voiceId, fallback: index > 0 };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            if (error.quota) {
+                benchedUntil.set(step.provider, Date.now() + QUOTA_COOLDOWN_MS);
+                console.warn(`⏸️ TTS provider ${step.provider} is out of quota - skipping it for ${QUOTA_COOLDOWN_MS / 60000} min`);
+            }
+            if (sent) throw error;
+            failures.push(`${step.provider}: ${error.message}`);
+        }
+    }
+
+    throw new TtsProviderError(chain[0].provider, `All TTS providers failed (${failures.join('; ')})`);
+};
+
+/**
+ * Configuration and cooldown state of every provider, for the admin status endpoint
+ */
+const getProviderStatus = () => PROVIDER_NAMES.map(name => ({
+    name,
+    configured: providers[name].isConfigured(),
+    benchedUntil: (benchedUntil.get(name) || 0) > Date.now() ? new Date(benchedUntil.get(name)) : null,
+    defaultVoice: providers[name].defaultVoice,
+    streams: !!providers[name].stream,
+}));
+
+module.exports = {
+    PROVIDER_NAMES,
+    TtsProviderError,
+    processAlignmentToWords,
+    normalizeAlignment,
+    mp3Duration,
+    getGoogleTtsClient,
+    providerChain,
+    synthesizeWithFallback,
+    getProviderStatus,
+};
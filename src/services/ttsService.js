@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { bucket, privateBucket, publicUrlFor } = require('../config/storage');
+const TTSCache = require('../models/TTSCache');
+const { processAlignmentToWords, synthesizeWithFallback } = require('./ttsProviders');
+
+/**
+ * Cached text-to-speech with word timings, shared by routes/tts.js,
+ * the streaming socket (routes/ttsSocket.js) and the whole-book narration
+ * renderer (services/narrationService.js). The audio itself comes from the
+ * voice's provider (services/ttsProviders.js).
+ */
+
+// Ensure uploads directory exists
+const uploadsDir = path.join(__dirname, '../../uploads');
+if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// Helper to save buffer to file (Local or GCS)
+// privateStorage: members-only audio goes to the private bucket when one is configured
+const saveAudioFile = async (buffer, filename, bookId = null, pageNumber = null, contentType = 'audio/mpeg', { privateStorage = false } = {}) => {
+    // If pageNumber is provided, organize into page-specific subfolder for clarity
+    let filePath;
+    if (bookId && pageNumber !== null && pageNumber !== undefined) {
+        filePath = `books/${bookId}/audio/page${pageNumber}_${filename}`;
+    } else if (bookId) {
+        filePath = `books/${bookId}/audio/${filename}`;
+    } else {
+        filePath = `audio/${filename}`;
+    }
+
+    // Check if GCS is configured
+    const target = privateStorage && privateBucket ? privateBucket : bucket;
+    if (target && process.env.GCS_BUCKET_NAME) {
+        return new Promise((resolve, reject) => {
+            const blob = target.file(filePath);
+            const blobStream = blob.createWriteStream({
+                metadata: {
+                    contentType,
+                },
+            });
+
+            blobStream.on('error', (error) => {
+                console.error('GCS Upload error:', error);
+                // Fallback to local
+                saveLocal(buffer, filePath).then(resolve).catch(reject);
+            });
+
+            blobStream.on('finish', () => {
+                resolve(publicUrlFor(target, filePath));
+            });
+
+            blobStream.end(buffer);
+        });
+    } else {
+        return saveLocal(buffer, filePath);
+    }
+};
+
+const saveLocal = (buffer, gcsPath) => {
+    return new Promise((resolve, reject) => {
+        const localPath = path.join(uploadsDir, gcsPath);
+        const dir = path.dirname(localPath);
+
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        fs.writeFile(localPath, buffer, (err) => {
+            if (err) reject(err);
+            else resolve(`/uploads/${gcsPath}`);
+        });
+    });
+};
+
+// Bracketed cues like [happy], [Niños riendo], [long pause] are for the book editor,
+// not the voice - the multilingual model doesn't handle them and they can hurt quality
+const stripCues = (text) => {
+    const bracketRegex = /\[[^\]]+\]/g;
+    const brackets = text.match(bracketRegex);
+    if (!brackets || brackets.length === 0) return text;
+    console.log(`🔧 Stripped ${brackets.length} bracketed expression(s): ${brackets.join(', ')}`);
+    return text.replace(bracketRegex, '').replace(/\s+/g, ' ').trim();
+};
+
+// Language is part of the cache key for multilingual support.
+// Audio in the private bucket is cached separately so public callers never get its URLs
+const ttsCacheHash = (text, voiceId, languageCode, privateStorage = false) => {
+    let cacheKey = languageCode && languageCode !== 'en'
+        ? `${text}${voiceId}${languageCode}`
+        : `${text}${voiceId}`;
+    if (privateStorage) cacheKey += ':private';
+    return crypto.createHash('md5').update(cacheKey).digest('hex');
+};
+
+/**
+ * Cached { audioUrl, alignment } for the text/voice, or null.
+ * Local /uploads/ entries are dropped once GCS is configured so they get regenerated there.
+ */
+const findCachedSpeech = async (textHash, voiceId) => {
+    const cached = await TTSCache.findOne({ textHash, voiceId });
+    if (!cached) return null;
+
+    const isLocalPath = cached.audioUrl && cached.audioUrl.startsWith('/uploads/');
+    const gcsConfigured = bucket && process.env.GCS_BUCKET_NAME;
+
+    if (isLocalPath && gcsConfigured) {
+        console.log('TTS Cache Hit - but URL is local path and GCS is configured, regenerating...');
+        await TTSCache.deleteOne({ _id: cached._id });
+        return null;
+    }
+    console.log(`TTS Cache Hit - ${isLocalPath ? 'local path (GCS not configured)' : 'GCS URL'}`);
+    return { audioUrl: cached.audioUrl, alignment: cached.alignmentData };
+};
+
+/**
+ * Save generated audio and remember it in TTSCache (unless `cache` is false). Returns the audio URL.
+ * Include page and textbox info if available for easier identification in GCS.
+ */
+const storeSpeech = async ({ textHash, voiceId, text, audioBuffer, contentType = 'audio/mpeg', alignmentData, bookId, pageNumber, textBoxIndex, cache = true, privateStorage = false }) => {
+    const extension = contentType === 'audio/wav' ? 'wav' : 'mp3';
+    let filename;
+    if (pageNumber !== undefined && textBoxIndex !== undefined) {
+        filename = `p${pageNumber}_tb${textBoxIndex}_${textHash.substring(0, 8)}.${extension}`;
+    } else if (pageNumber !== undefined) {
+        filename = `p${pageNumber}_${textHash.substring(0, 8)}.${extension}`;
+    } else {
+        filename = `${Date.now()}_${textHash.substring(0, 12)}.${extension}`;
+    }
+    const audioUrl = await saveAudioFile(audioBuffer, filename, bookId, pageNumber, contentType, { privateStorage });
+    if (!cache) return audioUrl;
+
+    // Handle duplicate key errors gracefully
+    try {
+        const newCache = new TTSCache({
+            textHash,
+            voiceId,
+            text,
+            audioUrl,
+            alignmentData,
+            bookId: bookId || null // Store bookId for cache clearing by book
+        });
+        await newCache.save();
+    } catch (cacheError) {
+        // If it's a duplicate key error, that's fine - another request already cached it
+        if (cacheError.code === 11000) {
+            console.log('TTS Cache: Entry already exists (race condition), continuing...');
+        } else {
+            console.warn('TTS Cache save warning:', cacheError.message);
+        }
+        // Don't fail the request - we still have the audio
+    }
+
+    return audioUrl;
+};
+
+/**
+ * Generate (or fetch from cache) TTS audio with word timings.
+ * Returns { status, body } so it can run inline or from the job queue.
+ * privateStorage (members-only narration) keeps the audio out of the public bucket -
+ * its URLs then only open once signed (config/storage.js getSignedUrl).
+ */
+const generateSpeech = async ({ text, voiceId, bookId, languageCode, pageNumber, textBoxIndex }, { privateStorage = false } = {}) => {
+    if (!text || !voiceId) {
+        return { status: 400, body: { message: 'Text and voiceId are required' } };
+    }
+    
+    // Log page info for debugging
+    if (bookId && pageNumber !== undefined) {
+        console.log(`📄 Generating TTS for book ${bookId}, page ${pageNumber}${textBoxIndex !== undefined ? `, textbox ${textBoxIndex}` : ''}`);
+    }
+
+    // 1. Check Cache
+    const usePrivateBucket = privateStorage && !!privateBucket;
+    const textHash = ttsCacheHash(text, voiceId, languageCode, usePrivateBucket);
+    const cached = await findCachedSpeech(textHash, voiceId);
+    if (cached) {
+        return { status: 200, body: cached };
+    }
+
+    console.log('TTS Cache Miss - Generating Audio with Timestamps');
+    // 2. Generate with the voice's provider (or a fallback). Strip emotional cues first
+    const processedText = stripCues(text);
+    console.log(`📝 Text length: ${processedText.length} chars`);
+    const result = await synthesizeWithFallback({ text: processedText, voiceId, languageCode });
+
+    // 3. Save audio and cache it - fallback audio isn't cached, so the real voice
+    // is generated once its provider is back
+    const audioUrl = await storeSpeech({
+        textHash, voiceId, text, bookId, pageNumber, textBoxIndex,
+        audioBuffer: result.audio,
+        contentType: result.contentType,
+        alignmentData: result.alignment,
+        cache: !result.fallback,
+        privateStorage: usePrivateBucket,
+    });
+
+    return {
+        status: 200,
+        body: {
+            audioUrl,
+            alignment: result.alignment,
+            provider: result.provider
+        }
+    };
+};
+
+/**
+ * Like generateSpeech, but hands audio to `onChunk` while it is still being generated.
+ * onChunk({ audio: Buffer, alignment: { characters, start, end } | null }) - times are seconds
+ * from the start of the whole clip. Providers that can't stream send the whole clip as one
+ * chunk. Cache hits return right away without chunks.
+ * Abort `signal` to cancel - the provider request is dropped and nothing is cached.
+ * Returns { cached, audioUrl, alignment, provider }.
+ */
+const streamSpeech = async ({ text, voiceId, bookId, languageCode, pageNumber, textBoxIndex }, { onChunk = () => {}, signal } = {}) => {
+    const textHash = ttsCacheHash(text, voiceId, languageCode);
+    const cached = await findCachedSpeech(textHash, voiceId);
+    if (cached) {
+        return { cached: true, ...cached };
+    }
+
+    const result = await synthesizeWithFallback({ text: stripCues(text), voiceId, languageCode, signal }, { onChunk });
+    if (signal?.aborted) {
+        throw new Error('Cancelled');
+    }
+
+    const audioUrl = await storeSpeech({
+        textHash, voiceId, text, bookId, pageNumber, textBoxIndex,
+        audioBuffer: result.audio,
+        contentType: result.contentType,
+        alignmentData: result.alignment,
+        cache: !result.fallback,
+    });
+
+    return { cached: false, audioUrl, alignment: result.alignment, provider: result.provider };
+};
+
+module.exports = {
+    saveAudioFile,
+    processAlignmentToWords,
+    generateSpeech,
+    streamSpeech,
+};
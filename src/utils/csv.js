@@ -0,0 +1,37 @@
+/**
+ * CSV export helpers
+ */
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows (plain objects) as CSV text. Columns default to the keys of the first row.
+ */
+const toCsv = (rows, columns = Object.keys(rows[0] || {})) => [
+    columns.map(escapeCell).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column])).join(',')),
+].join('\r\n');
+
+/**
+ * Send rows as a CSV download
+ */
+const sendCsv = (res, filename, rows, columns) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(rows, columns));
+};
+
+module.exports = {
+    toCsv,
+    sendCsv,
+};
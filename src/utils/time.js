@@ -0,0 +1,38 @@
+/**
+ * Timezone helpers (IANA zone names, e.g. 'America/Chicago')
+ */
+
+const formatters = new Map();
+const formatterFor = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            hourCycle: 'h23',
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        formatterFor(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Local calendar and clock fields of `date` in `timezone`, as zero-padded strings:
+ * { year, month, day, hour, minute, second }
+ */
+const zonedParts = (date, timezone) => Object.fromEntries(
+    formatterFor(timezone).formatToParts(date).map(part => [part.type, part.value])
+);
+
+module.exports = {
+    isValidTimezone,
+    zonedParts,
+};